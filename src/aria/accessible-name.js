@@ -0,0 +1,408 @@
+/**
+ * Accessible name and description computation, after the W3C "Accessible
+ * Name and Description Computation" algorithm (accname), over the parsed
+ * element tree (see parsers/element-tree.js).
+ *
+ * Names are computed statically, so anything only known at runtime —
+ * `aria-label={label}`, `{children}`, components, spread props, ids set by
+ * expressions — makes the result UNKNOWN_NAME instead of a guess. Rules
+ * should only report an empty name (''), never UNKNOWN_NAME.
+ *
+ *   computeAccessibleName(element, context.elements)   → 'Close' | '' | UNKNOWN_NAME
+ *
+ * Deliberately left out: CSS-generated content, and the value of embedded
+ * controls (the text of a <label> wrapping a <select> doesn't include the
+ * selected option). `placeholder` doesn't count as a name — it's a hint.
+ */
+
+export const UNKNOWN_NAME = 'unknown (dynamic)';
+
+const DYNAMIC = '{expression}';
+
+// Roles whose name can come from their content (accname step 2F)
+const NAME_FROM_CONTENT_ROLES = new Set([
+  'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link',
+  'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row',
+  'rowheader', 'switch', 'tab', 'tooltip', 'treeitem',
+]);
+
+// Elements whose content never contributes text
+const NO_TEXT_ELEMENTS = new Set(['script', 'style', 'template', 'noscript', 'desc']);
+
+// Form controls named by their <label>s
+const LABELABLE = new Set(['input', 'select', 'textarea', 'meter', 'output', 'progress']);
+
+// Native HTML and SVG elements — any other lowercase tag in a template is a
+// component whose rendered content is unknown
+const NATIVE_ELEMENTS = new Set([
+  'a', 'abbr', 'address', 'area', 'article', 'aside', 'audio', 'b', 'bdi', 'bdo',
+  'blockquote', 'body', 'br', 'button', 'canvas', 'caption', 'cite', 'code', 'col',
+  'colgroup', 'data', 'datalist', 'dd', 'del', 'details', 'dfn', 'dialog', 'div', 'dl',
+  'dt', 'em', 'embed', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2',
+  'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hgroup', 'hr', 'html', 'i', 'iframe', 'img',
+  'input', 'ins', 'kbd', 'label', 'legend', 'li', 'link', 'main', 'map', 'mark', 'menu',
+  'meta', 'meter', 'nav', 'noscript', 'object', 'ol', 'optgroup', 'option', 'output',
+  'p', 'picture', 'pre', 'progress', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'script',
+  'search', 'section', 'select', 'small', 'source', 'span', 'strong', 'style', 'sub',
+  'summary', 'sup', 'table', 'tbody', 'td', 'template', 'textarea', 'tfoot', 'th',
+  'thead', 'time', 'title', 'tr', 'track', 'u', 'ul', 'var', 'video', 'wbr',
+  'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polygon', 'polyline', 'rect',
+  'text', 'tspan', 'use', 'defs', 'symbol', 'desc', 'clippath', 'mask', 'image',
+  'lineargradient', 'radialgradient', 'stop', 'pattern', 'filter', 'foreignobject',
+]);
+
+const indexCache = new WeakMap();
+
+/**
+ * Compute an element's accessible name
+ * @param {object} element - Element from the parsed tree
+ * @param {object[]} elements - Every element of the file, to resolve id references
+ * @returns {string} The name, whitespace-collapsed ('' if it has none), or
+ *   UNKNOWN_NAME if it depends on runtime values
+ */
+export function computeAccessibleName(element, elements) {
+  return finish(computeName(element, {
+    index: getDocumentIndex(elements),
+    visited: new Set(),
+    recursing: false,
+    inLabelledBy: false,
+  }));
+}
+
+/**
+ * Compute an element's accessible description: the text of the elements
+ * its aria-describedby references, otherwise its title when the title
+ * isn't already its name
+ * @param {object} element
+ * @param {object[]} elements
+ * @returns {string} The description, '' or UNKNOWN_NAME
+ */
+export function computeAccessibleDescription(element, elements) {
+  const index = getDocumentIndex(elements);
+  const describedBy = getAttribute(element, 'aria-describedby', 'ariaDescribedby');
+
+  if (describedBy !== undefined) {
+    const description = finish(fromReferences(describedBy, {
+      index,
+      visited: new Set([element]),
+      recursing: true,
+      inLabelledBy: true,
+    }));
+    if (description) return description;
+  }
+
+  const title = fromTitle(element);
+  if (title === UNKNOWN_NAME) return UNKNOWN_NAME;
+  if (!title.trim()) return '';
+
+  const name = computeAccessibleName(element, elements);
+  if (name === UNKNOWN_NAME) return UNKNOWN_NAME;
+  return name === finish(title) ? '' : finish(title);
+}
+
+/**
+ * Ids and label targets of a file, computed once per element list
+ * @param {object[]} elements
+ * @returns {{ids: Map<string, object>, labels: Map<string, object[]>, hasDynamicIds: boolean, hasDynamicLabelTargets: boolean}}
+ *   ids maps each static id to its first element, labels each static
+ *   for/htmlFor target to its <label>s
+ */
+export function getDocumentIndex(elements) {
+  let index = indexCache.get(elements);
+  if (index) return index;
+
+  index = { ids: new Map(), labels: new Map(), hasDynamicIds: false, hasDynamicLabelTargets: false };
+
+  for (const el of elements) {
+    const id = el.attributes['id'];
+    if (id === DYNAMIC || el.hasAttributes['...spread']) {
+      index.hasDynamicIds = true;
+    } else if (typeof id === 'string' && id && !index.ids.has(id)) {
+      index.ids.set(id, el);
+    }
+
+    if (el.name === 'label') {
+      const target = getLabelTarget(el);
+      if (target === DYNAMIC) {
+        index.hasDynamicLabelTargets = true;
+      } else if (target) {
+        if (!index.labels.has(target)) index.labels.set(target, []);
+        index.labels.get(target).push(el);
+      }
+    }
+  }
+
+  indexCache.set(elements, index);
+  return index;
+}
+
+/**
+ * The id a <label> points at — `for` in HTML, `htmlFor` in JSX
+ * @param {object} label
+ * @returns {string|null} The id, '{expression}' if dynamic, or null
+ */
+export function getLabelTarget(label) {
+  const target = label.attributes['htmlFor'] ?? label.attributes['for'];
+  return typeof target === 'string' && target ? target : null;
+}
+
+/**
+ * Whether an element is a component (or another element whose rendered
+ * content can't be known from the template)
+ * @param {object} element
+ * @returns {boolean}
+ */
+export function isComponent(element) {
+  // <Button>, <UI.Button>, <svelte:self> — in JSX and in templates, whose
+  // parsers keep the tag case in rawName
+  if (/^[A-Z]|[.:]/.test(element.rawName)) return true;
+  if (element.syntax === 'jsx') return false;
+  return element.name === 'slot' ||
+    (!NATIVE_ELEMENTS.has(element.name) && !element.name.includes('-'));
+}
+
+// ─── The algorithm ──────────────────────────────────────────────────────────
+
+/**
+ * One step of the computation for `element`. Returns raw text, or
+ * UNKNOWN_NAME.
+ */
+function computeName(element, state) {
+  if (state.visited.has(element)) return '';
+  state.visited = new Set(state.visited).add(element);
+
+  // 2A: hidden subtrees contribute nothing. The element being named, and
+  // elements referenced directly, count even when hidden.
+  if (state.recursing) {
+    const hidden = isHidden(element);
+    if (hidden === UNKNOWN_NAME) return UNKNOWN_NAME;
+    if (hidden) return '';
+  }
+
+  const result = computeVisibleName(element, state);
+
+  // Spread props or a component may supply what the markup doesn't show
+  if (result !== UNKNOWN_NAME && !result.trim() && (element.hasAttributes['...spread'] || isComponent(element))) {
+    return UNKNOWN_NAME;
+  }
+  return result;
+}
+
+function computeVisibleName(element, state) {
+  // 2B: aria-labelledby, unless already following a reference
+  const labelledBy = getAttribute(element, 'aria-labelledby', 'ariaLabelledby');
+  if (labelledBy !== undefined && !state.inLabelledBy) {
+    const name = fromReferences(labelledBy, { ...state, inLabelledBy: true, recursing: false });
+    if (name === UNKNOWN_NAME || name.trim()) return name;
+  }
+
+  // 2C: aria-label
+  const ariaLabel = getAttribute(element, 'aria-label', 'ariaLabel');
+  if (ariaLabel === DYNAMIC) return UNKNOWN_NAME;
+  if (typeof ariaLabel === 'string' && ariaLabel.trim()) return ariaLabel;
+
+  // Embedded controls inside a label being traversed: their value is unknown
+  if (state.recursing && LABELABLE.has(element.name)) return '';
+
+  // 2D: native text alternatives
+  const native = fromNativeAttributes(element, state);
+  if (native === null) return fromTitle(element); // alt="" — no name from content
+  if (native === UNKNOWN_NAME || native.trim()) return native;
+
+  // 2F: name from content
+  if (state.recursing || state.inLabelledBy || NAME_FROM_CONTENT_ROLES.has(getRole(element))) {
+    const content = fromContent(element, state);
+    if (content === UNKNOWN_NAME || content.trim()) return content;
+  }
+
+  // 2I: tooltip
+  return fromTitle(element);
+}
+
+/**
+ * Names from the host language: alt, <label>, input values, <legend>, ...
+ * @returns {string|null} Text, UNKNOWN_NAME, or null for an explicitly
+ *   empty alternative (alt="")
+ */
+function fromNativeAttributes(element, state) {
+  const type = String(element.attributes['type'] || '').toLowerCase();
+
+  if (element.name === 'img' || element.name === 'area' || (element.name === 'input' && type === 'image')) {
+    const alt = element.attributes['alt'];
+    if (alt === DYNAMIC) return UNKNOWN_NAME;
+    if (typeof alt === 'string') return alt.trim() ? alt : element.name === 'input' ? 'Submit' : null;
+    if (alt === true) return null;
+    return '';
+  }
+
+  if (element.name === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+    const value = element.attributes['value'];
+    if (value === DYNAMIC) return UNKNOWN_NAME;
+    if (typeof value === 'string' && value.trim()) return value;
+    return type === 'submit' ? 'Submit' : type === 'reset' ? 'Reset' : '';
+  }
+
+  if (LABELABLE.has(element.name) && !state.recursing) {
+    return fromLabels(element, state);
+  }
+
+  if (element.name === 'fieldset' || element.name === 'figure' || element.name === 'table') {
+    const captionName = { fieldset: 'legend', figure: 'figcaption', table: 'caption' }[element.name];
+    const caption = element.children.find(child => child.name === captionName);
+    if (caption) return fromContent(caption, { ...state, recursing: true });
+  }
+
+  return '';
+}
+
+/**
+ * Text of the <label>s associated with a form control
+ */
+function fromLabels(element, state) {
+  const { index } = state;
+  const id = element.attributes['id'];
+  const labels = [];
+
+  const wrapping = element.closest(el => el !== element && el.name === 'label');
+  if (wrapping) labels.push(wrapping);
+  if (typeof id === 'string' && id !== DYNAMIC) {
+    for (const label of index.labels.get(id) || []) {
+      if (!labels.includes(label)) labels.push(label);
+    }
+  }
+
+  const parts = labels.map(label => fromContent(label, { ...state, recursing: true }));
+  if (parts.includes(UNKNOWN_NAME)) return UNKNOWN_NAME;
+
+  const text = parts.join(' ');
+  if (text.trim()) return text;
+
+  // A label may point at this control through an id set at runtime
+  if (id !== undefined && (index.hasDynamicLabelTargets || (id === DYNAMIC && index.labels.size > 0))) {
+    return UNKNOWN_NAME;
+  }
+  return '';
+}
+
+/**
+ * Text of the elements an id list (aria-labelledby, aria-describedby) references
+ */
+function fromReferences(value, state) {
+  if (value === DYNAMIC) return UNKNOWN_NAME;
+  if (typeof value !== 'string') return '';
+
+  const parts = [];
+  for (const ref of value.split(/\s+/).filter(Boolean)) {
+    const target = state.index.ids.get(ref);
+    if (!target) {
+      if (state.index.hasDynamicIds) return UNKNOWN_NAME;
+      continue;
+    }
+    parts.push(computeName(target, { ...state, recursing: false, inLabelledBy: true }));
+  }
+
+  if (parts.includes(UNKNOWN_NAME)) return UNKNOWN_NAME;
+  return parts.map(part => part.trim()).filter(Boolean).join(' ');
+}
+
+/**
+ * Text of an element's children, each named recursively
+ */
+function fromContent(element, state) {
+  if (NO_TEXT_ELEMENTS.has(element.name)) return '';
+
+  const parts = [];
+  for (const node of element.childNodes) {
+    if (node.type === 'text') {
+      parts.push(node.value);
+    } else if (node.type === 'expression') {
+      return UNKNOWN_NAME;
+    } else {
+      const part = computeName(node, { ...state, recursing: true });
+      if (part === UNKNOWN_NAME) return UNKNOWN_NAME;
+      parts.push(part);
+    }
+  }
+
+  // Vue v-text / v-html and Astro set:text / set:html fill the element at runtime
+  if (element.hasTextChildren && element.childNodes.length === 0) {
+    return UNKNOWN_NAME;
+  }
+
+  return parts.join('');
+}
+
+function fromTitle(element) {
+  const title = getAttribute(element, 'title');
+  if (title === DYNAMIC) return UNKNOWN_NAME;
+  return typeof title === 'string' ? title : '';
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * @returns {boolean|string} true, false, or UNKNOWN_NAME when hidden at runtime
+ */
+function isHidden(element) {
+  const ariaHidden = getAttribute(element, 'aria-hidden', 'ariaHidden');
+  if (ariaHidden === 'true' || ariaHidden === true) return true;
+  if (ariaHidden === DYNAMIC) return UNKNOWN_NAME;
+
+  if ('hidden' in element.attributes && element.attributes['hidden'] !== 'false') {
+    return element.attributes['hidden'] === DYNAMIC ? UNKNOWN_NAME : true;
+  }
+  if (element.name === 'input' && String(element.attributes['type']).toLowerCase() === 'hidden') return true;
+
+  const style = element.attributes['style'];
+  if (typeof style === 'string' && /(?:^|;)\s*(?:display\s*:\s*none|visibility\s*:\s*hidden)\b/i.test(style)) {
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Role of an element: its explicit role, or the implicit one for the few
+ * elements whose name comes from content. role="presentation"/"none" is
+ * ignored here — browsers ignore it on focusable elements, which are the
+ * ones rules ask names for.
+ */
+function getRole(element) {
+  const role = element.attributes['role'];
+  if (typeof role === 'string' && role !== DYNAMIC && role.trim()) {
+    const explicit = role.trim().split(/\s+/)[0].toLowerCase();
+    if (explicit !== 'presentation' && explicit !== 'none') return explicit;
+  }
+
+  switch (element.name) {
+    case 'a':
+    case 'area':
+      return 'href' in element.attributes ? 'link' : null;
+    case 'button':
+    case 'summary':
+      return 'button';
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+      return 'heading';
+    case 'option':
+      return 'option';
+    case 'td':
+      return 'cell';
+    case 'th':
+      return 'columnheader';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Attribute value under its HTML name or JSX camelCase alias
+ */
+function getAttribute(element, ...names) {
+  for (const name of names) {
+    if (name in element.attributes) return element.attributes[name];
+  }
+  return undefined;
+}
+
+function finish(text) {
+  return text === UNKNOWN_NAME ? text : text.replace(/\s+/g, ' ').trim();
+}
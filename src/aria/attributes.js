@@ -0,0 +1,127 @@
+/**
+ * ARIA 1.2 states and properties: value types, which are global, and which
+ * are deprecated. Role-specific support lives in roles.js.
+ *
+ * Value types, as the spec names them:
+ *
+ *   true/false             "true" | "false"
+ *   true/false/undefined   "true" | "false" | "undefined"
+ *   tristate               "true" | "false" | "mixed" | "undefined"
+ *   idref, idrefs          one id / a space-separated list of ids
+ *   integer, number        numeric
+ *   string                 anything
+ *   token, tokens          one / a space-separated list of `values`
+ */
+
+export const ARIA_ATTRIBUTES = {
+  'aria-activedescendant': { type: 'idref' },
+  'aria-atomic': { type: 'true/false', global: true },
+  'aria-autocomplete': { type: 'token', values: ['inline', 'list', 'both', 'none'] },
+  'aria-braillelabel': { type: 'string', global: true },
+  'aria-brailleroledescription': { type: 'string', global: true },
+  'aria-busy': { type: 'true/false', global: true },
+  'aria-checked': { type: 'tristate' },
+  'aria-colcount': { type: 'integer' },
+  'aria-colindex': { type: 'integer' },
+  'aria-colindextext': { type: 'string' },
+  'aria-colspan': { type: 'integer' },
+  'aria-controls': { type: 'idrefs', global: true },
+  'aria-current': { type: 'token', values: ['page', 'step', 'location', 'date', 'time', 'true', 'false'], global: true },
+  'aria-describedby': { type: 'idrefs', global: true },
+  'aria-description': { type: 'string', global: true },
+  'aria-details': { type: 'idref', global: true },
+  // Deprecated as global in 1.2, but still supported on every role that takes them
+  'aria-disabled': { type: 'true/false', global: true },
+  'aria-dropeffect': { type: 'tokens', values: ['copy', 'execute', 'link', 'move', 'none', 'popup'], global: true, deprecated: 'ARIA 1.1' },
+  'aria-errormessage': { type: 'idref', global: true },
+  'aria-expanded': { type: 'true/false/undefined' },
+  'aria-flowto': { type: 'idrefs', global: true },
+  'aria-grabbed': { type: 'true/false/undefined', global: true, deprecated: 'ARIA 1.1' },
+  'aria-haspopup': { type: 'token', values: ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'], global: true },
+  'aria-hidden': { type: 'true/false/undefined', global: true },
+  'aria-invalid': { type: 'token', values: ['grammar', 'false', 'spelling', 'true'], global: true },
+  'aria-keyshortcuts': { type: 'string', global: true },
+  'aria-label': { type: 'string', global: true },
+  'aria-labelledby': { type: 'idrefs', global: true },
+  'aria-level': { type: 'integer' },
+  'aria-live': { type: 'token', values: ['assertive', 'off', 'polite'], global: true },
+  'aria-modal': { type: 'true/false' },
+  'aria-multiline': { type: 'true/false' },
+  'aria-multiselectable': { type: 'true/false' },
+  'aria-orientation': { type: 'token', values: ['horizontal', 'vertical', 'undefined'] },
+  'aria-owns': { type: 'idrefs', global: true },
+  'aria-placeholder': { type: 'string' },
+  'aria-posinset': { type: 'integer' },
+  'aria-pressed': { type: 'tristate' },
+  'aria-readonly': { type: 'true/false' },
+  'aria-relevant': { type: 'tokens', values: ['additions', 'all', 'removals', 'text'], global: true },
+  'aria-required': { type: 'true/false' },
+  'aria-roledescription': { type: 'string', global: true },
+  'aria-rowcount': { type: 'integer' },
+  'aria-rowindex': { type: 'integer' },
+  'aria-rowindextext': { type: 'string' },
+  'aria-rowspan': { type: 'integer' },
+  'aria-selected': { type: 'true/false/undefined' },
+  'aria-setsize': { type: 'integer' },
+  'aria-sort': { type: 'token', values: ['ascending', 'descending', 'none', 'other'] },
+  'aria-valuemax': { type: 'number' },
+  'aria-valuemin': { type: 'number' },
+  'aria-valuenow': { type: 'number' },
+  'aria-valuetext': { type: 'string' },
+};
+
+const BOOLEAN_VALUES = {
+  'true/false': ['true', 'false'],
+  'true/false/undefined': ['true', 'false', 'undefined'],
+  'tristate': ['true', 'false', 'mixed', 'undefined'],
+};
+
+/**
+ * Whether an attribute is a known ARIA state or property
+ * @param {string} name - Lowercase attribute name
+ * @returns {boolean}
+ */
+export function isAriaAttribute(name) {
+  return Object.hasOwn(ARIA_ATTRIBUTES, name);
+}
+
+/**
+ * Check an ARIA attribute's value against its type. Values only known at
+ * runtime (`{expression}`) and empty values pass.
+ * @param {string} name - Lowercase attribute name
+ * @param {string|boolean} value - Attribute value as parsed
+ * @returns {string|null} What the value should be, or null if it's valid
+ */
+export function checkAttributeValue(name, value) {
+  const attr = ARIA_ATTRIBUTES[name];
+  if (!attr || value === '{expression}' || value === true || value === '') return null;
+
+  const text = String(value).trim();
+
+  switch (attr.type) {
+    case 'true/false':
+    case 'true/false/undefined':
+    case 'tristate': {
+      const values = BOOLEAN_VALUES[attr.type];
+      return values.includes(text) ? null : `one of ${formatValues(values)}`;
+    }
+    case 'token':
+      return attr.values.includes(text) ? null : `one of ${formatValues(attr.values)}`;
+    case 'tokens':
+      return text.split(/\s+/).every(token => attr.values.includes(token))
+        ? null
+        : `a space-separated list of ${formatValues(attr.values)}`;
+    case 'idref':
+      return /\s/.test(text) ? 'a single id' : null;
+    case 'integer':
+      return /^-?\d+$/.test(text) ? null : 'an integer';
+    case 'number':
+      return text !== '' && Number.isFinite(Number(text)) ? null : 'a number';
+    default:
+      return null;
+  }
+}
+
+function formatValues(values) {
+  return values.map(v => `"${v}"`).join(', ');
+}
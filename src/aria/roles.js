@@ -0,0 +1,235 @@
+/**
+ * ARIA 1.2 roles: the states and properties each role requires and
+ * supports, and the roles that can't be named. Global attributes (see
+ * attributes.js) are supported everywhere and aren't listed per role.
+ *
+ * Supported lists include what a role inherits from its superclasses, so
+ * a role can be checked without walking the hierarchy. Abstract roles
+ * (command, widget, landmark, ...) aren't listed — they can't be used in
+ * markup.
+ */
+
+const DYNAMIC = '{expression}';
+
+const CELL = ['aria-colindex', 'aria-colindextext', 'aria-colspan', 'aria-rowindex', 'aria-rowindextext', 'aria-rowspan'];
+const HEADER = [...CELL, 'aria-expanded', 'aria-readonly', 'aria-required', 'aria-selected', 'aria-sort'];
+const TEXTBOX = ['aria-activedescendant', 'aria-autocomplete', 'aria-multiline', 'aria-placeholder', 'aria-readonly', 'aria-required'];
+const RANGE = ['aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext'];
+const SET_ITEM = ['aria-posinset', 'aria-setsize'];
+
+// Roles that can't be named: aria-label and aria-labelledby are prohibited
+const NAME_PROHIBITED = { prohibited: ['aria-label', 'aria-labelledby', 'aria-braillelabel'] };
+
+export const ROLES = {
+  alert: {},
+  alertdialog: { supported: ['aria-modal'] },
+  application: { supported: ['aria-activedescendant', 'aria-expanded'] },
+  article: { supported: SET_ITEM },
+  banner: {},
+  blockquote: {},
+  button: { supported: ['aria-expanded', 'aria-pressed'] },
+  caption: NAME_PROHIBITED,
+  cell: { supported: CELL },
+  checkbox: { required: ['aria-checked'], supported: ['aria-checked', 'aria-expanded', 'aria-readonly', 'aria-required'] },
+  code: NAME_PROHIBITED,
+  columnheader: { supported: HEADER },
+  // ARIA 1.2 also lists aria-controls, but it only matters once the popup is expanded
+  combobox: { required: ['aria-expanded'], supported: ['aria-activedescendant', 'aria-autocomplete', 'aria-expanded', 'aria-readonly', 'aria-required'] },
+  complementary: {},
+  contentinfo: {},
+  definition: {},
+  deletion: NAME_PROHIBITED,
+  dialog: { supported: ['aria-modal'] },
+  directory: {},
+  document: {},
+  emphasis: NAME_PROHIBITED,
+  feed: {},
+  figure: {},
+  form: {},
+  generic: NAME_PROHIBITED,
+  grid: { supported: ['aria-activedescendant', 'aria-colcount', 'aria-multiselectable', 'aria-readonly', 'aria-rowcount'] },
+  gridcell: { supported: [...CELL, 'aria-expanded', 'aria-readonly', 'aria-required', 'aria-selected'] },
+  group: { supported: ['aria-activedescendant'] },
+  heading: { required: ['aria-level'], supported: ['aria-level'] },
+  img: {},
+  insertion: NAME_PROHIBITED,
+  link: { supported: ['aria-expanded'] },
+  list: {},
+  listbox: { supported: ['aria-activedescendant', 'aria-expanded', 'aria-multiselectable', 'aria-orientation', 'aria-readonly', 'aria-required'] },
+  listitem: { supported: ['aria-level', ...SET_ITEM] },
+  log: {},
+  main: {},
+  marquee: {},
+  math: {},
+  menu: { supported: ['aria-activedescendant', 'aria-orientation'] },
+  menubar: { supported: ['aria-activedescendant', 'aria-orientation'] },
+  menuitem: { supported: ['aria-expanded', ...SET_ITEM] },
+  menuitemcheckbox: { required: ['aria-checked'], supported: ['aria-checked', 'aria-expanded', ...SET_ITEM] },
+  menuitemradio: { required: ['aria-checked'], supported: ['aria-checked', 'aria-expanded', ...SET_ITEM] },
+  meter: { required: ['aria-valuenow'], supported: RANGE },
+  navigation: {},
+  none: NAME_PROHIBITED,
+  note: {},
+  option: { supported: ['aria-checked', 'aria-selected', ...SET_ITEM] },
+  paragraph: NAME_PROHIBITED,
+  presentation: NAME_PROHIBITED,
+  progressbar: { supported: RANGE },
+  radio: { required: ['aria-checked'], supported: ['aria-checked', ...SET_ITEM] },
+  radiogroup: { supported: ['aria-activedescendant', 'aria-orientation', 'aria-readonly', 'aria-required'] },
+  region: {},
+  row: { supported: ['aria-activedescendant', 'aria-colindex', 'aria-colindextext', 'aria-expanded', 'aria-level', 'aria-rowindex', 'aria-rowindextext', 'aria-selected', ...SET_ITEM] },
+  rowgroup: {},
+  rowheader: { supported: HEADER },
+  scrollbar: { required: ['aria-controls', 'aria-valuenow'], supported: ['aria-orientation', ...RANGE] },
+  search: {},
+  searchbox: { supported: TEXTBOX },
+  separator: { supported: ['aria-orientation', ...RANGE] },
+  slider: { required: ['aria-valuenow'], supported: ['aria-orientation', 'aria-readonly', ...RANGE] },
+  spinbutton: { supported: ['aria-activedescendant', 'aria-readonly', 'aria-required', ...RANGE] },
+  status: {},
+  strong: NAME_PROHIBITED,
+  subscript: NAME_PROHIBITED,
+  superscript: NAME_PROHIBITED,
+  switch: { required: ['aria-checked'], supported: ['aria-checked', 'aria-expanded', 'aria-readonly', 'aria-required'] },
+  tab: { supported: ['aria-expanded', 'aria-selected', ...SET_ITEM] },
+  table: { supported: ['aria-colcount', 'aria-rowcount'] },
+  tablist: { supported: ['aria-activedescendant', 'aria-multiselectable', 'aria-orientation'] },
+  tabpanel: {},
+  term: {},
+  textbox: { supported: TEXTBOX },
+  time: {},
+  timer: {},
+  toolbar: { supported: ['aria-activedescendant', 'aria-orientation'] },
+  tooltip: {},
+  tree: { supported: ['aria-activedescendant', 'aria-multiselectable', 'aria-orientation', 'aria-required'] },
+  treegrid: { supported: ['aria-activedescendant', 'aria-colcount', 'aria-multiselectable', 'aria-orientation', 'aria-readonly', 'aria-required', 'aria-rowcount'] },
+  treeitem: { supported: ['aria-checked', 'aria-expanded', 'aria-level', 'aria-selected', ...SET_ITEM] },
+};
+
+// Implicit roles of HTML elements (HTML-AAM). Elements whose role depends
+// on context the template doesn't show — <header>, <footer> — are left out.
+const IMPLICIT_ROLES = {
+  article: 'article',
+  aside: 'complementary',
+  b: 'generic',
+  blockquote: 'blockquote',
+  button: 'button',
+  caption: 'caption',
+  code: 'code',
+  datalist: 'listbox',
+  dd: 'definition',
+  del: 'deletion',
+  details: 'group',
+  dfn: 'term',
+  dialog: 'dialog',
+  div: 'generic',
+  em: 'emphasis',
+  fieldset: 'group',
+  figure: 'figure',
+  form: 'form',
+  h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+  hr: 'separator',
+  i: 'generic',
+  ins: 'insertion',
+  li: 'listitem',
+  main: 'main',
+  math: 'math',
+  menu: 'list',
+  meter: 'meter',
+  nav: 'navigation',
+  ol: 'list',
+  optgroup: 'group',
+  option: 'option',
+  output: 'status',
+  p: 'paragraph',
+  progress: 'progressbar',
+  q: 'generic',
+  s: 'generic',
+  search: 'search',
+  section: 'region',
+  small: 'generic',
+  span: 'generic',
+  strong: 'strong',
+  sub: 'subscript',
+  sup: 'superscript',
+  table: 'table',
+  tbody: 'rowgroup',
+  td: 'cell',
+  textarea: 'textbox',
+  tfoot: 'rowgroup',
+  th: 'columnheader',
+  thead: 'rowgroup',
+  time: 'time',
+  tr: 'row',
+  u: 'generic',
+  ul: 'list',
+};
+
+const INPUT_ROLES = {
+  button: 'button',
+  checkbox: 'checkbox',
+  email: 'textbox',
+  image: 'button',
+  number: 'spinbutton',
+  radio: 'radio',
+  range: 'slider',
+  reset: 'button',
+  search: 'searchbox',
+  submit: 'button',
+  tel: 'textbox',
+  text: 'textbox',
+  url: 'textbox',
+};
+
+/**
+ * Whether a role is a concrete ARIA 1.2 role
+ * @param {string} role - Lowercase role name
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+  return Object.hasOwn(ROLES, role);
+}
+
+/**
+ * An element's explicit role: the first valid token of its role attribute
+ * (later tokens are fallbacks)
+ * @param {object} element
+ * @returns {string|null} The role, '{expression}' if dynamic, or null
+ */
+export function getExplicitRole(element) {
+  const role = element.attributes['role'];
+  if (role === DYNAMIC) return DYNAMIC;
+  if (typeof role !== 'string') return null;
+  return role.toLowerCase().split(/\s+/).find(isValidRole) || null;
+}
+
+/**
+ * The role an HTML element has without a role attribute
+ * @param {object} element
+ * @returns {string|null} The role, or null if it has none or it can't be
+ *   told from the markup
+ */
+export function getImplicitRole(element) {
+  const attrs = element.attributes;
+
+  switch (element.name) {
+    case 'a':
+    case 'area':
+      return 'href' in attrs ? 'link' : 'generic';
+    case 'img': {
+      // alt="" makes an image decorative, unless it's named some other way
+      const named = ['aria-label', 'aria-labelledby', 'title'].some(name => name in attrs);
+      return attrs['alt'] === '' && !named ? 'presentation' : 'img';
+    }
+    case 'input': {
+      if (attrs['type'] === DYNAMIC) return null;
+      const type = String(attrs['type'] || 'text').toLowerCase();
+      if ('list' in attrs && ['text', 'search', 'email', 'tel', 'url'].includes(type)) return 'combobox';
+      return INPUT_ROLES[type] || null;
+    }
+    case 'select':
+      return 'multiple' in attrs || Number(attrs['size']) > 1 ? 'listbox' : 'combobox';
+    default:
+      return IMPLICIT_ROLES[element.name] || null;
+  }
+}
@@ -0,0 +1,279 @@
+import fs from 'fs';
+import chalk from 'chalk';
+import { analyzeSource } from './linter.js';
+import { readFileSafe, getFileType, relativePath } from './scanner.js';
+import {
+  printAutoFixStatus,
+  printAutoFixSummary,
+  printOfflineFixHeader,
+  printInfo,
+} from './reporter.js';
+
+/**
+ * Offline autofix.
+ *
+ * Rules attach source edits to the issues they report:
+ *
+ *   { ruleId, message, …, edits: [{ start, end, text }] }
+ *
+ * where [start, end) is a range of the file's source (offsets, end
+ * exclusive) replaced by `text`. An issue's edits are applied together or
+ * not at all. The builders below produce edits from an element's recorded
+ * attribute ranges and work for both JSX and HTML-like syntax.
+ */
+
+/** Re-analysis passes before giving up on conflicting or recurring fixes */
+const MAX_PASSES = 10;
+
+// ─── Edit builders ───────────────────────────────────────────────────────────
+
+/**
+ * Find an attribute as written on the element, ignoring case
+ * @param {object} element
+ * @param {string} name
+ * @returns {{name: string, range: object}|null}
+ */
+export function findAttribute(element, name) {
+  const wanted = name.toLowerCase();
+  for (const [written, range] of Object.entries(element.attributeRanges || {})) {
+    if (written.toLowerCase() === wanted) return { name: written, range };
+  }
+  return null;
+}
+
+/**
+ * Remove an attribute, with the whitespace before it (or its whole line if
+ * it sits on a line of its own)
+ * @param {object} context - Rule context (for the source)
+ * @param {object} element
+ * @param {string} name
+ * @returns {object|null} Edit, or null if the attribute isn't written on the element
+ */
+export function removeAttribute(context, element, name) {
+  const found = findAttribute(element, name);
+  if (!found) return null;
+
+  const { source } = context;
+  let start = found.range.start;
+  let end = found.range.end;
+
+  while (start > 0 && (source[start - 1] === ' ' || source[start - 1] === '\t')) start--;
+
+  let lineEnd = end;
+  while (source[lineEnd] === ' ' || source[lineEnd] === '\t') lineEnd++;
+
+  if (source[start - 1] === '\n' && (source[lineEnd] === '\n' || source[lineEnd] === '\r')) {
+    // Attribute on its own line — drop the line
+    end = source[lineEnd] === '\r' ? lineEnd + 2 : lineEnd + 1;
+  }
+
+  return { start, end, text: '' };
+}
+
+/**
+ * Set an attribute's value, adding the attribute if it isn't there.
+ * Numbers become `{n}` in JSX and `"n"` in HTML.
+ * @param {object} context - Rule context (for the source)
+ * @param {object} element
+ * @param {string} name - Attribute name to match (case-insensitive) or add
+ * @param {string|number} value
+ * @returns {object} Edit
+ */
+export function setAttribute(context, element, name, value) {
+  const found = findAttribute(element, name);
+  if (!found) return insertAttribute(context, element, name, value);
+
+  return {
+    start: found.range.nameEnd,
+    end: found.range.end,
+    text: `=${formatValue(element, value)}`,
+  };
+}
+
+/**
+ * Add an attribute after the element's last attribute
+ * @param {object} context - Rule context (for the source)
+ * @param {object} element
+ * @param {string} name
+ * @param {string|number} value
+ * @returns {object} Edit
+ */
+export function insertAttribute(context, element, name, value) {
+  const { source } = context;
+
+  // Back up over `>`, `/>` and whitespace before them
+  let at = element.openEnd - 1;
+  while (at > element.nameEnd && /[\s/]/.test(source[at - 1])) at--;
+
+  return { start: at, end: at, text: ` ${name}=${formatValue(element, value)}` };
+}
+
+/**
+ * Rename an attribute, keeping its value
+ * @param {object} element
+ * @param {string} from - Current name (case-insensitive)
+ * @param {string} to
+ * @returns {object|null} Edit, or null if the attribute isn't written on the element
+ */
+export function renameAttribute(element, from, to) {
+  const found = findAttribute(element, from);
+  if (!found) return null;
+  return { start: found.range.start, end: found.range.nameEnd, text: to };
+}
+
+function formatValue(element, value) {
+  if (typeof value === 'number' && element.syntax === 'jsx') return `{${value}}`;
+  return `"${String(value).replace(/"/g, '&quot;')}"`;
+}
+
+// ─── Applying edits ──────────────────────────────────────────────────────────
+
+/**
+ * Apply groups of edits (one group per issue) to source code. Groups are
+ * taken in order; a group overlapping an already accepted edit is skipped
+ * as a conflict.
+ * @param {string} code
+ * @param {object[][]} groups - Edits per issue
+ * @returns {{output: string, applied: number[], conflicts: number[]}} Indices into `groups`
+ */
+export function applyEdits(code, groups) {
+  const accepted = [];
+  const applied = [];
+  const conflicts = [];
+
+  groups.forEach((edits, index) => {
+    if (edits.some(edit => accepted.some(other => overlaps(edit, other)))) {
+      conflicts.push(index);
+      return;
+    }
+    accepted.push(...edits);
+    applied.push(index);
+  });
+
+  let output = code;
+  for (const edit of accepted.sort((a, b) => b.start - a.start || b.end - a.end)) {
+    output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+  }
+
+  return { output, applied, conflicts };
+}
+
+/**
+ * Two edits conflict if their ranges overlap, if one inserts strictly inside
+ * the other's range, or if both insert at the same offset (order unknown)
+ */
+function overlaps(a, b) {
+  if (a.start === a.end && b.start === b.end) return a.start === b.start;
+  if (a.start === a.end) return b.start < a.start && a.start < b.end;
+  if (b.start === b.end) return a.start < b.start && b.start < a.end;
+  return a.start < b.end && b.start < a.end;
+}
+
+// ─── Fixing files ────────────────────────────────────────────────────────────
+
+/**
+ * Apply every available rule fix to source code. After each pass the code
+ * is re-analyzed, so fixes that conflicted get another chance against the
+ * updated source.
+ * @param {string} code
+ * @param {object} options
+ * @param {string} options.filePath - File the code belongs to (for its type and context)
+ * @param {object[]} options.rules - Configured rules
+ * @returns {{fixed: object[], conflicts: object[], unfixable: object[], output: string}}
+ */
+export function fixSource(code, { filePath, rules }) {
+  const fileType = getFileType(filePath);
+  const analyze = (source) => analyzeSource(source, { fileType, filePath, rules });
+
+  let current = code;
+  const fixed = [];
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const fixable = analyze(current).filter(issue => issue.edits?.length);
+    if (fixable.length === 0) break;
+
+    const { output, applied } = applyEdits(current, fixable.map(issue => issue.edits));
+    if (output === current) break; // fixes that don't change anything
+
+    fixed.push(...applied.map(i => fixable[i]));
+    current = output;
+  }
+
+  const remaining = analyze(current);
+  const conflicts = remaining.filter(issue => issue.edits?.length);
+  const unfixable = remaining.filter(issue => !issue.edits?.length);
+
+  return { fixed, conflicts, unfixable, output: current };
+}
+
+/**
+ * Apply every available rule fix to a file (see fixSource)
+ * @param {string} filePath - Absolute file path
+ * @param {object[]} rules - Configured rules
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Compute fixes without writing the file
+ * @returns {{fixed: object[], conflicts: object[], unfixable: object[], original: string, output: string}}
+ */
+export function fixFileOffline(filePath, rules, options = {}) {
+  const original = readFileSafe(filePath) || '';
+  const result = fixSource(original, { filePath, rules });
+
+  if (!options.dryRun && result.output !== original) {
+    fs.writeFileSync(filePath, result.output);
+  }
+
+  return { ...result, original };
+}
+
+/**
+ * Fix all files with rule-provided edits, without Copilot CLI
+ * @param {Map<string, object[]>} issuesByFile - Map of filePath → issues[]
+ * @param {object[]} rules - Configured rules
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Report what would change without writing
+ * @param {boolean} [options.write] - Write the fixed files (default true); otherwise only return them
+ * @returns {{totalFixed: number, totalFailed: number, totalUnfixable: number, changes: Map<string, {before: string, after: string}>}}
+ *   changes holds every file the fixes changed
+ */
+export function autoFixOffline(issuesByFile, rules, options = {}) {
+  printOfflineFixHeader();
+
+  let totalFixed = 0;
+  let totalFailed = 0;
+  let totalUnfixable = 0;
+  const changes = new Map();
+
+  for (const filePath of issuesByFile.keys()) {
+    const relPath = relativePath(filePath);
+    const { fixed, conflicts, unfixable, original, output } = fixFileOffline(filePath, rules, {
+      dryRun: options.dryRun || options.write === false,
+    });
+
+    if (output !== original) {
+      changes.set(filePath, { before: original, after: output });
+    }
+
+    for (const issue of fixed) {
+      printAutoFixStatus(relPath, issue, 'success');
+      if (options.dryRun) console.log(chalk.dim(`    [dry-run] Would apply ${issue.edits.length} edit${issue.edits.length !== 1 ? 's' : ''}`));
+    }
+    for (const issue of conflicts) {
+      printAutoFixStatus(relPath, issue, 'error', 'Edits overlap another fix');
+    }
+
+    totalFixed += fixed.length;
+    totalFailed += conflicts.length;
+    totalUnfixable += unfixable.length;
+  }
+
+  if (totalUnfixable > 0) {
+    printInfo(
+      `${totalUnfixable} issue${totalUnfixable !== 1 ? 's have' : ' has'} no automatic fix — ` +
+      'run `a11y-pilot fix` without --offline to use Copilot CLI'
+    );
+  }
+
+  printAutoFixSummary(totalFixed, totalFailed, totalFixed + totalFailed, { via: 'built-in fixes' });
+
+  return { totalFixed, totalFailed, totalUnfixable, changes };
+}
@@ -0,0 +1,98 @@
+import { spawn } from 'child_process';
+import { buildFixPrompt, parseFixOutput } from './prompt.js';
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Fix backend that runs a shell command per fix.
+ *
+ * The command gets a JSON request on stdin —
+ *
+ *   { file, content, issues: [{ ruleId, message, line, column, fix }], prompt }
+ *
+ * — and prints either the complete updated file or a unified diff against
+ * `content` on stdout. Empty output means "no change"; a non-zero exit
+ * code fails the fix.
+ *
+ * @param {object} [options]
+ * @param {string} [options.command] - Shell command to run (required)
+ * @param {number} [options.timeout] - Time limit in milliseconds
+ * @returns {object} Backend (see backends/index.js)
+ */
+export function createCommandBackend(options = {}) {
+  const { command } = options;
+  const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+
+  return {
+    name: 'command',
+    label: command ? `\`${command}\`` : 'fix command',
+    setupHint: 'Set "fixer.command" in your config to the command that fixes a file.',
+
+    async isAvailable() {
+      return typeof command === 'string' && command.trim() !== '';
+    },
+
+    async fix({ relPath, content, issues, feedback }) {
+      const request = {
+        file: relPath,
+        content,
+        issues: issues.map(({ ruleId, message, line, column, fix }) => ({ ruleId, message, line, column, fix })),
+        prompt: buildFixPrompt(relPath, issues, { feedback }),
+      };
+
+      const output = await runCommand(command, JSON.stringify(request), timeout);
+      if (!output.trim()) return { content };
+      return parseFixOutput(output, content);
+    },
+  };
+}
+
+/**
+ * Run a shell command with input on stdin
+ * @param {string} command
+ * @param {string} input
+ * @param {number} timeout - Milliseconds
+ * @returns {Promise<string>} stdout
+ * @throws {Error} If the command fails or times out
+ */
+function runCommand(command, input, timeout) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, {
+      shell: true,
+      cwd: process.cwd(),
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try { proc.kill('SIGTERM'); } catch { /* already dead */ }
+    }, timeout);
+
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
+    proc.on('error', (err) => {
+      clearTimeout(timer);
+      reject(new Error(`Failed to run \`${command}\`: ${err.message}`));
+    });
+
+    proc.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        reject(new Error(`\`${command}\` timed out (${timeout / 1000}s)`));
+      } else if (code !== 0) {
+        reject(new Error(stderr.trim() || `\`${command}\` exited with code ${code}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+
+    // A command that ignores stdin may close it early
+    proc.stdin.on('error', () => {});
+    proc.stdin.end(input);
+  });
+}
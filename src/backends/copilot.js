@@ -0,0 +1,185 @@
+import { spawn, execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { relativePath } from '../scanner.js';
+import { buildFixPrompt } from './prompt.js';
+
+const DEFAULT_TIMEOUT_MS = 120000; // 2 min per fix
+
+/**
+ * Resolve the full path to the copilot CLI binary.
+ * Checks common install locations and PATH.
+ * @returns {string|null}
+ */
+function resolveCopilotPath() {
+  // Try which/where first
+  try {
+    const result = execFileSync('which', ['copilot'], { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+    if (result) return result;
+  } catch { /* not in PATH */ }
+
+  // Check VS Code global storage (common install location)
+  const homeDir = process.env.HOME || process.env.USERPROFILE || '';
+  const vscodeLocations = [
+    path.join(homeDir, 'Library/Application Support/Code/User/globalStorage/github.copilot-chat/copilotCli/copilot'),
+    path.join(homeDir, '.local/share/Code/User/globalStorage/github.copilot-chat/copilotCli/copilot'),
+    path.join(homeDir, 'AppData/Roaming/Code/User/globalStorage/github.copilot-chat/copilotCli/copilot.exe'),
+  ];
+
+  for (const loc of vscodeLocations) {
+    if (fs.existsSync(loc)) return loc;
+  }
+
+  return null;
+}
+
+// Cache the resolved path
+let _copilotPath = undefined;
+
+/**
+ * Get the copilot CLI path (cached)
+ * @returns {string|null}
+ */
+function getCopilotPath() {
+  if (_copilotPath === undefined) {
+    _copilotPath = resolveCopilotPath();
+  }
+  return _copilotPath;
+}
+
+/**
+ * Check if GitHub Copilot CLI is installed and available
+ * @returns {Promise<boolean>}
+ */
+export async function isCopilotCLIAvailable() {
+  const copilotPath = getCopilotPath();
+  if (!copilotPath) return false;
+
+  return new Promise((resolve) => {
+    const proc = spawn(copilotPath, ['--version'], {
+      stdio: 'pipe',
+      timeout: 10000,
+    });
+
+    proc.on('error', () => resolve(false));
+    proc.on('close', (code) => resolve(code === 0));
+
+    setTimeout(() => {
+      try { proc.kill(); } catch {}
+      resolve(false);
+    }, 10000);
+  });
+}
+
+/**
+ * Fix backend for GitHub Copilot CLI.
+ *
+ * Copilot CLI edits files itself, so it gets a copy of the file in a
+ * temporary directory and the edited copy is returned as the new content.
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Time limit per fix in milliseconds
+ * @returns {object} Backend (see backends/index.js)
+ */
+export function createCopilotBackend(options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+
+  return {
+    name: 'copilot',
+    label: 'Copilot CLI',
+    setupHint:
+      'GitHub Copilot CLI is not installed or not in PATH.\n' +
+      '  Install it: https://github.com/github/copilot-cli\n' +
+      '  Then run: copilot auth login',
+
+    isAvailable: isCopilotCLIAvailable,
+
+    async fix({ filePath, content, issues, feedback }) {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-pilot-'));
+      const fileName = path.basename(filePath);
+
+      try {
+        fs.writeFileSync(path.join(tmpDir, fileName), content);
+        await runCopilot(buildFixPrompt(fileName, issues, { feedback }), tmpDir, timeout);
+        return { content: fs.readFileSync(path.join(tmpDir, fileName), 'utf-8') };
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    },
+  };
+}
+
+/**
+ * Run Copilot CLI non-interactively with a prompt
+ * @param {string} prompt
+ * @param {string} cwd - Directory Copilot works in
+ * @param {number} timeout - Milliseconds
+ * @returns {Promise<string>} Copilot's output
+ * @throws {Error} If Copilot can't be started, fails or times out
+ */
+function runCopilot(prompt, cwd, timeout) {
+  const copilotPath = getCopilotPath();
+  if (!copilotPath) {
+    return Promise.reject(new Error('Copilot CLI binary not found'));
+  }
+
+  return new Promise((resolve, reject) => {
+    // Use --prompt for non-interactive mode + --allow-all-tools for auto-approval
+    const args = [
+      '--prompt', prompt,
+      '--allow-all-tools',
+    ];
+
+    const proc = spawn(copilotPath, args, {
+      cwd,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      timeout,
+      env: {
+        ...process.env,
+        TERM: process.env.TERM || 'xterm-256color',
+      },
+    });
+
+    let stdout = '';
+    let stderr = '';
+
+    proc.stdout?.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    proc.stderr?.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    proc.on('error', (err) => {
+      reject(new Error(`Failed to spawn copilot: ${err.message}`));
+    });
+
+    proc.on('close', (code) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(stderr || stdout || `Copilot CLI exited with code ${code}`));
+      }
+    });
+
+    // Hard timeout
+    setTimeout(() => {
+      try {
+        proc.kill('SIGTERM');
+      } catch { /* already dead */ }
+      reject(new Error(`Copilot CLI timed out (${timeout / 1000}s)`));
+    }, timeout).unref();
+  });
+}
+
+/**
+ * Generate fix prompts (Option A fallback) without invoking Copilot CLI
+ * @param {string} filePath
+ * @param {object} issue
+ * @returns {string} The copilot CLI command
+ */
+export function generateFixCommand(filePath, issue) {
+  const prompt = buildFixPrompt(relativePath(filePath), [issue]);
+  return `copilot "${prompt}"`;
+}
@@ -0,0 +1,74 @@
+import { applyPatch } from 'diff';
+import { createCopilotBackend } from './copilot.js';
+import { createOpenAIBackend } from './openai.js';
+import { createCommandBackend } from './command.js';
+import { createMockBackend } from './mock.js';
+
+export { buildFixPrompt, parseFixOutput } from './prompt.js';
+export { createMockBackend };
+
+/**
+ * Fix backends.
+ *
+ * A backend is an object with:
+ *
+ *   name          id used in config and on the command line
+ *   label         human-readable name for output ("Copilot CLI")
+ *   setupHint     what to do when it isn't available
+ *   isAvailable() resolves to whether fixes can be requested
+ *   fix(request)  resolves to { content } — the whole updated file — or
+ *                 { patch } — a unified diff against request.content
+ *
+ * where request is { filePath, relPath, content, issues, feedback? }.
+ * Backends never write to the project: the fix pipeline applies what they
+ * return itself (see applyFixResult), then verifies it.
+ */
+
+export const BACKENDS = {
+  copilot: createCopilotBackend,
+  openai: createOpenAIBackend,
+  command: createCommandBackend,
+  mock: createMockBackend,
+};
+
+export const DEFAULT_BACKEND = 'copilot';
+
+/**
+ * Create the configured backend
+ * @param {object} [fixer] - The config's "fixer" section: { backend, ...backend options }
+ * @returns {object} Backend
+ * @throws {Error} If the backend is unknown
+ */
+export function createBackend(fixer = {}) {
+  const { backend: name = DEFAULT_BACKEND, ...options } = fixer;
+  const create = BACKENDS[name];
+  if (!create) {
+    throw new Error(`Unknown fix backend "${name}" (use one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return create(options);
+}
+
+/**
+ * Turn a backend's result into the new file content
+ * @param {string} content - Content the backend was given
+ * @param {{content?: string, patch?: string}} result
+ * @param {string} label - Backend label, for errors
+ * @returns {string}
+ * @throws {Error} If the result is malformed or the patch doesn't apply
+ */
+export function applyFixResult(content, result, label) {
+  if (result && typeof result.patch === 'string') {
+    if (!result.patch.trim()) return content;
+    const patched = applyPatch(content, result.patch, { fuzzFactor: 0 });
+    if (patched === false) {
+      throw new Error(`The patch from ${label} doesn't apply to the current file`);
+    }
+    return patched;
+  }
+
+  if (result && typeof result.content === 'string') {
+    return result.content;
+  }
+
+  throw new Error(`${label} returned neither file content nor a patch`);
+}
@@ -0,0 +1,43 @@
+import { fixSource } from '../autofix.js';
+import { allRules } from '../rules/index.js';
+
+/**
+ * Fix backend for testing the fix pipeline offline. By default it applies
+ * the built-in rule fixes for the rules of the issues it gets (see
+ * fixSource) and leaves other issues alone; pass `fix` to script other
+ * behavior. Every request is recorded in `calls`.
+ *
+ *   const backend = createMockBackend({
+ *     fix: ({ content }) => ({ content: content.replace('<img ', '<img alt="" ') }),
+ *   });
+ *
+ * @param {object} [options]
+ * @param {function(object): object|Promise<object>} [options.fix] - Replaces the default fix
+ * @param {object[]} [options.rules] - Rules the default fix uses (default: all built-in rules)
+ * @param {boolean} [options.available] - What isAvailable() reports (default true)
+ * @returns {object} Backend (see backends/index.js)
+ */
+export function createMockBackend(options = {}) {
+  const calls = [];
+
+  return {
+    name: 'mock',
+    label: 'mock backend',
+    setupHint: 'The mock backend was configured as unavailable.',
+    calls,
+
+    async isAvailable() {
+      return options.available !== false;
+    },
+
+    async fix(request) {
+      calls.push(request);
+      if (options.fix) return options.fix(request);
+
+      const ruleIds = new Set(request.issues.map(issue => issue.ruleId));
+      const rules = (options.rules || allRules).filter(rule => ruleIds.has(rule.id));
+      const { output } = fixSource(request.content, { filePath: request.filePath, rules });
+      return { content: output };
+    },
+  };
+}
@@ -0,0 +1,108 @@
+import { buildFixPrompt, parseFixOutput } from './prompt.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_API_KEY_ENV = 'OPENAI_API_KEY';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+const SYSTEM_PROMPT = [
+  'You fix accessibility issues in frontend source files.',
+  'Reply with the complete updated file in a single fenced code block and nothing else.',
+  'Keep everything you are not asked to change exactly as it is.',
+].join(' ');
+
+/**
+ * Fix backend for any OpenAI-compatible chat completions endpoint —
+ * OpenAI itself, or a local server such as llama.cpp or Ollama.
+ *
+ * The file is sent inline; the reply's code block is the new content (or,
+ * if the model answers with a diff, a patch).
+ *
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - API base URL, up to and including `/v1`
+ * @param {string} [options.model] - Model name (required)
+ * @param {string} [options.apiKeyEnv] - Environment variable holding the API key
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @returns {object} Backend (see backends/index.js)
+ */
+export function createOpenAIBackend(options = {}) {
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKeyEnv = options.apiKeyEnv || DEFAULT_API_KEY_ENV;
+  const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+
+  const headers = () => {
+    const apiKey = process.env[apiKeyEnv];
+    return {
+      'Content-Type': 'application/json',
+      ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+    };
+  };
+
+  return {
+    name: 'openai',
+    label: options.model ? `${options.model} (${baseUrl})` : baseUrl,
+    setupHint: options.model
+      ? `No OpenAI-compatible API answered at ${baseUrl}.\n` +
+        `  Check that the server is running, and that ${apiKeyEnv} is set if it needs a key.`
+      : 'Set "fixer.model" in your config to the model the endpoint should use.',
+
+    async isAvailable() {
+      if (!options.model) return false;
+      try {
+        const response = await fetch(`${baseUrl}/models`, {
+          headers: headers(),
+          signal: AbortSignal.timeout(10000),
+        });
+        return response.ok;
+      } catch {
+        return false;
+      }
+    },
+
+    async fix({ relPath, content, issues, feedback }) {
+      const prompt = [
+        buildFixPrompt(relPath, issues, { feedback }),
+        '',
+        `Current contents of "${relPath}":`,
+        '```',
+        content,
+        '```',
+      ].join('\n');
+
+      let response;
+      try {
+        response = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: headers(),
+          body: JSON.stringify({
+            model: options.model,
+            temperature: 0,
+            messages: [
+              { role: 'system', content: SYSTEM_PROMPT },
+              { role: 'user', content: prompt },
+            ],
+          }),
+          signal: AbortSignal.timeout(timeout),
+        });
+      } catch (err) {
+        throw new Error(
+          err.name === 'TimeoutError'
+            ? `Request to ${baseUrl} timed out (${timeout / 1000}s)`
+            : `Request to ${baseUrl} failed: ${err.message}`
+        );
+      }
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw new Error(`${baseUrl} returned HTTP ${response.status}${body ? `: ${body.slice(0, 200)}` : ''}`);
+      }
+
+      const data = await response.json();
+      const reply = data?.choices?.[0]?.message?.content;
+      if (typeof reply !== 'string' || !reply.trim()) {
+        throw new Error(`${baseUrl} returned no completion`);
+      }
+
+      return parseFixOutput(reply, content);
+    },
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Prompt building and output parsing shared by the backends
+ */
+
+/**
+ * Interpret free-form model or command output: a unified diff becomes a
+ * patch, anything else is the new file content. Content wrapped in a
+ * fenced code block is unwrapped.
+ * @param {string} text
+ * @param {string} original - File content the output is based on
+ * @returns {{content?: string, patch?: string}}
+ */
+export function parseFixOutput(text, original) {
+  const fenced = /```([\w-]*)[^\n]*\n([\s\S]*)\n```/.exec(text);
+  const body = fenced ? fenced[2] : text;
+
+  if ((fenced && /^(diff|patch)$/.test(fenced[1])) || isUnifiedDiff(body)) {
+    return { patch: body.endsWith('\n') ? body : `${body}\n` };
+  }
+
+  // Models and shell commands tend to drop the final newline
+  if (original.endsWith('\n') && !body.endsWith('\n')) {
+    return { content: `${body}\n` };
+  }
+  return { content: body };
+}
+
+/**
+ * File headers followed by a hunk, possibly after `diff --git`/`Index:`
+ * preamble lines, or a bare hunk
+ */
+function isUnifiedDiff(text) {
+  return /^--- [^\n]*\n\+\+\+ [^\n]*\n@@ -\d/m.test(text) || /^@@ -\d+(,\d+)? \+\d+(,\d+)? @@/.test(text);
+}
+
+/**
+ * Prompt describing the issues to fix in one file
+ * @param {string} fileName - Path the fixer will see the file under
+ * @param {object[]} issues
+ * @param {object} [options]
+ * @param {string} [options.feedback] - Note about a previous failed attempt
+ * @returns {string}
+ */
+export function buildFixPrompt(fileName, issues, options = {}) {
+  if (issues.length === 1) {
+    const [issue] = issues;
+    return [
+      `In file "${fileName}" at line ${issue.line},`,
+      `fix this accessibility issue: ${issue.message}.`,
+      issue.copilotPrompt,
+      `Only modify the minimum code necessary. Do not change functionality or styling.`,
+      `Do not add comments explaining the change.`,
+      options.feedback,
+    ].filter(Boolean).join(' ');
+  }
+
+  const issueDescriptions = issues
+    .map((issue, i) => `${i + 1}. Line ${issue.line}: ${issue.message}. ${issue.copilotPrompt || ''}`)
+    .join('\n');
+
+  return [
+    `In file "${fileName}", fix the following ${issues.length} accessibility issues:`,
+    issueDescriptions,
+    `Fix all issues. Only modify the minimum code necessary.`,
+    `Do not change functionality or visual styling.`,
+    `Do not add comments explaining the changes.`,
+    options.feedback,
+  ].filter(Boolean).join('\n');
+}
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_BASELINE_FILE = '.a11y-pilot-baseline.json';
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Fingerprint an issue by rule, file and normalized source line.
+ * Line numbers are deliberately left out so unrelated edits above an
+ * issue don't make it look new.
+ * @param {object} issue
+ * @param {string} file - Path relative to the baseline file, with forward slashes
+ * @returns {string}
+ */
+export function fingerprintIssue(issue, file) {
+  const normalizedSource = (issue.sourceLine || '').replace(/\s+/g, ' ').trim();
+  return crypto
+    .createHash('sha1')
+    .update(`${issue.ruleId}\0${file}\0${normalizedSource}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Write all current issues to a baseline file
+ * @param {string} baselinePath - Absolute path of the baseline file
+ * @param {Map<string, object[]>} issuesByFile - Map of filePath → issues[]
+ * @returns {number} Number of entries written
+ */
+export function writeBaseline(baselinePath, issuesByFile) {
+  const baseDir = path.dirname(baselinePath);
+  const entries = [];
+
+  for (const [filePath, issues] of issuesByFile) {
+    const file = toBaselinePath(baseDir, filePath);
+    for (const issue of issues) {
+      entries.push({
+        fingerprint: fingerprintIssue(issue, file),
+        ruleId: issue.ruleId,
+        file,
+        line: issue.line,
+        message: issue.message,
+      });
+    }
+  }
+
+  const baseline = {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    entries,
+  };
+
+  fs.writeFileSync(baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+  return entries.length;
+}
+
+/**
+ * Load a baseline file
+ * @param {string} baselinePath - Absolute path of the baseline file
+ * @returns {{entries: object[]}}
+ * @throws {Error} If the file is missing or malformed
+ */
+export function loadBaseline(baselinePath) {
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(
+      err.code === 'ENOENT'
+        ? `Baseline file not found: ${baselinePath}`
+        : `Failed to parse baseline ${path.basename(baselinePath)}: ${err.message}`
+    );
+  }
+
+  if (!baseline || !Array.isArray(baseline.entries)) {
+    throw new Error(`${path.basename(baselinePath)} is not an a11y-pilot baseline file`);
+  }
+
+  return baseline;
+}
+
+/**
+ * Split current issues into new ones and ones already in the baseline.
+ * Fingerprints are matched as a multiset, so a second identical issue in the
+ * same file counts as new. Only entries for files that were scanned this run
+ * can be reported as fixed.
+ *
+ * @param {Map<string, object[]>} issuesByFile - Current issues
+ * @param {{entries: object[]}} baseline
+ * @param {string} baselinePath - Absolute path of the baseline file
+ * @param {string[]} scannedFiles - Absolute paths scanned this run
+ * @returns {{issuesByFile: Map<string, object[]>, matched: number, fixed: object[]}}
+ */
+export function filterByBaseline(issuesByFile, baseline, baselinePath, scannedFiles) {
+  const baseDir = path.dirname(baselinePath);
+
+  const remaining = new Map(); // fingerprint → baseline entries not yet matched
+  for (const entry of baseline.entries) {
+    if (!remaining.has(entry.fingerprint)) remaining.set(entry.fingerprint, []);
+    remaining.get(entry.fingerprint).push(entry);
+  }
+
+  const newIssues = new Map();
+  let matched = 0;
+
+  for (const [filePath, issues] of issuesByFile) {
+    const file = toBaselinePath(baseDir, filePath);
+    const fresh = [];
+
+    for (const issue of issues) {
+      const candidates = remaining.get(fingerprintIssue(issue, file));
+      if (candidates?.length) {
+        candidates.pop();
+        matched++;
+      } else {
+        fresh.push(issue);
+      }
+    }
+
+    if (fresh.length > 0) newIssues.set(filePath, fresh);
+  }
+
+  const scanned = new Set(scannedFiles.map(f => toBaselinePath(baseDir, f)));
+  const fixed = [...remaining.values()].flat().filter(entry => scanned.has(entry.file));
+
+  return { issuesByFile: newIssues, matched, fixed };
+}
+
+function toBaselinePath(baseDir, filePath) {
+  return path.relative(baseDir, filePath).split(path.sep).join('/');
+}
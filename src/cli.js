@@ -1,11 +1,15 @@
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
+import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
-import { walkDir, readFileSafe, getFileType, relativePath } from './scanner.js';
-import { parseJSX, collectJSXElements, collectHeadings } from './parsers/jsx-parser.js';
-import { parseHTML, collectHTMLHeadings } from './parsers/html-parser.js';
-import { allRules, getRules } from './rules/index.js';
+import { walkDir, relativePath } from './scanner.js';
+import { allRules, configureRules } from './rules/index.js';
+import { analyzeFile } from './linter.js';
+import { loadConfig, normalizeConfig } from './config.js';
+import { loadPlugins } from './plugins.js';
+import { DEFAULT_BASELINE_FILE, writeBaseline, loadBaseline, filterByBaseline } from './baseline.js';
 import {
+  VERSION,
   printBanner,
   printScanStart,
   printFileIssues,
@@ -15,73 +19,380 @@ import {
   printJSON,
   printError,
   printInfo,
+  printBaselineSummary,
+  formatReport,
+  writeReport,
 } from './reporter.js';
-import { autoFixAll, generateFixCommand } from './copilot-bridge.js';
+import { autoFixAll } from './fixer.js';
+import { createBackend } from './backends/index.js';
+import { generateFixCommand } from './backends/copilot.js';
+import { autoFixOffline } from './autofix.js';
+import { reviewFixes } from './interactive.js';
+import { verifyFix } from './verify.js';
+import { writePatch } from './patch.js';
+import { createBudget } from './pool.js';
+import { getRepoRoot, getDirtyFiles, getCurrentBranch, getHead, createBranch, commitFiles } from './git.js';
+import {
+  startSession,
+  finishSession,
+  getChangedFiles,
+  readSnapshot,
+  recordBranch,
+  recordCommit,
+  findLastSession,
+  undoSession,
+} from './session.js';
+
+const OUTPUT_FORMATS = ['text', 'json', 'sarif', 'junit', 'checkstyle', 'github', 'html'];
+const COMMIT_MODES = ['per-rule', 'per-file'];
 
 /**
- * Analyze a single file and return all issues found
- * @param {string} filePath - Absolute file path
- * @param {object[]} rules - Rules to check
- * @returns {object[]} Issues found
+ * Load the project config (unless --no-config) and its plugins' rules
+ * @param {object} options - Commander options
+ * @returns {Promise<{config: object, baseDir: string, pluginRules: object[]}>}
+ * @throws {Error} If the config or a plugin is invalid
  */
-function analyzeFile(filePath, rules) {
-  const code = readFileSafe(filePath);
-  if (!code) return [];
-
-  const fileType = getFileType(filePath);
-  let elements = [];
-  let headings = [];
-
-  // Parse based on file type
-  if (fileType === 'jsx') {
-    const ast = parseJSX(code, filePath);
-    if (!ast) return [];
-    elements = collectJSXElements(ast, code);
-    headings = collectHeadings(elements);
-  } else if (fileType === 'html') {
-    elements = parseHTML(code);
-    headings = collectHTMLHeadings(elements);
-  } else {
-    return [];
+async function loadProject(options) {
+  const loaded = options.config === false
+    ? { config: normalizeConfig({}), baseDir: process.cwd() }
+    : await loadConfig({ configPath: options.config });
+
+  const pluginRules = await loadPlugins(loaded.config.plugins, loaded.baseDir);
+  return { ...loaded, pluginRules };
+}
+
+/**
+ * Resolve config, rules and files for a scan/fix run.
+ * CLI flags are merged on top of the project config.
+ * Prints an error and exits the process on invalid input.
+ * @param {string} targetPath - Path argument from the command line
+ * @param {object} options - Commander options
+ * @returns {Promise<{rules: object[], files: string[], config: object, registry: object[]}>}
+ *   `registry` holds every built-in and plugin rule, selected or not
+ */
+async function prepareRun(targetPath, options) {
+  const absolutePath = path.resolve(process.cwd(), targetPath);
+
+  let loaded;
+  let rules;
+  try {
+    loaded = await loadProject(options);
+
+    const ruleIds = options.rules ? options.rules.split(',').map(s => s.trim()) : null;
+    rules = configureRules(loaded.config.rules, ruleIds, loaded.pluginRules);
+  } catch (err) {
+    printError(err.message);
+    process.exit(1);
+  }
+
+  if (rules.length === 0) {
+    printError('No matching rules found. Run `a11y-pilot rules` to see available rules.');
+    process.exit(1);
   }
 
-  const issues = [];
+  const cliExclude = options.exclude ? options.exclude.split(',').map(s => s.trim()) : [];
 
-  // Run element-level rules
-  for (const element of elements) {
-    for (const rule of rules) {
-      const issue = rule.check(element);
-      if (issue) {
-        issues.push(issue);
-      }
+  if (!fs.existsSync(absolutePath)) {
+    printError(`Path not found: ${targetPath}`);
+    process.exit(1);
+  }
+
+  const files = walkDir(absolutePath, null, {
+    include: loaded.config.include,
+    exclude: [...loaded.config.exclude, ...cliExclude],
+    baseDir: loaded.baseDir,
+  });
+
+  const registry = [...allRules, ...loaded.pluginRules];
+
+  return { rules, files, config: loaded.config, registry };
+}
+
+/**
+ * Analyze every file and tally the results
+ * @param {string[]} files
+ * @param {object[]} rules
+ * @param {object} [options] - Passed through to analyzeFile
+ * @returns {{allIssues: Map<string, object[]>, totalErrors: number, totalWarnings: number, filesWithIssues: number}}
+ */
+function scanFiles(files, rules, options = {}) {
+  const allIssues = new Map(); // filePath → issues[]
+
+  for (const file of files) {
+    const issues = analyzeFile(file, rules, options);
+
+    if (issues.length > 0) {
+      allIssues.set(file, issues);
     }
   }
 
-  // Run file-level rules
-  for (const rule of rules) {
-    // Heading order check
-    if (rule.id === 'heading-order' && rule.checkHeadings) {
-      const headingIssues = rule.checkHeadings(headings);
-      issues.push(...headingIssues);
+  return tallyIssues(allIssues);
+}
+
+/**
+ * Count errors, warnings and affected files
+ * @param {Map<string, object[]>} allIssues - Map of filePath → issues[]
+ * @returns {{allIssues: Map<string, object[]>, totalErrors: number, totalWarnings: number, filesWithIssues: number}}
+ */
+function tallyIssues(allIssues) {
+  let totalErrors = 0;
+  let totalWarnings = 0;
+
+  for (const issues of allIssues.values()) {
+    totalErrors += issues.filter(i => i.severity === 'error').length;
+    totalWarnings += issues.filter(i => i.severity === 'warning').length;
+  }
+
+  return { allIssues, totalErrors, totalWarnings, filesWithIssues: allIssues.size };
+}
+
+/**
+ * Commander parser for non-negative integer options
+ * @param {string} value
+ * @returns {number}
+ */
+function parseCount(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new InvalidArgumentError('Expected a non-negative integer.');
+  }
+  return count;
+}
+
+/**
+ * Commander parser for positive integer options
+ * @param {string} value
+ * @returns {number}
+ */
+function parsePositive(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new InvalidArgumentError('Expected a positive integer.');
+  }
+  return count;
+}
+
+/**
+ * Commander parser for --commit
+ * @param {string} value
+ * @returns {string}
+ */
+function parseCommitMode(value) {
+  if (!COMMIT_MODES.includes(value)) {
+    throw new InvalidArgumentError(`Use one of: ${COMMIT_MODES.join(', ')}.`);
+  }
+  return value;
+}
+
+/**
+ * Run a fixer as a fix session: refuse files with uncommitted changes
+ * (unless --allow-dirty), snapshot every file that may change and journal
+ * the session for `a11y-pilot undo`, and with --commit, commit the fixes
+ * per rule or per file on a new branch.
+ * @param {Map<string, object[]>} issuesByFile - Map of filePath → issues[]
+ * @param {object} run
+ * @param {object[]} run.rules - Configured rules
+ * @param {object} run.options - Commander options
+ * @param {function(Map<string, object[]>, object[]): Promise<boolean>} run.fix - Fixes the
+ *   given issues using the given rules; resolves to false if anything failed
+ * @returns {Promise<boolean>} The fixer's result
+ */
+async function runFixSession(issuesByFile, { rules, options, fix }) {
+  if (options.dryRun) {
+    return fix(issuesByFile, rules);
+  }
+
+  const filePaths = [...issuesByFile.keys()];
+  const root = getRepoRoot();
+
+  if (options.commit && !root) {
+    printError('--commit needs a git repository');
+    process.exit(1);
+  }
+  if (options.commit && options.allowDirty) {
+    printError('--commit can\'t be combined with --allow-dirty — the commits would include your uncommitted changes');
+    process.exit(1);
+  }
+
+  if (root && !options.allowDirty) {
+    const dirty = getDirtyFiles(filePaths, root);
+    if (dirty.length > 0) {
+      printError(
+        `${dirty.length} file${dirty.length !== 1 ? 's' : ''} to fix ${dirty.length !== 1 ? 'have' : 'has'} uncommitted changes:\n` +
+        dirty.map(filePath => `    ${relativePath(filePath)}`).join('\n') + '\n' +
+        '  Commit or stash them first, or pass --allow-dirty'
+      );
+      process.exit(1);
     }
+  }
+
+  const session = startSession(filePaths, { command: `a11y-pilot ${process.argv.slice(2).join(' ')}` });
+  printInfo(`Saved ${filePaths.length} file${filePaths.length !== 1 ? 's' : ''} to ${relativePath(session.dir)} — run \`a11y-pilot undo\` to restore them\n`);
+
+  let ok = true;
 
-    // Semantic nav check
-    if (rule.id === 'semantic-nav' && rule.checkNavPatterns) {
-      const navIssues = rule.checkNavPatterns(elements, code);
-      issues.push(...navIssues);
+  try {
+    if (options.commit) {
+      const name = `a11y-pilot/fix-${session.journal.id}`;
+      const base = getCurrentBranch(root) || getHead(root);
+      createBranch(name, root);
+      recordBranch(session, { name, base });
+      printInfo(`Committing fixes to new branch ${chalk.bold(name)}\n`);
     }
 
-    // Landmark regions check (file-level)
-    if (rule.id === 'landmark-regions' && rule.checkLandmarks) {
-      const landmarkIssues = rule.checkLandmarks(elements, code);
-      issues.push(...landmarkIssues);
+    if (options.commit === 'per-rule') {
+      let { hashes } = getChangedFiles(session);
+
+      for (const rule of rules) {
+        // Re-scan so line numbers reflect the fixes already committed
+        const { allIssues } = scanFiles(filePaths, [rule]);
+        if (allIssues.size === 0) continue;
+        if (options.offline && ![...allIssues.values()].flat().some(issue => issue.edits?.length)) continue;
+
+        printInfo(`Fixing ${rule.id}...`);
+        ok = (await fix(allIssues, [rule])) && ok;
+
+        const changes = getChangedFiles(session, hashes);
+        hashes = changes.hashes;
+        if (changes.changed.length > 0) {
+          const count = changes.changed.length;
+          commitFixes(session, root, changes.changed, `a11y: fix ${rule.id} in ${count} file${count !== 1 ? 's' : ''}`);
+        }
+      }
+    } else {
+      ok = await fix(issuesByFile, rules);
+
+      if (options.commit === 'per-file') {
+        for (const filePath of getChangedFiles(session).changed) {
+          const { resolved } = verifyFix({
+            filePath,
+            before: readSnapshot(session, filePath),
+            after: fs.readFileSync(filePath, 'utf-8'),
+            issues: issuesByFile.get(filePath),
+            rules,
+          });
+          const ruleIds = [...new Set(resolved.map(issue => issue.ruleId))];
+          const what = ruleIds.length > 0 ? ruleIds.join(', ') : 'accessibility issues';
+          commitFixes(session, root, [filePath], `a11y: fix ${what} in ${relativePath(filePath)}`);
+        }
+      }
     }
+
+  } catch (err) {
+    printError(err.message);
+    ok = false;
+  } finally {
+    finishSession(session, { head: session.journal.branch ? getHead(root) : null });
+  }
+
+  if (options.commit && session.journal.commits.length > 0) {
+    const count = session.journal.commits.length;
+    printInfo(`Made ${count} commit${count !== 1 ? 's' : ''} on ${chalk.bold(session.journal.branch.name)}\n`);
+  }
+
+  return ok;
+}
+
+/**
+ * Create the fix backend from the config's "fixer" section, --backend
+ * and --timeout. Both timeouts are in seconds; backends take milliseconds.
+ * @param {object} config - Project config
+ * @param {object} options - Commander options
+ * @returns {object} Backend
+ */
+function resolveBackend(config, options) {
+  const timeout = options.timeout || config.fixer.timeout;
+  try {
+    return createBackend({
+      ...config.fixer,
+      ...(options.backend && { backend: options.backend }),
+      ...(timeout && { timeout: timeout * 1000 }),
+    });
+  } catch (err) {
+    printError(err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Run the fixer the options ask for — the fix backend, built-in fixes
+ * (--offline), or either one reviewed change by change (--interactive)
+ * @param {Map<string, object[]>} issuesByFile - Map of filePath → issues[]
+ * @param {object[]} fixRules - Rules whose issues are being fixed
+ * @param {object} run
+ * @param {object[]} run.rules - All configured rules, to verify the backend's changes with
+ * @param {object} run.backend - Fix backend
+ * @param {object} run.config - Project config
+ * @param {object} run.budget - Request budget for the whole command (see createBudget)
+ * @param {object} run.options - Commander options
+ * @param {boolean} [run.write] - Write the fixes (default true); otherwise only return them
+ * @returns {Promise<{ok: boolean, changes: Map<string, {before: string, after: string}>}>}
+ *   ok is false if any fix failed or introduced issues; changes holds every changed file
+ */
+async function runFixer(issuesByFile, fixRules, { rules, backend, config, budget, options, write = true }) {
+  if (options.interactive) {
+    const { changes } = await reviewFixes(issuesByFile, {
+      rules: options.offline ? fixRules : rules,
+      backend,
+      offline: options.offline,
+      oneByOne: options.oneByOne,
+      write,
+    });
+    return { ok: true, changes };
+  }
+
+  if (options.offline) {
+    const { totalFailed, changes } = autoFixOffline(issuesByFile, fixRules, { dryRun: options.dryRun, write });
+    return { ok: totalFailed === 0, changes };
+  }
+
+  const { totalFailed, totalIntroduced, changes } = await autoFixAll(issuesByFile, {
+    backend,
+    rules,
+    dryRun: options.dryRun,
+    oneByOne: options.oneByOne,
+    retry: options.retry,
+    rollback: options.rollback,
+    concurrency: options.concurrency || config.fixer.concurrency,
+    budget,
+    write,
+  });
+  return { ok: totalFailed === 0 && totalIntroduced === 0, changes };
+}
+
+/**
+ * Run the fixer without touching the files, and write the changes it
+ * would make as a patch for `git apply` (--emit-patch)
+ * @param {Map<string, object[]>} issuesByFile - Map of filePath → issues[]
+ * @param {object} run - See runFixer
+ * @returns {Promise<boolean>} The fixer's result
+ */
+async function emitPatch(issuesByFile, run) {
+  const { ok, changes } = await runFixer(issuesByFile, run.rules, { ...run, write: false });
+  const { options } = run;
+  const patchPath = path.resolve(options.emitPatch);
+
+  if (changes.size === 0) {
+    printInfo(`No changes to write — ${relativePath(patchPath)} was not written\n`);
+    return ok;
   }
 
-  // Sort by line number
-  issues.sort((a, b) => a.line - b.line);
+  // Paths relative to the repository root, which is where `git apply` resolves them
+  const count = writePatch(patchPath, changes, getRepoRoot() || process.cwd());
+  printInfo(
+    `Wrote ${count} file change${count !== 1 ? 's' : ''} to ${relativePath(patchPath)} — ` +
+    `apply it with \`git apply ${relativePath(patchPath)}\`\n`
+  );
+  return ok;
+}
 
-  return issues;
+/**
+ * Commit fixed files and journal the commit
+ */
+function commitFixes(session, root, files, message) {
+  const sha = commitFiles(files, message, root);
+  recordCommit(session, { sha, message, files });
+  printInfo(`Committed ${chalk.dim(sha.slice(0, 7))} ${message}`);
 }
 
 /**
@@ -96,7 +407,7 @@ export function cli(argv) {
     .description(
       'AI-powered accessibility scanner that uses GitHub Copilot CLI to auto-fix a11y issues'
     )
-    .version('1.1.0');
+    .version(VERSION);
 
   // ─── scan command ──────────────────────────────────────────────────────────
   program
@@ -104,87 +415,156 @@ export function cli(argv) {
     .description('Scan files for accessibility issues')
     .argument('[path]', 'Path to scan (file or directory)', '.')
     .option('-r, --rules <rules>', 'Comma-separated list of rule IDs to check')
-    .option('-f, --format <format>', 'Output format: text or json', 'text')
+    .option('-c, --config <path>', 'Path to a config file (default: search for .a11ypilotrc)')
+    .option('--no-config', 'Ignore config files')
+    .option('--exclude <globs>', 'Comma-separated globs of files to skip')
+    .option('--report-unused-suppressions', 'Warn about a11y-pilot-disable comments that suppress nothing or name unknown rules')
+    .option('--baseline <file>', 'Only report issues that are not in this baseline file')
+    .option('--write-baseline [file]', `Record all current issues as the baseline (default: ${DEFAULT_BASELINE_FILE})`)
+    .option('-f, --format <format>', `Output format: ${OUTPUT_FORMATS.join(', ')}`, 'text')
+    .option('-o, --output-file <file>', 'Write machine-readable output to a file instead of stdout')
     .option('--fix', 'Show Copilot CLI fix commands for each issue')
-    .option('--auto-fix', 'Automatically invoke Copilot CLI to fix issues')
+    .option('--auto-fix', 'Automatically fix issues with the fix backend (Copilot CLI by default)')
     .option('--dry-run', 'Show what auto-fix would do without executing')
     .option('--one-by-one', 'Fix issues one at a time (instead of batching per file)')
+    .option('--backend <name>', 'Fix backend: copilot, openai, command or mock (default: config "fixer.backend", else copilot)')
+    .option('--retry <n>', 'Retry unresolved AI fixes up to n times with a refined prompt', parseCount, 0)
+    .option('--rollback', 'Restore a file if its AI fix introduced new issues or syntax errors')
+    .option('--concurrency <n>', 'Fix up to n files at once with the AI backend (default: config "fixer.concurrency", else 1)', parsePositive)
+    .option('--timeout <seconds>', 'Time limit per AI fix request in seconds (default: config "fixer.timeout", else 120)', parsePositive)
+    .option('--max-time <seconds>', 'Stop sending AI fix requests after this many seconds', parsePositive)
+    .option('--max-attempts <n>', 'Send at most n AI fix requests in total', parsePositive)
+    .option('--interactive', 'Review each auto-fix as a diff and choose which to apply (implies --auto-fix)')
+    .option('--allow-dirty', 'Fix files that have uncommitted changes')
+    .option('--commit <mode>', `Commit fixes on a new branch, ${COMMIT_MODES.join(' or ')}`, parseCommitMode)
     .action(async (targetPath, options) => {
-      const absolutePath = path.resolve(process.cwd(), targetPath);
+      if (options.interactive) {
+        options.autoFix = true;
+      }
 
-      // Get rules
-      const ruleIds = options.rules ? options.rules.split(',').map(s => s.trim()) : null;
-      const rules = getRules(ruleIds);
+      if (options.interactive && options.dryRun) {
+        printError('--interactive and --dry-run can\'t be combined — interactive mode only writes the changes you accept');
+        process.exit(1);
+      }
 
-      if (rules.length === 0) {
-        printError('No matching rules found. Run `a11y-pilot rules` to see available rules.');
+      if (!OUTPUT_FORMATS.includes(options.format)) {
+        printError(`Unknown format "${options.format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+        process.exit(1);
+      }
+      if (options.outputFile && options.format === 'text') {
+        printError(`--output-file needs a machine-readable --format (${OUTPUT_FORMATS.slice(1).join(', ')})`);
         process.exit(1);
       }
 
-      // JSON format doesn't get the banner
-      if (options.format !== 'json') {
+      // Get rules and discover files
+      const { rules, files, config, registry } = await prepareRun(targetPath, options);
+
+      // Machine-readable formats don't get the banner
+      const machineOutput = options.format !== 'text';
+      if (!machineOutput) {
         printBanner();
       }
 
-      // Discover files
-      const files = walkDir(absolutePath);
-
       if (files.length === 0) {
-        if (options.format !== 'json') {
+        if (!machineOutput) {
           printError(`No scannable files found in ${targetPath}`);
-          printInfo('Supported extensions: .html, .htm, .jsx, .tsx, .vue, .astro, .svelte');
+          printInfo('Supported extensions: .html, .htm, .jsx, .tsx, .vue, .astro, .svelte, .css, .scss');
         }
         process.exit(1);
       }
 
-      if (options.format !== 'json') {
+      if (!machineOutput) {
         printScanStart(files.length);
       }
 
       // Analyze all files
-      const allIssues = new Map(); // filePath → issues[]
-      let totalErrors = 0;
-      let totalWarnings = 0;
-      let filesWithIssues = 0;
-
-      for (const file of files) {
-        const issues = analyzeFile(file, rules);
-
-        if (issues.length > 0) {
-          allIssues.set(file, issues);
-          filesWithIssues++;
-          totalErrors += issues.filter(i => i.severity === 'error').length;
-          totalWarnings += issues.filter(i => i.severity === 'warning').length;
+      let { allIssues, totalErrors, totalWarnings, filesWithIssues } = scanFiles(files, rules, {
+        reportUnusedSuppressions: options.reportUnusedSuppressions,
+        knownRuleIds: registry.map(rule => rule.id),
+      });
+
+      // ─── Baseline ───────────────────────────────────────────────────────
+      if (options.writeBaseline) {
+        const baselinePath = path.resolve(
+          process.cwd(),
+          options.writeBaseline === true ? DEFAULT_BASELINE_FILE : options.writeBaseline
+        );
+        const count = writeBaseline(baselinePath, allIssues);
+
+        if (machineOutput) {
+          printJSON({ baseline: relativePath(baselinePath), entries: count });
+        } else {
+          printInfo(`Wrote ${count} issue${count !== 1 ? 's' : ''} to baseline ${relativePath(baselinePath)}\n`);
+        }
+        process.exit(0);
+        return;
+      }
+
+      let baselineResult = null;
+      if (options.baseline) {
+        const baselinePath = path.resolve(process.cwd(), options.baseline);
+        let baseline;
+        try {
+          baseline = loadBaseline(baselinePath);
+        } catch (err) {
+          printError(err.message);
+          process.exit(1);
         }
+
+        baselineResult = filterByBaseline(allIssues, baseline, baselinePath, files);
+        ({ allIssues, totalErrors, totalWarnings, filesWithIssues } = tallyIssues(baselineResult.issuesByFile));
       }
 
       // ─── Output results ─────────────────────────────────────────────────
-      if (options.format === 'json') {
-        const report = {
-          version: '1.0.0',
-          timestamp: new Date().toISOString(),
-          summary: {
-            filesScanned: files.length,
-            filesWithIssues,
-            totalErrors,
-            totalWarnings,
-            totalIssues: totalErrors + totalWarnings,
-          },
-          files: {},
-        };
+      if (machineOutput) {
+        let output;
+
+        if (options.format === 'json') {
+          const report = {
+            version: '1.0.0',
+            timestamp: new Date().toISOString(),
+            summary: {
+              filesScanned: files.length,
+              filesWithIssues,
+              totalErrors,
+              totalWarnings,
+              totalIssues: totalErrors + totalWarnings,
+            },
+            files: {},
+          };
+
+          if (baselineResult) {
+            report.baseline = {
+              file: options.baseline,
+              matched: baselineResult.matched,
+              fixed: baselineResult.fixed.map(({ ruleId, file, line, message }) => ({ ruleId, file, line, message })),
+            };
+          }
 
-        for (const [filePath, issues] of allIssues) {
-          report.files[relativePath(filePath)] = issues.map(i => ({
-            ruleId: i.ruleId,
-            severity: i.severity,
-            message: i.message,
-            line: i.line,
-            fix: i.fix,
-            copilotCommand: generateFixCommand(filePath, i),
-          }));
+          for (const [filePath, issues] of allIssues) {
+            report.files[relativePath(filePath)] = issues.map(i => ({
+              ruleId: i.ruleId,
+              severity: i.severity,
+              message: i.message,
+              line: i.line,
+              column: i.column,
+              fix: i.fix,
+              copilotCommand: generateFixCommand(filePath, i),
+            }));
+          }
+
+          output = JSON.stringify(report, null, 2);
+        } else {
+          output = formatReport(options.format, allIssues, { rules, registry, files });
+        }
+
+        try {
+          writeReport(output, options.outputFile);
+        } catch (err) {
+          printError(`Failed to write ${options.outputFile}: ${err.message}`);
+          process.exit(2);
         }
 
-        printJSON(report);
         process.exit(totalErrors > 0 ? 1 : 0);
         return;
       }
@@ -203,6 +583,10 @@ export function cli(argv) {
           totalFiles: files.length,
           issues: [...allIssues.values()].flat(),
         });
+
+        if (baselineResult) {
+          printBaselineSummary(baselineResult.matched, baselineResult.fixed);
+        }
       }
 
       // Auto-fix mode (Option B — the main event!)
@@ -213,12 +597,15 @@ export function cli(argv) {
           return;
         }
 
-        const { totalFixed, totalFailed } = await autoFixAll(allIssues, {
-          dryRun: options.dryRun,
-          oneByOne: options.oneByOne,
+        const backend = resolveBackend(config, options);
+        const budget = createBudget({ maxTime: options.maxTime && options.maxTime * 1000, maxAttempts: options.maxAttempts });
+        const ok = await runFixSession(allIssues, {
+          rules,
+          options,
+          fix: async (issues, fixRules) => (await runFixer(issues, fixRules, { rules, backend, config, budget, options })).ok,
         });
 
-        process.exit(totalFailed > 0 ? 1 : 0);
+        process.exit(ok ? 0 : 1);
         return;
       }
 
@@ -252,34 +639,113 @@ export function cli(argv) {
         issues: [...allIssues.values()].flat(),
       });
 
+      if (baselineResult) {
+        printBaselineSummary(baselineResult.matched, baselineResult.fixed);
+      }
+
       process.exit(totalErrors > 0 ? 1 : 0);
     });
 
   // ─── rules command ─────────────────────────────────────────────────────────
   program
     .command('rules')
-    .description('List all available accessibility rules')
-    .action(() => {
-      printRulesList(allRules);
+    .description('List all available accessibility rules, including plugin rules')
+    .option('-c, --config <path>', 'Path to a config file (default: search for .a11ypilotrc)')
+    .option('--no-config', 'Ignore config files (built-in rules only)')
+    .action(async (options) => {
+      let pluginRules;
+      try {
+        ({ pluginRules } = await loadProject(options));
+      } catch (err) {
+        printError(err.message);
+        process.exit(1);
+      }
+
+      printRulesList([...allRules, ...pluginRules]);
+    });
+
+  // ─── undo command ──────────────────────────────────────────────────────────
+  program
+    .command('undo')
+    .description('Restore the files changed by the last fix session')
+    .option('--force', 'Also restore files edited again since the fix session')
+    .action((options) => {
+      const session = findLastSession();
+      if (!session) {
+        printInfo('No fix session to undo');
+        return;
+      }
+
+      let result;
+      try {
+        result = undoSession(session, { force: options.force });
+      } catch (err) {
+        printError(err.message);
+        process.exit(1);
+      }
+
+      const { restored, conflicts, deletedBranch } = result;
+      const startedAt = new Date(session.journal.startedAt).toLocaleString();
+
+      if (deletedBranch) {
+        printInfo(`Deleted branch ${chalk.bold(deletedBranch)} with the fixes from ${startedAt}`);
+      }
+      for (const file of restored) {
+        printInfo(`Restored ${file}`);
+      }
+
+      if (conflicts.length > 0) {
+        printError(
+          `${conflicts.length} file${conflicts.length !== 1 ? 's were' : ' was'} edited since the fix session and ${conflicts.length !== 1 ? 'were' : 'was'} left alone:\n` +
+          conflicts.map(file => `    ${file}`).join('\n') + '\n' +
+          '  Re-run with --force to restore them anyway'
+        );
+        process.exit(1);
+      }
+
+      if (!deletedBranch) {
+        printInfo(`Undid the fix session from ${startedAt} (${restored.length} file${restored.length !== 1 ? 's' : ''} restored)`);
+      }
     });
 
   // ─── fix command (convenience alias) ───────────────────────────────────────
   program
     .command('fix')
-    .description('Scan and auto-fix issues using GitHub Copilot CLI')
+    .description('Scan and auto-fix issues using GitHub Copilot CLI or another fix backend')
     .argument('[path]', 'Path to scan (file or directory)', '.')
     .option('-r, --rules <rules>', 'Comma-separated list of rule IDs to check')
+    .option('-c, --config <path>', 'Path to a config file (default: search for .a11ypilotrc)')
+    .option('--no-config', 'Ignore config files')
+    .option('--exclude <globs>', 'Comma-separated globs of files to skip')
     .option('--dry-run', 'Show what would be fixed without executing')
     .option('--one-by-one', 'Fix issues one at a time')
+    .option('--backend <name>', 'Fix backend: copilot, openai, command or mock (default: config "fixer.backend", else copilot)')
+    .option('--retry <n>', 'Retry unresolved AI fixes up to n times with a refined prompt', parseCount, 0)
+    .option('--rollback', 'Restore a file if its AI fix introduced new issues or syntax errors')
+    .option('--concurrency <n>', 'Fix up to n files at once with the AI backend (default: config "fixer.concurrency", else 1)', parsePositive)
+    .option('--timeout <seconds>', 'Time limit per AI fix request in seconds (default: config "fixer.timeout", else 120)', parsePositive)
+    .option('--max-time <seconds>', 'Stop sending AI fix requests after this many seconds', parsePositive)
+    .option('--max-attempts <n>', 'Send at most n AI fix requests in total', parsePositive)
+    .option('--offline', 'Apply the built-in rule fixes only, without an AI backend')
+    .option('--interactive', 'Review each fix as a diff and choose which to apply')
+    .option('--allow-dirty', 'Fix files that have uncommitted changes')
+    .option('--commit <mode>', `Commit fixes on a new branch, ${COMMIT_MODES.join(' or ')}`, parseCommitMode)
+    .option('--emit-patch <file>', 'Write the fixes to a patch file for `git apply` instead of changing the files')
     .action(async (targetPath, options) => {
+      if (options.interactive && options.dryRun) {
+        printError('--interactive and --dry-run can\'t be combined — interactive mode only writes the changes you accept');
+        process.exit(1);
+      }
+      if (options.emitPatch && (options.dryRun || options.commit)) {
+        printError(`--emit-patch can't be combined with ${options.dryRun ? '--dry-run' : '--commit'} — it leaves the files untouched`);
+        process.exit(1);
+      }
+
       // Delegate to scan with --auto-fix
-      const absolutePath = path.resolve(process.cwd(), targetPath);
-      const ruleIds = options.rules ? options.rules.split(',').map(s => s.trim()) : null;
-      const rules = getRules(ruleIds);
+      const { rules, files, config } = await prepareRun(targetPath, options);
 
       printBanner();
 
-      const files = walkDir(absolutePath);
       if (files.length === 0) {
         printError(`No scannable files found in ${targetPath}`);
         process.exit(1);
@@ -287,20 +753,12 @@ export function cli(argv) {
 
       printScanStart(files.length);
 
-      const allIssuesMap = new Map();
-      let totalErrors = 0;
-      let totalWarnings = 0;
-      let filesWithIssues = 0;
-
-      for (const file of files) {
-        const issues = analyzeFile(file, rules);
-        if (issues.length > 0) {
-          allIssuesMap.set(file, issues);
-          filesWithIssues++;
-          totalErrors += issues.filter(i => i.severity === 'error').length;
-          totalWarnings += issues.filter(i => i.severity === 'warning').length;
-        }
-      }
+      const {
+        allIssues: allIssuesMap,
+        totalErrors,
+        totalWarnings,
+        filesWithIssues,
+      } = scanFiles(files, rules);
 
       // Print issues
       for (const [filePath, issues] of allIssuesMap) {
@@ -321,12 +779,21 @@ export function cli(argv) {
       }
 
       // Auto-fix
-      const { totalFixed, totalFailed } = await autoFixAll(allIssuesMap, {
-        dryRun: options.dryRun,
-        oneByOne: options.oneByOne,
+      const backend = options.offline ? null : resolveBackend(config, options);
+      const budget = createBudget({ maxTime: options.maxTime && options.maxTime * 1000, maxAttempts: options.maxAttempts });
+
+      if (options.emitPatch) {
+        const ok = await emitPatch(allIssuesMap, { rules, backend, config, budget, options });
+        process.exit(ok ? 0 : 1);
+      }
+
+      const ok = await runFixSession(allIssuesMap, {
+        rules,
+        options,
+        fix: async (issues, fixRules) => (await runFixer(issues, fixRules, { rules, backend, config, budget, options })).ok,
       });
 
-      process.exit(totalFailed > 0 ? 1 : 0);
+      process.exit(ok ? 0 : 1);
     });
 
   program.parse(argv);
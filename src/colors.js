@@ -0,0 +1,207 @@
+/**
+ * CSS color parsing and WCAG 2.x contrast math.
+ *
+ * Colors are {r, g, b, a}: channels 0–255, alpha 0–1. Anything that isn't
+ * a literal color — var(), currentcolor, color-mix(), system colors other
+ * than Canvas/CanvasText — parses to null; callers resolve those first or
+ * give up.
+ */
+
+// CSS named colors, as 6-digit hex
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+  beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+  blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+  chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+  darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+  darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+  darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+  deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+  firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+  ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+  greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+  indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+  lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080', lightcyan: 'e0ffff',
+  lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1',
+  lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+  lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6',
+  magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+  mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+  mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+  navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+  orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+  paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+  pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+  red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+  sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0',
+  skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+  springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+  tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+  whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32',
+  // System colors with fixed defaults: the page background and text
+  canvas: 'ffffff', canvastext: '000000',
+};
+
+/**
+ * Parse a CSS color
+ * @param {string} value - e.g. '#0af', 'rgb(0 128 255 / 50%)', 'hsl(200, 50%, 40%)', 'navy'
+ * @returns {{r: number, g: number, b: number, a: number}|null} null if it isn't a literal color
+ */
+export function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+
+  if (text === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (NAMED_COLORS[text]) return parseHex(NAMED_COLORS[text]);
+  if (text.startsWith('#')) return parseHex(text.slice(1));
+
+  const fn = /^(rgba?|hsla?)\(\s*([^()]*)\)$/.exec(text);
+  if (!fn) return null;
+
+  // Both `rgb(1, 2, 3, 0.5)` and `rgb(1 2 3 / 50%)`
+  const parts = fn[2].includes(',')
+    ? fn[2].split(',').map(p => p.trim())
+    : fn[2].replace(/\//, ' / ').split(/\s+/).filter(p => p && p !== '/');
+  if (parts.length < 3 || parts.length > 4) return null;
+
+  const alpha = parts[3] === undefined ? 1 : parseNumber(parts[3], 1);
+  if (alpha === null) return null;
+
+  if (fn[1].startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map(p => parseNumber(p, 255));
+    if ([r, g, b].includes(null)) return null;
+    return { r: clamp(r, 255), g: clamp(g, 255), b: clamp(b, 255), a: clamp(alpha, 1) };
+  }
+
+  const hue = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:deg)?$/.test(parts[0]) ? parseFloat(parts[0]) : NaN;
+  const saturation = parseNumber(parts[1], 1);
+  const lightness = parseNumber(parts[2], 1);
+  if (!Number.isFinite(hue) || saturation === null || lightness === null) return null;
+  return { ...hslToRgb(hue, clamp(saturation, 1), clamp(lightness, 1)), a: clamp(alpha, 1) };
+}
+
+/**
+ * Paint a (possibly translucent) color over an opaque background
+ * @param {{r, g, b, a}} color
+ * @param {{r, g, b, a}} background
+ * @returns {{r, g, b, a}} Opaque result
+ */
+export function blend(color, background) {
+  const mix = (top, bottom) => top * color.a + bottom * (1 - color.a);
+  return { r: mix(color.r, background.r), g: mix(color.g, background.g), b: mix(color.b, background.b), a: 1 };
+}
+
+/**
+ * WCAG 2.x relative luminance of an opaque color
+ * @param {{r, g, b}} color
+ * @returns {number} 0 (black) to 1 (white)
+ */
+export function relativeLuminance({ r, g, b }) {
+  const channel = (value) => {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+/**
+ * WCAG 2.x contrast ratio between two opaque colors
+ * @param {{r, g, b}} foreground
+ * @param {{r, g, b}} background
+ * @returns {number} 1 to 21
+ */
+export function contrastRatio(foreground, background) {
+  const a = relativeLuminance(foreground);
+  const b = relativeLuminance(background);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/**
+ * The color closest to `foreground` — same hue, lightness moved away from
+ * the background — that reaches `ratio` against `background`
+ * @param {{r, g, b}} foreground
+ * @param {{r, g, b}} background
+ * @param {number} ratio - Contrast to reach
+ * @returns {{r, g, b, a}|null} null if no such color exists (e.g. on mid-gray)
+ */
+export function suggestColor(foreground, background, ratio) {
+  const { h, s, l } = rgbToHsl(foreground);
+  const darker = relativeLuminance(background) > 0.18;
+
+  // Binary search for the smallest lightness change that reaches the ratio
+  let low = 0;
+  let high = darker ? l : 1 - l;
+  const at = (delta) => {
+    const color = { ...hslToRgb(h, s, darker ? l - delta : l + delta), a: 1 };
+    return { color: roundColor(color), ok: contrastRatio(roundColor(color), background) >= ratio };
+  };
+  if (!at(high).ok) return null;
+
+  for (let i = 0; i < 24; i++) {
+    const mid = (low + high) / 2;
+    if (at(mid).ok) high = mid;
+    else low = mid;
+  }
+  return at(high).color;
+}
+
+/**
+ * Format a color as CSS: #rrggbb, or rgb() with alpha when translucent
+ * @param {{r, g, b, a}} color
+ * @returns {string}
+ */
+export function formatColor(color) {
+  const { r, g, b, a } = roundColor(color);
+  if (a < 1) return `rgb(${r} ${g} ${b} / ${+a.toFixed(2)})`;
+  return `#${[r, g, b].map(c => c.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function parseHex(hex) {
+  if (!/^(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) return null;
+  const digits = hex.length <= 4 ? [...hex].map(d => d + d) : hex.match(/../g);
+  const [r, g, b, a = 255] = digits.map(d => parseInt(d, 16));
+  return { r, g, b, a: a / 255 };
+}
+
+/**
+ * A number or percentage; percentages are scaled to `max`
+ */
+function parseNumber(text, max) {
+  if (!/^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?%?$/.test(text)) return null;
+  const value = parseFloat(text);
+  return text.endsWith('%') ? (value / 100) * max : value;
+}
+
+function clamp(value, max) {
+  return Math.min(max, Math.max(0, value));
+}
+
+function roundColor({ r, g, b, a }) {
+  return { r: Math.round(r), g: Math.round(g), b: Math.round(b), a };
+}
+
+function hslToRgb(h, s, l) {
+  const hue = ((h % 360) + 360) % 360;
+  const k = (n) => (n + hue / 30) % 12;
+  const amount = s * Math.min(l, 1 - l);
+  const f = (n) => l - amount * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255 };
+}
+
+function rgbToHsl({ r, g, b }) {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  const h = max === rn ? ((gn - bn) / d + (gn < bn ? 6 : 0))
+    : max === gn ? (bn - rn) / d + 2
+      : (rn - gn) / d + 4;
+  return { h: h * 60, s, l };
+}
@@ -0,0 +1,220 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Config files looked up in every directory, in priority order.
+ * `package.json` is checked last and only counts if it has an "a11y-pilot" key.
+ */
+const CONFIG_FILES = [
+  '.a11ypilotrc',
+  '.a11ypilotrc.json',
+  'a11y-pilot.config.js',
+  'a11y-pilot.config.mjs',
+  'a11y-pilot.config.cjs',
+];
+
+const PACKAGE_JSON_KEY = 'a11y-pilot';
+
+/**
+ * Accepted severity spellings → internal severity
+ */
+const SEVERITY_ALIASES = {
+  off: 'off',
+  warn: 'warning',
+  warning: 'warning',
+  error: 'error',
+  0: 'off',
+  1: 'warning',
+  2: 'error',
+};
+
+/**
+ * Find the nearest config file, walking up from `startDir` to the filesystem root
+ * @param {string} startDir - Directory to start searching from
+ * @returns {{filePath: string, type: 'json'|'js'|'package'}|null}
+ */
+export function findConfigFile(startDir) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const filePath = path.join(dir, name);
+      if (fs.existsSync(filePath)) {
+        return { filePath, type: /\.[cm]?js$/.test(name) ? 'js' : 'json' };
+      }
+    }
+
+    const pkgPath = path.join(dir, 'package.json');
+    if (fs.existsSync(pkgPath)) {
+      try {
+        const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+        if (pkg && typeof pkg[PACKAGE_JSON_KEY] === 'object') {
+          return { filePath: pkgPath, type: 'package' };
+        }
+      } catch { /* malformed package.json — keep looking */ }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Load and normalize the project config.
+ *
+ * @param {object} [options]
+ * @param {string} [options.configPath] - Explicit config file (skips discovery)
+ * @param {string} [options.cwd] - Directory to start discovery from
+ * @returns {Promise<{config: object, filePath: string|null, baseDir: string}>}
+ * @throws {Error} If the config file cannot be read or is invalid
+ */
+export async function loadConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+
+  let found;
+  if (options.configPath) {
+    const filePath = path.resolve(cwd, options.configPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Config file not found: ${options.configPath}`);
+    }
+    const type = path.basename(filePath) === 'package.json'
+      ? 'package'
+      : /\.[cm]?js$/.test(filePath) ? 'js' : 'json';
+    found = { filePath, type };
+  } else {
+    found = findConfigFile(cwd);
+  }
+
+  if (!found) {
+    return { config: normalizeConfig({}), filePath: null, baseDir: cwd };
+  }
+
+  const raw = await readConfigFile(found);
+  const config = normalizeConfig(raw, found.filePath);
+
+  return { config, filePath: found.filePath, baseDir: path.dirname(found.filePath) };
+}
+
+/**
+ * Read the raw config object from disk
+ * @param {{filePath: string, type: string}} found
+ * @returns {Promise<object>}
+ */
+async function readConfigFile({ filePath, type }) {
+  if (type === 'js') {
+    try {
+      const mod = await import(pathToFileURL(filePath).href);
+      return mod.default ?? mod;
+    } catch (err) {
+      throw new Error(`Failed to load ${path.basename(filePath)}: ${err.message}`);
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to parse ${path.basename(filePath)}: ${err.message}`);
+  }
+
+  return type === 'package' ? parsed[PACKAGE_JSON_KEY] : parsed;
+}
+
+/**
+ * Validate a raw config object and convert it to the internal shape:
+ * { include: string[]|null, exclude: string[], plugins: string[], rules: { [id]: {severity, options} }, fixer: object }
+ *
+ * Rule entries may be a severity ("off" | "warn" | "error" | 0-2) or a
+ * [severity, options] tuple.
+ *
+ * @param {object} raw
+ * @param {string} [source] - File the config came from (for error messages)
+ * @returns {object}
+ */
+export function normalizeConfig(raw, source = 'config') {
+  const where = path.basename(source);
+
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${where}: config must be an object`);
+  }
+
+  const config = {
+    include: null,
+    exclude: [],
+    plugins: [],
+    rules: {},
+    fixer: {},
+  };
+
+  if (raw.include !== undefined) config.include = toGlobList(raw.include, 'include', where);
+  if (raw.exclude !== undefined) config.exclude = toGlobList(raw.exclude, 'exclude', where);
+
+  if (raw.plugins !== undefined) {
+    if (!Array.isArray(raw.plugins) || !raw.plugins.every(p => typeof p === 'string' && p)) {
+      throw new Error(`${where}: "plugins" must be an array of package names or paths`);
+    }
+    config.plugins = raw.plugins;
+  }
+
+  if (raw.fixer !== undefined) {
+    config.fixer = normalizeFixer(raw.fixer, where);
+  }
+
+  if (raw.rules !== undefined) {
+    if (raw.rules === null || typeof raw.rules !== 'object' || Array.isArray(raw.rules)) {
+      throw new Error(`${where}: "rules" must be an object`);
+    }
+
+    for (const [ruleId, value] of Object.entries(raw.rules)) {
+      const [rawSeverity, options] = Array.isArray(value) ? value : [value, undefined];
+      const severity = SEVERITY_ALIASES[rawSeverity];
+
+      if (!severity) {
+        throw new Error(
+          `${where}: invalid severity ${JSON.stringify(rawSeverity)} for rule "${ruleId}" (use "off", "warn" or "error")`
+        );
+      }
+      if (options !== undefined && (options === null || typeof options !== 'object' || Array.isArray(options))) {
+        throw new Error(`${where}: options for rule "${ruleId}" must be an object`);
+      }
+
+      config.rules[ruleId] = { severity, options: options || {} };
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Validate the "fixer" section: { backend, baseUrl, model, apiKeyEnv, command, timeout, concurrency }.
+ * Whether the backend exists is checked when it's created.
+ */
+function normalizeFixer(fixer, where) {
+  if (fixer === null || typeof fixer !== 'object' || Array.isArray(fixer)) {
+    throw new Error(`${where}: "fixer" must be an object`);
+  }
+
+  for (const key of ['backend', 'baseUrl', 'model', 'apiKeyEnv', 'command']) {
+    if (fixer[key] !== undefined && (typeof fixer[key] !== 'string' || !fixer[key])) {
+      throw new Error(`${where}: "fixer.${key}" must be a non-empty string`);
+    }
+  }
+  if (fixer.timeout !== undefined && !(Number.isFinite(fixer.timeout) && fixer.timeout > 0)) {
+    throw new Error(`${where}: "fixer.timeout" must be a positive number of seconds`);
+  }
+  if (fixer.concurrency !== undefined && !(Number.isInteger(fixer.concurrency) && fixer.concurrency > 0)) {
+    throw new Error(`${where}: "fixer.concurrency" must be a positive integer`);
+  }
+
+  return { ...fixer };
+}
+
+function toGlobList(value, key, where) {
+  const list = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(list) || !list.every(v => typeof v === 'string')) {
+    throw new Error(`${where}: "${key}" must be a glob string or an array of glob strings`);
+  }
+  return list;
+}
@@ -0,0 +1,304 @@
+import fs from 'fs';
+import chalk from 'chalk';
+import {
+  formatAutoFixStatus,
+  formatInfo,
+  printAutoFixSummary,
+  printFixBackendHeader,
+  printError,
+  printInfo,
+} from './reporter.js';
+import { relativePath, readFileSafe } from './scanner.js';
+import { allRules } from './rules/index.js';
+import { verifyFix } from './verify.js';
+import { createBackend, applyFixResult } from './backends/index.js';
+import { runPool, createBudget, createFileLocks } from './pool.js';
+
+/**
+ * Fix all issues in a file with a fix backend, then verify the result.
+ *
+ * The backend returns new content (or a patch), which is written here. A
+ * backend that answers doesn't mean the issues are gone, so the file is
+ * re-analyzed after every attempt: each issue is classified as resolved or
+ * unresolved, and new issues or syntax errors the change introduced are
+ * reported. With `retry`, unresolved and introduced issues are sent back
+ * with a note on what went wrong. With `rollback`, a file the fix made
+ * worse is restored.
+ *
+ * @param {string} filePath - Absolute file path
+ * @param {object[]} issues - Issues in this file
+ * @param {object} [options]
+ * @param {object} [options.backend] - Fix backend (default: Copilot CLI)
+ * @param {object[]} [options.rules] - Rules to verify with (default: all rules)
+ * @param {boolean} [options.oneByOne] - One request per issue instead of one per file
+ * @param {number} [options.retry] - Extra attempts for issues the fix didn't resolve
+ * @param {boolean} [options.rollback] - Restore the file if the fix introduced issues or syntax errors
+ * @param {boolean} [options.dryRun] - Print what would be sent without calling the backend
+ * @param {boolean} [options.write] - Write the fixed file (default true); otherwise only return it
+ * @param {object} [options.budget] - Shared request budget (see createBudget); no retries once it's used up
+ * @param {function(string): void} [options.log] - Output for progress lines (default console.log)
+ * @returns {Promise<{fixed: number, failed: number, introduced: number, rolledBack: boolean, original?: string, output?: string}>}
+ */
+export async function fixFileIssues(filePath, issues, options = {}) {
+  const relPath = relativePath(filePath);
+  const backend = options.backend || createBackend();
+  const log = options.log || console.log;
+
+  for (const issue of issues) {
+    log(formatAutoFixStatus(relPath, issue, 'start'));
+  }
+
+  if (options.dryRun) {
+    log(chalk.dim(`    [dry-run] Would send ${issues.length > 1 && !options.oneByOne ? 'one batched request' : `${issues.length} request${issues.length !== 1 ? 's' : ''}`} to ${backend.label}`));
+    return { fixed: issues.length, failed: 0, introduced: 0, rolledBack: false };
+  }
+
+  const rules = options.rules || allRules;
+  const write = options.write !== false;
+  const original = readFileSafe(filePath) ?? '';
+  const attempts = 1 + (options.retry || 0);
+
+  let current = original;
+  let pending = issues;
+  let feedback = null;
+  let verification = null;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    if (attempt > 1) {
+      if (options.budget?.exhausted()) break;
+      log(formatInfo(`Retrying ${pending.length} issue${pending.length !== 1 ? 's' : ''} in ${relPath} (attempt ${attempt}/${attempts})...`));
+    }
+
+    let output;
+    ({ output, errors } = await requestFix(backend, filePath, current, pending, { ...options, log, feedback }));
+    if (output !== current) {
+      if (write) fs.writeFileSync(filePath, output);
+      current = output;
+    }
+
+    verification = verifyFix({ filePath, before: original, after: current, issues, rules });
+
+    pending = [...verification.unresolved, ...verification.introduced];
+    if (pending.length === 0 && verification.parseErrors.length === 0) break;
+
+    // Only the syntax is broken — send the issues whose fix broke it
+    if (pending.length === 0) pending = verification.resolved;
+
+    feedback = buildRetryFeedback(verification);
+  }
+
+  const regressed = verification.introduced.length > 0 || verification.parseErrors.length > 0;
+  const rolledBack = Boolean(options.rollback && regressed);
+
+  if (rolledBack) {
+    if (write) fs.writeFileSync(filePath, original);
+    current = original;
+  }
+
+  const resolved = rolledBack ? [] : verification.resolved;
+  const unresolved = rolledBack ? issues : verification.unresolved;
+  const reason = rolledBack
+    ? 'Rolled back — the fix introduced new problems'
+    : !verification.changed
+      ? errors[0] || `${backend.label} made no changes to the file`
+      : 'Still reported after the fix';
+
+  for (const issue of resolved) {
+    log(formatAutoFixStatus(relPath, issue, 'success'));
+  }
+  for (const issue of unresolved) {
+    log(formatAutoFixStatus(relPath, issue, 'error', reason));
+  }
+  for (const issue of verification.introduced) {
+    log(formatAutoFixStatus(relPath, issue, 'introduced'));
+  }
+  for (const message of verification.parseErrors) {
+    log(formatAutoFixStatus(relPath, {}, 'syntax-error', message));
+  }
+  if (rolledBack) {
+    log(formatInfo(`Restored ${relPath} to its state before the fix`));
+  }
+
+  return {
+    fixed: resolved.length,
+    failed: unresolved.length,
+    introduced: rolledBack ? 0 : verification.introduced.length + verification.parseErrors.length,
+    rolledBack,
+    original,
+    output: current,
+  };
+}
+
+/**
+ * Ask a backend to fix issues in some content, without writing anything —
+ * one request for all issues unless `oneByOne`, each issue's request
+ * building on the previous result. A failed batch request falls back to
+ * one request per issue. Every request is counted against `budget`; once
+ * it's used up, no more requests are sent.
+ * @param {object} backend
+ * @param {string} filePath - Absolute path of the file the content belongs to
+ * @param {string} content - Current content of the file
+ * @param {object[]} issues
+ * @param {object} [options]
+ * @param {boolean} [options.oneByOne]
+ * @param {string} [options.feedback] - Note about a previous failed attempt
+ * @param {object} [options.budget] - Shared request budget (see createBudget)
+ * @param {function(string): void} [options.log] - Output for progress lines (default console.log)
+ * @returns {Promise<{output: string, errors: string[]}>} New content, and errors from failed requests
+ */
+export async function requestFix(backend, filePath, content, issues, options = {}) {
+  const relPath = relativePath(filePath);
+  const log = options.log || console.log;
+
+  const send = async (current, batch) => {
+    options.budget?.take();
+    const result = await backend.fix({
+      filePath,
+      relPath,
+      content: current,
+      issues: batch,
+      feedback: options.feedback || undefined,
+    });
+    return applyFixResult(current, result, backend.label);
+  };
+
+  // Batch all issues for one file into a single request — more efficient,
+  // and gives the backend better context
+  if (issues.length > 1 && !options.oneByOne) {
+    try {
+      return { output: await send(content, issues), errors: [] };
+    } catch (err) {
+      if (options.budget?.exhausted()) return { output: content, errors: [err.message] };
+      log(formatInfo('Batch fix failed, trying individual fixes...'));
+    }
+  }
+
+  let output = content;
+  const errors = [];
+  for (const issue of issues) {
+    const exhausted = options.budget?.exhausted();
+    if (exhausted) {
+      errors.push(exhausted);
+      break;
+    }
+    try {
+      output = await send(output, [issue]);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+
+  return { output, errors };
+}
+
+/**
+ * Describe why the previous attempt failed, for the retry prompt
+ * @param {object} verification - Result of verifyFix
+ * @returns {string}
+ */
+function buildRetryFeedback(verification) {
+  const notes = ['A previous attempt to fix this did not work.'];
+
+  if (!verification.changed) {
+    notes.push('The file was not modified.');
+  }
+  if (verification.unresolved.length > 0) {
+    notes.push(`These issues are still present: ${verification.unresolved.map(i => `line ${i.line}: ${i.message}`).join('; ')}.`);
+  }
+  if (verification.introduced.length > 0) {
+    notes.push(`The change introduced new accessibility issues: ${verification.introduced.map(i => `line ${i.line}: ${i.message}`).join('; ')}.`);
+  }
+  if (verification.parseErrors.length > 0) {
+    notes.push(`The change broke the file's syntax — make sure it parses: ${verification.parseErrors.join('; ')}`);
+  }
+
+  notes.push('Re-read the current file contents before editing.');
+  return notes.join(' ');
+}
+
+/**
+ * Run auto-fix on all issues across all files.
+ *
+ * With `concurrency` above 1, files are fixed side by side by a pool of
+ * workers. Each file's output is held back and printed in file order, so
+ * it reads the same as a sequential run. A file is only ever worked on by
+ * one worker at a time. `maxTime` and `maxAttempts` bound the whole run:
+ * once either is used up no new requests are sent, and files not started
+ * yet are reported as failed.
+ *
+ * @param {Map<string, object[]>} issuesByFile - Map of filePath → issues[]
+ * @param {object} [options] - See fixFileIssues, and:
+ * @param {number} [options.concurrency] - Files fixed at once (default 1)
+ * @param {number} [options.maxTime] - Time budget for the whole run, in milliseconds
+ * @param {number} [options.maxAttempts] - Maximum backend requests for the whole run
+ * @param {object} [options.budget] - A budget to share with other runs, instead of maxTime/maxAttempts
+ * @returns {Promise<{totalFixed: number, totalFailed: number, totalIntroduced: number, changes: Map<string, {before: string, after: string}>}>}
+ *   changes holds every file the fixes changed
+ */
+export async function autoFixAll(issuesByFile, options = {}) {
+  const backend = options.backend || createBackend();
+  printFixBackendHeader(backend.label);
+
+  if (!(await backend.isAvailable())) {
+    printError(backend.setupHint);
+    return { totalFixed: 0, totalFailed: 0, totalIntroduced: 0, changes: new Map() };
+  }
+
+  printInfo(`${backend.label} detected ${chalk.green('✔')}\n`);
+
+  const concurrency = options.concurrency || 1;
+  const budget = options.budget || createBudget({ maxTime: options.maxTime, maxAttempts: options.maxAttempts });
+  const locks = createFileLocks();
+  const entries = [...issuesByFile];
+
+  if (concurrency > 1 && entries.length > 1) {
+    printInfo(`Fixing ${entries.length} files, ${Math.min(concurrency, entries.length)} at a time\n`);
+  }
+
+  let totalFixed = 0;
+  let totalFailed = 0;
+  let totalIntroduced = 0;
+  const changes = new Map();
+
+  const fixEntry = async ([filePath, issues], log) => {
+    const exhausted = budget.exhausted();
+    if (exhausted) {
+      for (const issue of issues) {
+        log(formatAutoFixStatus(relativePath(filePath), issue, 'error', `Not attempted — ${exhausted}`));
+      }
+      return { fixed: 0, failed: issues.length, introduced: 0 };
+    }
+    return locks.run(filePath, () => fixFileIssues(filePath, issues, { ...options, backend, budget, log }));
+  };
+
+  // Sequential runs print as they go; concurrent ones buffer per file
+  const buffered = concurrency > 1;
+
+  await runPool(entries, async (entry) => {
+    const lines = [];
+    const result = await fixEntry(entry, buffered ? line => lines.push(line) : console.log);
+    return { ...result, lines };
+  }, {
+    concurrency,
+    onResult({ fixed, failed, introduced, original, output, lines }, index) {
+      const [filePath] = entries[index];
+      if (buffered) {
+        console.log(chalk.dim(`  [${index + 1}/${entries.length}] ${relativePath(filePath)}`));
+        for (const line of lines) console.log(line);
+      }
+
+      totalFixed += fixed;
+      totalFailed += failed;
+      totalIntroduced += introduced;
+      if (output !== undefined && output !== original) {
+        changes.set(filePath, { before: original, after: output });
+      }
+    },
+  });
+
+  const total = totalFixed + totalFailed;
+  printAutoFixSummary(totalFixed, totalFailed, total, { via: backend.label, introduced: totalIntroduced });
+
+  return { totalFixed, totalFailed, totalIntroduced, changes };
+}
@@ -0,0 +1,104 @@
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+/**
+ * Thin wrappers around the git CLI. Everything runs plain `git` in the
+ * given directory; failures throw an Error carrying git's message.
+ */
+
+/**
+ * Run a git command
+ * @param {string[]} args
+ * @param {string} [cwd]
+ * @returns {string} stdout
+ * @throws {Error} With git's stderr if the command fails
+ */
+export function git(args, cwd = process.cwd()) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (err) {
+    const detail = (err.stderr || '').toString().trim() || err.message;
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+/**
+ * Top-level directory of the repository containing `cwd`
+ * @param {string} [cwd]
+ * @returns {string|null} null outside a git repository (or without git)
+ */
+export function getRepoRoot(cwd = process.cwd()) {
+  try {
+    return git(['rev-parse', '--show-toplevel'], cwd).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Files among `filePaths` with uncommitted changes — modified, staged or
+ * untracked. Ignored files don't count.
+ * @param {string[]} filePaths - Absolute paths
+ * @param {string} root - Repository root
+ * @returns {string[]} The dirty ones, as given
+ */
+export function getDirtyFiles(filePaths, root) {
+  const output = git(['status', '--porcelain', '-z', '--untracked-files=all'], root);
+  const dirty = new Set();
+
+  // Entries are "XY path\0", renames are followed by "origPath\0"
+  const fields = output.split('\0');
+  for (let i = 0; i < fields.length; i++) {
+    const entry = fields[i];
+    if (entry.length < 4) continue;
+    dirty.add(path.resolve(root, entry.slice(3)));
+    if (entry[0] === 'R' || entry[0] === 'C') i++;
+  }
+
+  return filePaths.filter(filePath => dirty.has(path.resolve(filePath)));
+}
+
+/**
+ * Name of the checked-out branch
+ * @param {string} root
+ * @returns {string|null} null on a detached HEAD
+ */
+export function getCurrentBranch(root) {
+  const name = git(['rev-parse', '--abbrev-ref', 'HEAD'], root).trim();
+  return name === 'HEAD' ? null : name;
+}
+
+/**
+ * @param {string} root
+ * @returns {string} Commit SHA of HEAD
+ */
+export function getHead(root) {
+  return git(['rev-parse', 'HEAD'], root).trim();
+}
+
+/**
+ * Create a branch at HEAD and switch to it
+ * @param {string} name
+ * @param {string} root
+ */
+export function createBranch(name, root) {
+  git(['checkout', '-b', name], root);
+}
+
+/**
+ * Commit exactly the given files, leaving anything else staged untouched
+ * @param {string[]} filePaths - Absolute paths
+ * @param {string} message
+ * @param {string} root
+ * @returns {string} SHA of the new commit
+ */
+export function commitFiles(filePaths, message, root) {
+  const paths = filePaths.map(filePath => path.relative(root, filePath));
+  git(['add', '--', ...paths], root);
+  git(['commit', '--quiet', '-m', message, '--only', '--', ...paths], root);
+  return getHead(root);
+}
@@ -0,0 +1,323 @@
+import path from 'path';
+import { readFileSafe } from './scanner.js';
+
+/**
+ * Standalone HTML report.
+ *
+ * Produces a single self-contained file (inline CSS + JS, no network requests)
+ * with a summary dashboard, issues grouped by file / rule / WCAG success
+ * criterion, source snippets with surrounding context, and client-side filters.
+ */
+
+const CONTEXT_LINES = 3;
+
+/**
+ * WCAG 2.x success criteria titles, for labelling groups
+ */
+const WCAG_CRITERIA = {
+  '1.1.1': 'Non-text Content',
+  '1.3.1': 'Info and Relationships',
+  '1.3.2': 'Meaningful Sequence',
+  '1.4.1': 'Use of Color',
+  '1.4.3': 'Contrast (Minimum)',
+  '1.4.6': 'Contrast (Enhanced)',
+  '1.4.11': 'Non-text Contrast',
+  '1.4.13': 'Content on Hover or Focus',
+  '2.1.1': 'Keyboard',
+  '2.1.2': 'No Keyboard Trap',
+  '2.1.3': 'Keyboard (No Exception)',
+  '2.2.2': 'Pause, Stop, Hide',
+  '2.3.3': 'Animation from Interactions',
+  '2.4.1': 'Bypass Blocks',
+  '2.4.3': 'Focus Order',
+  '2.4.4': 'Link Purpose (In Context)',
+  '2.4.6': 'Headings and Labels',
+  '2.4.7': 'Focus Visible',
+  '2.5.3': 'Label in Name',
+  '3.2.1': 'On Focus',
+  '3.3.2': 'Labels or Instructions',
+  '4.1.2': 'Name, Role, Value',
+};
+
+/**
+ * Render the HTML report
+ * @param {Map<string, object[]>} issuesByFile - Map of filePath → issues[]
+ * @param {object} context
+ * @param {object[]} context.rules - Rules that ran, as configured
+ * @param {string[]} context.files - Every file that was scanned
+ * @returns {string} HTML document
+ */
+export function formatHTMLReport(issuesByFile, { rules, files }) {
+  const ruleMeta = {};
+  for (const rule of rules) {
+    ruleMeta[rule.id] = {
+      description: rule.description,
+      wcag: splitCriteria(rule.wcag),
+      impact: rule.impact || '',
+      url: rule.url || '',
+    };
+  }
+
+  const issues = [];
+  for (const [filePath, fileIssues] of issuesByFile) {
+    const file = path.relative(process.cwd(), filePath).split(path.sep).join('/');
+    const lines = (readFileSafe(filePath) || '').split('\n');
+
+    for (const issue of fileIssues) {
+      issues.push({
+        file,
+        ruleId: issue.ruleId,
+        severity: issue.severity,
+        message: issue.message,
+        line: issue.line,
+        column: issue.column,
+        fix: issue.fix || '',
+        wcag: ruleMeta[issue.ruleId]?.wcag || [],
+        snippet: buildSnippet(lines, issue.line),
+      });
+    }
+  }
+
+  const data = {
+    generatedAt: new Date().toISOString(),
+    filesScanned: files.length,
+    rules: ruleMeta,
+    criteria: WCAG_CRITERIA,
+    issues,
+  };
+
+  // `</script>` inside the JSON would end the data block early
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>a11y-pilot accessibility report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header class="top">
+  <h1>a11y-pilot accessibility report</h1>
+  <p class="meta" id="meta"></p>
+</header>
+<main>
+  <section aria-labelledby="summary-heading">
+    <h2 id="summary-heading">Summary</h2>
+    <div class="cards" id="cards"></div>
+    <div class="breakdown">
+      <div><h3>By rule</h3><table id="by-rule"></table></div>
+      <div><h3>By WCAG success criterion</h3><table id="by-wcag"></table></div>
+    </div>
+  </section>
+  <section aria-labelledby="issues-heading">
+    <h2 id="issues-heading">Issues</h2>
+    <form class="filters" id="filters" role="search" aria-label="Filter issues">
+      <label>Group by
+        <select id="group-by">
+          <option value="file">File</option>
+          <option value="rule">Rule</option>
+          <option value="wcag">WCAG criterion</option>
+        </select>
+      </label>
+      <label>Severity
+        <select id="severity">
+          <option value="">All</option>
+          <option value="error">Errors</option>
+          <option value="warning">Warnings</option>
+        </select>
+      </label>
+      <label>Rule
+        <select id="rule"><option value="">All</option></select>
+      </label>
+      <label>Search
+        <input type="search" id="search" placeholder="File, message or code">
+      </label>
+      <span id="count" role="status" aria-live="polite"></span>
+    </form>
+    <div id="groups"></div>
+  </section>
+</main>
+<script type="application/json" id="report-data">${json}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Lines around an issue, with the offending line marked
+ * @param {string[]} lines
+ * @param {number} line - 1-indexed
+ * @returns {{start: number, lines: string[], highlight: number}}
+ */
+function buildSnippet(lines, line) {
+  const start = Math.max(1, line - CONTEXT_LINES);
+  const end = Math.min(lines.length, line + CONTEXT_LINES);
+  return {
+    start,
+    lines: lines.slice(start - 1, end).map(l => l.replace(/\t/g, '  ')),
+    highlight: line,
+  };
+}
+
+function splitCriteria(wcag) {
+  return wcag ? wcag.split(',').map(sc => sc.trim()).filter(Boolean) : [];
+}
+
+const STYLES = `
+:root { --err: #b3261e; --warn: #8a5300; --ok: #1b6e3a; --bg: #f7f7f9; --fg: #1d1d22; --muted: #5d5d66; --line: #e2e2e8; --hl: #fff4cc; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 15px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; color: var(--fg); background: var(--bg); }
+.top { background: #1d1d22; color: #fff; padding: 1.25rem 2rem; }
+.top h1 { margin: 0; font-size: 1.4rem; }
+.meta { margin: .25rem 0 0; color: #c8c8d0; }
+main { max-width: 1100px; margin: 0 auto; padding: 1.5rem 2rem 4rem; }
+h2 { margin-top: 2rem; }
+.cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 1rem; }
+.card { background: #fff; border: 1px solid var(--line); border-radius: 8px; padding: 1rem; }
+.card strong { display: block; font-size: 1.8rem; }
+.card.err strong { color: var(--err); } .card.warn strong { color: var(--warn); } .card.ok strong { color: var(--ok); }
+.breakdown { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 1.5rem; margin-top: 1rem; }
+table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid var(--line); }
+th, td { text-align: left; padding: .4rem .6rem; border-bottom: 1px solid var(--line); vertical-align: top; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+.filters { display: flex; flex-wrap: wrap; gap: 1rem; align-items: end; background: #fff; border: 1px solid var(--line); border-radius: 8px; padding: .75rem 1rem; }
+.filters label { display: flex; flex-direction: column; font-size: .85rem; color: var(--muted); }
+.filters select, .filters input { font: inherit; padding: .3rem .4rem; min-width: 10rem; }
+#count { margin-left: auto; color: var(--muted); }
+details.group { background: #fff; border: 1px solid var(--line); border-radius: 8px; margin-top: 1rem; }
+details.group > summary { cursor: pointer; padding: .75rem 1rem; font-weight: 600; }
+.issue { border-top: 1px solid var(--line); padding: .75rem 1rem; }
+.issue h4 { margin: 0 0 .25rem; font-size: 1rem; }
+.badge { display: inline-block; font-size: .75rem; font-weight: 700; text-transform: uppercase; padding: .05rem .4rem; border-radius: 4px; color: #fff; margin-right: .4rem; }
+.badge.error { background: var(--err); } .badge.warning { background: var(--warn); }
+.loc, .fix, .wcag { color: var(--muted); margin: .2rem 0; }
+.wcag a, .loc a { color: inherit; }
+pre { margin: .5rem 0 0; background: #1d1d22; color: #e8e8ee; border-radius: 6px; overflow-x: auto; font: 13px/1.45 ui-monospace, SFMono-Regular, Menlo, monospace; padding: .5rem 0; }
+pre span.ln { display: block; padding: 0 .75rem; white-space: pre; }
+pre span.ln::before { content: attr(data-n); display: inline-block; width: 3.5em; color: #8b8b96; }
+pre span.ln.hl { background: #4a3b00; color: var(--hl); }
+.empty { padding: 2rem; text-align: center; color: var(--ok); font-weight: 600; }
+a:focus-visible, select:focus-visible, input:focus-visible, summary:focus-visible { outline: 3px solid #3b6fd8; outline-offset: 2px; }
+`;
+
+const SCRIPT = `
+(function () {
+  var data = JSON.parse(document.getElementById('report-data').textContent);
+  var $ = function (id) { return document.getElementById(id); };
+
+  function esc(s) {
+    return String(s).replace(/[&<>"']/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+    });
+  }
+  function plural(n, word) { return n + ' ' + word + (n === 1 ? '' : 's'); }
+  function scLabel(sc) { return data.criteria[sc] ? sc + ' ' + data.criteria[sc] : sc; }
+  function scUrl(sc) {
+    return 'https://www.w3.org/WAI/WCAG22/quickref/#' + (data.criteria[sc] || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  var errors = data.issues.filter(function (i) { return i.severity === 'error'; }).length;
+  var warnings = data.issues.length - errors;
+  var files = {};
+  data.issues.forEach(function (i) { files[i.file] = true; });
+
+  $('meta').textContent = 'Generated ' + new Date(data.generatedAt).toLocaleString() + ' · ' + plural(data.filesScanned, 'file') + ' scanned';
+  $('cards').innerHTML = [
+    ['', data.issues.length, 'Issues'],
+    ['err', errors, 'Errors'],
+    ['warn', warnings, 'Warnings'],
+    [Object.keys(files).length ? '' : 'ok', Object.keys(files).length, 'Files with issues'],
+  ].map(function (c) {
+    return '<div class="card ' + c[0] + '"><strong>' + c[1] + '</strong>' + c[2] + '</div>';
+  }).join('');
+
+  function countBy(keyFn) {
+    var counts = {};
+    data.issues.forEach(function (i) {
+      [].concat(keyFn(i)).forEach(function (k) { counts[k] = (counts[k] || 0) + 1; });
+    });
+    return Object.keys(counts).sort(function (a, b) { return counts[b] - counts[a]; }).map(function (k) { return [k, counts[k]]; });
+  }
+
+  $('by-rule').innerHTML = '<tr><th scope="col">Rule</th><th scope="col">Issues</th></tr>' +
+    countBy(function (i) { return i.ruleId; }).map(function (r) {
+      var meta = data.rules[r[0]];
+      var name = meta && meta.url ? '<a href="' + esc(meta.url) + '">' + esc(r[0]) + '</a>' : esc(r[0]);
+      return '<tr><td>' + name + '</td><td class="num">' + r[1] + '</td></tr>';
+    }).join('');
+
+  $('by-wcag').innerHTML = '<tr><th scope="col">Success criterion</th><th scope="col">Issues</th></tr>' +
+    countBy(function (i) { return i.wcag.length ? i.wcag : ['—']; }).map(function (r) {
+      return '<tr><td>' + esc(scLabel(r[0])) + '</td><td class="num">' + r[1] + '</td></tr>';
+    }).join('');
+
+  countBy(function (i) { return i.ruleId; }).forEach(function (r) {
+    var opt = document.createElement('option');
+    opt.value = r[0];
+    opt.textContent = r[0];
+    $('rule').appendChild(opt);
+  });
+
+  function renderIssue(i) {
+    var meta = data.rules[i.ruleId] || {};
+    var snippet = i.snippet.lines.map(function (text, n) {
+      var ln = i.snippet.start + n;
+      return '<span class="ln' + (ln === i.snippet.highlight ? ' hl' : '') + '" data-n="' + ln + '">' + esc(text) + '</span>';
+    }).join('');
+    var rule = meta.url ? '<a href="' + esc(meta.url) + '">' + esc(i.ruleId) + '</a>' : esc(i.ruleId);
+    var wcag = i.wcag.map(function (sc) { return '<a href="' + scUrl(sc) + '">' + esc(scLabel(sc)) + '</a>'; }).join(', ');
+    return '<article class="issue">' +
+      '<h4><span class="badge ' + esc(i.severity) + '">' + esc(i.severity) + '</span>' + esc(i.message) + '</h4>' +
+      '<p class="loc">' + esc(i.file) + ':' + i.line + (i.column !== undefined && i.column !== null ? ':' + (i.column + 1) : '') + ' · ' + rule + '</p>' +
+      (wcag ? '<p class="wcag">WCAG ' + wcag + '</p>' : '') +
+      (i.fix ? '<p class="fix">Fix: ' + esc(i.fix) + '</p>' : '') +
+      '<pre aria-label="Source around line ' + i.line + '"><code>' + snippet + '</code></pre>' +
+      '</article>';
+  }
+
+  function render() {
+    var groupBy = $('group-by').value;
+    var severity = $('severity').value;
+    var rule = $('rule').value;
+    var query = $('search').value.trim().toLowerCase();
+
+    var visible = data.issues.filter(function (i) {
+      if (severity && i.severity !== severity) return false;
+      if (rule && i.ruleId !== rule) return false;
+      if (query) {
+        var hay = (i.file + ' ' + i.message + ' ' + i.ruleId + ' ' + i.snippet.lines.join('\\n')).toLowerCase();
+        if (hay.indexOf(query) === -1) return false;
+      }
+      return true;
+    });
+
+    var groups = {};
+    var order = [];
+    visible.forEach(function (i) {
+      var keys = groupBy === 'file' ? [i.file] : groupBy === 'rule' ? [i.ruleId] : (i.wcag.length ? i.wcag : ['—']);
+      keys.forEach(function (k) {
+        if (!groups[k]) { groups[k] = []; order.push(k); }
+        groups[k].push(i);
+      });
+    });
+    order.sort();
+
+    $('count').textContent = 'Showing ' + plural(visible.length, 'issue') + ' of ' + data.issues.length;
+    $('groups').innerHTML = order.length === 0
+      ? '<p class="empty">' + (data.issues.length ? 'No issues match the filters.' : 'No accessibility issues found.') + '</p>'
+      : order.map(function (k) {
+          var title = groupBy === 'wcag' ? scLabel(k) : groupBy === 'rule' && data.rules[k] ? k + ' — ' + data.rules[k].description : k;
+          return '<details class="group" open><summary>' + esc(title) + ' (' + groups[k].length + ')</summary>' +
+            groups[k].map(renderIssue).join('') + '</details>';
+        }).join('');
+  }
+
+  ['group-by', 'severity', 'rule'].forEach(function (id) { $(id).addEventListener('change', render); });
+  $('search').addEventListener('input', render);
+  $('filters').addEventListener('submit', function (e) { e.preventDefault(); });
+  render();
+})();
+`;
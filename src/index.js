@@ -0,0 +1,26 @@
+/**
+ * Public API for using a11y-pilot as a library — running the linter from
+ * scripts, and writing and testing custom rules and plugins.
+ */
+export { cli } from './cli.js';
+export { analyzeFile, analyzeSource, parseSource } from './linter.js';
+export { allRules, getRule, getRules, configureRules } from './rules/index.js';
+export { loadConfig } from './config.js';
+export { loadPlugins, validateRule } from './plugins.js';
+export { RuleTester } from './rule-tester.js';
+export { computeAccessibleName, computeAccessibleDescription, UNKNOWN_NAME } from './aria/accessible-name.js';
+export { createStyleResolver, UNRESOLVED, getOwnStylesheets, stylePosition } from './styles.js';
+export { parseColor, contrastRatio } from './colors.js';
+export { parseCSS } from './parsers/css-parser.js';
+export {
+  applyEdits,
+  fixSource,
+  findAttribute,
+  removeAttribute,
+  setAttribute,
+  insertAttribute,
+  renameAttribute,
+} from './autofix.js';
+export { fixFileIssues, autoFixAll } from './fixer.js';
+export { createBackend, createMockBackend } from './backends/index.js';
+export { formatPatch } from './patch.js';
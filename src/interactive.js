@@ -0,0 +1,236 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import chalk from 'chalk';
+import { readFileSafe, relativePath } from './scanner.js';
+import { allRules } from './rules/index.js';
+import { verifyFix } from './verify.js';
+import { fixSource } from './autofix.js';
+import { requestFix } from './fixer.js';
+import { createBackend } from './backends/index.js';
+import {
+  printAutoFixStatus,
+  printFixBackendHeader,
+  printOfflineFixHeader,
+  printDiff,
+  printReviewSummary,
+  printError,
+  printInfo,
+} from './reporter.js';
+
+const CHOICES = {
+  y: 'accept',
+  n: 'reject',
+  e: 'edit',
+  s: 'skip',
+  q: 'quit',
+};
+
+const PROMPT = `  Apply this change? ${chalk.bold('[y]')}es ${chalk.bold('[n]')}o ${chalk.bold('[e]')}dit ` +
+  `${chalk.bold('[s]')}kip file ${chalk.bold('[q]')}uit `;
+
+/**
+ * Review fixes one change at a time before anything is written.
+ *
+ * Each change is computed without touching the file — by the fix backend,
+ * or in memory for the built-in fixes — then re-analyzed and shown as a
+ * unified diff. Only accepted changes are written. With `oneByOne`, the
+ * backend proposes one change per issue, each on top of the changes
+ * already accepted for the file.
+ *
+ * Answers are read line by line from stdin; when stdin ends, the remaining
+ * changes are skipped.
+ *
+ * @param {Map<string, object[]>} issuesByFile - Map of filePath → issues[]
+ * @param {object} [options]
+ * @param {object[]} [options.rules] - Rules to verify with (default: all rules)
+ * @param {object} [options.backend] - Fix backend (default: Copilot CLI)
+ * @param {boolean} [options.offline] - Propose the built-in rule fixes instead of the backend's
+ * @param {boolean} [options.oneByOne] - One backend change per issue instead of one per file
+ * @param {boolean} [options.write] - Write accepted changes (default true); otherwise only return them
+ * @returns {Promise<{accepted: number, rejected: number, skipped: number, written: string[], changes: Map<string, {before: string, after: string}>}>}
+ *   written lists the files with accepted changes, changes their content
+ */
+export async function reviewFixes(issuesByFile, options = {}) {
+  const rules = options.rules || allRules;
+  const backend = options.backend || createBackend();
+  const write = options.write !== false;
+  const summary = { accepted: 0, rejected: 0, skipped: 0, written: [], changes: new Map() };
+
+  if (options.offline) {
+    printOfflineFixHeader();
+  } else {
+    printFixBackendHeader(backend.label);
+
+    if (!(await backend.isAvailable())) {
+      printError(backend.setupHint);
+      return summary;
+    }
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: false });
+  const answers = rl[Symbol.asyncIterator]();
+  let quit = false;
+
+  try {
+    for (const [filePath, issues] of issuesByFile) {
+      const relPath = relativePath(filePath);
+      const original = readFileSafe(filePath) ?? '';
+      const fixable = options.offline ? issues.filter(issue => issue.edits?.length) : issues;
+      const batches = options.oneByOne && !options.offline
+        ? fixable.map(issue => [issue])
+        : [fixable].filter(batch => batch.length > 0);
+
+      let current = original;
+
+      for (let i = 0; i < batches.length; i++) {
+        if (quit) {
+          summary.skipped += batches.length - i;
+          break;
+        }
+
+        const batch = batches[i];
+        printInfo(`Proposing a fix for ${batch.length} issue${batch.length !== 1 ? 's' : ''} in ${relPath}...`);
+
+        const proposal = await propose(filePath, current, batch, { ...options, rules, backend });
+        if (proposal === current) {
+          printInfo(`No changes proposed for ${relPath}\n`);
+          continue;
+        }
+
+        const decision = await decide(filePath, current, proposal, batch, rules, answers);
+
+        if (decision.action === 'accept') {
+          current = decision.content;
+          summary.accepted++;
+          if (write) {
+            fs.writeFileSync(filePath, current);
+            printInfo(`Wrote ${relPath}\n`);
+          }
+        } else if (decision.action === 'reject') {
+          summary.rejected++;
+        } else {
+          // skip or quit: this change and the rest of the file stay as they are
+          summary.skipped += batches.length - i;
+          quit = decision.action === 'quit';
+          break;
+        }
+      }
+
+      if (current !== original) {
+        summary.written.push(relPath);
+        summary.changes.set(filePath, { before: original, after: current });
+      }
+    }
+  } finally {
+    rl.close();
+  }
+
+  printReviewSummary(summary, { written: write });
+  return summary;
+}
+
+/**
+ * Produce the proposed content for a batch of issues, without writing
+ * @returns {Promise<string>}
+ */
+async function propose(filePath, content, issues, options) {
+  if (options.offline) {
+    return fixSource(content, { filePath, rules: options.rules }).output;
+  }
+
+  const { output, errors } = await requestFix(options.backend, filePath, content, issues, {
+    oneByOne: options.oneByOne,
+  });
+  for (const error of errors) {
+    printError(error);
+  }
+  return output;
+}
+
+/**
+ * Show a proposed change until the user accepts, rejects or skips it.
+ * Editing opens the proposal in $VISUAL / $EDITOR and shows the result again.
+ * @returns {Promise<{action: string, content?: string}>}
+ */
+async function decide(filePath, before, proposal, issues, rules, answers) {
+  const relPath = relativePath(filePath);
+
+  for (;;) {
+    const verification = verifyFix({ filePath, before, after: proposal, issues, rules });
+
+    printDiff(relPath, before, proposal);
+    for (const issue of verification.resolved) {
+      printAutoFixStatus(relPath, issue, 'success');
+    }
+    if (verification.unresolved.length > 0) {
+      const count = verification.unresolved.length;
+      printInfo(`${count} issue${count !== 1 ? 's' : ''} still reported after this change`);
+    }
+    for (const issue of verification.introduced) {
+      printAutoFixStatus(relPath, issue, 'introduced');
+    }
+    for (const message of verification.parseErrors) {
+      printAutoFixStatus(relPath, {}, 'syntax-error', message);
+    }
+    console.log('');
+
+    const action = await ask(answers);
+
+    if (action === 'edit') {
+      const edited = editInEditor(filePath, proposal);
+      if (edited === null) continue;
+      if (edited === before) {
+        printInfo('The edited file matches the original — nothing to apply\n');
+        return { action: 'reject' };
+      }
+      proposal = edited;
+      continue;
+    }
+
+    return { action, content: proposal };
+  }
+}
+
+/**
+ * Read an answer, asking again until it's one of CHOICES
+ * @returns {Promise<string>} Action name; 'quit' once stdin ends
+ */
+async function ask(answers) {
+  for (;;) {
+    process.stdout.write(PROMPT);
+    const { value, done } = await answers.next();
+    if (done) {
+      process.stdout.write('\n');
+      return 'quit';
+    }
+
+    const action = CHOICES[value.trim().toLowerCase().charAt(0)];
+    if (action) return action;
+  }
+}
+
+/**
+ * Open content in the user's editor, in a temporary file with the same
+ * extension (for syntax highlighting)
+ * @returns {string|null} Edited content, or null if the editor failed
+ */
+function editInEditor(filePath, content) {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-pilot-'));
+  const tmpFile = path.join(tmpDir, path.basename(filePath));
+
+  try {
+    fs.writeFileSync(tmpFile, content);
+    const result = spawnSync(`${editor} "${tmpFile}"`, { stdio: 'inherit', shell: true });
+    if (result.status !== 0) {
+      printError(`Editor "${editor}" exited with ${result.error ? result.error.message : `code ${result.status}`}`);
+      return null;
+    }
+    return fs.readFileSync(tmpFile, 'utf-8');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,218 @@
+import { readFileSafe, getFileType } from './scanner.js';
+import { parseJSX, collectJSXElements } from './parsers/jsx-parser.js';
+import { parseHTML } from './parsers/html-parser.js';
+import { parseVue } from './parsers/vue-parser.js';
+import { parseSvelte } from './parsers/svelte-parser.js';
+import { parseAstro } from './parsers/astro-parser.js';
+import { getRootElements } from './parsers/element-tree.js';
+import { collectStylesheets } from './styles.js';
+import { extractComments, parseDirectives, applySuppressions } from './suppressions.js';
+import { allRules } from './rules/index.js';
+
+/**
+ * Rule contract
+ *
+ * A rule is a plain object with an `id`, `description`, `severity` and any of
+ * these hooks, all called with `this` bound to the (configured) rule:
+ *
+ *   onFileStart(context)      before any element of a file is visited
+ *   check(element, context)   once per element, in document order
+ *   onFileEnd(context)        after every element has been visited
+ *
+ * Each hook may return an issue, an array of issues, or nothing, and may
+ * also call `context.report(issue)` any number of times.
+ *
+ * The context is created per rule and per file:
+ *
+ *   filePath, fileType    file being analyzed
+ *   source, lines         full source text and its lines
+ *   ast                   Babel AST (JSX/TSX only, otherwise null)
+ *   elements              every element in document order (none in CSS files)
+ *   root                  top-level elements (see parsers/element-tree.js)
+ *   stylesheets           <style> blocks, linked and imported CSS, CSS-in-JS,
+ *                         or a CSS file's own rules (see styles.js)
+ *   options, severity     the rule's configured options and severity
+ *   report(issue)         add an issue; `ruleId` and `severity` default to
+ *                         the rule's, and `element: el` fills in line,
+ *                         column and sourceLine
+ */
+
+/**
+ * Parse source code into elements
+ * @param {string} code - Source code
+ * @param {string} fileType - One of getFileType()'s types
+ * @param {string} [filePath]
+ * @returns {{elements: object[], ast: object|null}|null} null if the file type
+ *   is unsupported or the source can't be parsed
+ */
+export function parseSource(code, fileType, filePath) {
+  switch (fileType) {
+    case 'jsx': {
+      const ast = parseJSX(code, filePath);
+      if (!ast) return null;
+      return { elements: collectJSXElements(ast, code), ast };
+    }
+    case 'html':
+      return { elements: parseHTML(code), ast: null };
+    case 'vue':
+      return { elements: parseVue(code), ast: null };
+    case 'svelte':
+      return { elements: parseSvelte(code), ast: null };
+    case 'astro':
+      return { elements: parseAstro(code), ast: null };
+    case 'css':
+    case 'scss':
+      // Stylesheets have no elements; rules read context.stylesheets
+      return { elements: [], ast: null };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Syntax errors in source code. Only JSX/TSX can fail to parse — the HTML
+ * parser accepts any input. Positions are left out so the same error still
+ * compares equal after edits elsewhere in the file.
+ * @param {string} code
+ * @param {string} fileType
+ * @param {string} [filePath]
+ * @returns {string[]} Error messages
+ */
+export function getParseErrors(code, fileType, filePath) {
+  if (fileType !== 'jsx') return [];
+
+  const ast = parseJSX(code, filePath);
+  if (!ast) return ['File could not be parsed'];
+  return (ast.errors || []).map(err => err.message.replace(/\s*\(\d+:\d+\)$/, ''));
+}
+
+/**
+ * Analyze a single file and return all issues found
+ * @param {string} filePath - Absolute file path
+ * @param {object[]} rules - Rules to check
+ * @param {object} [options] - See analyzeSource
+ * @returns {object[]} Issues found
+ */
+export function analyzeFile(filePath, rules, options = {}) {
+  const code = readFileSafe(filePath);
+  if (!code) return [];
+
+  return analyzeSource(code, {
+    ...options,
+    filePath,
+    fileType: getFileType(filePath),
+    rules,
+  });
+}
+
+/**
+ * Run rules over source code
+ * @param {string} code - Source code
+ * @param {object} options
+ * @param {string} options.fileType - 'jsx' | 'html' | 'vue' | 'svelte' | 'astro' | 'css' | 'scss'
+ * @param {object[]} options.rules - Rules to check
+ * @param {string} [options.filePath] - Used for context and parse errors
+ * @param {boolean} [options.reportUnusedSuppressions] - Report suppression comments that matched nothing
+ *   or name unknown rules
+ * @param {Iterable<string>} [options.knownRuleIds] - Every rule ID that exists, including plugin
+ *   rules that didn't run (default: built-in rules and `rules`)
+ * @returns {object[]} Issues found, sorted by line
+ */
+export function analyzeSource(code, options) {
+  const { fileType, rules, filePath = '' } = options;
+
+  const parsed = parseSource(code, fileType, filePath);
+  if (!parsed) return [];
+
+  const file = {
+    filePath,
+    fileType,
+    source: code,
+    lines: code.split('\n'),
+    ast: parsed.ast,
+    elements: parsed.elements,
+    root: getRootElements(parsed.elements),
+  };
+  file.stylesheets = collectStylesheets(file);
+
+  const issues = [];
+  const runs = rules.map(rule => ({ rule, context: createContext(rule, file, issues) }));
+
+  for (const { rule, context } of runs) {
+    if (rule.onFileStart) context.report(rule.onFileStart(context));
+  }
+
+  for (const element of file.elements) {
+    for (const { rule, context } of runs) {
+      if (rule.check) context.report(rule.check(element, context), element);
+    }
+  }
+
+  for (const { rule, context } of runs) {
+    if (rule.onFileEnd) context.report(rule.onFileEnd(context));
+  }
+
+  // Drop issues silenced by a11y-pilot-disable comments
+  const directives = parseDirectives(extractComments(code, fileType, parsed.ast));
+  const { issues: remaining, unused } = applySuppressions(issues, directives, {
+    activeRuleIds: new Set(rules.map(r => r.id)),
+    knownRuleIds: new Set([...(options.knownRuleIds || allRules.map(r => r.id)), ...rules.map(r => r.id)]),
+    lines: file.lines,
+  });
+
+  if (options.reportUnusedSuppressions) {
+    remaining.push(...unused);
+  }
+
+  // Sort by line number
+  remaining.sort((a, b) => a.line - b.line);
+
+  return remaining;
+}
+
+/**
+ * Build the per-rule context for one file
+ * @param {object} rule - Configured rule
+ * @param {object} file - Shared file info
+ * @param {object[]} issues - Collected issues (appended to)
+ * @returns {object}
+ */
+function createContext(rule, file, issues) {
+  return {
+    ...file,
+    options: rule.options || {},
+    severity: rule.severity,
+
+    /**
+     * @param {object|object[]|null|undefined} reported - Issue(s) to add
+     * @param {object} [element] - Element being visited, for default positions
+     */
+    report(reported, element) {
+      if (!reported) return;
+      for (const issue of [].concat(reported)) {
+        issues.push(normalizeIssue(issue, rule, issue.element || element));
+      }
+    },
+  };
+}
+
+/**
+ * Fill in rule defaults and element positions, and force the configured
+ * severity when the config overrides it
+ */
+function normalizeIssue(issue, rule, element) {
+  const { element: _element, ...rest } = issue;
+  const normalized = {
+    ruleId: rule.id,
+    severity: rule.severity,
+    ...(element && {
+      line: element.line,
+      column: element.column,
+      sourceLine: element.sourceLine,
+    }),
+    ...rest,
+  };
+
+  if (rule.severityOverride) normalized.severity = rule.severity;
+  return normalized;
+}
@@ -0,0 +1,71 @@
+import { parseHTML } from './html-parser.js';
+import {
+  findBlocks,
+  maskRange,
+  maskTemplateExpressions,
+  normalizeMaskedAttributes,
+} from './template-utils.js';
+
+/**
+ * Parse an Astro component.
+ *
+ * The `---` frontmatter fence and <script>/<style> blocks are masked out.
+ * Template `{expressions}` are masked, but markup inside them — e.g.
+ * `{items.map(item => <li>{item}</li>)}` — is kept so those elements are
+ * checked too. Directives are normalized for the existing rules:
+ *
+ *   set:html={x} / set:text={x}  → element has text content
+ *   class:list={…}               → class="{expression}"
+ *   client:*, server:*, is:*, define:vars → dropped
+ *
+ * @param {string} code - Full .astro file source
+ * @returns {object[]} Array of element info objects (same shape as parseHTML)
+ */
+export function parseAstro(code) {
+  let masked = code;
+
+  const frontmatter = /^\s*---\r?\n[\s\S]*?\r?\n---[ \t]*(?=\r?\n|$)/.exec(code);
+  if (frontmatter) {
+    masked = maskRange(masked, 0, frontmatter[0].length);
+  }
+
+  for (const block of [...findBlocks(masked, 'script'), ...findBlocks(masked, 'style')]) {
+    masked = maskRange(masked, block.contentStart, block.contentEnd);
+  }
+
+  masked = maskTemplateExpressions(masked, { markupInExpressions: true });
+
+  const elements = parseHTML(masked, {
+    source: code,
+    transformAttributes: normalizeAstroAttributes,
+    keepTagCase: true,
+  });
+
+  for (const element of elements) {
+    if (element.hasAttributes['set:html'] || element.hasAttributes['set:text']) {
+      element.hasTextChildren = true;
+    }
+  }
+
+  return elements;
+}
+
+/**
+ * @param {object} attribs - Raw attributes from htmlparser2 (lowercased names)
+ * @returns {object}
+ */
+function normalizeAstroAttributes(attribs) {
+  const normalized = {};
+
+  for (const [name, value] of Object.entries(normalizeMaskedAttributes(attribs))) {
+    if (name === 'class:list') {
+      normalized.class = '{expression}';
+    } else if (/^(client|server|is|define|transition):/.test(name)) {
+      continue;
+    } else {
+      normalized[name] = value;
+    }
+  }
+
+  return normalized;
+}
@@ -0,0 +1,499 @@
+/**
+ * A small CSS parser: enough structure for rules to reason about
+ * stylesheets and inline styles, with source positions, but no value
+ * parsing. It never throws — unbalanced input ends the rule it's in.
+ *
+ *   parseCSS(css)  → { rules, atRules }
+ *
+ *   rule         { selectorText, selectors, declarations, conditions, line, column }
+ *   at-rule      { name, prelude, declarations?, rules?, conditions, line, column }
+ *   declaration  { property, value, important, line, column }
+ *
+ * Rules inside conditional at-rules (@media, @supports, @container,
+ * @layer, ...) are flattened into `rules`, with the at-rule preludes that
+ * enclose them in `conditions`, e.g. ['@media (max-width: 600px)']. Other
+ * at-rules (@import, @font-face, @keyframes, ...) go to `atRules`.
+ * Lines are 1-indexed and columns 0-indexed, like the element tree's.
+ *
+ * Nested rules (CSS nesting, SCSS, CSS-in-JS) are flattened too, after
+ * their parent, with `&` and relative selectors resolved against it:
+ * `.nav { &:hover {} a {} }` gives `.nav`, `.nav:hover` and `.nav a`.
+ * Interpolations (`#{$name}`, `${props => …}`) are kept as text, except
+ * that `${…}` in a value becomes '{expression}', like a dynamic attribute.
+ * Statements that may add any declaration — `@include`, `@extend`,
+ * `@apply`, a `${mixin}` — become a `{property: '...spread'}` declaration.
+ */
+
+// At-rules whose block holds ordinary rules that apply under a condition
+// (and Sass @include content blocks, which mostly wrap media queries)
+const CONDITIONAL_AT_RULES = new Set([
+  'media', 'supports', 'container', 'layer', 'scope', 'document', 'starting-style', 'include',
+]);
+
+// Statements in a rule body that may add any declaration
+const SPREAD_AT_RULES = new Set(['include', 'extend', 'apply']);
+
+const DYNAMIC = '{expression}';
+
+// At-rules whose block holds declarations
+const DECLARATION_AT_RULES = new Set([
+  'font-face', 'page', 'property', 'counter-style', 'viewport', 'font-palette-values',
+]);
+
+/**
+ * Parse a stylesheet
+ * @param {string} css - Stylesheet source
+ * @param {object} [options]
+ * @param {number} [options.line] - Line the source starts on, when it is
+ *   embedded in another file (default 1)
+ * @param {number} [options.column] - Column the first line starts at (default 0)
+ * @param {boolean} [options.lineComments] - Also strip `//` comments (SCSS, CSS-in-JS)
+ * @param {boolean} [options.nested] - The source is a rule body, as in a
+ *   CSS-in-JS template (styled.button`…`): its declarations form a rule
+ *   with the selector `&`, and nested rules are resolved against it
+ * @returns {{rules: object[], atRules: object[]}}
+ */
+export function parseCSS(css, options = {}) {
+  const source = maskComments(css, options.lineComments);
+  const locate = createLocator(source, options);
+  const result = { rules: [], atRules: [] };
+
+  if (options.nested) {
+    const rule = { selectorText: '&', selectors: ['&'], declarations: [], conditions: [], ...locate(0) };
+    result.rules.push(rule);
+    rule.declarations = parseRuleBody(source, 0, source.length, rule, locate, result);
+  } else {
+    parseRuleList(source, 0, source.length, [], locate, result);
+  }
+  return result;
+}
+
+/**
+ * Parse a declaration list, such as a `style` attribute's value
+ * @param {string} text
+ * @param {object} [options] - Where the text starts (see parseCSS)
+ * @returns {object[]} Declarations
+ */
+export function parseDeclarations(text, options = {}) {
+  const source = maskComments(text);
+  return parseRuleBody(source, 0, source.length, null, createLocator(source, options), null);
+}
+
+/**
+ * Split a selector list at its top-level commas
+ * @param {string} selectorText
+ * @returns {string[]}
+ */
+export function splitSelectors(selectorText) {
+  const selectors = [];
+  let start = 0;
+  for (;;) {
+    const comma = scan(selectorText, start, selectorText.length, ',');
+    const selector = selectorText.slice(start, comma).trim();
+    if (selector) selectors.push(selector);
+    if (comma >= selectorText.length) return selectors;
+    start = comma + 1;
+  }
+}
+
+/**
+ * Parse one complex selector into compound selectors and combinators
+ *
+ *   'nav > a.active:hover' → [
+ *     { combinator: null, tag: 'nav', ... },
+ *     { combinator: '>', tag: 'a', classes: ['active'], pseudoClasses: [{ name: 'hover', argument: null }], ... },
+ *   ]
+ *
+ * Each compound has tag (null for none, '*' for universal), ids, classes,
+ * attributes ({name, operator, value, insensitive}), pseudoClasses
+ * ({name, argument}), pseudoElement, and `nesting` when it holds `&` (only
+ * left unresolved in CSS-in-JS). Combinators are ' ', '>', '+' and '~'.
+ *
+ * @param {string} selector
+ * @returns {object[]|null} Compounds, or null if the selector can't be parsed
+ */
+export function parseSelector(selector) {
+  const compounds = [];
+  const text = selector.trim();
+  let i = 0;
+  let combinator = null;
+
+  while (i < text.length) {
+    const compound = {
+      combinator,
+      tag: null,
+      ids: [],
+      classes: [],
+      attributes: [],
+      pseudoClasses: [],
+      pseudoElement: null,
+      nesting: false,
+    };
+    const start = i;
+
+    const tag = /^(?:[a-zA-Z][\w-]*|\*)/.exec(text.slice(i));
+    if (tag) {
+      compound.tag = tag[0].toLowerCase();
+      i += tag[0].length;
+    }
+    while (text[i] === '&') {
+      compound.nesting = true;
+      i++;
+    }
+
+    while (i < text.length && !/[\s>+~]/.test(text[i])) {
+      const rest = text.slice(i);
+      let match;
+      if ((match = /^#((?:[\w-]|\\.)+)/.exec(rest))) {
+        compound.ids.push(unescape(match[1]));
+      } else if ((match = /^\.((?:[\w-]|\\.)+)/.exec(rest))) {
+        compound.classes.push(unescape(match[1]));
+      } else if (rest[0] === '[') {
+        const end = scan(text, i + 1, text.length, ']');
+        const attribute = parseAttributeSelector(text.slice(i + 1, end));
+        if (!attribute || end >= text.length) return null;
+        compound.attributes.push(attribute);
+        match = [text.slice(i, end + 1)];
+      } else if ((match = /^::?([\w-]+)/.exec(rest))) {
+        let argument = null;
+        let length = match[0].length;
+        if (text[i + length] === '(') {
+          const end = scan(text, i + length + 1, text.length, ')');
+          if (end >= text.length) return null;
+          argument = text.slice(i + length + 1, end).trim();
+          length = end + 1 - i;
+        }
+        const name = match[1].toLowerCase();
+        // ::before, and the legacy single-colon forms of the CSS2 pseudo-elements
+        if (match[0].startsWith('::') || ['before', 'after', 'first-line', 'first-letter'].includes(name)) {
+          compound.pseudoElement = name;
+        } else {
+          compound.pseudoClasses.push({ name, argument });
+        }
+        match = [text.slice(i, i + length)];
+      } else {
+        return null;
+      }
+      i += match[0].length;
+    }
+
+    if (i === start) return null;
+    compounds.push(compound);
+
+    const separator = /^\s*([>+~])\s*|^\s+/.exec(text.slice(i));
+    if (!separator) break;
+    combinator = separator[1] || ' ';
+    i += separator[0].length;
+    if (i >= text.length) return null; // dangling combinator
+  }
+
+  return compounds.length > 0 && i >= text.length ? compounds : null;
+}
+
+// ─── Rule lists ─────────────────────────────────────────────────────────────
+
+function parseRuleList(css, from, to, conditions, locate, result) {
+  let i = from;
+
+  while (i < to) {
+    i = skipWhitespace(css, i, to);
+    if (i >= to) break;
+
+    const stop = scan(css, i, to, '{;}');
+    const prelude = css.slice(i, stop).trim();
+    const { line, column } = locate(i);
+
+    if (stop >= to || css[stop] === '}') {
+      // Stray text or an unbalanced `}` — skip it
+      i = stop + 1;
+      continue;
+    }
+
+    if (css[stop] === ';') {
+      if (prelude.startsWith('@')) {
+        result.atRules.push({ ...splitAtRule(prelude), conditions, line, column });
+      }
+      i = stop + 1;
+      continue;
+    }
+
+    const close = findBlockEnd(css, stop, to);
+
+    if (prelude.startsWith('@')) {
+      const atRule = splitAtRule(prelude);
+      if (CONDITIONAL_AT_RULES.has(atRule.name)) {
+        parseRuleList(css, stop + 1, close, [...conditions, collapse(prelude)], locate, result);
+      } else if (DECLARATION_AT_RULES.has(atRule.name)) {
+        result.atRules.push({ ...atRule, declarations: parseRuleBody(css, stop + 1, close, null, locate, null), conditions, line, column });
+      } else {
+        // @keyframes and the like: keep the inner rules, but apart from the page's rules
+        const inner = { rules: [], atRules: [] };
+        parseRuleList(css, stop + 1, close, [], locate, inner);
+        result.atRules.push({ ...atRule, rules: inner.rules, conditions, line, column });
+      }
+    } else if (prelude) {
+      const rule = { selectorText: collapse(prelude), selectors: splitSelectors(collapse(prelude)), declarations: [], conditions, line, column };
+      result.rules.push(rule);
+      rule.declarations = parseRuleBody(css, stop + 1, close, rule, locate, result);
+    }
+
+    i = close + 1;
+  }
+}
+
+/**
+ * Parse the body of a rule: its declarations, returned, and its nested
+ * rules, added to `result` after it. Without a parent rule (style
+ * attributes, @font-face), nested blocks are skipped.
+ */
+function parseRuleBody(css, from, to, parent, locate, result) {
+  const declarations = [];
+  let i = from;
+
+  while (i < to) {
+    i = skipWhitespace(css, i, to);
+    if (i >= to) break;
+
+    // A `${mixin}` statement (unless it starts a nested rule's selector)
+    if (css.startsWith('${', i) && css[scan(css, i, to, ';{')] !== '{') {
+      declarations.push({ property: '...spread', value: DYNAMIC, important: false, ...locate(i) });
+      i = skipInterpolation(css, i + 1, to) + 1;
+      continue;
+    }
+
+    let end = scan(css, i, to, ';{');
+    if (css[end] === '{') {
+      const close = findBlockEnd(css, end, to);
+      if (parent) parseNestedBlock(css, i, end, close, parent, locate, result);
+      i = close + 1;
+      continue;
+    }
+
+    const text = css.slice(i, end);
+    const atRule = /^@([\w-]+)/.exec(text);
+    if (atRule) {
+      if (SPREAD_AT_RULES.has(atRule[1].toLowerCase())) {
+        declarations.push({ property: '...spread', value: DYNAMIC, important: false, ...locate(i) });
+      }
+      i = end + 1;
+      continue;
+    }
+
+    const colon = scan(text, 0, text.length, ':');
+    if (colon < text.length) {
+      const name = text.slice(0, colon).trim();
+      let value = text.slice(colon + 1).trim();
+      const important = /!\s*important\s*$/i.test(value);
+      if (important) value = value.replace(/!\s*important\s*$/i, '').trim();
+
+      if (/^-?-?[a-zA-Z_][\w-]*$/.test(name)) {
+        declarations.push({
+          // Custom properties are case-sensitive
+          property: name.startsWith('--') ? name : name.toLowerCase(),
+          value: replaceInterpolations(collapse(value)),
+          important,
+          ...locate(i),
+        });
+      }
+    }
+
+    i = end + 1;
+  }
+
+  return declarations;
+}
+
+/**
+ * A block nested in a rule: a rule whose selectors are relative to the
+ * parent's, or a conditional at-rule whose declarations apply to the parent
+ */
+function parseNestedBlock(css, from, open, close, parent, locate, result) {
+  const prelude = collapse(css.slice(from, open));
+  const { line, column } = locate(from);
+  let rule;
+
+  if (prelude.startsWith('@')) {
+    if (!CONDITIONAL_AT_RULES.has(splitAtRule(prelude).name)) return;
+    rule = { ...parent, declarations: [], conditions: [...parent.conditions, prelude], line, column };
+  } else {
+    const selectors = splitSelectors(prelude).flatMap(selector => parent.selectors.map(outer =>
+      selector.includes('&') ? selector.replace(/&/g, outer) : `${outer} ${selector}`));
+    rule = { selectorText: selectors.join(', '), selectors, declarations: [], conditions: parent.conditions, line, column };
+  }
+
+  result.rules.push(rule);
+  rule.declarations = parseRuleBody(css, open + 1, close, rule, locate, result);
+}
+
+// ─── Scanning ───────────────────────────────────────────────────────────────
+
+/**
+ * Index of the first of `stops` at the top level (outside strings,
+ * parentheses and brackets) from `i`, or `to` if there is none
+ */
+function scan(css, i, to, stops) {
+  let quote = null;
+  let depth = 0;
+
+  for (; i < to; i++) {
+    const ch = css[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '\\') {
+      i++;
+    } else if ((ch === '#' || ch === '$') && css[i + 1] === '{') {
+      i = skipInterpolation(css, i + 1, to);
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if ((ch === ')' || ch === ']') && depth > 0) {
+      depth--;
+    } else if (depth === 0 && stops.includes(ch)) {
+      return i;
+    }
+  }
+  return to;
+}
+
+/**
+ * Index of the `}` closing an interpolation (`#{…}`, `${…}`) whose `{` is
+ * at `open`, or `to` if unclosed
+ */
+function skipInterpolation(css, open, to) {
+  let depth = 0;
+  let quote = null;
+  for (let i = open; i < to; i++) {
+    const ch = css[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      quote = ch;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return to;
+}
+
+/**
+ * `${…}` interpolations in a value → '{expression}'
+ */
+function replaceInterpolations(value) {
+  let result = '';
+  let i = 0;
+  for (;;) {
+    const start = value.indexOf('${', i);
+    if (start === -1) return result + value.slice(i);
+    result += value.slice(i, start) + DYNAMIC;
+    i = skipInterpolation(value, start + 1, value.length) + 1;
+  }
+}
+
+/**
+ * Index of the `}` closing the block opened at `open`, or `to` if unclosed
+ */
+function findBlockEnd(css, open, to) {
+  let depth = 0;
+  let i = open;
+  while (i < to) {
+    i = scan(css, i, to, '{}');
+    if (i >= to) break;
+    depth += css[i] === '{' ? 1 : -1;
+    if (depth === 0) return i;
+    i++;
+  }
+  return to;
+}
+
+/**
+ * Replace comments with spaces, keeping offsets and newlines
+ * @param {string} css
+ * @param {boolean} [lineComments] - Also `//` comments (not `url(//…)` or `http://`)
+ */
+function maskComments(css, lineComments = false) {
+  let result = '';
+  let quote = null;
+  let last = 0;
+
+  for (let i = 0; i < css.length; i++) {
+    const ch = css[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote || ch === '\n') quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      const stop = end === -1 ? css.length : end + 2;
+      result += css.slice(last, i) + css.slice(i, stop).replace(/[^\n]/g, ' ');
+      last = stop;
+      i = stop - 1;
+    } else if (lineComments && ch === '/' && css[i + 1] === '/' && !/[:(]/.test(css[i - 1])) {
+      const end = css.indexOf('\n', i);
+      const stop = end === -1 ? css.length : end;
+      result += css.slice(last, i) + ' '.repeat(stop - i);
+      last = stop;
+      i = stop - 1;
+    }
+  }
+
+  return result + css.slice(last);
+}
+
+function skipWhitespace(css, i, to) {
+  while (i < to && /\s/.test(css[i])) i++;
+  return i;
+}
+
+function splitAtRule(prelude) {
+  const match = /^@([\w-]+)\s*([\s\S]*)$/.exec(prelude);
+  return { name: match[1].toLowerCase(), prelude: collapse(match[2]) };
+}
+
+function parseAttributeSelector(text) {
+  const match = /^\s*([\w-]+(?:\|[\w-]+)?)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+))\s*([iIsS])?)?\s*$/.exec(text);
+  if (!match) return null;
+  return {
+    name: match[1].toLowerCase(),
+    operator: match[2] || null,
+    value: match[3] ?? match[4] ?? match[5] ?? null,
+    insensitive: match[6]?.toLowerCase() === 'i',
+  };
+}
+
+function unescape(text) {
+  return text.replace(/\\(.)/g, '$1');
+}
+
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Offset → {line, column}, shifted to where the source starts in its file
+ */
+function createLocator(source, options) {
+  const baseLine = options.line || 1;
+  const baseColumn = options.column || 0;
+  const lineOffsets = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineOffsets.push(i + 1);
+  }
+
+  return function locate(index) {
+    let low = 0;
+    let high = lineOffsets.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineOffsets[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    const column = index - lineOffsets[low];
+    return { line: baseLine + low, column: low === 0 ? baseColumn + column : column };
+  };
+}
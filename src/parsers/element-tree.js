@@ -0,0 +1,126 @@
+/**
+ * Normalized element tree shared by all parsers.
+ *
+ * Every parser returns a flat, document-ordered list of elements. The
+ * elements are also linked into a tree:
+ *
+ *   parent       — enclosing element, or null for top-level elements
+ *   children     — child elements, in source order
+ *   childNodes   — children interleaved with text nodes:
+ *                  {type: 'text', value} | {type: 'expression'} | element
+ *   depth        — 0 for top-level elements
+ *
+ * and share these query helpers:
+ *
+ *   el.closest('nav')            nearest ancestor-or-self matching
+ *   el.ancestors()               parent chain, nearest first
+ *   el.descendants('a')          all matching descendants, document order
+ *   el.textContent               static text of the subtree
+ *
+ * Matchers may be a tag name, an array of tag names, or a predicate.
+ */
+
+const elementMethods = {
+  /**
+   * @param {string|string[]|function(object): boolean} matcher
+   * @returns {boolean}
+   */
+  matches(matcher) {
+    return toPredicate(matcher)(this);
+  },
+
+  /**
+   * Nearest element (starting with this one) matching
+   * @param {string|string[]|function(object): boolean} matcher
+   * @returns {object|null}
+   */
+  closest(matcher) {
+    const predicate = toPredicate(matcher);
+    for (let el = this; el; el = el.parent) {
+      if (predicate(el)) return el;
+    }
+    return null;
+  },
+
+  /**
+   * Ancestors, nearest first
+   * @param {string|string[]|function(object): boolean} [matcher]
+   * @returns {object[]}
+   */
+  ancestors(matcher) {
+    const predicate = matcher ? toPredicate(matcher) : () => true;
+    const result = [];
+    for (let el = this.parent; el; el = el.parent) {
+      if (predicate(el)) result.push(el);
+    }
+    return result;
+  },
+
+  /**
+   * Descendants in document order
+   * @param {string|string[]|function(object): boolean} [matcher]
+   * @returns {object[]}
+   */
+  descendants(matcher) {
+    const predicate = matcher ? toPredicate(matcher) : () => true;
+    const result = [];
+    const visit = (el) => {
+      for (const child of el.children) {
+        if (predicate(child)) result.push(child);
+        visit(child);
+      }
+    };
+    visit(this);
+    return result;
+  },
+
+  /**
+   * Static text of the element and its descendants, whitespace-collapsed.
+   * Dynamic expressions contribute nothing.
+   * @type {string}
+   */
+  get textContent() {
+    const parts = [];
+    const visit = (el) => {
+      for (const node of el.childNodes) {
+        if (node.type === 'text') parts.push(node.value);
+        else if (node.type !== 'expression') visit(node);
+      }
+    };
+    visit(this);
+    return parts.join('').replace(/\s+/g, ' ').trim();
+  },
+};
+
+/**
+ * Create an element object with the tree helpers attached
+ * @param {object} props - Element info (name, attributes, line, …)
+ * @returns {object}
+ */
+export function createElement(props) {
+  const element = Object.create(elementMethods);
+  return Object.assign(element, {
+    parent: null,
+    children: [],
+    childNodes: [],
+    depth: 0,
+  }, props);
+}
+
+/**
+ * Top-level elements of a parsed file
+ * @param {object[]} elements - Flat element list from a parser
+ * @returns {object[]}
+ */
+export function getRootElements(elements) {
+  return elements.filter(el => !el.parent);
+}
+
+function toPredicate(matcher) {
+  if (typeof matcher === 'function') return matcher;
+  if (Array.isArray(matcher)) {
+    const names = new Set(matcher);
+    return (el) => names.has(el.name);
+  }
+  return (el) => el.name === matcher;
+}
@@ -1,94 +1,114 @@
 import { Parser } from 'htmlparser2';
+import { createElement } from './element-tree.js';
 
 /**
  * Parse HTML content and collect elements with their attributes and locations.
- * Since htmlparser2 doesn't track line numbers natively, we compute them from
- * the source by tracking character offsets.
+ * Positions come from htmlparser2's start/end indices, converted to
+ * line/column with a line-offset table, so tags inside comments, <script>
+ * strings or attribute values can't be mistaken for real elements.
+ *
+ * Elements are returned in document order. Each element records:
+ *   line, column        — start of the opening tag (1-indexed line, 0-indexed column)
+ *   endLine, endColumn  — end of the element (after its closing tag)
+ *   start, end          — source offsets [start, end) of the whole element
+ *   openEnd             — source offset just after the opening tag's `>`
+ *   nameEnd             — source offset just after the tag name
+ *   attributeRanges     — source ranges of the attributes as written (see locateAttributes)
+ *   parent, depth       — enclosing element (null at the root) and nesting depth
+ *   children, childNodes — child elements, and children interleaved with text
+ *
+ * See element-tree.js for the tree query helpers.
  *
  * @param {string} html - HTML source code
+ * @param {object} [options]
+ * @param {string} [options.source] - Original source, when `html` is a masked copy of
+ *   it (same length and line layout). Used for `sourceLine`.
+ * @param {function(object, string): object} [options.transformAttributes] - Rewrites
+ *   each element's attributes (given the tag name), e.g. to normalize
+ *   template-language directives
+ * @param {boolean} [options.keepTagCase] - Take `rawName` from the source as
+ *   written, for template languages where `<Button>` is a component and
+ *   `<button>` is not (`name` is lowercased either way)
  * @returns {object[]} Array of element info objects
  */
-export function parseHTML(html) {
+export function parseHTML(html, options = {}) {
   const elements = [];
-  const lines = html.split('\n');
-
-  // Build a line offset map for position tracking
-  const lineOffsets = [];
-  let offset = 0;
-  for (const line of lines) {
-    lineOffsets.push(offset);
-    offset += line.length + 1; // +1 for newline
-  }
-
-  function getLineFromIndex(index) {
-    for (let i = lineOffsets.length - 1; i >= 0; i--) {
-      if (index >= lineOffsets[i]) return i + 1; // 1-indexed
-    }
-    return 1;
-  }
+  const sourceLines = (options.source ?? html).split('\n');
+  const locate = createLocator(html);
 
-  // We need to track positions ourselves
   const tagStack = [];
-  let currentIndex = 0;
-  let lastOpenTag = null;
 
   const parser = new Parser(
     {
-      onopentag(name, attribs) {
-        // Find this tag in the source to get its line number
-        const tagPattern = new RegExp(`<${escapeRegex(name)}[\\s>/]`, 'gi');
-        let match;
-        let bestMatch = null;
-
-        // Find the match closest to (but after) current position
-        while ((match = tagPattern.exec(html)) !== null) {
-          if (match.index >= currentIndex) {
-            bestMatch = match;
-            break;
-          }
-        }
+      onopentag(name, rawAttribs) {
+        const attribs = options.transformAttributes
+          ? options.transformAttributes(rawAttribs, name)
+          : rawAttribs;
 
-        const line = bestMatch ? getLineFromIndex(bestMatch.index) : 0;
-        const sourceLine = line > 0 ? lines[line - 1]?.trim() || '' : '';
+        const start = parser.startIndex;
+        const { line, column } = locate(start);
+        const parent = tagStack[tagStack.length - 1] || null;
 
-        if (bestMatch) {
-          currentIndex = bestMatch.index + 1;
-        }
-
-        const element = {
+        const element = createElement({
           name: name.toLowerCase(),
-          rawName: name,
+          rawName: options.keepTagCase ? html.slice(start + 1, start + 1 + name.length) : name,
           attributes: { ...attribs },
           hasAttributes: Object.fromEntries(
             Object.keys(attribs).map(k => [k, true])
           ),
           hasTextChildren: false,
-          children: [],
           line,
-          column: 0,
-          sourceLine,
-          selfClosing: false,
-        };
+          column,
+          endLine: line,
+          endColumn: column,
+          start,
+          end: parser.endIndex + 1,
+          openEnd: parser.endIndex + 1,
+          nameEnd: start + 1 + name.length,
+          attributeRanges: locateAttributes(html, start + 1 + name.length, parser.endIndex + 1),
+          syntax: 'html',
+          parent,
+          depth: tagStack.length,
+          sourceLine: sourceLines[line - 1]?.trim() || '',
+          selfClosing: html[parser.endIndex - 1] === '/',
+        });
+
+        if (parent) {
+          parent.children.push(element);
+          parent.childNodes.push(element);
+        }
 
         tagStack.push(element);
-        lastOpenTag = element;
+        elements.push(element);
       },
 
       ontext(text) {
-        if (tagStack.length > 0 && text.trim().length > 0) {
-          tagStack[tagStack.length - 1].hasTextChildren = true;
+        const current = tagStack[tagStack.length - 1];
+        if (!current) return;
+
+        current.childNodes.push(...splitText(text, parser.startIndex, html, options.source));
+
+        if (text.trim().length > 0) {
+          current.hasTextChildren = true;
         }
       },
 
-      onclosetag(name) {
-        if (tagStack.length > 0) {
-          const element = tagStack.pop();
-          elements.push(element);
+      onclosetag(name, isImplied) {
+        if (tagStack.length === 0) return;
+        const element = tagStack.pop();
+
+        if (!isImplied) {
+          // Explicit </tag>
+          element.end = parser.endIndex + 1;
+        } else if (parser.startIndex !== element.start) {
+          // Closed by a later tag (e.g. <p> by the next <p>) or end of input
+          element.end = Math.max(element.openEnd, Math.min(parser.startIndex, html.length));
         }
-      },
+        // Otherwise a void or self-closing element — it ends with its opening tag
 
-      onselfclosingtag(name) {
-        // Handled by onclosetag in htmlparser2
+        const endPos = locate(element.end);
+        element.endLine = endPos.line;
+        element.endColumn = endPos.column;
       },
     },
     {
@@ -105,20 +125,92 @@ export function parseHTML(html) {
 }
 
 /**
- * Collect heading elements from parsed HTML elements
- * @param {object[]} elements
- * @returns {object[]} Heading elements with levels
+ * Find where each attribute of an opening tag is written.
+ * Names are lowercased (as htmlparser2 reports them); the first occurrence wins.
+ *
+ *   start, end            — the whole attribute, e.g. `tabindex="2"`
+ *   nameEnd               — just after the name
+ *   valueStart, valueEnd  — the value without quotes (absent for boolean attributes)
+ *
+ * @param {string} html - Source the tag was parsed from
+ * @param {number} from - Offset just after the tag name
+ * @param {number} to - Offset just after the tag's `>`
+ * @returns {Object<string, {start: number, end: number, nameEnd: number, valueStart?: number, valueEnd?: number}>}
+ */
+function locateAttributes(html, from, to) {
+  const ranges = {};
+  const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  pattern.lastIndex = from;
+
+  let match;
+  while ((match = pattern.exec(html)) !== null && match.index < to - 1) {
+    const name = match[1].toLowerCase();
+    if (ranges[name]) continue;
+
+    const range = { start: match.index, end: match.index + match[0].length, nameEnd: match.index + match[1].length };
+    const value = match[2] ?? match[3] ?? match[4];
+    if (value !== undefined) {
+      const quoted = match[4] === undefined;
+      range.valueEnd = range.end - (quoted ? 1 : 0);
+      range.valueStart = range.valueEnd - value.length;
+    }
+    ranges[name] = range;
+  }
+
+  return ranges;
+}
+
+/**
+ * Turn a text chunk into tree text nodes. When parsing a masked copy of the
+ * source, masked `{…}` / `{{…}}` expressions become expression nodes.
+ * @param {string} text - Decoded text from htmlparser2
+ * @param {number} start - Offset of the chunk in the parsed source
+ * @param {string} html - Parsed (possibly masked) source
+ * @param {string} [source] - Original source
+ * @returns {object[]}
  */
-export function collectHTMLHeadings(elements) {
-  return elements
-    .filter(el => /^h[1-6]$/.test(el.name))
-    .map(el => ({
-      level: parseInt(el.name[1]),
-      line: el.line,
-      sourceLine: el.sourceLine,
-    }));
+function splitText(text, start, html, source) {
+  const raw = html.slice(start, start + text.length);
+  // Entities were decoded — the chunk is a single entity, never an expression
+  if (!source || raw !== text) return [{ type: 'text', value: text }];
+
+  const nodes = [];
+  const expressionPattern = /\{\{[^{}]*\}\}|\{[^{}]*\}/g;
+  let last = 0;
+  let match;
+  while ((match = expressionPattern.exec(raw)) !== null) {
+    const from = start + match.index;
+    const to = from + match[0].length;
+    if (source.slice(from, to) === html.slice(from, to)) continue; // literal braces
+
+    if (match.index > last) nodes.push({ type: 'text', value: raw.slice(last, match.index) });
+    nodes.push({ type: 'expression' });
+    last = match.index + match[0].length;
+  }
+  if (last < raw.length) nodes.push({ type: 'text', value: raw.slice(last) });
+
+  return nodes;
 }
 
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+/**
+ * Build an offset → {line, column} lookup for a source string
+ * @param {string} source
+ * @returns {function(number): {line: number, column: number}} 1-indexed line, 0-indexed column
+ */
+function createLocator(source) {
+  const lineOffsets = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineOffsets.push(i + 1);
+  }
+
+  return function locate(index) {
+    let low = 0;
+    let high = lineOffsets.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineOffsets[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: index - lineOffsets[low] };
+  };
 }
@@ -1,5 +1,6 @@
 import { parse } from '@babel/parser';
 import _traverse from '@babel/traverse';
+import { createElement } from './element-tree.js';
 
 // Handle ESM default export quirk with @babel/traverse
 const traverse = _traverse.default || _traverse;
@@ -34,7 +35,15 @@ export function parseJSX(code, filePath) {
 }
 
 /**
- * Walk the AST and collect JSX elements with their attributes and location info
+ * Walk the AST and collect JSX elements with their attributes and location info.
+ * Elements are returned in document order and linked into a tree (see
+ * element-tree.js). Fragments are transparent: their children belong to the
+ * enclosing element. Elements nested in an expression container, e.g.
+ * `{open && <Menu />}`, are children of the element holding the expression.
+ * Position fields (start, end, openEnd, nameEnd, attributeRanges, …) match
+ * parseHTML's. Elements with an object literal `style={{…}}` also get
+ * `styleDeclarations` (see readStyleObject).
+ *
  * @param {object} ast - Babel AST
  * @param {string} code - Original source code
  * @returns {object[]} Array of element info objects
@@ -42,77 +51,302 @@ export function parseJSX(code, filePath) {
 export function collectJSXElements(ast, code) {
   const elements = [];
   const lines = code.split('\n');
+  const stack = [];
+  const textNodes = new Map(); // element → its text/expression children
 
   traverse(ast, {
-    JSXOpeningElement(path) {
-      const node = path.node;
-      const name = getElementName(node.name);
-      if (!name) return;
-
-      const attributes = {};
-      const hasAttributes = {};
-
-      for (const attr of node.attributes) {
-        if (attr.type === 'JSXAttribute') {
-          const attrName = attr.name?.name || '';
-          hasAttributes[attrName] = true;
-
-          if (attr.value) {
-            if (attr.value.type === 'StringLiteral') {
-              attributes[attrName] = attr.value.value;
-            } else if (attr.value.type === 'JSXExpressionContainer') {
-              // Extract literal values from simple expressions
-              const expr = attr.value.expression;
-              if (expr.type === 'NumericLiteral') {
-                attributes[attrName] = String(expr.value);
-              } else if (expr.type === 'StringLiteral') {
-                attributes[attrName] = expr.value;
-              } else if (expr.type === 'BooleanLiteral') {
-                attributes[attrName] = String(expr.value);
-              } else {
-                attributes[attrName] = '{expression}'; // dynamic expression
-              }
-            }
-          } else {
-            attributes[attrName] = true; // boolean attribute
-          }
-        } else if (attr.type === 'JSXSpreadAttribute') {
-          hasAttributes['...spread'] = true;
+    JSXElement: {
+      enter(path) {
+        const node = path.node;
+        const opening = node.openingElement;
+        const name = getElementName(opening.name);
+        const parent = stack[stack.length - 1] || null;
+
+        if (!name) {
+          // Keep the stack balanced for exit()
+          stack.push(parent);
+          return;
         }
-      }
 
-      // Get children info
-      const parent = path.parentPath?.node;
-      const children = parent?.children || [];
-      const hasTextChildren = children.some(
-        child =>
-          (child.type === 'JSXText' && child.value.trim().length > 0) ||
-          child.type === 'JSXExpressionContainer' ||
-          child.type === 'JSXElement'
-      );
-
-      const line = node.loc?.start?.line || 0;
-      const column = node.loc?.start?.column || 0;
-      const sourceLine = lines[line - 1] || '';
-
-      elements.push({
-        name: name.toLowerCase(),
-        rawName: name,
-        attributes,
-        hasAttributes,
-        hasTextChildren,
-        children,
-        line,
-        column,
-        sourceLine: sourceLine.trim(),
-        selfClosing: node.selfClosing,
-      });
+        const { attributes, hasAttributes, attributeRanges, styleDeclarations } = collectAttributes(opening.attributes);
+
+        const children = node.children;
+        const hasTextChildren = children.some(
+          child =>
+            (child.type === 'JSXText' && child.value.trim().length > 0) ||
+            child.type === 'JSXExpressionContainer' ||
+            child.type === 'JSXElement'
+        );
+
+        const line = opening.loc?.start?.line || 0;
+        const column = opening.loc?.start?.column || 0;
+        const sourceLine = lines[line - 1] || '';
+
+        const element = createElement({
+          name: name.toLowerCase(),
+          rawName: name,
+          attributes,
+          hasAttributes,
+          hasTextChildren,
+          line,
+          column,
+          endLine: node.loc?.end?.line || line,
+          endColumn: node.loc?.end?.column || column,
+          start: node.start,
+          end: node.end,
+          openEnd: opening.end,
+          nameEnd: opening.name.end,
+          attributeRanges,
+          ...(styleDeclarations && { styleDeclarations }),
+          syntax: 'jsx',
+          parent,
+          depth: parent ? parent.depth + 1 : 0,
+          sourceLine: sourceLine.trim(),
+          selfClosing: opening.selfClosing,
+        });
+        textNodes.set(element, collectTextNodes(children));
+
+        if (parent) parent.children.push(element);
+        stack.push(element);
+        elements.push(element);
+      },
+      exit() {
+        stack.pop();
+      },
     },
   });
 
+  // Interleave text and element children in source order
+  for (const element of elements) {
+    element.childNodes = [...textNodes.get(element), ...element.children]
+      .sort((a, b) => a.start - b.start)
+      .map(stripOffset);
+  }
+
   return elements;
 }
 
+// CSS-in-JS template tags whose styles apply to the whole page
+const GLOBAL_STYLE_TAGS = new Set(['createGlobalStyle', 'injectGlobal']);
+
+/**
+ * Find CSS-in-JS templates: styled-components and Emotion's
+ * styled.button`…`, styled(Link)`…`, styled.a.attrs(…)`…`, css`…`, and
+ * createGlobalStyle`…` / injectGlobal`…`. keyframes`…` is skipped.
+ * Templates are returned as source ranges of their text, interpolations
+ * included (the CSS parser reads `${…}`).
+ *
+ * @param {object} ast - Babel AST
+ * @returns {{global: boolean, start: number, end: number, line: number, column: number}[]}
+ *   global: the styles apply to the page, not just the styled component
+ */
+export function collectStyleTemplates(ast) {
+  const templates = [];
+
+  traverse(ast, {
+    TaggedTemplateExpression(path) {
+      const { tag, quasi } = path.node;
+      const name = getTagName(tag);
+      if (!name || name === 'keyframes') return;
+      if (name !== 'styled' && name !== 'css' && !GLOBAL_STYLE_TAGS.has(name)) return;
+
+      templates.push({
+        global: GLOBAL_STYLE_TAGS.has(name),
+        start: quasi.start + 1,
+        end: quasi.end - 1,
+        line: quasi.loc?.start?.line || 0,
+        column: (quasi.loc?.start?.column || 0) + 1,
+      });
+    },
+  });
+
+  return templates;
+}
+
+/**
+ * The identifier a template tag starts from: `styled` for
+ * styled.div.attrs(…), or the tag itself for css / createGlobalStyle
+ */
+function getTagName(tag) {
+  let node = tag;
+  while (node.type === 'MemberExpression' || node.type === 'CallExpression') {
+    node = node.type === 'MemberExpression' ? node.object : node.callee;
+  }
+  if (node.type !== 'Identifier') return null;
+  if (node.name === 'styled' || tag === node) return node.name;
+  return null;
+}
+
+/**
+ * Read a JSX opening element's attributes
+ * @param {object[]} attrNodes - JSXAttribute / JSXSpreadAttribute nodes
+ * @returns {{attributes: object, hasAttributes: object, attributeRanges: object, styleDeclarations?: object[]}}
+ *   attributeRanges: name → {start, end, nameEnd, valueStart?, valueEnd?}, where the
+ *   value range excludes quotes but includes the braces of `{expression}` values;
+ *   styleDeclarations: a `style={{…}}` object literal as CSS declarations (see readStyleObject)
+ */
+function collectAttributes(attrNodes) {
+  const attributes = {};
+  const hasAttributes = {};
+  const attributeRanges = {};
+  let styleDeclarations;
+
+  for (const attr of attrNodes) {
+    if (attr.type === 'JSXAttribute') {
+      const attrName = attr.name?.name || '';
+      hasAttributes[attrName] = true;
+
+      if (!attributeRanges[attrName]) {
+        const range = { start: attr.start, end: attr.end, nameEnd: attr.name.end };
+        if (attr.value) {
+          const quoted = attr.value.type === 'StringLiteral';
+          range.valueStart = attr.value.start + (quoted ? 1 : 0);
+          range.valueEnd = attr.value.end - (quoted ? 1 : 0);
+        }
+        attributeRanges[attrName] = range;
+      }
+
+      if (attr.value) {
+        if (attr.value.type === 'StringLiteral') {
+          attributes[attrName] = attr.value.value;
+        } else if (attr.value.type === 'JSXExpressionContainer') {
+          // Extract literal values from simple expressions
+          const expr = attr.value.expression;
+          if (expr.type === 'NumericLiteral') {
+            attributes[attrName] = String(expr.value);
+          } else if (expr.type === 'UnaryExpression' && expr.operator === '-' && expr.argument.type === 'NumericLiteral') {
+            attributes[attrName] = String(-expr.argument.value);
+          } else if (expr.type === 'StringLiteral') {
+            attributes[attrName] = expr.value;
+          } else if (expr.type === 'BooleanLiteral') {
+            attributes[attrName] = String(expr.value);
+          } else {
+            attributes[attrName] = '{expression}'; // dynamic expression
+            if (attrName === 'style' && expr.type === 'ObjectExpression') {
+              styleDeclarations = readStyleObject(expr);
+            }
+          }
+        }
+      } else {
+        attributes[attrName] = true; // boolean attribute
+      }
+    } else if (attr.type === 'JSXSpreadAttribute') {
+      hasAttributes['...spread'] = true;
+    }
+  }
+
+  return { attributes, hasAttributes, attributeRanges, styleDeclarations };
+}
+
+// Style properties React doesn't add `px` to when given a number
+const UNITLESS_STYLES = new Set([
+  'animation-iteration-count', 'aspect-ratio', 'column-count', 'flex', 'flex-grow', 'flex-shrink',
+  'font-weight', 'line-clamp', 'line-height', 'opacity', 'order', 'orphans', 'scale', 'tab-size',
+  'widows', 'z-index', 'zoom', 'fill-opacity', 'stroke-opacity', 'stroke-width',
+]);
+
+/**
+ * Read a `style={{ color: '#333', fontSize: 14 }}` object literal as CSS
+ * declarations, in the shape parseDeclarations returns. Property names are
+ * converted to CSS (`fontSize` → `font-size`, numbers get `px` where React
+ * adds it); values that aren't literals become '{expression}', and spread
+ * or computed keys a `{property: '...spread'}` entry, since they may set
+ * anything.
+ * @param {object} expr - Babel ObjectExpression
+ * @returns {{property: string, value: string, important: boolean, line: number, column: number}[]}
+ */
+function readStyleObject(expr) {
+  const declarations = [];
+
+  for (const prop of expr.properties) {
+    const position = { line: prop.loc?.start?.line || 0, column: prop.loc?.start?.column || 0 };
+    const key = prop.type === 'ObjectProperty' && !prop.computed
+      ? (prop.key.type === 'Identifier' ? prop.key.name : prop.key.type === 'StringLiteral' ? prop.key.value : null)
+      : null;
+
+    if (!key) {
+      declarations.push({ property: '...spread', value: '{expression}', important: false, ...position });
+      continue;
+    }
+
+    const property = key.startsWith('--')
+      ? key
+      : key.replace(/^(Webkit|Moz|ms|O)(?=[A-Z])/, '-$1').replace(/[A-Z]/g, c => `-${c.toLowerCase()}`).toLowerCase();
+
+    let value = staticValue(prop.value);
+    if (value !== null && prop.value.type === 'NumericLiteral' && value !== '0' &&
+        !UNITLESS_STYLES.has(property) && !property.startsWith('--')) {
+      value = `${value}px`;
+    }
+
+    const important = value !== null && /!\s*important\s*$/i.test(value);
+    declarations.push({
+      property,
+      value: value === null ? '{expression}' : value.replace(/!\s*important\s*$/i, '').trim(),
+      important,
+      ...position,
+    });
+  }
+
+  return declarations;
+}
+
+/**
+ * Text and dynamic-expression children of a JSX element, with their start
+ * offsets. Fragments are flattened; nested elements are skipped (they are
+ * linked as element children).
+ * @param {object[]} children - Babel JSX child nodes
+ * @returns {{type: string, value?: string, start: number}[]}
+ */
+function collectTextNodes(children) {
+  const nodes = [];
+
+  for (const child of children) {
+    if (child.type === 'JSXText') {
+      nodes.push({ type: 'text', value: child.value, start: child.start });
+    } else if (child.type === 'JSXFragment') {
+      nodes.push(...collectTextNodes(child.children));
+    } else if (child.type === 'JSXSpreadChild') {
+      nodes.push({ type: 'expression', start: child.start });
+    } else if (child.type === 'JSXExpressionContainer') {
+      const expr = child.expression;
+      if (expr.type === 'JSXEmptyExpression') continue; // {/* comment */}
+      if (expr.type === 'JSXElement' || expr.type === 'JSXFragment') {
+        if (expr.type === 'JSXFragment') nodes.push(...collectTextNodes(expr.children));
+        continue;
+      }
+
+      const literal = staticValue(expr);
+      nodes.push(literal !== null
+        ? { type: 'text', value: literal, start: child.start }
+        : { type: 'expression', start: child.start });
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Drop the sort offset from text/expression nodes; elements pass through
+ */
+function stripOffset(node) {
+  if (!node.type) return node;
+  const { start, ...rest } = node;
+  return rest;
+}
+
+/**
+ * String value of a literal expression, or null when dynamic
+ */
+function staticValue(expr) {
+  if (expr.type === 'StringLiteral') return expr.value;
+  if (expr.type === 'NumericLiteral') return String(expr.value);
+  if (expr.type === 'TemplateLiteral' && expr.expressions.length === 0) {
+    return expr.quasis[0]?.value.cooked ?? null;
+  }
+  return null;
+}
+
 /**
  * Extract element name from JSX name node
  */
@@ -127,18 +361,3 @@ function getElementName(nameNode) {
   }
   return null;
 }
-
-/**
- * Collect heading elements in order for heading-order rule
- * @param {object[]} elements - Collected JSX elements
- * @returns {object[]} Heading elements with their levels
- */
-export function collectHeadings(elements) {
-  return elements
-    .filter(el => /^h[1-6]$/.test(el.name))
-    .map(el => ({
-      level: parseInt(el.name[1]),
-      line: el.line,
-      sourceLine: el.sourceLine,
-    }));
-}
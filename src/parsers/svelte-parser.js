@@ -0,0 +1,81 @@
+import { parseHTML } from './html-parser.js';
+import {
+  findBlocks,
+  maskRange,
+  maskTemplateExpressions,
+  normalizeMaskedAttributes,
+} from './template-utils.js';
+
+/**
+ * Directives that only affect styling, lifecycle or animation — irrelevant to a11y rules
+ */
+const IGNORED_DIRECTIVES = new Set([
+  'class', 'style', 'use', 'transition', 'in', 'out', 'animate', 'let',
+]);
+
+/**
+ * Parse a Svelte component.
+ *
+ * <script> and <style> blocks are masked out, `{#if}` / `{#each}` / `{:else}` /
+ * `{/if}` logic blocks are blanked and `{expressions}` are masked, so the HTML
+ * parser sees the markup with its original line and column layout.
+ * Directives are normalized for the existing rules:
+ *
+ *   on:click|preventDefault={f}  → onclick="{expression}"
+ *   bind:value={v}               → value="{expression}"
+ *   {alt} / {...props}           → alt="{expression}" / spread
+ *   class:active, use:action …   → dropped
+ *
+ * @param {string} code - Full .svelte file source
+ * @returns {object[]} Array of element info objects (same shape as parseHTML)
+ */
+export function parseSvelte(code) {
+  let masked = code;
+
+  for (const block of [...findBlocks(code, 'script'), ...findBlocks(code, 'style')]) {
+    masked = maskRange(masked, block.start, block.end);
+  }
+
+  masked = maskTemplateExpressions(masked, { blockSyntax: true });
+
+  return parseHTML(masked, {
+    source: code,
+    transformAttributes: normalizeSvelteAttributes,
+    keepTagCase: true,
+  });
+}
+
+/**
+ * @param {object} attribs - Raw attributes from htmlparser2 (lowercased names)
+ * @param {string} tagName
+ * @returns {object}
+ */
+function normalizeSvelteAttributes(attribs, tagName) {
+  // <svelte:window on:keydown>, <svelte:head> … are not rendered elements
+  if (tagName.startsWith('svelte:') && tagName !== 'svelte:element') {
+    return {};
+  }
+
+  const normalized = {};
+
+  for (const [name, value] of Object.entries(normalizeMaskedAttributes(attribs))) {
+    const directive = /^([a-z]+):([^|]+)/.exec(name);
+    if (!directive) {
+      normalized[name] = value;
+      continue;
+    }
+
+    const [, kind, target] = directive;
+
+    if (kind === 'on') {
+      // on:click without a value forwards the event — still a handler
+      normalized[`on${target}`] = '{expression}';
+    } else if (kind === 'bind') {
+      if (target !== 'this') normalized[target] = '{expression}';
+    } else if (!IGNORED_DIRECTIVES.has(kind)) {
+      normalized[name] = value;
+    }
+  }
+
+  return normalized;
+}
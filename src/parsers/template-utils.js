@@ -0,0 +1,400 @@
+/**
+ * Helpers shared by the template-language parsers (Vue, Svelte, Astro).
+ *
+ * Instead of cutting blocks out of a file, these helpers *mask* them:
+ * every character is replaced with a space (newlines are kept). The masked
+ * text has exactly the same length and line layout as the original, so the
+ * HTML parser's line and column numbers point at the real source.
+ */
+
+/**
+ * Replace every non-newline character in [start, end) with `fill`
+ * @param {string} code
+ * @param {number} start
+ * @param {number} end
+ * @param {string} [fill] - Single replacement character
+ * @returns {string}
+ */
+export function maskRange(code, start, end, fill = ' ') {
+  if (start >= end) return code;
+  const masked = code.slice(start, end).replace(/[^\n]/g, fill);
+  return code.slice(0, start) + masked + code.slice(end);
+}
+
+/**
+ * Mask everything outside the given ranges
+ * @param {string} code
+ * @param {[number, number][]} keep - Sorted, non-overlapping [start, end) ranges to keep
+ * @returns {string}
+ */
+export function maskOutside(code, keep) {
+  let result = code;
+  let cursor = 0;
+  for (const [start, end] of keep) {
+    result = maskRange(result, cursor, start);
+    cursor = end;
+  }
+  return maskRange(result, cursor, code.length);
+}
+
+/**
+ * Find top-level blocks such as <script>…</script> or <style>…</style>
+ * @param {string} code
+ * @param {string} tag - Block tag name
+ * @returns {{start: number, end: number, contentStart: number, contentEnd: number, attrs: string}[]}
+ */
+export function findBlocks(code, tag) {
+  const blocks = [];
+  const pattern = new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)</${tag}\\s*>`, 'gi');
+
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    const openLength = match[0].indexOf('>') + 1;
+    const closeLength = match[0].length - match[0].lastIndexOf('</');
+    blocks.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      contentStart: match.index + openLength,
+      contentEnd: match.index + match[0].length - closeLength,
+      attrs: match[1] || '',
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Mask the inside of `{{ … }}` interpolations so stray `<` or `>` in
+ * expressions can't be mistaken for tags. The braces stay, so the element
+ * still has text content.
+ * @param {string} code
+ * @returns {string}
+ */
+export function maskInterpolations(code) {
+  return code.replace(/\{\{([\s\S]*?)\}\}/g, (match, inner) =>
+    `{{${inner.replace(/[^\n]/g, '_')}}}`
+  );
+}
+
+/**
+ * Sentinels written into masked source. They are single UTF-16 code units,
+ * so masking stays length-preserving.
+ *   EXPRESSION_FILL  — fills a masked `attr={…}` value
+ *   SHORTHAND_MARK   — wraps a masked `{name}` / `{...spread}` attribute
+ */
+export const EXPRESSION_FILL = '\uE000';
+export const SHORTHAND_MARK = '\uE001';
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+/**
+ * Mask `{…}` expressions in Svelte / Astro markup so htmlparser2 sees plain HTML.
+ *
+ *   text:        <p>{a < b}</p>          → <p>{_____}</p>  (still counts as text)
+ *   attribute:   onclick={() => go()}    → onclick="□□□□□□□□□□"
+ *   shorthand:   <img {alt} {...rest}>   → <img ■alt■ ■...□□□■>
+ *   blocks:      {#if x} {:else} {/if}   → blanked (only with `blockSyntax`)
+ *
+ * With `markupInExpressions` (Astro), tags inside expressions such as
+ * `{items.map(i => <li>{i}</li>)}` are kept and only the JavaScript is masked.
+ *
+ * @param {string} code - Source with script/style/frontmatter already masked
+ * @param {object} [options]
+ * @param {boolean} [options.blockSyntax] - Recognize Svelte `{#…}`, `{:…}`, `{/…}`, `{@…}` tags
+ * @param {boolean} [options.markupInExpressions] - Keep JSX-style markup inside expressions
+ * @returns {string}
+ */
+export function maskTemplateExpressions(code, options = {}) {
+  const out = code.split('');
+  const scanner = new TemplateScanner(code, out, options);
+  scanner.scanMarkup(0, false);
+  return out.join('');
+}
+
+class TemplateScanner {
+  constructor(code, out, options) {
+    this.code = code;
+    this.out = out;
+    this.options = options;
+  }
+
+  /**
+   * Walk markup from `start`. When `nested`, stop after the first element
+   * (and its children) closes — used for markup inside expressions.
+   * @returns {number} Index after the scanned markup
+   */
+  scanMarkup(start, nested) {
+    const { code } = this;
+    let i = start;
+    let depth = 0;
+
+    while (i < code.length) {
+      if (nested && depth === 0 && i > start) return i;
+
+      if (code.startsWith('<!--', i)) {
+        const end = code.indexOf('-->', i + 4);
+        i = end === -1 ? code.length : end + 3;
+        continue;
+      }
+
+      if (code[i] === '<' && /[A-Za-z/>]/.test(code[i + 1] || '')) {
+        const tag = this.scanTag(i);
+        if (tag.closing) {
+          depth--;
+        } else if (!tag.selfClosing && !VOID_ELEMENTS.has(tag.name.toLowerCase())) {
+          depth++;
+        }
+        i = tag.end;
+        if (nested && depth <= 0) return i;
+        continue;
+      }
+
+      if (code[i] === '{') {
+        i = this.scanTextExpression(i) + 1;
+        continue;
+      }
+
+      // A stray `}` ends the enclosing expression when scanning nested markup
+      if (nested && code[i] === '}' && depth === 0) return i;
+
+      i++;
+    }
+
+    return i;
+  }
+
+  /**
+   * Scan a tag starting at `<`, masking attribute expressions
+   * @returns {{end: number, name: string, closing: boolean, selfClosing: boolean}}
+   */
+  scanTag(start) {
+    const { code, out } = this;
+    let i = start + 1;
+    const closing = code[i] === '/';
+    if (closing) i++;
+
+    const nameMatch = /^[^\s/>{]*/.exec(code.slice(i));
+    const name = nameMatch[0];
+    i += name.length;
+
+    while (i < code.length && code[i] !== '>') {
+      const c = code[i];
+
+      if (c === '"' || c === "'") {
+        const end = code.indexOf(c, i + 1);
+        i = end === -1 ? code.length : end + 1;
+        continue;
+      }
+
+      if (c === '{') {
+        const close = this.findExpressionEnd(i);
+        const prev = previousNonSpace(code, i);
+
+        if (prev === '=') {
+          // attr={expr} → attr="□□□"
+          out[i] = '"';
+          out[close] = '"';
+          fillRange(out, i + 1, close, EXPRESSION_FILL);
+        } else {
+          // {name} shorthand or {...spread}
+          const inner = code.slice(i + 1, close).trim();
+          const token = inner.startsWith('...') ? '...' : /^[\w$]+$/.test(inner) ? inner : '...';
+          out[i] = SHORTHAND_MARK;
+          out[close] = SHORTHAND_MARK;
+          fillRange(out, i + 1, close, EXPRESSION_FILL);
+          for (let k = 0; k < token.length && i + 1 + k < close; k++) {
+            out[i + 1 + k] = token[k];
+          }
+        }
+
+        i = close + 1;
+        continue;
+      }
+
+      i++;
+    }
+
+    const selfClosing = code[i - 1] === '/';
+    return { end: Math.min(i + 1, code.length), name, closing, selfClosing };
+  }
+
+  /**
+   * Mask a `{…}` expression in text position
+   * @returns {number} Index of the closing brace
+   */
+  scanTextExpression(start) {
+    const { code, out } = this;
+    const first = code.slice(start + 1).trimStart()[0];
+
+    if (this.options.blockSyntax && '#:/'.includes(first)) {
+      const close = this.findExpressionEnd(start);
+      fillRange(out, start, close + 1, ' ');
+      return close;
+    }
+    if (this.options.blockSyntax && first === '@' && !/^\{\s*@html\b/.test(code.slice(start))) {
+      // {@const …}, {@debug …}, {@render …} produce no text
+      const close = this.findExpressionEnd(start);
+      fillRange(out, start, close + 1, ' ');
+      return close;
+    }
+
+    const jsRanges = [];
+    let sawMarkup = false;
+    const close = this.findExpressionEnd(start, (from, to) => jsRanges.push([from, to]), () => {
+      sawMarkup = true;
+    });
+
+    if (sawMarkup) {
+      // Markup carries its own text — the JS around it is noise
+      out[start] = ' ';
+      out[close] = ' ';
+      for (const [from, to] of jsRanges) fillRange(out, from, to, ' ');
+    } else {
+      fillRange(out, start + 1, close, '_');
+    }
+
+    return close;
+  }
+
+  /**
+   * Find the `}` matching the `{` at `start`, skipping strings, template
+   * literals, comments and (optionally) nested markup.
+   * @param {number} start - Index of `{`
+   * @param {function(number, number)} [onJs] - Called with JS-only ranges
+   * @param {function()} [onMarkup] - Called when nested markup is found
+   * @returns {number} Index of the matching `}` (or end of input)
+   */
+  findExpressionEnd(start, onJs = () => {}, onMarkup = () => {}) {
+    const { code } = this;
+    let depth = 0;
+    let i = start;
+    let jsStart = start + 1;
+
+    while (i < code.length) {
+      const c = code[i];
+
+      if (c === '"' || c === "'") {
+        i = skipString(code, i);
+        continue;
+      }
+      if (c === '`') {
+        i = this.skipTemplateLiteral(i);
+        continue;
+      }
+      if (c === '/' && code[i + 1] === '/') {
+        const end = code.indexOf('\n', i);
+        i = end === -1 ? code.length : end;
+        continue;
+      }
+      if (c === '/' && code[i + 1] === '*') {
+        const end = code.indexOf('*/', i + 2);
+        i = end === -1 ? code.length : end + 2;
+        continue;
+      }
+
+      if (
+        this.options.markupInExpressions &&
+        c === '<' &&
+        /[A-Za-z>]/.test(code[i + 1] || '') &&
+        /^$|[(,?:{=&|[!>]$|\breturn$/.test(code.slice(start + 1, i).trimEnd().slice(-6))
+      ) {
+        onJs(jsStart, i);
+        onMarkup();
+        i = this.scanMarkup(i, true);
+        jsStart = i;
+        continue;
+      }
+
+      if (c === '{') depth++;
+      if (c === '}') {
+        depth--;
+        if (depth === 0) {
+          onJs(jsStart, i);
+          return i;
+        }
+      }
+      i++;
+    }
+
+    onJs(jsStart, code.length);
+    return code.length - 1;
+  }
+
+  skipTemplateLiteral(start) {
+    const { code } = this;
+    let i = start + 1;
+    while (i < code.length && code[i] !== '`') {
+      if (code[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (code[i] === '$' && code[i + 1] === '{') {
+        i = this.findExpressionEnd(i + 1) + 1;
+        continue;
+      }
+      i++;
+    }
+    return i + 1;
+  }
+}
+
+function skipString(code, start) {
+  const quote = code[start];
+  let i = start + 1;
+  while (i < code.length && code[i] !== quote && code[i] !== '\n') {
+    i += code[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+}
+
+function previousNonSpace(code, index) {
+  let i = index - 1;
+  while (i >= 0 && /\s/.test(code[i])) i--;
+  return code[i];
+}
+
+function fillRange(out, start, end, fill) {
+  for (let i = start; i < end; i++) {
+    if (out[i] !== '\n') out[i] = fill;
+  }
+}
+
+/**
+ * Undo the attribute masking done by maskTemplateExpressions():
+ *   ■alt■      → alt="{expression}"
+ *   ■...□■     → ...spread
+ *   attr="□□"  → attr="{expression}"
+ * Quoted values that are a single `{…}` (Svelte `alt="{x}"`) are dynamic too.
+ * @param {object} attribs - Attributes from htmlparser2
+ * @returns {object}
+ */
+export function normalizeMaskedAttributes(attribs) {
+  const normalized = {};
+
+  for (const [name, value] of Object.entries(attribs)) {
+    if (name.startsWith(SHORTHAND_MARK)) {
+      const token = name.replaceAll(SHORTHAND_MARK, '').replaceAll(EXPRESSION_FILL, '');
+      if (token === '...' || !token) {
+        normalized['...spread'] = true;
+      } else {
+        normalized[token] = '{expression}';
+      }
+      continue;
+    }
+
+    // Leftover fragments of a multi-line shorthand
+    if (!name.replaceAll(SHORTHAND_MARK, '').replaceAll(EXPRESSION_FILL, '')) continue;
+
+    if (typeof value === 'string' && (value.includes(EXPRESSION_FILL) || /^\{[^{}]*\}$/.test(value.trim()))) {
+      normalized[name] = '{expression}';
+      continue;
+    }
+
+    normalized[name] = value;
+  }
+
+  return normalized;
+}
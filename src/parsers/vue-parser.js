@@ -0,0 +1,116 @@
+import { parseHTML } from './html-parser.js';
+import { findBlocks, maskRange, maskOutside, maskInterpolations } from './template-utils.js';
+
+/**
+ * Parse a Vue single-file component.
+ *
+ * Only the top-level <template> block is analyzed; <script>, <style> and
+ * custom blocks are masked out so their contents can't produce elements.
+ * Vue bindings are normalized so the existing rules understand them:
+ *
+ *   :alt="x" / v-bind:alt="x"      → alt="{expression}"
+ *   @click="f" / v-on:click.stop   → onclick="{expression}"
+ *   v-bind="props"                 → spread (attributes unknown)
+ *   v-text / v-html                → element has text content
+ *
+ * @param {string} code - Full .vue file source
+ * @returns {object[]} Array of element info objects (same shape as parseHTML)
+ */
+export function parseVue(code) {
+  let masked = code;
+
+  // <script> and <style> may contain "<template" in strings — mask them first
+  for (const block of [...findBlocks(code, 'script'), ...findBlocks(code, 'style')]) {
+    masked = maskRange(masked, block.start, block.end);
+  }
+
+  const template = findTemplateBlock(masked);
+  if (!template) return [];
+
+  masked = maskOutside(masked, [[template.contentStart, template.contentEnd]]);
+  masked = maskInterpolations(masked);
+
+  const elements = parseHTML(masked, {
+    source: code,
+    transformAttributes: normalizeVueAttributes,
+    keepTagCase: true,
+  });
+
+  for (const element of elements) {
+    if (element.hasAttributes['v-text'] || element.hasAttributes['v-html']) {
+      element.hasTextChildren = true;
+    }
+  }
+
+  return elements;
+}
+
+/**
+ * Locate the outermost <template> block. Nested <template v-if> tags are
+ * balanced by counting opens and closes.
+ * @param {string} code - Source with script/style already masked
+ * @returns {{contentStart: number, contentEnd: number}|null}
+ */
+function findTemplateBlock(code) {
+  const tagPattern = /<(\/?)template(?:\s[^>]*)?>/gi;
+  let depth = 0;
+  let contentStart = -1;
+
+  let match;
+  while ((match = tagPattern.exec(code)) !== null) {
+    const isClose = match[1] === '/';
+    const isSelfClosing = !isClose && match[0].endsWith('/>');
+
+    if (!isClose) {
+      if (depth === 0) contentStart = match.index + match[0].length;
+      if (!isSelfClosing) depth++;
+    } else if (depth > 0) {
+      depth--;
+      if (depth === 0) {
+        return { contentStart, contentEnd: match.index };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Map Vue directive attributes onto their plain-HTML equivalents
+ * @param {object} attribs - Raw attributes from htmlparser2 (lowercased names)
+ * @returns {object} Normalized attributes
+ */
+function normalizeVueAttributes(attribs) {
+  const normalized = {};
+
+  for (const [name, value] of Object.entries(attribs)) {
+    // v-bind="obj" / v-on="obj" — object syntax, individual attributes unknown
+    if (name === 'v-bind' || name === 'v-on') {
+      normalized['...spread'] = true;
+      continue;
+    }
+
+    const bind = /^(?::|v-bind:)([^.]+)/.exec(name);
+    if (bind) {
+      // Dynamic argument (:[key]) — we can't know the attribute name
+      if (bind[1].startsWith('[')) {
+        normalized['...spread'] = true;
+      } else {
+        normalized[bind[1]] = '{expression}';
+      }
+      continue;
+    }
+
+    const on = /^(?:@|v-on:)([^.]+)/.exec(name);
+    if (on) {
+      if (!on[1].startsWith('[')) {
+        normalized[`on${on[1]}`] = '{expression}';
+      }
+      continue;
+    }
+
+    normalized[name] = value;
+  }
+
+  return normalized;
+}
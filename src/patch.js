@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+import { createTwoFilesPatch } from 'diff';
+
+/**
+ * Format changed files as one unified diff in the format `git diff`
+ * produces, so `git apply` (or `patch -p1`) accepts it
+ * @param {Map<string, {before: string, after: string}>} changes - Map of absolute filePath → content
+ * @param {string} baseDir - Directory the paths in the patch are relative to
+ *   (the repository root, for `git apply`)
+ * @returns {string} The patch; empty if nothing changed
+ */
+export function formatPatch(changes, baseDir) {
+  const parts = [];
+
+  const entries = [...changes]
+    .map(([filePath, change]) => [path.relative(baseDir, filePath).split(path.sep).join('/'), change])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  for (const [relPath, { before, after }] of entries) {
+    if (before === after) continue;
+
+    const diff = createTwoFilesPatch(`a/${relPath}`, `b/${relPath}`, before, after, '', '', { context: 3 });
+
+    // Drop the "=====" separator line, and the tabs that empty headers leave
+    const lines = diff.split('\n').slice(1);
+    lines[0] = lines[0].trimEnd();
+    lines[1] = lines[1].trimEnd();
+
+    parts.push(`diff --git a/${relPath} b/${relPath}\n${lines.join('\n')}`);
+  }
+
+  return parts.join('');
+}
+
+/**
+ * Write changed files as a patch file (see formatPatch)
+ * @param {string} patchPath - Where to write the patch
+ * @param {Map<string, {before: string, after: string}>} changes
+ * @param {string} baseDir
+ * @returns {number} Number of files in the patch
+ */
+export function writePatch(patchPath, changes, baseDir) {
+  const patch = formatPatch(changes, baseDir);
+  fs.mkdirSync(path.dirname(path.resolve(patchPath)), { recursive: true });
+  fs.writeFileSync(patchPath, patch);
+  return [...changes.values()].filter(({ before, after }) => before !== after).length;
+}
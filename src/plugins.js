@@ -0,0 +1,255 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+const PLUGIN_PREFIX = 'a11y-pilot-plugin';
+
+const SEVERITIES = ['error', 'warning'];
+const RULE_HOOKS = ['check', 'onFileStart', 'onFileEnd'];
+
+// package.json "exports" conditions that apply when import() loads a plugin
+const IMPORT_CONDITIONS = ['import', 'node', 'default'];
+
+/**
+ * Load the plugins named in the config and return their rules, with ids
+ * namespaced by plugin (`acme/icon-button-label`).
+ *
+ * A plugin is a module whose default export (or namespace) looks like
+ * `{ name?, rules: { [ruleName]: rule } }`. Plugins are named either as
+ * packages, resolved from the config file's directory:
+ *
+ *   "acme"                        → a11y-pilot-plugin-acme          (namespace "acme")
+ *   "a11y-pilot-plugin-acme"      → a11y-pilot-plugin-acme          (namespace "acme")
+ *   "@acme"                       → @acme/a11y-pilot-plugin         (namespace "@acme")
+ *   "@acme/ui"                    → @acme/a11y-pilot-plugin-ui      (namespace "@acme/ui")
+ *
+ * or as local files/directories ("./a11y/house-rules.js"), namespaced by
+ * the plugin's `name` export or else the file name.
+ *
+ * @param {string[]} specifiers - Entries of the config's "plugins" list
+ * @param {string} baseDir - Directory plugins are resolved from
+ * @returns {Promise<object[]>} Plugin rules
+ * @throws {Error} If a plugin can't be found, loaded, or has invalid rules
+ */
+export async function loadPlugins(specifiers, baseDir) {
+  const rules = [];
+  const namespaces = new Map(); // namespace → specifier
+
+  for (const specifier of specifiers) {
+    const { modulePath, namespace: defaultNamespace } = resolvePlugin(specifier, baseDir);
+
+    let mod;
+    try {
+      mod = await import(pathToFileURL(modulePath).href);
+    } catch (err) {
+      throw new Error(`Failed to load plugin "${specifier}": ${err.message}`);
+    }
+
+    const plugin = mod.default ?? mod;
+    if (!plugin || typeof plugin.rules !== 'object' || plugin.rules === null || Array.isArray(plugin.rules)) {
+      throw new Error(`Plugin "${specifier}" must export an object with a "rules" object`);
+    }
+
+    const namespace = isLocalSpecifier(specifier) && typeof plugin.name === 'string'
+      ? plugin.name
+      : defaultNamespace;
+
+    if (namespaces.has(namespace)) {
+      throw new Error(
+        `Plugins "${namespaces.get(namespace)}" and "${specifier}" both use the namespace "${namespace}"`
+      );
+    }
+    namespaces.set(namespace, specifier);
+
+    for (const [ruleName, rule] of Object.entries(plugin.rules)) {
+      const id = `${namespace}/${ruleName}`;
+      validateRule(rule, `Rule "${id}" from plugin "${specifier}"`);
+      rules.push({ ...rule, id });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Check that an object implements the rule contract (see linter.js)
+ * @param {*} rule
+ * @param {string} where - Description of the rule for error messages
+ * @throws {Error} Describing the first problem found
+ */
+export function validateRule(rule, where) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`${where} must be an object`);
+  }
+  if (typeof rule.description !== 'string' || !rule.description) {
+    throw new Error(`${where} needs a "description" string`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(`${where} has invalid severity ${JSON.stringify(rule.severity)} (use "error" or "warning")`);
+  }
+
+  for (const hook of RULE_HOOKS) {
+    if (rule[hook] !== undefined && typeof rule[hook] !== 'function') {
+      throw new Error(`${where}: "${hook}" must be a function`);
+    }
+  }
+  if (!RULE_HOOKS.some(hook => rule[hook])) {
+    throw new Error(`${where} must define at least one of ${RULE_HOOKS.join(', ')}`);
+  }
+
+  for (const key of ['wcag', 'impact', 'url']) {
+    if (rule[key] !== undefined && typeof rule[key] !== 'string') {
+      throw new Error(`${where}: "${key}" must be a string`);
+    }
+  }
+}
+
+/**
+ * Find a plugin's entry module and default namespace
+ * @param {string} specifier
+ * @param {string} baseDir
+ * @returns {{modulePath: string, namespace: string}}
+ */
+function resolvePlugin(specifier, baseDir) {
+  if (typeof specifier !== 'string' || !specifier) {
+    throw new Error(`Invalid plugin ${JSON.stringify(specifier)} — plugins are package names or paths`);
+  }
+
+  const require = createRequire(path.join(baseDir, 'noop.js'));
+
+  if (isLocalSpecifier(specifier)) {
+    const target = path.resolve(baseDir, specifier);
+    if (!fs.existsSync(target)) {
+      throw new Error(`Plugin not found: ${specifier}`);
+    }
+
+    let modulePath = fs.statSync(target).isDirectory() ? resolvePackageEntry(target) : null;
+    if (!modulePath) {
+      try {
+        modulePath = require.resolve(target);
+      } catch {
+        throw new Error(`Plugin "${specifier}" has no entry file (add an index.js or a package.json "main")`);
+      }
+    }
+
+    const base = path.basename(target).replace(/\.[cm]?js$/, '');
+    return { modulePath, namespace: stripPrefix(base) };
+  }
+
+  const { packageName, namespace } = toPackageName(specifier);
+
+  // Plugins are loaded with import(), so resolve them the way import() would
+  const packageDir = findPackageDir(packageName, baseDir);
+  const modulePath = packageDir && resolvePackageEntry(packageDir);
+  if (modulePath) return { modulePath, namespace };
+
+  try {
+    return { modulePath: require.resolve(packageName), namespace };
+  } catch {
+    throw new Error(`Plugin "${specifier}" not found — is ${packageName} installed?`);
+  }
+}
+
+/**
+ * The nearest node_modules/<packageName> directory from baseDir upwards
+ * @param {string} packageName
+ * @param {string} baseDir
+ * @returns {string|null}
+ */
+function findPackageDir(packageName, baseDir) {
+  let dir = path.resolve(baseDir);
+
+  while (true) {
+    const candidate = path.join(dir, 'node_modules', packageName);
+    if (fs.existsSync(path.join(candidate, 'package.json'))) return candidate;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * A package directory's main entry as import() sees it: the "." export under
+ * the import, node or default condition, else "main", else index.js
+ * @param {string} packageDir
+ * @returns {string|null} Absolute file path, or null if there is none
+ */
+function resolvePackageEntry(packageDir) {
+  let pkg = {};
+  try {
+    pkg = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf-8'));
+  } catch { /* no or malformed package.json — fall back to index.js */ }
+
+  const entry = pkg.exports !== undefined ? exportTarget(pkg.exports) : pkg.main;
+  const candidates = entry
+    ? [entry, `${entry}.js`, path.join(entry, 'index.js')]
+    : ['index.js'];
+
+  for (const candidate of candidates) {
+    const filePath = path.resolve(packageDir, candidate);
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) return filePath;
+  }
+  return null;
+}
+
+/**
+ * The target of a package.json "exports" field for the package root
+ * @param {*} exports
+ * @returns {string|null}
+ */
+function exportTarget(exports) {
+  if (typeof exports === 'string') return exports;
+
+  if (Array.isArray(exports)) {
+    for (const item of exports) {
+      const target = exportTarget(item);
+      if (target) return target;
+    }
+    return null;
+  }
+
+  if (!exports || typeof exports !== 'object') return null;
+
+  const keys = Object.keys(exports);
+  if (keys.some(key => key.startsWith('.'))) {
+    return exports['.'] !== undefined ? exportTarget(exports['.']) : null;
+  }
+
+  // Conditions are matched in the order the package lists them
+  for (const key of keys) {
+    if (IMPORT_CONDITIONS.includes(key)) {
+      const target = exportTarget(exports[key]);
+      if (target) return target;
+    }
+  }
+  return null;
+}
+
+/**
+ * Expand a plugin shorthand to its package name
+ * @param {string} specifier
+ * @returns {{packageName: string, namespace: string}}
+ */
+function toPackageName(specifier) {
+  if (specifier.startsWith('@')) {
+    const [scope, name] = specifier.split('/');
+    if (!name || name === PLUGIN_PREFIX) {
+      return { packageName: `${scope}/${PLUGIN_PREFIX}`, namespace: scope };
+    }
+    const short = stripPrefix(name);
+    return { packageName: `${scope}/${PLUGIN_PREFIX}-${short}`, namespace: `${scope}/${short}` };
+  }
+
+  const short = stripPrefix(specifier);
+  return { packageName: `${PLUGIN_PREFIX}-${short}`, namespace: short };
+}
+
+function stripPrefix(name) {
+  return name.startsWith(`${PLUGIN_PREFIX}-`) ? name.slice(PLUGIN_PREFIX.length + 1) : name;
+}
+
+function isLocalSpecifier(specifier) {
+  return specifier.startsWith('.') || path.isAbsolute(specifier);
+}
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Helpers for running fixes side by side: a worker pool, a time and
+ * attempt budget shared by the workers, and per-file locks.
+ */
+
+/**
+ * Run `worker` over `items` with at most `concurrency` running at once.
+ *
+ * Results are handed to `onResult` in the order of `items` — a result
+ * that is ready early waits until every result before it has been
+ * handed over — so output stays in a stable order however the work
+ * interleaves. If a worker throws, no new items are started, and the
+ * first error is rethrown once the running ones have finished.
+ *
+ * @param {Array} items
+ * @param {function(*, number): Promise<*>} worker - Called with (item, index)
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - Maximum running workers (default 1)
+ * @param {function(*, number): void} [options.onResult] - Called with (result, index), in order
+ * @returns {Promise<Array>} Results, in the order of `items`
+ */
+export async function runPool(items, worker, options = {}) {
+  const concurrency = Math.max(1, Math.min(options.concurrency || 1, items.length));
+  const results = new Array(items.length);
+  const ready = new Array(items.length).fill(false);
+  let next = 0;
+  let flushed = 0;
+  let error = null;
+
+  const flush = () => {
+    while (flushed < items.length && ready[flushed]) {
+      options.onResult?.(results[flushed], flushed);
+      flushed++;
+    }
+  };
+
+  const run = async () => {
+    while (next < items.length && !error) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (err) {
+        error = error || err;
+        return;
+      }
+      ready[index] = true;
+      flush();
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, run));
+
+  if (error) throw error;
+  return results;
+}
+
+/**
+ * Limit fixing by wall-clock time and by number of backend requests.
+ * The clock starts when the budget is created. Requests already running
+ * when the budget runs out are allowed to finish.
+ * @param {object} [limits]
+ * @param {number} [limits.maxTime] - Milliseconds
+ * @param {number} [limits.maxAttempts] - Backend requests
+ * @returns {{take: function(): void, exhausted: function(): string|null, attempts: function(): number}}
+ *   take() counts a request and throws if the budget is used up;
+ *   exhausted() says why it is used up, or null
+ */
+export function createBudget(limits = {}) {
+  const startedAt = Date.now();
+  let attempts = 0;
+
+  const exhausted = () => {
+    if (limits.maxTime && Date.now() - startedAt >= limits.maxTime) {
+      return `Time budget of ${formatSeconds(limits.maxTime)} used up`;
+    }
+    if (limits.maxAttempts && attempts >= limits.maxAttempts) {
+      return `Budget of ${limits.maxAttempts} fix request${limits.maxAttempts !== 1 ? 's' : ''} used up`;
+    }
+    return null;
+  };
+
+  return {
+    take() {
+      const reason = exhausted();
+      if (reason) throw new Error(reason);
+      attempts++;
+    },
+    exhausted,
+    attempts: () => attempts,
+  };
+}
+
+/**
+ * Per-file locks, so a file is never worked on by two workers at once —
+ * also when it is reached through different paths (symlinks, `..`)
+ * @returns {{run: function(string, function(): Promise<*>): Promise<*>}}
+ *   run(filePath, fn) calls fn once no other fn holds the file
+ */
+export function createFileLocks() {
+  const tails = new Map();
+
+  return {
+    async run(filePath, fn) {
+      const key = lockKey(filePath);
+      const previous = tails.get(key) || Promise.resolve();
+
+      let release;
+      const current = new Promise(resolve => { release = resolve; });
+      const tail = previous.then(() => current);
+      tails.set(key, tail);
+
+      await previous;
+      try {
+        return await fn();
+      } finally {
+        release();
+        if (tails.get(key) === tail) tails.delete(key);
+      }
+    },
+  };
+}
+
+function lockKey(filePath) {
+  try {
+    return fs.realpathSync(filePath);
+  } catch {
+    return path.resolve(filePath);
+  }
+}
+
+function formatSeconds(ms) {
+  return `${Math.round(ms / 1000)}s`;
+}
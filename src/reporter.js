@@ -2,6 +2,12 @@ import chalk from 'chalk';
 import gradientString from 'gradient-string';
 import logSymbols from 'log-symbols';
 import boxen from 'boxen';
+import fs from 'fs';
+import path from 'path';
+import { createTwoFilesPatch } from 'diff';
+import { fingerprintIssue } from './baseline.js';
+import { UNUSED_SUPPRESSION_ID } from './suppressions.js';
+import { formatHTMLReport } from './html-report.js';
 
 // ─── Color Palette ───────────────────────────────────────────────────────────
 const colors = {
@@ -18,6 +24,11 @@ const colors = {
   count: chalk.white.bold,
 };
 
+// Package version, shown in the banner and reported as the SARIF tool version
+export const VERSION = JSON.parse(
+  fs.readFileSync(new URL('../package.json', import.meta.url), 'utf-8')
+).version;
+
 // Custom gradient for the banner
 const bannerGradient = gradientString('#00d4ff', '#7b2ff7', '#ff2d95');
 
@@ -37,7 +48,7 @@ const BANNER = `
 export function printBanner() {
   console.log(bannerGradient(BANNER));
   console.log(
-    chalk.dim('  v1.1.0 — AI-powered accessibility scanner')
+    chalk.dim(`  v${VERSION} — AI-powered accessibility scanner`)
   );
   console.log(
     chalk.dim('  Powered by GitHub Copilot CLI ✦\n')
@@ -148,8 +159,13 @@ const RULE_CATEGORIES = {
   'keyboard-handlers': 'Keyboard',
   'no-autofocus':      'Keyboard',
   'tabindex-positive': 'Keyboard',
+  'focus-visible':     'Keyboard',
   'hover-only':        'Interaction',
+  'hover-reveal':      'Interaction',
   'disabled-state':    'Interaction',
+  'interaction-trap':  'Interaction',
+  'color-contrast':    'Visual',
+  'reduced-motion':    'Visual',
 };
 
 const CATEGORY_COLORS = {
@@ -158,6 +174,7 @@ const CATEGORY_COLORS = {
   'Semantic HTML': chalk.blue,
   'Keyboard':      chalk.yellow,
   'Interaction':   chalk.red,
+  'Visual':        chalk.green,
 };
 
 const CATEGORY_ICONS = {
@@ -166,6 +183,7 @@ const CATEGORY_ICONS = {
   'Semantic HTML': '🏗️',
   'Keyboard':      '⌨️',
   'Interaction':   '👆',
+  'Visual':        '🎨',
 };
 
 /**
@@ -221,6 +239,31 @@ function printDashboard(issues) {
   );
 }
 
+/**
+ * Print how the scan compared against a baseline file
+ * @param {number} matched - Issues hidden because they are in the baseline
+ * @param {object[]} fixed - Baseline entries that no longer occur
+ */
+export function printBaselineSummary(matched, fixed) {
+  console.log(
+    `  ${logSymbols.info} ${colors.count(matched)} known issue${matched !== 1 ? 's' : ''} ` +
+    colors.dim('hidden by the baseline')
+  );
+
+  if (fixed.length > 0) {
+    console.log(
+      `  ${chalk.green('✔')} ${colors.count(fixed.length)} baseline issue${fixed.length !== 1 ? 's' : ''} ` +
+      colors.success('fixed since the baseline was written:')
+    );
+    for (const entry of fixed) {
+      console.log(`    ${colors.file(entry.file)}${colors.line(`:${entry.line}`)}  ${colors.rule(entry.ruleId)}`);
+    }
+    console.log(colors.dim('  Re-run with --write-baseline to drop them from the baseline.'));
+  }
+
+  console.log('');
+}
+
 /**
  * Print the fix prompt for a single issue (used with --fix flag)
  * @param {string} filePath
@@ -255,25 +298,35 @@ export function printFixPrompt(filePath, issue) {
  * Print auto-fix progress
  * @param {string} filePath
  * @param {object} issue
- * @param {'start'|'success'|'error'} status
+ * @param {'start'|'success'|'error'|'syntax-error'|'introduced'} status
  * @param {string} [errorMsg]
  */
 export function printAutoFixStatus(filePath, issue, status, errorMsg) {
-  const prefix = `  ${colors.file(filePath)}:${issue.line}`;
+  const text = formatAutoFixStatus(filePath, issue, status, errorMsg);
+  if (text) console.log(text);
+}
 
+/**
+ * Format auto-fix progress, for output that is buffered before printing
+ * (see printAutoFixStatus)
+ * @returns {string}
+ */
+export function formatAutoFixStatus(filePath, issue, status, errorMsg) {
   switch (status) {
     case 'start':
-      console.log(`  ${chalk.cyan('⟳')} Fixing ${colors.rule(issue.ruleId)} in ${colors.file(filePath)}:${issue.line}...`);
-      break;
+      return `  ${chalk.cyan('⟳')} Fixing ${colors.rule(issue.ruleId)} in ${colors.file(filePath)}:${issue.line}...`;
     case 'success':
-      console.log(`  ${chalk.green('✔')} Fixed ${colors.rule(issue.ruleId)} in ${colors.file(filePath)}:${issue.line}`);
-      break;
+      return `  ${chalk.green('✔')} Fixed ${colors.rule(issue.ruleId)} in ${colors.file(filePath)}:${issue.line}`;
     case 'error':
-      console.log(`  ${chalk.red('✘')} Failed to fix ${colors.rule(issue.ruleId)} in ${colors.file(filePath)}:${issue.line}`);
-      if (errorMsg) {
-        console.log(`    ${colors.dim(errorMsg)}`);
-      }
-      break;
+      return `  ${chalk.red('✘')} Failed to fix ${colors.rule(issue.ruleId)} in ${colors.file(filePath)}:${issue.line}` +
+        (errorMsg ? `\n    ${colors.dim(errorMsg)}` : '');
+    case 'syntax-error':
+      return `  ${chalk.yellow('⚠')} Fix introduced a syntax error in ${colors.file(filePath)}\n    ${colors.dim(errorMsg)}`;
+    case 'introduced':
+      return `  ${chalk.yellow('⚠')} Fix introduced ${colors.rule(issue.ruleId)} in ${colors.file(filePath)}:${issue.line}\n` +
+        `    ${colors.dim(errorMsg || issue.message)}`;
+    default:
+      return '';
   }
 }
 
@@ -282,16 +335,22 @@ export function printAutoFixStatus(filePath, issue, status, errorMsg) {
  * @param {number} fixed
  * @param {number} failed
  * @param {number} total
+ * @param {object} [options]
+ * @param {string} [options.via] - What made the fixes (default 'Copilot CLI')
+ * @param {number} [options.introduced] - New issues the fixes caused
  */
-export function printAutoFixSummary(fixed, failed, total) {
+export function printAutoFixSummary(fixed, failed, total, options = {}) {
+  const via = options.via || 'Copilot CLI';
+  const introduced = options.introduced || 0;
+
   console.log('');
   console.log(chalk.dim('  ' + '─'.repeat(65)));
   console.log('');
 
-  if (failed === 0) {
+  if (failed === 0 && introduced === 0) {
     console.log(
       boxen(
-        chalk.green.bold(`✨ All ${fixed} issue${fixed !== 1 ? 's' : ''} fixed with Copilot CLI! ✨`) +
+        chalk.green.bold(`✨ All ${fixed} issue${fixed !== 1 ? 's' : ''} fixed with ${via}! ✨`) +
         '\n\n' +
         chalk.dim('Review the changes and commit when satisfied.'),
         {
@@ -306,12 +365,75 @@ export function printAutoFixSummary(fixed, failed, total) {
     console.log(
       `  ${chalk.green('✔')} ${colors.count(fixed)} fixed  ` +
       `${chalk.red('✘')} ${colors.count(failed)} failed  ` +
+      (introduced > 0 ? `${chalk.yellow('⚠')} ${colors.count(introduced)} introduced  ` : '') +
       colors.dim(`(${total} total)`)
     );
   }
   console.log('');
 }
 
+/**
+ * Print a colorized unified diff between two versions of a file
+ * @param {string} filePath - Relative file path
+ * @param {string} before
+ * @param {string} after
+ */
+export function printDiff(filePath, before, after) {
+  const patch = createTwoFilesPatch(`a/${filePath}`, `b/${filePath}`, before, after, '', '', { context: 3 });
+
+  console.log('');
+  for (const line of patch.split('\n').slice(1)) {
+    if (line.startsWith('---') || line.startsWith('+++')) {
+      console.log(`    ${colors.bold(line.trimEnd())}`);
+    } else if (line.startsWith('@@')) {
+      console.log(`    ${colors.info(line)}`);
+    } else if (line.startsWith('+')) {
+      console.log(`    ${colors.success(line)}`);
+    } else if (line.startsWith('-')) {
+      console.log(`    ${colors.error(line)}`);
+    } else if (line.startsWith('\\')) {
+      console.log(`    ${colors.dim(line)}`);
+    } else if (line) {
+      console.log(`    ${line}`);
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Print what an interactive fix review wrote
+ * @param {object} summary
+ * @param {number} summary.accepted - Changes written
+ * @param {number} summary.rejected - Changes discarded
+ * @param {number} summary.skipped - Changes not reviewed
+ * @param {string[]} summary.written - Relative paths of the files with accepted changes
+ * @param {object} [options]
+ * @param {boolean} [options.written] - Whether the changes were written to disk (default true)
+ */
+export function printReviewSummary({ accepted, rejected, skipped, written }, options = {}) {
+  console.log('');
+  console.log(chalk.dim('  ' + '─'.repeat(65)));
+  console.log('');
+
+  console.log(
+    `  ${chalk.green('✔')} ${colors.count(accepted)} accepted  ` +
+    `${chalk.red('✘')} ${colors.count(rejected)} rejected  ` +
+    `${chalk.dim('○')} ${colors.count(skipped)} skipped`
+  );
+
+  if (written.length > 0) {
+    console.log('');
+    const verb = options.written === false ? 'Accepted changes to' : 'Wrote';
+    console.log(`  ${colors.bold(`${verb} ${written.length} file${written.length !== 1 ? 's' : ''}:`)}`);
+    for (const file of written) {
+      console.log(`    ${colors.file(file)}`);
+    }
+  } else {
+    console.log(colors.dim('  No files were changed.'));
+  }
+  console.log('');
+}
+
 /**
  * Print the rules list
  * @param {object[]} rules
@@ -327,8 +449,10 @@ export function printRulesList(rules) {
 
     console.log(`  ${colors.rule(rule.id.padEnd(18))} ${severityBadge}`);
     console.log(`  ${chalk.white(rule.description)}`);
-    console.log(`  ${colors.dim(`WCAG ${rule.wcag} — ${rule.impact}`)}`);
-    console.log(`  ${colors.dim(rule.url)}`);
+    if (rule.wcag || rule.impact) {
+      console.log(`  ${colors.dim([rule.wcag && `WCAG ${rule.wcag}`, rule.impact].filter(Boolean).join(' — '))}`);
+    }
+    if (rule.url) console.log(`  ${colors.dim(rule.url)}`);
     console.log('');
   }
 }
@@ -341,6 +465,314 @@ export function printJSON(report) {
   console.log(JSON.stringify(report, null, 2));
 }
 
+// ─── SARIF ───────────────────────────────────────────────────────────────────
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Descriptor for issues raised by the suppression checker rather than a rule
+ */
+const UNUSED_SUPPRESSION_RULE = {
+  id: UNUSED_SUPPRESSION_ID,
+  description: 'a11y-pilot-disable comments must suppress at least one issue',
+  severity: 'warning',
+  impact: 'Stale suppression comments can hide future regressions',
+  url: 'https://github.com/Safvan-tsy/a11y-pilot#suppressing-issues',
+};
+
+/**
+ * Build a SARIF 2.1.0 log from scan results.
+ * Every rule in the registry gets a reportingDescriptor: rules that ran with
+ * their configured severity, the others (left out by --rules or "off") with
+ * `enabled: false`.
+ * @param {Map<string, object[]>} issuesByFile - Map of filePath → issues[]
+ * @param {object[]} rules - Rules that ran, as configured
+ * @param {object[]} [registry] - Every built-in and plugin rule (default: `rules`)
+ * @returns {object} SARIF log
+ */
+export function buildSARIF(issuesByFile, rules, registry = rules) {
+  const configured = new Map(rules.map(rule => [rule.id, rule]));
+  const descriptors = [
+    ...registry.map(rule => toReportingDescriptor(configured.get(rule.id) || rule, configured.has(rule.id))),
+    toReportingDescriptor(UNUSED_SUPPRESSION_RULE),
+  ];
+  const ruleIndex = new Map(descriptors.map((rule, i) => [rule.id, i]));
+
+  const results = [];
+  for (const [filePath, issues] of issuesByFile) {
+    const uri = toUri(filePath);
+
+    for (const issue of issues) {
+      const region = { startLine: Math.max(issue.line, 1) };
+      if (issue.column !== undefined) region.startColumn = issue.column + 1;
+      if (issue.sourceLine) region.snippet = { text: issue.sourceLine };
+
+      const result = {
+        ruleId: issue.ruleId,
+        level: issue.severity === 'error' ? 'error' : 'warning',
+        message: { text: issue.message },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+              region,
+            },
+          },
+        ],
+        partialFingerprints: {
+          'a11yPilot/v1': fingerprintIssue(issue, uri),
+        },
+      };
+
+      if (ruleIndex.has(issue.ruleId)) result.ruleIndex = ruleIndex.get(issue.ruleId);
+      if (issue.fix) result.properties = { fix: issue.fix };
+
+      results.push(result);
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'a11y-pilot',
+            version: VERSION,
+            informationUri: 'https://github.com/Safvan-tsy/a11y-pilot',
+            rules: descriptors,
+          },
+        },
+        originalUriBaseIds: {
+          '%SRCROOT%': { uri: toUri(process.cwd(), true) },
+        },
+        results,
+      },
+    ],
+  };
+}
+
+/**
+ * Map a rule to a SARIF reportingDescriptor
+ * @param {object} rule
+ * @param {boolean} [enabled] - Whether the rule ran
+ * @returns {object}
+ */
+function toReportingDescriptor(rule, enabled = true) {
+  const tags = ['accessibility'];
+  if (rule.wcag) {
+    tags.push(...rule.wcag.split(',').map(sc => `wcag-${sc.trim()}`));
+  }
+  if (RULE_CATEGORIES[rule.id]) tags.push(RULE_CATEGORIES[rule.id]);
+
+  const descriptor = {
+    id: rule.id,
+    shortDescription: { text: rule.description },
+    fullDescription: { text: rule.impact || rule.description },
+    defaultConfiguration: {
+      level: rule.severity === 'error' ? 'error' : 'warning',
+      ...(!enabled && { enabled: false }),
+    },
+    properties: { tags },
+  };
+
+  if (rule.url) {
+    descriptor.helpUri = rule.url;
+    descriptor.help = { text: `${rule.description}. See ${rule.url}` };
+  }
+  if (rule.wcag) descriptor.properties.wcag = rule.wcag;
+  if (rule.impact) descriptor.properties.impact = rule.impact;
+
+  return descriptor;
+}
+
+/**
+ * Convert a path to a SARIF URI: relative to cwd for files, file:// for the root
+ */
+function toUri(filePath, absolute = false) {
+  if (absolute) {
+    const posix = path.resolve(filePath).split(path.sep).join('/');
+    return `file://${posix.startsWith('/') ? '' : '/'}${posix}/`;
+  }
+  return path.relative(process.cwd(), filePath).split(path.sep).join('/');
+}
+
+// ─── CI Formats ──────────────────────────────────────────────────────────────
+
+/**
+ * Render scan results in a machine-readable format
+ * @param {'sarif'|'junit'|'checkstyle'|'github'|'html'} format
+ * @param {Map<string, object[]>} issuesByFile - Map of filePath → issues[]
+ * @param {object} context
+ * @param {object[]} context.rules - Rules that ran, as configured
+ * @param {object[]} [context.registry] - Every built-in and plugin rule, for SARIF
+ *   (default: `rules`)
+ * @param {string[]} context.files - Every file that was scanned
+ * @returns {string}
+ */
+export function formatReport(format, issuesByFile, { rules, registry = rules, files }) {
+  switch (format) {
+    case 'sarif':
+      return JSON.stringify(buildSARIF(issuesByFile, rules, registry), null, 2);
+    case 'junit':
+      return formatJUnit(issuesByFile, files);
+    case 'checkstyle':
+      return formatCheckstyle(issuesByFile);
+    case 'github':
+      return formatGitHubAnnotations(issuesByFile);
+    case 'html':
+      return formatHTMLReport(issuesByFile, { rules, files });
+    default:
+      throw new Error(`Unknown format "${format}"`);
+  }
+}
+
+/**
+ * JUnit XML: one <testsuite> per scanned file, one failing <testcase> per
+ * issue. Clean files get a single passing test case so they show up as green.
+ * @param {Map<string, object[]>} issuesByFile
+ * @param {string[]} files
+ * @returns {string}
+ */
+export function formatJUnit(issuesByFile, files) {
+  const suites = [];
+  let totalTests = 0;
+  let totalFailures = 0;
+
+  for (const filePath of files) {
+    const name = toUri(filePath);
+    const issues = issuesByFile.get(filePath) || [];
+    const cases = [];
+
+    if (issues.length === 0) {
+      cases.push(`    <testcase classname="${escapeXml(name)}" name="a11y-pilot" time="0" />`);
+    }
+
+    for (const issue of issues) {
+      const location = `${name}:${issue.line}${issue.column !== undefined ? `:${issue.column + 1}` : ''}`;
+      cases.push(
+        `    <testcase classname="${escapeXml(name)}" name="${escapeXml(`${issue.ruleId} (line ${issue.line})`)}" time="0">\n` +
+        `      <failure type="${escapeXml(issue.severity)}" message="${escapeXml(issue.message)}">` +
+        escapeXml(`${issue.severity.toUpperCase()}: ${issue.message}\n${location}\n${issue.sourceLine || ''}\nFix: ${issue.fix || ''}`) +
+        `</failure>\n` +
+        `    </testcase>`
+      );
+    }
+
+    const tests = Math.max(issues.length, 1);
+    totalTests += tests;
+    totalFailures += issues.length;
+
+    suites.push(
+      `  <testsuite name="${escapeXml(name)}" tests="${tests}" failures="${issues.length}" errors="0" skipped="0" time="0">\n` +
+      cases.join('\n') + '\n' +
+      '  </testsuite>'
+    );
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="a11y-pilot" tests="${totalTests}" failures="${totalFailures}" errors="0" time="0">`,
+    ...suites,
+    '</testsuites>',
+  ].join('\n');
+}
+
+/**
+ * Checkstyle XML, as consumed by most CI code-quality plugins
+ * @param {Map<string, object[]>} issuesByFile
+ * @returns {string}
+ */
+export function formatCheckstyle(issuesByFile) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<checkstyle version="4.3">',
+  ];
+
+  for (const [filePath, issues] of issuesByFile) {
+    lines.push(`  <file name="${escapeXml(path.resolve(filePath))}">`);
+    for (const issue of issues) {
+      const column = issue.column !== undefined ? ` column="${issue.column + 1}"` : '';
+      lines.push(
+        `    <error line="${issue.line}"${column} severity="${issue.severity}" ` +
+        `message="${escapeXml(issue.message)}" source="a11y-pilot.${escapeXml(issue.ruleId)}" />`
+      );
+    }
+    lines.push('  </file>');
+  }
+
+  lines.push('</checkstyle>');
+  return lines.join('\n');
+}
+
+/**
+ * GitHub Actions workflow commands — rendered as inline annotations on the PR diff
+ * @param {Map<string, object[]>} issuesByFile
+ * @returns {string}
+ */
+export function formatGitHubAnnotations(issuesByFile) {
+  const lines = [];
+
+  for (const [filePath, issues] of issuesByFile) {
+    const file = toUri(filePath);
+    for (const issue of issues) {
+      const props = [`file=${file}`, `line=${issue.line}`];
+      if (issue.column !== undefined) props.push(`col=${issue.column + 1}`);
+      props.push(`title=a11y-pilot (${issue.ruleId})`);
+
+      const command = issue.severity === 'error' ? 'error' : 'warning';
+      const properties = props.map(p => {
+        const eq = p.indexOf('=');
+        return `${p.slice(0, eq)}=${escapeAnnotationProperty(p.slice(eq + 1))}`;
+      });
+      const message = issue.fix ? `${issue.message}\n${issue.fix}` : issue.message;
+
+      lines.push(`::${command} ${properties.join(',')}::${escapeAnnotationData(message)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Write a machine-readable report to a file, or stdout when no file is given
+ * @param {string} content
+ * @param {string} [outputFile]
+ */
+export function writeReport(content, outputFile) {
+  if (outputFile) {
+    fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+    fs.writeFileSync(outputFile, content.endsWith('\n') ? content : content + '\n');
+    return;
+  }
+  console.log(content);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Characters that are illegal in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function escapeAnnotationData(value) {
+  return String(value)
+    .replace(/%/g, '%25')
+    .replace(/\r/g, '%0D')
+    .replace(/\n/g, '%0A');
+}
+
+function escapeAnnotationProperty(value) {
+  return escapeAnnotationData(value)
+    .replace(/:/g, '%3A')
+    .replace(/,/g, '%2C');
+}
+
 /**
  * Print error message
  * @param {string} message
@@ -354,19 +786,50 @@ export function printError(message) {
  * @param {string} message
  */
 export function printInfo(message) {
-  console.log(`  ${logSymbols.info} ${chalk.cyan(message)}`);
+  console.log(formatInfo(message));
+}
+
+/**
+ * Format an info message (see printInfo)
+ * @param {string} message
+ * @returns {string}
+ */
+export function formatInfo(message) {
+  return `  ${logSymbols.info} ${chalk.cyan(message)}`;
+}
+
+/**
+ * Print the offline auto-fix header
+ */
+export function printOfflineFixHeader() {
+  console.log('');
+  console.log(
+    boxen(
+      bannerGradient.multiline('  🔧 Offline Auto-Fix Mode  ') +
+      '\n' +
+      chalk.dim('  Applying built-in rule fixes...'),
+      {
+        padding: { left: 1, right: 1, top: 0, bottom: 0 },
+        margin: { left: 2 },
+        borderColor: 'cyan',
+        borderStyle: 'double',
+      }
+    )
+  );
+  console.log('');
 }
 
 /**
- * Print the copilot bridge header
+ * Print the AI auto-fix header
+ * @param {string} [label] - Fix backend in use
  */
-export function printCopilotBridgeHeader() {
+export function printFixBackendHeader(label = 'Copilot CLI') {
   console.log('');
   console.log(
     boxen(
-      bannerGradient.multiline('  🤖 Copilot CLI Auto-Fix Mode  ') +
+      bannerGradient.multiline('  🤖 AI Auto-Fix Mode  ') +
       '\n' +
-      chalk.dim('  Invoking GitHub Copilot CLI to fix accessibility issues...'),
+      chalk.dim(`  Fixing accessibility issues with ${label}...`),
       {
         padding: { left: 1, right: 1, top: 0, bottom: 0 },
         margin: { left: 2 },
@@ -0,0 +1,176 @@
+import assert from 'assert';
+import { analyzeSource } from './linter.js';
+import { getFileType } from './scanner.js';
+import { validateRule } from './plugins.js';
+import { applyEdits } from './autofix.js';
+
+const ERROR_KEYS = new Set(['message', 'line', 'column', 'severity', 'ruleId']);
+
+/**
+ * Test a rule against valid and invalid snippets, using the real parsers.
+ *
+ *   const tester = new RuleTester({ fileType: 'jsx' });
+ *   tester.run('img-alt', imgAlt, {
+ *     valid: ['<img alt="Logo" />', { code: '<img alt="">', fileType: 'html' }],
+ *     invalid: [{
+ *       code: '<img src="a.png" />',
+ *       errors: [{ message: /missing the `alt`/, line: 1, column: 0 }],
+ *     }],
+ *   });
+ *
+ * A case is a code string or an object:
+ *   code       — JSX/TSX snippet, HTML, or a full Vue/Svelte/Astro component
+ *   fileType   — 'jsx' | 'html' | 'vue' | 'svelte' | 'astro' | 'css' | 'scss' (default: the tester's)
+ *   filename   — alternative to fileType; the type comes from the extension
+ *   options    — rule options, as `[severity, options]` would pass them in config
+ *   name       — test title (default: the code)
+ *
+ * Invalid cases also take:
+ *   errors     — expected issue count, or one entry per issue (in line order)
+ *                with any of message (string or RegExp), line, column,
+ *                severity, ruleId
+ *   output     — source after applying the issues' `edits`, or null to
+ *                assert the rule offers no fix
+ *
+ * When a test framework's `describe`/`it` are global (Vitest with globals,
+ * Jest, Mocha), each case becomes a test. Otherwise — or with
+ * `RuleTester.describe` / `RuleTester.it` set explicitly — cases run
+ * immediately and the first failure throws an AssertionError.
+ */
+export class RuleTester {
+  /** @type {function(string, function): void|null} */
+  static describe = null;
+  /** @type {function(string, function): void|null} */
+  static it = null;
+
+  /**
+   * @param {object} [defaults]
+   * @param {string} [defaults.fileType] - File type for cases that don't set one (default 'jsx')
+   */
+  constructor(defaults = {}) {
+    this.defaults = { fileType: 'jsx', ...defaults };
+  }
+
+  /**
+   * @param {string} ruleId - Rule id (issues are reported under it)
+   * @param {object} rule - Rule object
+   * @param {{valid?: Array<string|object>, invalid?: object[]}} tests
+   */
+  run(ruleId, rule, tests) {
+    validateRule(rule, `Rule "${ruleId}"`);
+
+    const describe = RuleTester.describe || globalThis.describe || ((title, fn) => fn());
+    const it = RuleTester.it || globalThis.it || ((title, fn) => fn());
+
+    describe(ruleId, () => {
+      describe('valid', () => {
+        for (const testCase of tests.valid || []) {
+          const item = normalizeCase(testCase);
+          it(item.name || item.code, () => this.runValid(ruleId, rule, item));
+        }
+      });
+
+      describe('invalid', () => {
+        for (const testCase of tests.invalid || []) {
+          const item = normalizeCase(testCase);
+          it(item.name || item.code, () => this.runInvalid(ruleId, rule, item));
+        }
+      });
+    });
+  }
+
+  /**
+   * Analyze a case with only the rule under test enabled
+   * @returns {object[]} Issues
+   */
+  analyze(ruleId, rule, item) {
+    const fileType = item.fileType
+      || (item.filename ? getFileType(item.filename) : this.defaults.fileType);
+
+    if (!['jsx', 'html', 'vue', 'svelte', 'astro', 'css', 'scss'].includes(fileType)) {
+      throw new Error(`Unsupported fileType "${fileType}" in test case`);
+    }
+
+    const configured = { ...rule, id: ruleId, options: item.options || {} };
+    return analyzeSource(item.code, {
+      fileType,
+      filePath: item.filename || `test.${fileType}`,
+      rules: [configured],
+    });
+  }
+
+  runValid(ruleId, rule, item) {
+    const issues = this.analyze(ruleId, rule, item);
+    assert.strictEqual(
+      issues.length,
+      0,
+      `Expected no issues but got ${issues.length}:\n${formatIssues(issues)}`
+    );
+  }
+
+  runInvalid(ruleId, rule, item) {
+    if (item.errors === undefined) {
+      throw new Error('Invalid test cases need an "errors" count or array');
+    }
+
+    const issues = this.analyze(ruleId, rule, item);
+    const expected = typeof item.errors === 'number' ? item.errors : item.errors.length;
+
+    assert.strictEqual(
+      issues.length,
+      expected,
+      `Expected ${expected} issue${expected !== 1 ? 's' : ''} but got ${issues.length}:\n${formatIssues(issues)}`
+    );
+
+    if (Array.isArray(item.errors)) {
+      item.errors.forEach((error, i) => assertIssue(issues[i], error, i));
+    }
+
+    if ('output' in item) {
+      const fixable = issues.filter(issue => issue.edits?.length);
+      if (item.output === null) {
+        assert.strictEqual(fixable.length, 0, 'Expected no autofix, but the rule provided edits');
+      } else {
+        assert.ok(fixable.length > 0, 'Expected an autofix, but the rule provided no edits');
+        const { output } = applyEdits(item.code, fixable.map(issue => issue.edits));
+        assert.strictEqual(output, item.output, 'Autofix output differs');
+      }
+    }
+  }
+}
+
+function normalizeCase(testCase) {
+  return typeof testCase === 'string' ? { code: testCase } : testCase;
+}
+
+function assertIssue(issue, expected, index) {
+  if (typeof expected === 'string' || expected instanceof RegExp) {
+    expected = { message: expected };
+  }
+
+  for (const key of Object.keys(expected)) {
+    if (!ERROR_KEYS.has(key)) {
+      throw new Error(`Unknown property "${key}" in expected error #${index + 1}`);
+    }
+  }
+
+  const where = `issue #${index + 1}`;
+
+  if (expected.message instanceof RegExp) {
+    assert.match(issue.message, expected.message, `Message of ${where} doesn't match`);
+  } else if (expected.message !== undefined) {
+    assert.strictEqual(issue.message, expected.message, `Message of ${where} differs`);
+  }
+
+  for (const key of ['line', 'column', 'severity', 'ruleId']) {
+    if (expected[key] !== undefined) {
+      assert.strictEqual(issue[key], expected[key], `${key} of ${where} differs`);
+    }
+  }
+}
+
+function formatIssues(issues) {
+  return issues
+    .map(issue => `  ${issue.line}:${issue.column ?? '-'} ${issue.message}`)
+    .join('\n') || '  (none)';
+}
@@ -4,6 +4,8 @@
  * WCAG 2.4.4 — Link Purpose in Context (Level A)
  * WCAG 4.1.2 — Name, Role, Value (Level A)
  */
+import { computeAccessibleName } from '../aria/accessible-name.js';
+
 export default {
   id: 'anchor-content',
   description: '<a> elements must have text content or aria-label',
@@ -12,24 +14,20 @@ export default {
   impact: 'Screen readers announce "link" without a name, making navigation impossible',
   url: 'https://www.w3.org/WAI/WCAG21/Understanding/link-purpose-in-context.html',
 
-  check(element) {
+  check(element, context) {
     if (element.name !== 'a') return null;
-    if (element.hasAttributes['...spread']) return null;
 
     // Must have href to be a link (otherwise it might be an anchor target)
     const hasHref = 'href' in element.attributes;
     if (!hasHref) return null;
 
-    const hasAriaLabel = 'aria-label' in element.attributes || 'ariaLabel' in element.attributes;
-    const hasAriaLabelledBy = 'aria-labelledby' in element.attributes || 'ariaLabelledby' in element.attributes;
-    const hasTitle = 'title' in element.attributes;
-    const hasText = element.hasTextChildren;
     const hasAriaHidden = element.attributes['aria-hidden'] === 'true' || element.attributes['ariaHidden'] === 'true';
 
     // Skip if aria-hidden (intentionally hidden from screen readers)
     if (hasAriaHidden) return null;
 
-    if (!hasAriaLabel && !hasAriaLabelledBy && !hasTitle && !hasText) {
+    // An image with alt="" or a hidden icon leaves the link without a name
+    if (computeAccessibleName(element, context.elements) === '') {
       return {
         ruleId: this.id,
         severity: this.severity,
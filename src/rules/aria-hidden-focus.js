@@ -4,7 +4,11 @@
  * or have aria-hidden="true" themselves while being focusable.
  * WCAG 4.1.2 — Name, Role, Value (Level A)
  * WCAG 1.3.1 — Info and Relationships (Level A)
+ *
+ * Autofix: adds tabindex -1, keeping the element hidden and taking it out of
+ * the tab order.
  */
+import { setAttribute } from '../autofix.js';
 
 const FOCUSABLE_ELEMENTS = new Set([
   'a', 'button', 'input', 'select', 'textarea', 'summary',
@@ -18,7 +22,7 @@ export default {
   impact: 'Screen readers will skip the element but keyboard users can still focus it, creating a confusing mismatch',
   url: 'https://www.w3.org/WAI/WCAG21/Understanding/name-role-value.html',
 
-  check(element) {
+  check(element, context) {
     if (element.hasAttributes['...spread']) return null;
 
     const isAriaHidden =
@@ -54,6 +58,7 @@ export default {
         line: element.line,
         sourceLine: element.sourceLine,
         fix: 'Either remove aria-hidden="true" or add tabIndex={-1} to remove it from the tab order',
+        edits: [setAttribute(context, element, element.syntax === 'jsx' ? 'tabIndex' : 'tabindex', -1)],
         copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element has aria-hidden="true" but is still focusable by keyboard. This creates a confusing experience — keyboard users can tab to it, but screen readers skip it entirely. Either remove aria-hidden="true" so the element is properly announced, or add tabIndex={-1} to also remove it from the keyboard tab order. Choose based on whether the element should be accessible or truly hidden.`,
       };
     }
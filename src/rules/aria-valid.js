@@ -1,46 +1,30 @@
 /**
  * Rule: aria-valid
- * Validates ARIA roles, states, and properties.
+ * Validates ARIA roles, states, and properties against the ARIA 1.2 model
+ * (see aria/roles.js and aria/attributes.js): valid names, value types,
+ * deprecated attributes, and the states each role requires, supports and
+ * prohibits. Elements without a role attribute are checked against their
+ * implicit role (<div> is generic, <a href> is a link).
  * WCAG 4.1.2 — Name, Role, Value (Level A)
+ *
+ * Autofix: renames misspelled aria-* attributes with one close valid match,
+ * and removes role="presentation"/"none" from interactive elements.
  */
-
-const VALID_ROLES = new Set([
-  'alert', 'alertdialog', 'application', 'article', 'banner', 'button',
-  'cell', 'checkbox', 'columnheader', 'combobox', 'complementary',
-  'contentinfo', 'definition', 'dialog', 'directory', 'document',
-  'feed', 'figure', 'form', 'grid', 'gridcell', 'group', 'heading',
-  'img', 'link', 'list', 'listbox', 'listitem', 'log', 'main',
-  'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox',
-  'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option',
-  'presentation', 'progressbar', 'radio', 'radiogroup', 'region',
-  'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox',
-  'separator', 'slider', 'spinbutton', 'status', 'switch', 'tab',
-  'table', 'tablist', 'tabpanel', 'term', 'textbox', 'timer',
-  'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem',
-]);
-
-const VALID_ARIA_ATTRS = new Set([
-  'aria-activedescendant', 'aria-atomic', 'aria-autocomplete',
-  'aria-braillelabel', 'aria-brailleroledescription', 'aria-busy',
-  'aria-checked', 'aria-colcount', 'aria-colindex', 'aria-colindextext',
-  'aria-colspan', 'aria-controls', 'aria-current', 'aria-describedby',
-  'aria-description', 'aria-details', 'aria-disabled', 'aria-dropeffect',
-  'aria-errormessage', 'aria-expanded', 'aria-flowto', 'aria-grabbed',
-  'aria-haspopup', 'aria-hidden', 'aria-invalid', 'aria-keyshortcuts',
-  'aria-label', 'aria-labelledby', 'aria-level', 'aria-live',
-  'aria-modal', 'aria-multiline', 'aria-multiselectable', 'aria-orientation',
-  'aria-owns', 'aria-placeholder', 'aria-posinset', 'aria-pressed',
-  'aria-readonly', 'aria-relevant', 'aria-required', 'aria-roledescription',
-  'aria-rowcount', 'aria-rowindex', 'aria-rowindextext', 'aria-rowspan',
-  'aria-selected', 'aria-setsize', 'aria-sort', 'aria-valuemax',
-  'aria-valuemin', 'aria-valuenow', 'aria-valuetext',
-]);
+import { removeAttribute, renameAttribute } from '../autofix.js';
+import { ARIA_ATTRIBUTES, checkAttributeValue, isAriaAttribute } from '../aria/attributes.js';
+import { ROLES, getExplicitRole, getImplicitRole } from '../aria/roles.js';
+import { isComponent } from '../aria/accessible-name.js';
 
 // Elements that should NOT have role="presentation" or role="none" if they are interactive
 const INTERACTIVE_ELEMENTS = new Set([
   'a', 'button', 'input', 'select', 'textarea',
 ]);
 
+// Elements whose native state (checked, value) stands in for required ARIA states
+const NATIVE_STATE_ELEMENTS = new Set([
+  'input', 'select', 'textarea', 'meter', 'progress',
+]);
+
 export default {
   id: 'aria-valid',
   description: 'Validates ARIA roles, states, and properties for correct usage',
@@ -49,16 +33,23 @@ export default {
   impact: 'Invalid ARIA attributes confuse screen readers and can make content completely inaccessible',
   url: 'https://www.w3.org/WAI/WCAG21/Understanding/name-role-value.html',
 
-  check(element) {
-    if (element.hasAttributes['...spread']) return null;
+  /**
+   * Reports every problem on the element, not just the first
+   * @param {object} element - Parsed element info
+   * @returns {object[]} Issues found
+   */
+  check(element, context) {
+    if (element.hasAttributes['...spread']) return [];
 
+    const issues = [];
     const attrs = element.attributes;
     const has = element.hasAttributes;
 
     // Check 1: Invalid role value
     const role = attrs['role'];
-    if (role && role !== '{expression}' && !VALID_ROLES.has(role.toLowerCase())) {
-      return {
+    const explicitRole = getExplicitRole(element);
+    if (typeof role === 'string' && role && !explicitRole) {
+      issues.push({
         ruleId: this.id,
         severity: 'error',
         message: `Invalid ARIA role="${role}" on <${element.rawName}>`,
@@ -66,40 +57,141 @@ export default {
         sourceLine: element.sourceLine,
         fix: `Use a valid ARIA role. Common roles: button, link, navigation, dialog, alert, status`,
         copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element has an invalid ARIA role="${role}". Replace it with a valid ARIA role that matches the element's purpose, or remove the role attribute entirely and use a semantic HTML element instead.`,
-      };
+      });
     }
 
     // Check 2: role="presentation" or role="none" on interactive elements
-    if (role && (role === 'presentation' || role === 'none') && INTERACTIVE_ELEMENTS.has(element.name)) {
-      return {
+    if ((explicitRole === 'presentation' || explicitRole === 'none') && INTERACTIVE_ELEMENTS.has(element.name)) {
+      issues.push({
         ruleId: this.id,
         severity: 'error',
         message: `role="${role}" on interactive <${element.rawName}> removes its semantics from the accessibility tree`,
         line: element.line,
         sourceLine: element.sourceLine,
         fix: `Remove role="${role}" from interactive elements — it strips their accessibility semantics`,
+        edits: [removeAttribute(context, element, 'role')].filter(Boolean),
         copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element has role="${role}" which removes it from the accessibility tree. Interactive elements like <${element.rawName}> must not have role="presentation" or role="none". Remove the role attribute so screen readers can properly interact with this element.`,
-      };
+      });
     }
 
     // Check 3: Invalid aria-* attributes
+    const ariaAttrs = [];
     for (const attr of Object.keys(attrs)) {
-      if (attr.startsWith('aria-') && !VALID_ARIA_ATTRS.has(attr.toLowerCase())) {
-        return {
+      if (!attr.startsWith('aria-')) continue;
+      if (isAriaAttribute(attr.toLowerCase())) {
+        ariaAttrs.push(attr);
+        continue;
+      }
+
+      const suggestion = suggestAriaAttribute(attr);
+      issues.push({
+        ruleId: this.id,
+        severity: 'error',
+        message: `Invalid ARIA attribute "${attr}" on <${element.rawName}>` +
+          (suggestion ? ` — did you mean "${suggestion}"?` : ''),
+        line: element.line,
+        sourceLine: element.sourceLine,
+        fix: suggestion
+          ? `Rename "${attr}" to "${suggestion}"`
+          : `Remove or replace "${attr}" with a valid ARIA attribute`,
+        edits: suggestion ? [renameAttribute(element, attr, suggestion)].filter(Boolean) : [],
+        copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element has an invalid ARIA attribute "${attr}". This attribute is not recognized by assistive technologies. Remove it or replace it with the correct ARIA attribute for the intended behavior.`,
+      });
+    }
+
+    // Check 4: Deprecated attributes and values of the wrong type
+    for (const attr of ariaAttrs) {
+      const name = attr.toLowerCase();
+      const { deprecated } = ARIA_ATTRIBUTES[name];
+      if (deprecated) {
+        issues.push({
+          ruleId: this.id,
+          severity: 'warning',
+          message: `${attr} on <${element.rawName}> is deprecated since ${deprecated} and ignored by most assistive technologies`,
+          line: element.line,
+          sourceLine: element.sourceLine,
+          fix: `Remove ${attr}`,
+          copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element uses ${attr}, which was deprecated in ${deprecated} and has no effect in current screen readers. Remove it. If it supports drag and drop, make sure the same action is also possible with the keyboard.`,
+        });
+      }
+
+      const expected = checkAttributeValue(name, attrs[attr]);
+      if (expected) {
+        issues.push({
+          ruleId: this.id,
+          severity: 'error',
+          message: `${attr}="${attrs[attr]}" on <${element.rawName}> is not a valid value — it must be ${expected}`,
+          line: element.line,
+          sourceLine: element.sourceLine,
+          fix: `Set ${attr} to ${expected}`,
+          copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element has ${attr}="${attrs[attr]}", but ${attr} must be ${expected}. Assistive technologies ignore invalid values. Change it to the valid value that matches the intended state.`,
+        });
+      }
+    }
+
+    // Checks 5–7 need the element's role, which components and dynamic roles
+    // don't show. Browsers ignore presentation on interactive elements.
+    const ignoredRole = (explicitRole === 'presentation' || explicitRole === 'none') && INTERACTIVE_ELEMENTS.has(element.name);
+    const roleName = explicitRole && !ignoredRole ? explicitRole : (role && !ignoredRole ? null : getImplicitRole(element));
+    const roleDef = roleName && roleName !== '{expression}' && !isComponent(element) ? ROLES[roleName] : null;
+
+    if (roleDef) {
+      const roleLabel = explicitRole ? `role="${roleName}"` : `<${element.rawName}> (implicit role "${roleName}")`;
+
+      // Check 5: Required states and properties. Native elements keep
+      // their state themselves (<input type="checkbox" role="switch">).
+      if (explicitRole && explicitRole !== getImplicitRole(element) && !NATIVE_STATE_ELEMENTS.has(element.name)) {
+        const missing = (roleDef.required || []).filter(name => !has[name]);
+        if (missing.length > 0) {
+          const list = missing.join(', ');
+          issues.push({
+            ruleId: this.id,
+            severity: 'error',
+            message: `<${element.rawName}> with role="${roleName}" is missing required ${list}`,
+            line: element.line,
+            sourceLine: element.sourceLine,
+            fix: `Add ${missing.map(name => `${name}="…"`).join(' ')} and keep ${missing.length > 1 ? 'them' : 'it'} in sync with the widget's state`,
+            copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element has role="${roleName}", which requires ${list}. Without ${missing.length > 1 ? 'them' : 'it'}, screen readers can't report the widget's state. Add ${list} with the current state, and update ${missing.length > 1 ? 'them' : 'it'} wherever the state changes. If a native element (<input type="checkbox">, <input type="range">, ...) fits, use it instead.`,
+          });
+        }
+      }
+
+      // Check 6: Attributes the role prohibits (naming generic, presentation, ...)
+      for (const attr of ariaAttrs) {
+        const name = attr.toLowerCase();
+        if (!(roleDef.prohibited || []).includes(name)) continue;
+
+        issues.push({
+          ruleId: this.id,
+          severity: 'error',
+          message: `${attr} is not allowed on ${roleLabel} — elements with this role can't be named`,
+          line: element.line,
+          sourceLine: element.sourceLine,
+          fix: `Remove ${attr}, or give the element a role that can be named`,
+          copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element has ${attr}, but its role "${roleName}" prohibits naming, so screen readers may ignore the label. If the label is needed, use an element or role that supports a name (a landmark, a button, an img with alt, ...), or put the text inside the element (visually hidden if necessary). Otherwise remove ${attr}.`,
+        });
+      }
+
+      // Check 7: Role-specific attributes the role doesn't support
+      for (const attr of ariaAttrs) {
+        const name = attr.toLowerCase();
+        if (ARIA_ATTRIBUTES[name].global || (roleDef.supported || []).includes(name)) continue;
+
+        issues.push({
           ruleId: this.id,
           severity: 'error',
-          message: `Invalid ARIA attribute "${attr}" on <${element.rawName}>`,
+          message: `${attr} is not supported on ${roleLabel}`,
           line: element.line,
           sourceLine: element.sourceLine,
-          fix: `Remove or replace "${attr}" with a valid ARIA attribute`,
-          copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element has an invalid ARIA attribute "${attr}". This attribute is not recognized by assistive technologies. Remove it or replace it with the correct ARIA attribute for the intended behavior.`,
-        };
+          fix: `Remove ${attr}, or use a role that supports it`,
+          copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element has ${attr}, which role "${roleName}" doesn't support, so assistive technologies ignore it. Either remove ${attr}, or if the element really is a widget with that state, give it the matching role (for example aria-checked needs role="checkbox", aria-selected needs role="option" or "tab").`,
+        });
       }
     }
 
-    // Check 4: Conflicting aria-hidden="true" with aria-label
+    // Check 8: Conflicting aria-hidden="true" with aria-label
     if (attrs['aria-hidden'] === 'true' && (has['aria-label'] || has['aria-labelledby'])) {
-      return {
+      issues.push({
         ruleId: this.id,
         severity: 'warning',
         message: `<${element.rawName}> has aria-hidden="true" with aria-label — the label will be ignored`,
@@ -107,9 +199,54 @@ export default {
         sourceLine: element.sourceLine,
         fix: `Remove either aria-hidden or the aria-label — they conflict`,
         copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> has both aria-hidden="true" and an aria-label. This is contradictory — aria-hidden hides the element from screen readers, so the label serves no purpose. Remove one: if the element should be hidden, remove aria-label; if it should be labelled, remove aria-hidden.`,
-      };
+      });
     }
 
-    return null;
+    return issues;
   },
 };
+
+/**
+ * The valid ARIA attribute a misspelled one most likely meant: the only
+ * one within edit distance 2. Ambiguous or distant names get no suggestion.
+ * @param {string} attr
+ * @returns {string|null}
+ */
+function suggestAriaAttribute(attr) {
+  const name = attr.toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  let tied = false;
+
+  for (const candidate of Object.keys(ARIA_ATTRIBUTES)) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+      tied = false;
+    } else if (distance === bestDistance) {
+      tied = true;
+    }
+  }
+
+  return bestDistance <= 2 && !tied ? best : null;
+}
+
+/**
+ * Levenshtein distance
+ */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j] + 1,
+        row[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
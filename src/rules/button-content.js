@@ -3,6 +3,8 @@
  * Buttons must have discernible text for screen readers.
  * WCAG 4.1.2 — Name, Role, Value (Level A)
  */
+import { computeAccessibleName } from '../aria/accessible-name.js';
+
 export default {
   id: 'button-content',
   description: '<button> elements must have text content or aria-label',
@@ -11,16 +13,11 @@ export default {
   impact: 'Screen readers announce the button without a name, making it impossible to understand its purpose',
   url: 'https://www.w3.org/WAI/WCAG21/Understanding/name-role-value.html',
 
-  check(element) {
+  check(element, context) {
     if (element.name !== 'button') return null;
-    if (element.hasAttributes['...spread']) return null;
-
-    const hasAriaLabel = 'aria-label' in element.attributes || 'ariaLabel' in element.attributes;
-    const hasAriaLabelledBy = 'aria-labelledby' in element.attributes || 'ariaLabelledby' in element.attributes;
-    const hasTitle = 'title' in element.attributes;
-    const hasText = element.hasTextChildren;
 
-    if (!hasAriaLabel && !hasAriaLabelledBy && !hasTitle && !hasText) {
+    // Hidden icons and empty alt text don't name the button; runtime values might
+    if (computeAccessibleName(element, context.elements) === '') {
       return {
         ruleId: this.id,
         severity: this.severity,
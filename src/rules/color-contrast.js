@@ -0,0 +1,140 @@
+/**
+ * Rule: color-contrast
+ * Text must have enough contrast with its background.
+ * WCAG 1.4.3 — Contrast (Minimum) (Level AA)
+ * WCAG 1.4.6 — Contrast (Enhanced) (Level AAA), with the `level: 'AAA'` option
+ *
+ * Colors come from inline styles (`style="…"`, `style={{…}}`), <style>
+ * blocks and local stylesheets (see styles.js). Text whose colors, size or
+ * weight can't be resolved from the file is skipped, never guessed.
+ *
+ * In component files, the page around the component is unknown, so text
+ * that inherits its color or background from outside is skipped — unless
+ * the `color` and `backgroundColor` options say what the page uses.
+ */
+import { createStyleResolver, UNRESOLVED } from '../styles.js';
+import { isComponent } from '../aria/accessible-name.js';
+import { contrastRatio, blend, formatColor, suggestColor } from '../colors.js';
+
+const THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 },
+};
+
+// 18pt, or 14pt bold
+const LARGE_TEXT_PX = 24;
+const LARGE_BOLD_TEXT_PX = 18.66;
+
+// Elements whose text isn't rendered as page text
+const SKIPPED_ELEMENTS = new Set([
+  'script', 'style', 'template', 'noscript', 'title', 'head', 'option', 'textarea', 'svg', 'math',
+]);
+
+export default {
+  id: 'color-contrast',
+  description: 'Text must have a contrast ratio of at least 4.5:1 (3:1 for large text) with its background',
+  severity: 'error',
+  wcag: '1.4.3',
+  impact: 'Low-contrast text is hard or impossible to read for people with low vision or color blindness, and in bright light',
+  url: 'https://www.w3.org/WAI/WCAG21/Understanding/contrast-minimum.html',
+
+  /**
+   * Check the contrast of every element with its own text
+   * @param {object} context - Rule context (see linter.js)
+   * @returns {object[]} Array of issues
+   */
+  onFileEnd(context) {
+    const issues = [];
+    const level = String(context.options.level || 'AA').toUpperCase() === 'AAA' ? 'AAA' : 'AA';
+    const styles = createStyleResolver(context, {
+      color: context.options.color,
+      backgroundColor: context.options.backgroundColor,
+    });
+
+    for (const element of context.elements) {
+      if (!hasOwnText(element) || isSkipped(element) || isHiddenByStyle(element, styles)) continue;
+
+      const foreground = styles.color(element);
+      const background = styles.backgroundColor(element);
+      if (foreground === UNRESOLVED || background === UNRESOLVED) continue;
+
+      const text = blend(foreground, background);
+      const ratio = contrastRatio(text, background);
+      const { normal, large } = THRESHOLDS[level];
+      if (ratio >= normal) continue;
+
+      // Below the large-text threshold it fails at any size; between the
+      // two, only text known to be normal-sized fails
+      const isLarge = isLargeText(element, styles);
+      if (ratio >= large && isLarge !== false) continue;
+
+      const required = isLarge ? large : normal;
+      const colors = `${formatColor(foreground)} on ${formatColor(background)}`;
+      const suggestion = suggestColor(text, background, required);
+
+      issues.push({
+        ruleId: this.id,
+        severity: this.severity,
+        message: `Text contrast is ${formatRatio(ratio)}:1 (${colors}), below the WCAG ${level} minimum of ${required}:1${isLarge ? ' for large text' : isLarge === null ? ` (${large}:1 for large text)` : ''}`,
+        element,
+        fix: suggestion
+          ? `Use a color with more contrast, e.g. ${formatColor(suggestion)} on ${formatColor(background)} (${formatRatio(contrastRatio(suggestion, background))}:1)`
+          : `Change the text or background color to reach ${required}:1`,
+        copilotPrompt: `Look at line ${element.line}. The text of this <${element.rawName}> element is ${formatColor(foreground)} on a ${formatColor(background)} background, a contrast ratio of ${formatRatio(ratio)}:1. WCAG ${level} requires at least ${required}:1 for text of this size. Change the color where it is set (inline style or stylesheet) so the text reaches ${required}:1${suggestion ? ` — ${formatColor(suggestion)} is the closest color that does` : ''}. Keep the design's hue, and don't lower contrast elsewhere.`,
+      });
+    }
+
+    return issues;
+  },
+};
+
+/**
+ * Whether the element has text of its own (not only in child elements)
+ */
+function hasOwnText(element) {
+  return element.childNodes.some(node => node.type === 'text' && node.value.trim());
+}
+
+/**
+ * Text that isn't rendered, is hidden, or is exempt: disabled controls
+ */
+function isSkipped(element) {
+  if (isComponent(element)) return true;
+
+  return Boolean(element.closest(el =>
+    SKIPPED_ELEMENTS.has(el.name) ||
+    'hidden' in el.attributes ||
+    el.attributes['aria-disabled'] === 'true' ||
+    ('disabled' in el.attributes && el.attributes['disabled'] !== 'false')
+  ));
+}
+
+/**
+ * Whether text counts as large: at least 18pt, or 14pt and bold
+ * @returns {boolean|null} null when the size or weight can't be resolved
+ */
+function isLargeText(element, styles) {
+  const size = styles.fontSize(element);
+  if (size === UNRESOLVED) return null;
+  if (size >= LARGE_TEXT_PX) return true;
+  if (size < LARGE_BOLD_TEXT_PX) return false;
+
+  const weight = styles.fontWeight(element);
+  return weight === UNRESOLVED ? null : weight >= 700;
+}
+
+/**
+ * Whether a resolved style hides the text (display: none on it or an
+ * ancestor, or visibility: hidden)
+ */
+function isHiddenByStyle(element, styles) {
+  if (styles.get(element, 'visibility') === 'hidden') return true;
+  for (let el = element; el; el = el.parent) {
+    if (styles.get(el, 'display') === 'none') return true;
+  }
+  return false;
+}
+
+function formatRatio(ratio) {
+  return (Math.floor(ratio * 100) / 100).toFixed(2);
+}
@@ -0,0 +1,131 @@
+/**
+ * Rule: focus-visible
+ * Stylesheets must not remove the focus outline without a replacement.
+ * WCAG 2.4.7 — Focus Visible (Level AA)
+ *
+ * Checks the file's own CSS (stylesheets, <style> blocks, CSS-in-JS). An
+ * outline removed on :focus — or on focusable elements in every state — is
+ * fine when a :focus or :focus-visible rule for the same selector (or for
+ * every element) gives another focus style. `:focus:not(:focus-visible)`,
+ * the pattern for hiding the ring on mouse clicks only, is allowed.
+ */
+import { getOwnStylesheets, stylePosition, selectorKey } from '../styles.js';
+import { parseSelector } from '../parsers/css-parser.js';
+
+// Elements that can take focus, when a selector has no :focus of its own
+const FOCUSABLE_TAGS = new Set(['*', 'a', 'area', 'button', 'input', 'select', 'textarea', 'summary', 'iframe']);
+const FOCUSABLE_ATTRIBUTES = new Set(['tabindex', 'href', 'contenteditable']);
+
+// Declarations that make focus visible in place of the outline
+const INDICATOR_PROPERTIES = /^(?:outline|box-shadow|border|background|text-decoration|color$)/;
+
+export default {
+  id: 'focus-visible',
+  description: 'Don\'t remove the focus outline without a replacement focus style',
+  severity: 'error',
+  wcag: '2.4.7',
+  impact: 'Without a visible focus indicator, keyboard users cannot tell which element they are on',
+  url: 'https://www.w3.org/WAI/WCAG21/Understanding/focus-visible.html',
+
+  /**
+   * Check every outline removal in the file's stylesheets
+   * @param {object} context - Rule context (see linter.js)
+   * @returns {object[]} Array of issues
+   */
+  onFileEnd(context) {
+    const issues = [];
+    const sheets = context.stylesheets || [];
+    const replaced = collectReplacements(sheets);
+
+    for (const sheet of getOwnStylesheets(context)) {
+      for (const rule of sheet.rules) {
+        const removal = rule.declarations.find(removesOutline);
+        if (!removal) continue;
+
+        const unreplaced = rule.selectors.filter(selector =>
+          appliesOnFocus(selector) && !replaced.has('') && !replaced.has(focusKey(selector, sheet, sheets)));
+        if (unreplaced.length === 0) continue;
+
+        const selectorText = unreplaced.join(', ');
+        const example = `${unreplaced[0].replace(/:focus(?:-visible)?(?![\w-])/g, '')}:focus-visible`;
+        issues.push({
+          ruleId: this.id,
+          severity: this.severity,
+          message: `\`${selectorText}\` removes the focus outline (\`${removal.property}: ${removal.value}\`) without another focus style`,
+          ...stylePosition(removal, context),
+          fix: `Keep the outline, or add a visible focus style, e.g. \`${example} { outline: 2px solid; outline-offset: 2px }\``,
+          copilotPrompt: `Look at line ${removal.line}. The CSS rule \`${selectorText}\` sets \`${removal.property}: ${removal.value}\`, which hides the focus indicator, and no :focus or :focus-visible rule for the same elements replaces it. Keyboard users can't see where focus is. Either remove the declaration, or add a clearly visible focus style for \`${example}\` — an outline (e.g. \`outline: 2px solid currentColor; outline-offset: 2px\`) or a box-shadow ring with at least 3:1 contrast. If the outline should only be hidden for mouse clicks, use \`:focus:not(:focus-visible)\` instead of \`:focus\`.`,
+        });
+      }
+    }
+
+    return issues;
+  },
+};
+
+/**
+ * outline: none / 0, outline-style: none, outline-width: 0
+ */
+function removesOutline({ property, value }) {
+  const text = value.toLowerCase();
+  if (property === 'outline') return /^(?:none|0[a-z]*)(?:\s+(?:none|0[a-z]*))*$/.test(text);
+  if (property === 'outline-style') return text === 'none';
+  if (property === 'outline-width') return /^0[a-z]*$/.test(text);
+  return false;
+}
+
+/**
+ * Whether a selector applies while its element has keyboard focus: it
+ * names :focus or :focus-visible, or targets focusable elements in every
+ * state. Other states (:hover) and :not(:focus-visible) don't count.
+ */
+function appliesOnFocus(selector) {
+  const compounds = parseSelector(selector);
+  if (!compounds) return false;
+  const subject = compounds[compounds.length - 1];
+  if (subject.pseudoElement) return false;
+
+  const pseudos = subject.pseudoClasses;
+  if (pseudos.some(p => p.name === 'not' && /:focus-visible\b/.test(p.argument || ''))) return false;
+  if (pseudos.some(p => p.name === 'focus' || p.name === 'focus-visible')) return true;
+  if (pseudos.length > 0) return false;
+
+  // `*` or a focusable tag, not narrowed to some of them by a class or id
+  const tag = subject.tag ?? (subject.attributes.length ? null : '*');
+  return (FOCUSABLE_TAGS.has(tag) && subject.classes.length === 0 && subject.ids.length === 0) ||
+    subject.attributes.some(a => FOCUSABLE_ATTRIBUTES.has(a.name));
+}
+
+/**
+ * Selectors (as focusKey) that get a visible focus style from a :focus or
+ * :focus-visible rule, or may get one from a mixin; '' stands for every element
+ */
+function collectReplacements(stylesheets) {
+  const keys = new Set();
+
+  for (const sheet of stylesheets) {
+    for (const rule of sheet.rules) {
+      const indicates = rule.declarations.some(d =>
+        d.property === '...spread' || (INDICATOR_PROPERTIES.test(d.property) && !removesOutline(d) && !/^(?:none|transparent)$/i.test(d.value)));
+      if (!indicates) continue;
+
+      // A mixin (@include, ${…}) may add a focus style to the selector it's in
+      const mixin = rule.declarations.some(d => d.property === '...spread');
+      for (const selector of rule.selectors) {
+        if (!mixin && (!/:focus(?:-visible)?(?![\w-])/.test(selector) || /:not\([^)]*:focus/.test(selector))) continue;
+        keys.add(focusKey(selector, sheet, stylesheets));
+      }
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * A selector's key (see selectorKey) without its focus pseudo-classes, so
+ * `.btn:focus` and `.btn:focus-visible` compare equal
+ */
+function focusKey(selector, sheet, stylesheets) {
+  const key = selectorKey(selector.replace(/:focus(?:-visible)?(?![\w-])/g, ''), sheet, stylesheets);
+  return key === '*' ? '' : key;
+}
@@ -3,7 +3,18 @@
  * Form inputs must have associated labels.
  * WCAG 1.3.1 — Info and Relationships (Level A)
  * WCAG 4.1.2 — Name, Role, Value (Level A)
+ *
+ * This rule is file-level — labels are matched to inputs across the file
+ * by the accessible name computation (see aria/accessible-name.js), and
+ * aria-labelledby ids and label targets must exist in the file, unless the
+ * file has ids that are only known at runtime.
  */
+import { computeAccessibleName, getDocumentIndex, getLabelTarget } from '../aria/accessible-name.js';
+
+const INPUT_TYPES = ['input', 'select', 'textarea'];
+const UNLABELLED_TYPES = ['hidden', 'submit', 'button', 'reset'];
+const DYNAMIC = '{expression}';
+
 export default {
   id: 'form-label',
   description: 'Form inputs must have an associated <label>, aria-label, or aria-labelledby',
@@ -12,36 +23,71 @@ export default {
   impact: 'Screen reader users cannot determine the purpose of the input field',
   url: 'https://www.w3.org/WAI/WCAG21/Understanding/info-and-relationships.html',
 
-  check(element) {
-    const inputTypes = ['input', 'select', 'textarea'];
-    if (!inputTypes.includes(element.name)) return null;
-    if (element.hasAttributes['...spread']) return null;
+  /**
+   * Check every form input in a file against the file's labels
+   * @param {object} context - Rule context (see linter.js)
+   * @returns {object[]} Array of issues
+   */
+  onFileEnd(context) {
+    const issues = [];
+    const { ids, hasDynamicIds } = getDocumentIndex(context.elements);
+
+    // <label for="x"> whose input doesn't exist
+    if (!hasDynamicIds) {
+      for (const label of context.elements.filter(el => el.name === 'label')) {
+        const target = getLabelTarget(label);
+        if (!target || target === DYNAMIC || ids.has(target)) continue;
+
+        issues.push({
+          ruleId: this.id,
+          severity: this.severity,
+          message: `<label> points at id "${target}", but no element in this file has that id`,
+          element: label,
+          fix: `Set id="${target}" on the input this label describes, or change the label's ${'htmlFor' in label.attributes ? 'htmlFor' : 'for'} to the input's id`,
+          copilotPrompt: `Look at line ${label.line}. This <label> references id "${target}", but no element in the file has that id, so the label isn't associated with any input. Find the form control the label describes and make its id and the label's for/htmlFor match.`,
+        });
+      }
+    }
+
+    for (const element of context.elements) {
+      if (!INPUT_TYPES.includes(element.name)) continue;
+      if (element.hasAttributes['...spread']) continue;
+
+      // Hidden inputs don't need labels
+      const type = String(element.attributes['type'] || '').toLowerCase();
+      if (UNLABELLED_TYPES.includes(type)) continue;
+
+      const hasPlaceholder = 'placeholder' in element.attributes;
+      const labelledBy = element.attributes['aria-labelledby'] ?? element.attributes['ariaLabelledby'];
 
-    // Hidden inputs don't need labels
-    const type = element.attributes['type'] || '';
-    if (type === 'hidden' || type === 'submit' || type === 'button' || type === 'reset') return null;
+      const missing = typeof labelledBy === 'string' && labelledBy !== DYNAMIC && !hasDynamicIds
+        ? labelledBy.split(/\s+/).filter(ref => ref && !ids.has(ref))
+        : [];
+      if (missing.length > 0) {
+        issues.push({
+          ruleId: this.id,
+          severity: this.severity,
+          message: `<${element.rawName}> aria-labelledby references ${missing.map(ref => `"${ref}"`).join(', ')}, but no element in this file has ${missing.length > 1 ? 'those ids' : 'that id'}`,
+          element,
+          fix: 'Point aria-labelledby at the id of the element holding the label text',
+          copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element's aria-labelledby references ${missing.map(ref => `"${ref}"`).join(', ')}, which no element in the file has as an id, so the field gets no accessible name. Find the visible text that labels the field and make aria-labelledby reference its id (add an id if needed).`,
+        });
+        continue;
+      }
 
-    const hasAriaLabel = 'aria-label' in element.attributes || 'ariaLabel' in element.attributes;
-    const hasAriaLabelledBy = 'aria-labelledby' in element.attributes || 'ariaLabelledby' in element.attributes;
-    const hasId = 'id' in element.attributes; // might be referenced by a <label for="...">
-    const hasTitle = 'title' in element.attributes;
-    const hasPlaceholder = 'placeholder' in element.attributes;
+      if (computeAccessibleName(element, context.elements) !== '') continue;
 
-    // We can't verify label-for association statically across elements easily,
-    // so we check for inline labelling mechanisms
-    if (!hasAriaLabel && !hasAriaLabelledBy && !hasTitle) {
       // Placeholder alone is not sufficient
-      return {
+      issues.push({
         ruleId: this.id,
         severity: this.severity,
-        message: `<${element.rawName}> has no accessible label (missing aria-label, aria-labelledby, or title)${hasPlaceholder ? '. Note: placeholder is NOT a substitute for a label' : ''}`,
-        line: element.line,
-        sourceLine: element.sourceLine,
+        message: `<${element.rawName}> has no accessible label (no associated <label>, aria-label, aria-labelledby, or title)${hasPlaceholder ? '. Note: placeholder is NOT a substitute for a label' : ''}`,
+        element,
         fix: 'Add aria-label="Description" to the input, or wrap it with a <label> element',
         copilotPrompt: `Look at line ${element.line}. There is a <${element.rawName}> element without an accessible label. Add an appropriate aria-label attribute based on the context (look at nearby text, placeholder, or variable names for clues about the field's purpose). If there is a placeholder, the aria-label should match or expand on it. Alternatively, add a visible <label> element associated via htmlFor/id.`,
-      };
+      });
     }
 
-    return null;
+    return issues;
   },
 };
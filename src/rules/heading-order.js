@@ -3,7 +3,7 @@
  * Heading levels should not skip (e.g., h1 → h3 without h2).
  * WCAG 1.3.1 — Info and Relationships (Level A)
  *
- * This rule is special — it operates on ALL headings in a file, not individual elements.
+ * This rule is file-level — it compares all headings in a file, in order.
  */
 export default {
   id: 'heading-order',
@@ -13,37 +13,31 @@ export default {
   impact: 'Screen reader users rely on heading hierarchy to navigate and understand page structure',
   url: 'https://www.w3.org/WAI/WCAG21/Understanding/info-and-relationships.html',
 
-  /**
-   * This rule doesn't check individual elements — it uses checkFile instead.
-   */
-  check() {
-    return null;
-  },
-
   /**
    * Check heading order across an entire file
-   * @param {object[]} headings - Array of {level, line, sourceLine}
+   * @param {object} context - Rule context (see linter.js)
    * @returns {object[]} Array of issues
    */
-  checkHeadings(headings) {
-    if (headings.length === 0) return [];
-
+  onFileEnd(context) {
+    const headings = context.elements.filter(el => /^h[1-6]$/.test(el.name));
     const issues = [];
     let prevLevel = 0;
 
     for (const heading of headings) {
-      if (prevLevel > 0 && heading.level > prevLevel + 1) {
+      const level = parseInt(heading.name[1]);
+      if (prevLevel > 0 && level > prevLevel + 1) {
         issues.push({
           ruleId: this.id,
           severity: this.severity,
-          message: `Heading level skipped: <h${prevLevel}> → <h${heading.level}> (missing <h${prevLevel + 1}>)`,
+          message: `Heading level skipped: <h${prevLevel}> → <h${level}> (missing <h${prevLevel + 1}>)`,
           line: heading.line,
+          column: heading.column,
           sourceLine: heading.sourceLine,
           fix: `Change this to <h${prevLevel + 1}> or add the missing heading levels`,
-          copilotPrompt: `Look at line ${heading.line}. The heading level jumps from h${prevLevel} to h${heading.level}, skipping h${prevLevel + 1}. This breaks the document outline for screen reader users. Adjust the heading level to h${prevLevel + 1} to maintain a proper heading hierarchy. Check the surrounding headings in the file to ensure the entire heading structure is sequential.`,
+          copilotPrompt: `Look at line ${heading.line}. The heading level jumps from h${prevLevel} to h${level}, skipping h${prevLevel + 1}. This breaks the document outline for screen reader users. Adjust the heading level to h${prevLevel + 1} to maintain a proper heading hierarchy. Check the surrounding headings in the file to ensure the entire heading structure is sequential.`,
         });
       }
-      prevLevel = heading.level;
+      prevLevel = level;
     }
 
     return issues;
@@ -0,0 +1,116 @@
+/**
+ * Rule: hover-reveal
+ * Content a stylesheet reveals on :hover must also be revealed on focus.
+ * WCAG 2.1.1 — Keyboard (Level A)
+ * WCAG 1.4.13 — Content on Hover or Focus (Level AA)
+ *
+ * The stylesheet side of hover-only: `.menu:hover .submenu { display: block }`
+ * shows a submenu to mouse users only, unless the same selector with
+ * :focus-within (or :focus) shows it too. Showing means setting display,
+ * visibility: visible, or an opacity that a rule for the same selector
+ * without :hover (or for its last part, `.submenu`) sets to 0.
+ */
+import { getOwnStylesheets, stylePosition, selectorKey } from '../styles.js';
+import { parseSelector } from '../parsers/css-parser.js';
+
+export default {
+  id: 'hover-reveal',
+  description: 'Content revealed on :hover must also be revealed on keyboard focus (:focus-within)',
+  severity: 'error',
+  wcag: '2.1.1, 1.4.13',
+  impact: 'Menus and controls that only appear on mouse hover cannot be reached by keyboard or touch users',
+  url: 'https://www.w3.org/WAI/WCAG21/Understanding/content-on-hover-or-focus.html',
+
+  /**
+   * Check every :hover rule in the file's stylesheets
+   * @param {object} context - Rule context (see linter.js)
+   * @returns {object[]} Array of issues
+   */
+  onFileEnd(context) {
+    const issues = [];
+    const sheets = context.stylesheets || [];
+    const { focusKeys, hiddenBy } = indexSelectors(sheets);
+
+    for (const sheet of getOwnStylesheets(context)) {
+      for (const rule of sheet.rules) {
+        for (const selector of rule.selectors) {
+          if (!revealsOnHover(selector) || focusKeys.has(selectorKey(selector, sheet, sheets))) continue;
+
+          // Hidden by a rule for the selector without :hover, or for its subject alone
+          const base = selector.replace(/:hover(?![\w-])/g, '');
+          const hidden = new Set([
+            ...(hiddenBy.get(selectorKey(base, sheet, sheets)) || []),
+            ...(hiddenBy.get(selectorKey(base.split(/\s*[>+~]\s*|\s+/).pop(), sheet, sheets)) || []),
+          ]);
+          const reveal = rule.declarations.find(d => reveals(d, hidden));
+          if (!reveal) continue;
+
+          const focusSelector = selector.replace(/:hover(?![\w-])/g, ':focus-within');
+          issues.push({
+            ruleId: this.id,
+            severity: this.severity,
+            message: `\`${selector}\` shows content on hover only (\`${reveal.property}: ${reveal.value}\`), out of reach for keyboard users`,
+            ...stylePosition(rule, context),
+            fix: `Show it on focus too: add \`${focusSelector}\` to the selector list`,
+            copilotPrompt: `Look at line ${rule.line}. The CSS rule \`${selector}\` reveals content (\`${reveal.property}: ${reveal.value}\`) only while the mouse hovers over its container. Keyboard and touch users can't hover, so they can never reach it. Add \`${focusSelector}\` to the same rule so moving focus into the container reveals the content too, and make sure whatever triggers it is focusable. Content shown on hover or focus should stay visible while the pointer is over it and be dismissible with Escape (WCAG 1.4.13).`,
+          });
+        }
+      }
+    }
+
+    return issues;
+  },
+};
+
+/**
+ * Whether :hover on an ancestor or earlier sibling changes the subject,
+ * with no focus state alongside it
+ */
+function revealsOnHover(selector) {
+  if (/:focus/.test(selector)) return false;
+  const compounds = parseSelector(selector);
+  if (!compounds) return false;
+  return compounds.slice(0, -1).some(compound => compound.pseudoClasses.some(p => p.name === 'hover'));
+}
+
+function reveals({ property, value }, hidden) {
+  const text = value.toLowerCase();
+  if (text === '{expression}') return false;
+  if (property === 'display') return text !== 'none';
+  if (property === 'visibility') return text === 'visible';
+  if (property === 'opacity') return hidden.has('opacity') && parseFloat(text) > 0;
+  return false;
+}
+
+/**
+ * Keys of selectors with a focus state (compared with :hover in its place),
+ * and, by key, the properties each selector hides content with
+ */
+function indexSelectors(stylesheets) {
+  const focusKeys = new Set();
+  const hiddenBy = new Map();
+
+  for (const sheet of stylesheets) {
+    for (const rule of sheet.rules) {
+      const hides = rule.declarations
+        .filter(({ property, value }) =>
+          (property === 'display' && value === 'none') ||
+          (property === 'visibility' && value === 'hidden') ||
+          (property === 'opacity' && parseFloat(value) === 0))
+        .map(d => d.property);
+
+      for (const selector of rule.selectors) {
+        if (/:focus/.test(selector)) {
+          focusKeys.add(selectorKey(selector.replace(/:focus(?:-within|-visible)?(?![\w-])/g, ':hover'), sheet, stylesheets));
+        }
+        if (hides.length === 0) continue;
+
+        const key = selectorKey(selector, sheet, stylesheets);
+        if (!hiddenBy.has(key)) hiddenBy.set(key, new Set());
+        hides.forEach(property => hiddenBy.get(key).add(property));
+      }
+    }
+  }
+
+  return { focusKeys, hiddenBy };
+}
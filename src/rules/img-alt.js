@@ -3,6 +3,8 @@
  * Images must have an alt attribute for screen readers.
  * WCAG 1.1.1 — Non-text Content (Level A)
  */
+import { computeAccessibleName } from '../aria/accessible-name.js';
+
 export default {
   id: 'img-alt',
   description: '<img> elements must have an alt attribute',
@@ -13,17 +15,17 @@ export default {
 
   /**
    * @param {object} element - Parsed element info
+   * @param {object} context - Rule context (see linter.js)
    * @returns {object|null} Issue object or null
    */
-  check(element) {
+  check(element, context) {
     if (element.name !== 'img') return null;
 
-    // Skip if spread attributes (might contain alt)
-    if (element.hasAttributes['...spread']) return null;
-
     const hasAlt = 'alt' in element.attributes;
 
-    if (!hasAlt) {
+    // Without alt, aria-label, aria-labelledby or title can still name the
+    // image; spread attributes might contain alt
+    if (!hasAlt && computeAccessibleName(element, context.elements) === '') {
       return {
         ruleId: this.id,
         severity: this.severity,
@@ -13,10 +13,16 @@ import ariaHiddenFocus from './aria-hidden-focus.js';
 import hoverOnly from './hover-only.js';
 import disabledState from './disabled-state.js';
 import tabindexPositive from './tabindex-positive.js';
+import colorContrast from './color-contrast.js';
+import focusVisible from './focus-visible.js';
+import hoverReveal from './hover-reveal.js';
+import reducedMotion from './reduced-motion.js';
+import interactionTrap from './interaction-trap.js';
 
 /**
  * All available a11y rules.
- * Each rule exports: id, description, severity, check(element), and optional file-level checks.
+ * Each rule exports: id, description, severity, and the hooks described in
+ * linter.js — check(element, context), onFileStart(context), onFileEnd(context).
  */
 export const allRules = [
   imgAlt,
@@ -34,6 +40,11 @@ export const allRules = [
   hoverOnly,
   disabledState,
   tabindexPositive,
+  colorContrast,
+  focusVisible,
+  hoverReveal,
+  reducedMotion,
+  interactionTrap,
 ];
 
 /**
@@ -55,3 +66,50 @@ export function getRules(ruleIds = null) {
 export function getRule(id) {
   return allRules.find(r => r.id === id);
 }
+
+/**
+ * Apply config rule settings and CLI selection to the rule list.
+ *
+ * Config entries override a rule's severity ("off" disables it) and pass
+ * options, available to the rule as `this.options`. An explicit CLI rule list
+ * wins over config: listed rules run even if the config turns them off.
+ *
+ * @param {object} [ruleSettings] - Normalized config rules: { [id]: {severity, options} }
+ * @param {string[]|null} [ruleIds] - Rule IDs selected on the command line
+ * @param {object[]} [pluginRules] - Rules loaded from plugins (see plugins.js)
+ * @returns {object[]} Configured rule objects
+ * @throws {Error} If the config names a rule that does not exist
+ */
+export function configureRules(ruleSettings = {}, ruleIds = null, pluginRules = []) {
+  const available = [...allRules, ...pluginRules];
+  const knownIds = new Set(available.map(r => r.id));
+
+  for (const id of Object.keys(ruleSettings)) {
+    if (!knownIds.has(id)) {
+      const hint = id.includes('/')
+        ? ' Is its plugin listed in "plugins"?'
+        : ' Run `a11y-pilot rules` to see available rules.';
+      throw new Error(`Unknown rule "${id}" in config.${hint}`);
+    }
+  }
+
+  const selected = ruleIds ? available.filter(r => ruleIds.includes(r.id)) : available;
+
+  return selected
+    .map(rule => {
+      const setting = ruleSettings[rule.id];
+      if (!setting) return { ...rule, options: {} };
+
+      if (setting.severity === 'off') {
+        return ruleIds ? { ...rule, options: setting.options } : null;
+      }
+
+      return {
+        ...rule,
+        severity: setting.severity,
+        severityOverride: true,
+        options: setting.options,
+      };
+    })
+    .filter(Boolean);
+}
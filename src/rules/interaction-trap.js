@@ -0,0 +1,116 @@
+/**
+ * Rule: interaction-trap
+ * Stylesheets must not make controls or page text unusable by pointer or selection.
+ * WCAG 2.1.1 — Keyboard (Level A)
+ * WCAG 2.5.2 — Pointer Cancellation (Level A)
+ *
+ * Two traps:
+ *   pointer-events: none on links, buttons and form fields (they still take
+ *   keyboard focus and activation, but can't be clicked or tapped), or on
+ *   the whole page
+ *   user-select: none on the whole page, text content or text fields, so
+ *   text can't be selected to copy, translate or have read aloud
+ *
+ * Selectors for a disabled, loading or busy state are expected to block
+ * the pointer, and are skipped.
+ */
+import { getOwnStylesheets, stylePosition } from '../styles.js';
+import { parseSelector } from '../parsers/css-parser.js';
+
+const INTERACTIVE_TAGS = new Set(['a', 'button', 'input', 'select', 'textarea', 'summary', 'area']);
+const INTERACTIVE_ATTRIBUTES = new Set(['href', 'tabindex', 'onclick', 'contenteditable']);
+
+const PAGE_TAGS = new Set(['*', 'html', 'body']);
+const TEXT_TAGS = new Set(['main', 'article', 'p', 'li', 'td', 'pre', 'code', 'blockquote']);
+const TEXT_FIELD_TAGS = new Set(['input', 'textarea']);
+
+// Classes, attributes and states under which blocking the pointer is intended
+const INACTIVE_STATE = /disabled|loading|busy|inert|readonly|locked/i;
+
+export default {
+  id: 'interaction-trap',
+  description: 'Don\'t block pointer input on controls, or text selection on content, with pointer-events/user-select',
+  severity: 'warning',
+  wcag: '2.1.1, 2.5.2',
+  impact: 'Controls that ignore clicks and taps, and text that cannot be selected, lock out pointer users and people who rely on selection to copy, translate or hear text',
+  url: 'https://developer.mozilla.org/en-US/docs/Web/CSS/pointer-events',
+
+  /**
+   * Check pointer-events and user-select in the file's stylesheets
+   * @param {object} context - Rule context (see linter.js)
+   * @returns {object[]} Array of issues
+   */
+  onFileEnd(context) {
+    const issues = [];
+
+    for (const sheet of getOwnStylesheets(context)) {
+      for (const rule of sheet.rules) {
+        for (const declaration of rule.declarations) {
+          const trap = findTrap(declaration, rule.selectors);
+          if (!trap) continue;
+
+          issues.push({
+            ruleId: this.id,
+            severity: this.severity,
+            message: `\`${trap.selector}\` sets \`${declaration.property}: ${declaration.value}\`: ${trap.problem}`,
+            ...stylePosition(declaration, context),
+            fix: trap.fix,
+            copilotPrompt: `Look at line ${declaration.line}. The CSS rule \`${rule.selectorText}\` sets \`${declaration.property}: ${declaration.value}\` on \`${trap.selector}\`, so ${trap.problem}. ${trap.fix}. If it is meant for a disabled or busy state, scope it to that state (e.g. \`:disabled\`, \`[aria-disabled="true"]\`) and make the element unusable from the keyboard too.`,
+          });
+        }
+      }
+    }
+
+    return issues;
+  },
+};
+
+/**
+ * The first selector a pointer-events or user-select declaration traps, and how
+ * @returns {{selector: string, problem: string, fix: string}|null}
+ */
+function findTrap({ property, value }, selectors) {
+  const text = value.toLowerCase();
+  const blocksPointer = property === 'pointer-events' && text === 'none';
+  const blocksSelection = /^(?:-(?:webkit|moz|ms)-)?user-select$/.test(property) && text === 'none';
+  if (!blocksPointer && !blocksSelection) return null;
+
+  for (const selector of selectors) {
+    const compounds = parseSelector(selector);
+    if (!compounds || isInactiveState(compounds)) continue;
+    const subject = compounds[compounds.length - 1];
+    if (subject.pseudoElement) continue;
+
+    const tag = subject.tag;
+    // A bare type selector (`p`, not `p.lead`) covers every such element
+    const bare = subject.classes.length === 0 && subject.ids.length === 0 && subject.attributes.length === 0;
+    const isPage = compounds.length === 1 && bare && (subject.pseudoClasses.length === 0
+      ? PAGE_TAGS.has(tag ?? '*')
+      : subject.pseudoClasses.every(p => p.name === 'root'));
+
+    if (blocksPointer) {
+      if (isPage) {
+        return { selector, problem: 'nothing on the page can be clicked or tapped', fix: 'Remove it, or scope it to the overlay or state that needs it' };
+      }
+      if (INTERACTIVE_TAGS.has(tag) || subject.attributes.some(a => INTERACTIVE_ATTRIBUTES.has(a.name) || (a.name === 'role' && ['button', 'link'].includes(a.value)))) {
+        return { selector, problem: 'it can\'t be clicked or tapped, yet still takes keyboard focus and activation', fix: 'Remove `pointer-events: none`, or disable the control properly (the `disabled` attribute)' };
+      }
+    } else if (isPage || (bare && TEXT_TAGS.has(tag))) {
+      return { selector, problem: 'its text can\'t be selected to copy, translate or have read aloud', fix: 'Remove `user-select: none`, or limit it to controls such as buttons and drag handles' };
+    } else if (TEXT_FIELD_TAGS.has(tag) || subject.attributes.some(a => a.name === 'contenteditable')) {
+      return { selector, problem: 'text typed into it can\'t be selected, and some browsers block typing altogether', fix: 'Remove `user-select: none` from text fields' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether any part of a selector names a disabled, loading or busy state
+ */
+function isInactiveState(compounds) {
+  return compounds.some(compound =>
+    compound.classes.some(name => INACTIVE_STATE.test(name)) ||
+    compound.attributes.some(a => INACTIVE_STATE.test(a.name) || INACTIVE_STATE.test(a.value || '')) ||
+    compound.pseudoClasses.some(p => INACTIVE_STATE.test(p.name) || INACTIVE_STATE.test(p.argument || '')));
+}
@@ -14,19 +14,14 @@ export default {
   impact: 'Screen reader users rely on landmark regions to navigate and understand page structure',
   url: 'https://www.w3.org/WAI/WCAG21/Understanding/bypass-blocks.html',
 
-  check() {
-    return null; // File-level rule
-  },
-
   /**
    * Check for missing landmark regions in a file
-   * @param {object[]} elements - All parsed elements
-   * @param {string} code - Original source code
+   * @param {object} context - Rule context (see linter.js)
    * @returns {object[]} Array of issues
    */
-  checkLandmarks(elements, code) {
+  onFileEnd(context) {
     const issues = [];
-    const lines = code.split('\n');
+    const { elements, lines } = context;
 
     // Collect present landmarks
     const presentLandmarks = new Set();
@@ -44,7 +39,7 @@ export default {
     const isPageLike =
       presentLandmarks.has('body') ||
       presentLandmarks.has('html') ||
-      code.toLowerCase().includes('<!doctype');
+      context.source.toLowerCase().includes('<!doctype');
 
     if (!isPageLike) return issues;
 
@@ -2,7 +2,11 @@
  * Rule: no-autofocus
  * Avoid using autoFocus — it disrupts screen readers and keyboard users.
  * WCAG 3.2.1 — On Focus (Level A)
+ *
+ * Autofix: removes the attribute.
  */
+import { removeAttribute } from '../autofix.js';
+
 export default {
   id: 'no-autofocus',
   description: 'Avoid using autoFocus attribute — it disrupts screen readers and keyboard navigation',
@@ -11,7 +15,7 @@ export default {
   impact: 'autoFocus moves focus unexpectedly, disorienting screen reader users and disrupting keyboard navigation flow',
   url: 'https://www.w3.org/WAI/WCAG21/Understanding/on-focus.html',
 
-  check(element) {
+  check(element, context) {
     const hasAutoFocus = 'autoFocus' in element.attributes ||
                          'autofocus' in element.attributes ||
                          'autoFocus' in element.hasAttributes ||
@@ -26,6 +30,7 @@ export default {
       line: element.line,
       sourceLine: element.sourceLine,
       fix: 'Remove the autoFocus attribute. If focus management is needed, use a ref with useEffect for controlled focus.',
+      edits: [removeAttribute(context, element, 'autofocus')].filter(Boolean),
       copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element uses autoFocus which is an accessibility anti-pattern — it disrupts screen reader announcements and confuses keyboard-only users who expect focus to start at the top of the page. Remove the autoFocus attribute. If you need to manage focus (e.g., in a modal or after navigation), replace it with a React ref and useEffect to focus the element after mount, with a comment explaining why focus management is needed.`,
     };
   },
@@ -0,0 +1,136 @@
+/**
+ * Rule: reduced-motion
+ * Animations and movement must be turned off for users who ask for less motion.
+ * WCAG 2.3.3 — Animation from Interactions (Level AAA)
+ * WCAG 2.2.2 — Pause, Stop, Hide (Level A)
+ *
+ * Flags animations, transitions that move things (transform, position,
+ * margins) and smooth scrolling, unless they are set inside
+ * `@media (prefers-reduced-motion: no-preference)` or overridden in a
+ * `@media (prefers-reduced-motion: reduce)` rule for the same selector or
+ * for every element (the usual `*, *::before, *::after { … }` reset).
+ */
+import { getOwnStylesheets, stylePosition, selectorKey } from '../styles.js';
+
+// Properties whose transition moves content
+const MOTION_PROPERTIES = /^(?:transform|translate|rotate|scale|top|right|bottom|left|inset|margin|offset)/;
+
+// Which declarations cancel which kind of motion
+const OVERRIDES = {
+  animation: ['animation', 'animation-name', 'animation-duration', 'animation-play-state', 'animation-iteration-count'],
+  transition: ['transition', 'transition-property', 'transition-duration'],
+  scroll: ['scroll-behavior'],
+};
+
+// Selectors that reach every element, and the scrolling root
+const UNIVERSAL_SELECTORS = new Set(['*', '*::before', '*::after', '*:before', '*:after']);
+const SCROLL_ROOTS = new Set(['html', ':root', 'body']);
+
+export default {
+  id: 'reduced-motion',
+  description: 'Animations and motion should have a prefers-reduced-motion override',
+  severity: 'warning',
+  wcag: '2.3.3, 2.2.2',
+  impact: 'Motion can cause dizziness, nausea and migraines for people with vestibular disorders, who turn it off with the reduced-motion setting',
+  url: 'https://www.w3.org/WAI/WCAG21/Understanding/animation-from-interactions.html',
+
+  /**
+   * Check every animation, transition and smooth scroll in the file's stylesheets
+   * @param {object} context - Rule context (see linter.js)
+   * @returns {object[]} Array of issues
+   */
+  onFileEnd(context) {
+    const issues = [];
+    const sheets = context.stylesheets || [];
+    const overridden = collectOverrides(sheets);
+
+    for (const sheet of getOwnStylesheets(context)) {
+      for (const rule of sheet.rules) {
+        if (rule.conditions.some(condition => motionPreference(condition) !== null)) continue;
+
+        const reported = new Set();
+        for (const declaration of rule.declarations) {
+          const kind = motionKind(declaration);
+          if (!kind || reported.has(kind)) continue;
+          reported.add(kind);
+
+          const keys = rule.selectors.map(selector => selectorKey(selector, sheet, sheets));
+          if (overridden[kind].has('*') || keys.every(k => overridden[kind].has(k))) continue;
+
+          const motion = kind === 'scroll' ? 'Smooth scrolling' : kind === 'animation' ? 'This animation' : 'This transition';
+          issues.push({
+            ruleId: this.id,
+            severity: this.severity,
+            message: `${motion} (\`${declaration.property}: ${declaration.value}\`) isn't turned off for users who prefer reduced motion`,
+            ...stylePosition(declaration, context),
+            fix: `Override it in \`@media (prefers-reduced-motion: reduce) { ${rule.selectorText} { ${OVERRIDES[kind][0]}: ${kind === 'scroll' ? 'auto' : 'none'} } }\`, or move it into \`@media (prefers-reduced-motion: no-preference)\``,
+            copilotPrompt: `Look at line ${declaration.line}. The CSS rule \`${rule.selectorText}\` sets \`${declaration.property}: ${declaration.value}\`, and nothing turns it off when the user has asked the operating system to reduce motion. Add a \`@media (prefers-reduced-motion: reduce)\` block that removes the motion for \`${rule.selectorText}\` (e.g. \`${OVERRIDES[kind][0]}: ${kind === 'scroll' ? 'auto' : 'none'}\`), or move the declaration into \`@media (prefers-reduced-motion: no-preference)\`. Keep non-moving feedback such as color or opacity changes if they matter.`,
+          });
+        }
+      }
+    }
+
+    return issues;
+  },
+};
+
+/**
+ * 'animation', 'transition' or 'scroll' for a declaration that adds motion
+ */
+function motionKind({ property, value }) {
+  const text = value.toLowerCase();
+  if (text === '{expression}' || /^(?:none|initial|unset|inherit)$/.test(text)) return null;
+
+  if (property === 'animation' || property === 'animation-name') return 'animation';
+  if (property === 'scroll-behavior') return text === 'smooth' ? 'scroll' : null;
+
+  if (property === 'transition') {
+    const moves = text.split(/,(?![^(]*\))/).some(item => {
+      const tokens = item.trim().split(/\s+/);
+      return MOTION_PROPERTIES.test(tokens[0]) && tokens.some(hasDuration);
+    });
+    return moves ? 'transition' : null;
+  }
+  return null;
+}
+
+function hasDuration(token) {
+  const match = /^([\d.]+)(m?s)$/.exec(token);
+  return Boolean(match) && parseFloat(match[1]) > 0;
+}
+
+/**
+ * 'reduce' or 'no-preference' when an at-rule prelude tests the
+ * reduced-motion preference, otherwise null
+ */
+function motionPreference(condition) {
+  const text = condition.toLowerCase();
+  if (!text.includes('prefers-reduced-motion')) return null;
+  const negated = /\bnot\b/.test(text);
+  const reduce = /prefers-reduced-motion\s*(?::\s*reduce\s*)?\)/.test(text);
+  return reduce !== negated ? 'reduce' : 'no-preference';
+}
+
+/**
+ * By kind of motion, the selectors (as keys) a reduced-motion rule turns it
+ * off for; '*' when it reaches every element
+ */
+function collectOverrides(stylesheets) {
+  const overridden = { animation: new Set(), transition: new Set(), scroll: new Set() };
+
+  for (const sheet of stylesheets) {
+    for (const rule of sheet.rules) {
+      if (!rule.conditions.some(condition => motionPreference(condition) === 'reduce')) continue;
+
+      for (const [kind, properties] of Object.entries(OVERRIDES)) {
+        if (!rule.declarations.some(d => properties.includes(d.property) || d.property === '...spread')) continue;
+        for (const selector of rule.selectors) {
+          const universal = UNIVERSAL_SELECTORS.has(selector) || (kind === 'scroll' && SCROLL_ROOTS.has(selector));
+          overridden[kind].add(universal ? '*' : selectorKey(selector, sheet, stylesheets));
+        }
+      }
+    }
+  }
+
+  return overridden;
+}
@@ -4,7 +4,11 @@
  * an accessibility anti-pattern. tabindex should only be 0 (add to tab order)
  * or -1 (programmatic focus only).
  * WCAG 2.4.3 — Focus Order (Level A)
+ *
+ * Autofix: sets the tabindex to 0.
  */
+import { setAttribute } from '../autofix.js';
+
 export default {
   id: 'tabindex-positive',
   description: 'Avoid positive tabindex values — they disrupt natural focus order',
@@ -13,7 +17,7 @@ export default {
   impact: 'Positive tabindex values override the natural document tab order, creating a confusing and unpredictable focus sequence for keyboard users',
   url: 'https://www.w3.org/WAI/WCAG21/Understanding/focus-order.html',
 
-  check(element) {
+  check(element, context) {
     if (element.hasAttributes['...spread']) return null;
 
     const has = element.hasAttributes;
@@ -36,6 +40,7 @@ export default {
         line: element.line,
         sourceLine: element.sourceLine,
         fix: `Change tabindex="${tabindex}" to tabindex="0" (or remove it if the element is natively focusable)`,
+        edits: [setAttribute(context, element, 'tabindex', 0)],
         copilotPrompt: `Look at line ${element.line}. The <${element.rawName}> element has tabindex="${tabindex}". Positive tabindex values are an anti-pattern because they override the natural DOM-based tab order, causing confusion for keyboard users. Elements with positive tabindex are focused before all elements with tabindex="0" or no tabindex. Fix: If the element needs to be focusable, use tabindex="0" to add it to the natural tab order. If it's natively focusable (button, a, input), remove the tabindex entirely. Reorder elements in the DOM instead of using tabindex to control focus order.`,
       };
     }
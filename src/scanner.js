@@ -16,20 +16,32 @@ const IGNORE_DIRS = new Set([
 ]);
 
 const SUPPORTED_EXTENSIONS = new Set([
-  '.html', '.htm', '.jsx', '.tsx', '.vue', '.astro', '.svelte'
+  '.html', '.htm', '.jsx', '.tsx', '.vue', '.astro', '.svelte', '.css', '.scss'
 ]);
 
 /**
  * Walk directory tree and collect scannable files
  * @param {string} dir - Directory to walk
  * @param {string[]} [extensions] - File extensions to include
+ * @param {object} [filters] - Glob filters
+ * @param {string[]} [filters.include] - Only keep files matching one of these globs
+ * @param {string[]} [filters.exclude] - Skip files and directories matching these globs
+ * @param {string} [filters.baseDir] - Directory the globs are relative to (default: cwd)
  * @returns {string[]} Array of absolute file paths
  */
-export function walkDir(dir, extensions = null) {
+export function walkDir(dir, extensions = null, filters = {}) {
   const allowedExts = extensions
     ? new Set(extensions.map(e => e.startsWith('.') ? e : `.${e}`))
     : SUPPORTED_EXTENSIONS;
 
+  const baseDir = filters.baseDir || process.cwd();
+  const includeRes = filters.include?.length ? filters.include.map(globToRegExp) : null;
+  const excludeRes = (filters.exclude || []).map(globToRegExp);
+
+  const toGlobPath = (p) => path.relative(baseDir, p).split(path.sep).join('/');
+  const isExcluded = (p) => excludeRes.some(re => re.test(toGlobPath(p)));
+  const isIncluded = (p) => !includeRes || includeRes.some(re => re.test(toGlobPath(p)));
+
   const results = [];
 
   function walk(currentDir) {
@@ -44,12 +56,12 @@ export function walkDir(dir, extensions = null) {
       const fullPath = path.join(currentDir, entry.name);
 
       if (entry.isDirectory()) {
-        if (!IGNORE_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
+        if (!IGNORE_DIRS.has(entry.name) && !entry.name.startsWith('.') && !isExcluded(fullPath)) {
           walk(fullPath);
         }
       } else if (entry.isFile()) {
         const ext = path.extname(entry.name).toLowerCase();
-        if (allowedExts.has(ext)) {
+        if (allowedExts.has(ext) && isIncluded(fullPath) && !isExcluded(fullPath)) {
           results.push(fullPath);
         }
       }
@@ -59,8 +71,9 @@ export function walkDir(dir, extensions = null) {
   // If dir is actually a file, check it directly
   const stat = fs.statSync(dir);
   if (stat.isFile()) {
+    // An explicitly named file is only dropped by exclude globs, not include
     const ext = path.extname(dir).toLowerCase();
-    if (allowedExts.has(ext)) {
+    if (allowedExts.has(ext) && !isExcluded(path.resolve(dir))) {
       return [path.resolve(dir)];
     }
     return [];
@@ -70,6 +83,57 @@ export function walkDir(dir, extensions = null) {
   return results.sort();
 }
 
+/**
+ * Convert a glob pattern to a RegExp matched against forward-slash relative paths.
+ * Supports `**`, `*`, `?` and `{a,b}` alternation. A pattern without a slash
+ * matches at any depth (like .gitignore), so `*.stories.tsx` works anywhere.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let pattern = glob.replace(/\\/g, '/').replace(/^\.\//, '');
+  if (!pattern.includes('/')) pattern = `**/${pattern}`;
+
+  let re = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+
+    if (c === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches zero or more directories; a trailing `**` matches everything below
+        if (pattern[i + 2] === '/') {
+          re += '(?:.*/)?';
+          i += 2;
+        } else {
+          re += '.*';
+          i += 1;
+        }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      inGroup = true;
+      re += '(?:';
+    } else if (c === '}' && inGroup) {
+      inGroup = false;
+      re += ')';
+    } else if (c === ',' && inGroup) {
+      re += '|';
+    } else {
+      re += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  // `dir/**` should also match the directory itself so it can be pruned
+  re = re.replace(/\/\.\*$/, '(?:/.*)?');
+
+  return new RegExp(`^${re}$`);
+}
+
 /**
  * Read file content safely
  * @param {string} filePath
@@ -86,13 +150,17 @@ export function readFileSafe(filePath) {
 /**
  * Determine file type from extension
  * @param {string} filePath
- * @returns {'jsx'|'html'|'vue'|'unknown'}
+ * @returns {'jsx'|'html'|'vue'|'svelte'|'astro'|'css'|'scss'|'unknown'}
  */
 export function getFileType(filePath) {
   const ext = path.extname(filePath).toLowerCase();
   if (['.jsx', '.tsx'].includes(ext)) return 'jsx';
   if (['.html', '.htm'].includes(ext)) return 'html';
-  if (['.vue', '.svelte', '.astro'].includes(ext)) return 'html'; // template-based
+  if (ext === '.vue') return 'vue';
+  if (ext === '.svelte') return 'svelte';
+  if (ext === '.astro') return 'astro';
+  if (ext === '.css') return 'css';
+  if (ext === '.scss') return 'scss';
   return 'unknown';
 }
 
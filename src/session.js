@@ -0,0 +1,296 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { git, getRepoRoot, getCurrentBranch } from './git.js';
+
+export const SESSIONS_DIR = path.join('.a11y-pilot', 'sessions');
+
+const JOURNAL_FILE = 'journal.json';
+const JOURNAL_VERSION = 1;
+
+/**
+ * Fix sessions.
+ *
+ * Before a fixer runs, every file it may touch is copied into
+ * `.a11y-pilot/sessions/<id>/files/`, and `journal.json` next to it records
+ * each file's content hash before and after the session, plus any commits
+ * made. `undoSession` uses the journal to put the files back.
+ */
+
+/**
+ * Snapshot files and open a journal
+ * @param {string[]} filePaths - Absolute paths of the files the fixer may change
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Project directory (default: the current one)
+ * @param {string} [options.command] - Command line that started the session
+ * @returns {object} Session
+ */
+export function startSession(filePaths, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const sessionsDir = path.join(cwd, SESSIONS_DIR);
+
+  fs.mkdirSync(sessionsDir, { recursive: true });
+  ensureIgnored(path.dirname(sessionsDir));
+
+  const id = createSessionId(sessionsDir);
+  const dir = path.join(sessionsDir, id);
+  fs.mkdirSync(path.join(dir, 'files'), { recursive: true });
+
+  const files = filePaths.map((filePath, index) => {
+    const snapshot = path.join('files', String(index));
+    const content = fs.readFileSync(filePath);
+    fs.writeFileSync(path.join(dir, snapshot), content);
+    return {
+      path: toJournalPath(cwd, filePath),
+      snapshot,
+      before: hashContent(content),
+      after: null,
+    };
+  });
+
+  const session = {
+    dir,
+    cwd,
+    journal: {
+      version: JOURNAL_VERSION,
+      id,
+      command: options.command || null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      files,
+      branch: null,
+      commits: [],
+      undoneAt: null,
+    },
+  };
+
+  saveJournal(session);
+  return session;
+}
+
+/**
+ * Files changed since the session started (or since `since`)
+ * @param {object} session
+ * @param {Map<string, string>} [since] - Hashes by absolute path, from a previous call
+ * @returns {{changed: string[], hashes: Map<string, string>}} Absolute paths, and the current hashes
+ */
+export function getChangedFiles(session, since) {
+  const changed = [];
+  const hashes = new Map();
+
+  for (const file of session.journal.files) {
+    const filePath = path.resolve(session.cwd, file.path);
+    const hash = hashFile(filePath);
+    hashes.set(filePath, hash);
+    if (hash !== (since ? since.get(filePath) : file.before)) changed.push(filePath);
+  }
+
+  return { changed, hashes };
+}
+
+/**
+ * Read a file's content from the session snapshot
+ * @param {object} session
+ * @param {string} filePath - Absolute path
+ * @returns {string|null} null if the file isn't part of the session
+ */
+export function readSnapshot(session, filePath) {
+  const file = findFile(session, filePath);
+  return file ? fs.readFileSync(path.join(session.dir, file.snapshot), 'utf-8') : null;
+}
+
+/**
+ * Record that fixes were committed
+ * @param {object} session
+ * @param {{sha: string, message: string, files: string[]}} commit - Absolute file paths
+ */
+export function recordCommit(session, commit) {
+  session.journal.commits.push({
+    ...commit,
+    files: commit.files.map(filePath => toJournalPath(session.cwd, filePath)),
+  });
+  saveJournal(session);
+}
+
+/**
+ * Record the branch the session commits to
+ * @param {object} session
+ * @param {{name: string, base: string}} branch - New branch and the branch it started from
+ */
+export function recordBranch(session, branch) {
+  session.journal.branch = { ...branch, head: null };
+  saveJournal(session);
+}
+
+/**
+ * Record the files' final state and close the journal
+ * @param {object} session
+ * @param {object} [options]
+ * @param {string} [options.head] - HEAD after the session's last commit
+ * @returns {number} Number of files the session changed
+ */
+export function finishSession(session, options = {}) {
+  const { journal } = session;
+
+  for (const file of journal.files) {
+    file.after = hashFile(path.resolve(session.cwd, file.path));
+  }
+  if (journal.branch && options.head) {
+    journal.branch.head = options.head;
+  }
+
+  journal.finishedAt = new Date().toISOString();
+  saveJournal(session);
+
+  return journal.files.filter(file => file.after !== file.before).length;
+}
+
+/**
+ * Most recent session that changed files and hasn't been undone
+ * @param {string} [cwd]
+ * @returns {object|null} Session
+ */
+export function findLastSession(cwd = process.cwd()) {
+  const sessionsDir = path.join(cwd, SESSIONS_DIR);
+  if (!fs.existsSync(sessionsDir)) return null;
+
+  const ids = fs.readdirSync(sessionsDir).sort().reverse();
+  for (const id of ids) {
+    const dir = path.join(sessionsDir, id);
+    let journal;
+    try {
+      journal = JSON.parse(fs.readFileSync(path.join(dir, JOURNAL_FILE), 'utf-8'));
+    } catch {
+      continue; // not a session, or interrupted before the journal was written
+    }
+
+    if (journal.undoneAt) continue;
+    if (!journal.files.some(file => file.after !== file.before)) continue;
+    return { dir, cwd, journal };
+  }
+
+  return null;
+}
+
+/**
+ * Restore the files a session changed from their snapshots. A file edited
+ * again after the session is left alone unless `force` is set.
+ * Sessions that are still open (interrupted) restore every file that
+ * differs from its snapshot.
+ *
+ * Sessions that committed their fixes to a new branch are undone by
+ * switching back to the original branch and deleting the fix branch.
+ *
+ * @param {object} session
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Restore files changed since the session too
+ * @returns {{restored: string[], conflicts: string[], deletedBranch?: string}} Journal paths
+ * @throws {Error} If the fix branch has moved on since the session
+ */
+export function undoSession(session, options = {}) {
+  if (session.journal.branch?.head) {
+    return undoBranch(session);
+  }
+
+  const restored = [];
+  const conflicts = [];
+
+  for (const file of session.journal.files) {
+    const filePath = path.resolve(session.cwd, file.path);
+    const current = hashFile(filePath);
+
+    if (current === file.before) continue;
+    if (file.after !== null && current !== file.after && !options.force) {
+      conflicts.push(file.path);
+      continue;
+    }
+
+    fs.copyFileSync(path.join(session.dir, file.snapshot), filePath);
+    restored.push(file.path);
+  }
+
+  if (conflicts.length === 0) {
+    session.journal.undoneAt = new Date().toISOString();
+    saveJournal(session);
+  }
+
+  return { restored, conflicts };
+}
+
+function undoBranch(session) {
+  const { name, base, head } = session.journal.branch;
+  const root = getRepoRoot(session.cwd);
+  if (!root) {
+    throw new Error(`Fixes were committed to branch "${name}", but ${session.cwd} is no longer in a git repository`);
+  }
+
+  let branchHead;
+  try {
+    branchHead = git(['rev-parse', '--verify', '--quiet', `refs/heads/${name}`], root).trim();
+  } catch {
+    throw new Error(`Branch "${name}" with the committed fixes no longer exists`);
+  }
+  if (branchHead !== head) {
+    throw new Error(`Branch "${name}" has new commits since the fixes — undo them with git instead`);
+  }
+
+  if (getCurrentBranch(root) === name) {
+    git(['checkout', '--quiet', base], root);
+  }
+  git(['branch', '-D', name], root);
+
+  session.journal.undoneAt = new Date().toISOString();
+  saveJournal(session);
+
+  const restored = session.journal.files
+    .filter(file => file.after !== file.before)
+    .map(file => file.path);
+
+  return { restored, conflicts: [], deletedBranch: name };
+}
+
+function findFile(session, filePath) {
+  const wanted = toJournalPath(session.cwd, filePath);
+  return session.journal.files.find(file => file.path === wanted) || null;
+}
+
+function saveJournal(session) {
+  fs.writeFileSync(
+    path.join(session.dir, JOURNAL_FILE),
+    JSON.stringify(session.journal, null, 2) + '\n'
+  );
+}
+
+/**
+ * Timestamp ids sort in creation order; a counter keeps them unique
+ */
+function createSessionId(sessionsDir) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '').replace('T', '-');
+  let id = stamp;
+  for (let n = 2; fs.existsSync(path.join(sessionsDir, id)); n++) {
+    id = `${stamp}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Keep session data out of git with a catch-all .gitignore
+ */
+function ensureIgnored(dir) {
+  const gitignore = path.join(dir, '.gitignore');
+  if (!fs.existsSync(gitignore)) {
+    fs.writeFileSync(gitignore, '*\n');
+  }
+}
+
+function toJournalPath(cwd, filePath) {
+  return path.relative(cwd, filePath).split(path.sep).join('/');
+}
+
+function hashFile(filePath) {
+  return fs.existsSync(filePath) ? hashContent(fs.readFileSync(filePath)) : null;
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
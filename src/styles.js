@@ -0,0 +1,903 @@
+import fs from 'fs';
+import path from 'path';
+import { parseCSS, parseDeclarations, parseSelector } from './parsers/css-parser.js';
+import { collectStyleTemplates } from './parsers/jsx-parser.js';
+import { findBlocks } from './parsers/template-utils.js';
+import { isComponent } from './aria/accessible-name.js';
+import { parseColor, blend } from './colors.js';
+
+/**
+ * Stylesheets of a file, and the styles they give its elements.
+ *
+ *   collectStylesheets(file)          → context.stylesheets
+ *   createStyleResolver(context)      → resolver.get(element, 'color'), ...
+ *
+ * Styles are resolved statically: inline styles, <style> blocks, linked and
+ * imported local CSS, matched with a selector engine that only knows what
+ * the markup shows. Whenever the answer depends on something it can't see —
+ * a dynamic class or style, a remote stylesheet, a :hover rule, a parent
+ * component, the page around a component file — the resolver returns
+ * UNRESOLVED rather than a guess.
+ */
+
+export const UNRESOLVED = Symbol('unresolved');
+
+const DYNAMIC = '{expression}';
+
+// Browser defaults that matter for contrast (the relevant parts of the HTML
+// user-agent stylesheet)
+const USER_AGENT_CSS = `
+  h1 { font-size: 2em; font-weight: bold }
+  h2 { font-size: 1.5em; font-weight: bold }
+  h3 { font-size: 1.17em; font-weight: bold }
+  h4 { font-weight: bold }
+  h5 { font-size: 0.83em; font-weight: bold }
+  h6 { font-size: 0.67em; font-weight: bold }
+  b, strong { font-weight: bolder }
+  th { font-weight: bold }
+  small, sub, sup { font-size: smaller }
+  mark { background-color: yellow; color: black }
+  a[href] { color: #0000ee }
+  button { color: black; background-color: #efefef }
+  input, select, textarea { color: black; background-color: white }
+`;
+
+// Inherited properties (custom properties inherit too)
+const INHERITED = new Set(['color', 'font-size', 'font-weight', 'visibility']);
+
+// Values used at the root of a full HTML document
+const INITIAL_VALUES = {
+  'color': 'canvastext',
+  'font-size': '16px',
+  'font-weight': '400',
+  'visibility': 'visible',
+  'opacity': '1',
+};
+
+const FONT_SIZE_KEYWORDS = {
+  'xx-small': 9, 'x-small': 10, 'small': 13, 'medium': 16,
+  'large': 18, 'x-large': 24, 'xx-large': 32, 'xxx-large': 48,
+};
+
+// Pseudo-classes for states other than the one a page loads in
+const STATE_PSEUDO_CLASSES = new Set([
+  'hover', 'focus', 'focus-visible', 'focus-within', 'active', 'visited', 'target',
+  'target-within', 'user-invalid', 'autofill', 'fullscreen', 'modal', 'picture-in-picture',
+]);
+
+const resolverCache = new WeakMap();
+
+// ─── Collecting stylesheets ─────────────────────────────────────────────────
+
+/**
+ * Stylesheets that apply to a file: <style> blocks and <link rel="stylesheet">
+ * in markup, CSS imports and CSS-in-JS templates in JSX/TSX, in cascade
+ * order; for a .css or .scss file, the file itself. Local files are read
+ * relative to the file; stylesheets that can't be read (remote, set at
+ * runtime, missing, or not plain CSS) are listed with `resolved: false`.
+ * SCSS is parsed, but unresolved too: mixins and @extend may add anything.
+ *
+ * Each stylesheet: { kind: 'style' | 'link' | 'import' | 'css-in-js' |
+ * 'file', href, filePath, line, resolved, reason?, module?, scoped?, rules,
+ * atRules } — `filePath` is the CSS file the rules' lines refer to (null
+ * when it is this file, see getOwnStylesheets), `module` marks CSS modules,
+ * whose class names are rewritten at build time, and `scoped` CSS-in-JS
+ * templates that only style their component (selector `&`).
+ *
+ * @param {object} file - filePath, fileType, source, elements and ast, as in a rule context
+ * @returns {object[]}
+ */
+export function collectStylesheets(file) {
+  const { filePath, fileType, source, elements, ast } = file;
+  const dir = filePath ? path.dirname(path.resolve(filePath)) : null;
+  const found = [];
+
+  if (fileType === 'css' || fileType === 'scss') {
+    const sheet = parseCSS(source, { lineComments: fileType === 'scss' });
+    return [fileType === 'css'
+      ? { kind: 'file', href: null, filePath: null, line: 1, resolved: true, ...sheet }
+      : { ...unresolved('file', null, 1, "SCSS isn't plain CSS"), ...sheet }];
+  }
+
+  if (fileType === 'jsx' && ast) {
+    for (const node of ast.program.body) {
+      if (node.type !== 'ImportDeclaration' || !/\.(?:css|scss|sass|less|styl)(?:[?#].*)?$/i.test(node.source.value)) continue;
+      const href = node.source.value;
+      const stylesheets = href.startsWith('.')
+        ? loadStylesheet(href, dir, { kind: 'import', line: node.loc?.start?.line || 0 })
+        : [unresolved('import', href, node.loc?.start?.line || 0, 'stylesheet from a package')];
+      found.push({ start: node.start, stylesheets });
+    }
+
+    for (const template of collectStyleTemplates(ast)) {
+      const sheet = parseCSS(source.slice(template.start, template.end), {
+        line: template.line,
+        column: template.column,
+        lineComments: true,
+        nested: !template.global,
+      });
+      found.push({
+        start: template.start,
+        stylesheets: [{ kind: 'css-in-js', href: null, filePath: null, line: template.line, resolved: true, scoped: !template.global, ...sheet }],
+      });
+    }
+  }
+
+  for (const element of elements) {
+    if (element.name === 'link' && isStylesheetLink(element)) {
+      found.push({ start: element.start, stylesheets: loadStylesheet(element.attributes['href'], dir, { kind: 'link', line: element.line }) });
+    } else if (element.name === 'style' && fileType === 'html') {
+      const contentEnd = source.lastIndexOf('</', element.end);
+      found.push({ start: element.start, stylesheets: [embedded(source, element.openEnd, contentEnd, element.attributes['lang'] || element.attributes['type'])] });
+    }
+  }
+
+  // Vue, Svelte and Astro keep <style> blocks outside the parsed template
+  if (['vue', 'svelte', 'astro'].includes(fileType)) {
+    for (const block of findBlocks(source, 'style')) {
+      const lang = /\blang\s*=\s*["']?([\w-]+)/i.exec(block.attrs)?.[1];
+      found.push({ start: block.start, stylesheets: [embedded(source, block.contentStart, block.contentEnd, lang)] });
+    }
+  }
+
+  return found.sort((a, b) => a.start - b.start).flatMap(entry => entry.stylesheets);
+}
+
+/**
+ * Stylesheets written in the file itself — its <style> blocks and CSS-in-JS,
+ * or a CSS file's own rules — whose lines are the file's lines
+ * @param {object} context - Rule context
+ * @returns {object[]}
+ */
+export function getOwnStylesheets(context) {
+  return (context.stylesheets || []).filter(sheet => sheet.filePath === null && sheet.rules.length > 0);
+}
+
+/**
+ * Position fields for an issue about a CSS rule or declaration in the file,
+ * the stylesheet counterpart of passing `element`
+ * @param {{line: number, column: number}} node - Rule or declaration
+ * @param {object} context - Rule context
+ * @returns {{line: number, column: number, sourceLine: string}}
+ */
+export function stylePosition(node, context) {
+  return { line: node.line, column: node.column, sourceLine: context.lines[node.line - 1]?.trim() || '' };
+}
+
+/**
+ * A selector as a key for comparing selectors across rules: whitespace
+ * normalized and, in scoped CSS-in-JS, where `&` is each template's own
+ * component, tagged with its stylesheet
+ * @param {string} selector
+ * @param {object} sheet - Stylesheet the selector is from
+ * @param {object[]} stylesheets - All of the file's stylesheets
+ * @returns {string}
+ */
+export function selectorKey(selector, sheet, stylesheets) {
+  const text = selector.replace(/\s+/g, ' ').trim();
+  return sheet.scoped && text.includes('&') ? `${stylesheets.indexOf(sheet)}|${text}` : text;
+}
+
+function isStylesheetLink(element) {
+  const rel = element.attributes['rel'];
+  return typeof rel === 'string' && rel.toLowerCase().split(/\s+/).includes('stylesheet');
+}
+
+function embedded(source, start, end, lang) {
+  const before = source.slice(0, start);
+  const line = before.split('\n').length;
+  const column = start - (before.lastIndexOf('\n') + 1);
+
+  const language = lang && String(lang).toLowerCase();
+  if (language === 'scss') {
+    return { ...unresolved('style', null, line, 'lang="scss" isn\'t plain CSS'), ...parseCSS(source.slice(start, end), { line, column, lineComments: true }) };
+  }
+  if (language && !['css', 'text/css', 'postcss'].includes(language)) {
+    return unresolved('style', null, line, `lang="${lang}" isn't plain CSS`);
+  }
+  return { kind: 'style', href: null, filePath: null, line, resolved: true, ...parseCSS(source.slice(start, end), { line, column }) };
+}
+
+/**
+ * A local stylesheet and, before it, the local files it @imports
+ */
+function loadStylesheet(href, dir, { kind, line }, seen = new Set()) {
+  if (typeof href !== 'string' || href === DYNAMIC || !href) {
+    return [unresolved(kind, null, line, 'href is set at runtime')];
+  }
+  if (/^(?:[a-z][\w+.-]*:|\/\/)/i.test(href)) return [unresolved(kind, href, line, 'remote stylesheet')];
+  if (href.startsWith('/')) return [unresolved(kind, href, line, 'path is relative to the web root')];
+  if (!dir) return [unresolved(kind, href, line, 'no file path to resolve it from')];
+
+  const cssPath = path.resolve(dir, href.replace(/[?#].*$/, ''));
+  if (path.extname(cssPath).toLowerCase() !== '.css') {
+    return [unresolved(kind, href, line, `${path.extname(cssPath)} files aren't supported`)];
+  }
+  if (seen.has(cssPath)) return [];
+  seen.add(cssPath);
+
+  let css;
+  try {
+    css = fs.readFileSync(cssPath, 'utf-8');
+  } catch {
+    return [unresolved(kind, href, line, 'file not found')];
+  }
+
+  const parsed = parseCSS(css);
+  const imports = parsed.atRules
+    .filter(rule => rule.name === 'import')
+    .flatMap(rule => {
+      const target = /^(?:url\(\s*)?["']?([^"')\s]+)["']?\s*\)?/.exec(rule.prelude)?.[1];
+      return loadStylesheet(target, path.dirname(cssPath), { kind, line }, seen);
+    });
+
+  return [...imports, {
+    kind,
+    href,
+    filePath: cssPath,
+    line,
+    resolved: true,
+    module: /\.module\.css$/i.test(cssPath),
+    ...parsed,
+  }];
+}
+
+function unresolved(kind, href, line, reason) {
+  return { kind, href, filePath: null, line, resolved: false, reason, rules: [], atRules: [] };
+}
+
+// ─── Resolving styles ───────────────────────────────────────────────────────
+
+/**
+ * Style resolver for a file, created once per rule context
+ *
+ *   get(element, property)   the computed value: a string, null when
+ *                            nothing sets it (and it isn't inherited),
+ *                            or UNRESOLVED
+ *   color(element)           text color, {r, g, b, a}, or UNRESOLVED
+ *   backgroundColor(element) the opaque color behind the element's text,
+ *                            or UNRESOLVED (background images, opacity)
+ *   fontSize(element)        px, or UNRESOLVED
+ *   fontWeight(element)      100–900, or UNRESOLVED
+ *
+ * Outside a full HTML document, the page around the file is unknown, so
+ * inherited values and backgrounds that reach the top of the file are
+ * UNRESOLVED, unless `options` says what they are.
+ *
+ * @param {object} context - Rule context (needs elements and stylesheets)
+ * @param {object} [options]
+ * @param {string} [options.color] - Text color around a component file
+ * @param {string} [options.backgroundColor] - Background around a component file
+ * @returns {object}
+ */
+export function createStyleResolver(context, options = {}) {
+  const cached = resolverCache.get(context);
+  if (cached && cached.options === options) return cached.resolver;
+
+  const resolver = buildResolver(context, options);
+  resolverCache.set(context, { options, resolver });
+  return resolver;
+}
+
+function buildResolver(context, options) {
+  const isDocument = context.fileType === 'html' && context.elements.some(el => el.name === 'html');
+  const stylesheets = context.stylesheets || [];
+  const hasUnresolvedStylesheet = stylesheets.some(sheet => !sheet.resolved);
+
+  const selectors = indexSelectors(stylesheets);
+  const matched = new Map();
+  const computed = new Map();
+
+  const outside = {
+    'color': options.color,
+    'background-color': options.backgroundColor,
+  };
+
+  /**
+   * Rules whose selectors match (or might match) the element
+   */
+  function matchedRules(element) {
+    if (matched.has(element)) return matched.get(element);
+
+    const best = new Map(); // rule → {match, specificity}
+    for (const entry of selectors.candidates(element)) {
+      const match = matchComplex(entry.compounds, entry.compounds.length - 1, element, { isDocument, module: entry.module });
+      if (match === false) continue;
+
+      const previous = best.get(entry.rule);
+      if (!previous || rank(match, entry.specificity) > rank(previous.match, previous.specificity)) {
+        best.set(entry.rule, { match, specificity: entry.specificity });
+      }
+    }
+
+    const result = [...best].map(([rule, { match, specificity }]) => ({ rule, match, specificity }));
+    matched.set(element, result);
+    return result;
+  }
+
+  /**
+   * The cascaded value of a property: the winning declaration's value,
+   * null when no declaration applies, or UNRESOLVED when a declaration that
+   * might apply would outrank the winner
+   */
+  function cascade(element, property) {
+    const candidates = [];
+
+    for (const { rule, match, specificity } of matchedRules(element)) {
+      const declarations = rule.declarations.get(property);
+      if (!declarations || rule.condition === false) continue;
+      for (const declaration of declarations) {
+        candidates.push({
+          value: declaration.value,
+          definite: match === true && rule.condition === true,
+          precedence: [declaration.important ? 1 : 0, rule.origin, rule.layered ? 0 : 1, 0, ...specificity, rule.order],
+        });
+      }
+    }
+
+    const inline = inlineDeclarations(element);
+    if (inline === UNRESOLVED) {
+      candidates.push({ definite: false, precedence: [0, 1, 1, 1, 0, 0, 0, Infinity] });
+    } else {
+      for (const declaration of inline.filter(d => d.property === property)) {
+        candidates.push({
+          value: declaration.value,
+          definite: declaration.value !== DYNAMIC,
+          precedence: [declaration.important ? 1 : 0, 1, 1, 1, 0, 0, 0, declaration.order],
+        });
+      }
+    }
+
+    // Styles this file can't see: an unreadable stylesheet, or classes no
+    // known stylesheet mentions in a component file (styled elsewhere)
+    if (hasUnresolvedStylesheet || (!isDocument && hasUnknownClasses(element, selectors.classes))) {
+      candidates.push({ definite: false, precedence: [0, 1, 1, 0, Infinity, 0, 0, 0] });
+    }
+
+    candidates.sort((a, b) => compareArrays(b.precedence, a.precedence));
+    const winner = candidates[0];
+    if (!winner) return null;
+    return winner.definite ? winner.value : UNRESOLVED;
+  }
+
+  function get(element, property, depth = 0) {
+    let cache = computed.get(element);
+    if (!cache) computed.set(element, cache = new Map());
+    if (cache.has(property)) return cache.get(property);
+
+    const value = compute(element, property, depth);
+    cache.set(property, value);
+    return value;
+  }
+
+  function compute(element, property, depth) {
+    if (depth > 32) return UNRESOLVED;
+
+    const inherited = INHERITED.has(property) || property.startsWith('--');
+    let value = cascade(element, property);
+    if (value === UNRESOLVED) return UNRESOLVED;
+
+    const keyword = typeof value === 'string' ? value.toLowerCase() : null;
+    if (value === null) {
+      if (!inherited) return null;
+      value = 'inherit';
+    } else if (keyword === 'unset') {
+      value = inherited ? 'inherit' : 'initial';
+    } else if (keyword === 'revert' || keyword === 'revert-layer') {
+      return UNRESOLVED;
+    }
+
+    if (value === 'initial' || keyword === 'initial') return INITIAL_VALUES[property] ?? null;
+    if (value === 'inherit' || keyword === 'inherit') return inherit(element, property, depth);
+
+    return substituteVariables(value, element, depth);
+  }
+
+  function inherit(element, property, depth) {
+    const parent = element.parent;
+    if (parent) return isComponent(parent) ? UNRESOLVED : get(parent, property, depth + 1);
+    if (isDocument) return INITIAL_VALUES[property] ?? null;
+    return outside[property] ?? UNRESOLVED;
+  }
+
+  function substituteVariables(value, element, depth) {
+    if (value === DYNAMIC || value.includes(DYNAMIC)) return UNRESOLVED;
+    if (!/\bvar\(/i.test(value)) return value;
+
+    let result = '';
+    let i = 0;
+    for (;;) {
+      const start = value.toLowerCase().indexOf('var(', i);
+      if (start === -1) break;
+      const end = findClosingParen(value, start + 4);
+      if (end === -1) return UNRESOLVED;
+
+      const inner = value.slice(start + 4, end);
+      const comma = inner.indexOf(',');
+      const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+      let replacement = get(element, name, depth + 1);
+      if (replacement === null && comma !== -1) {
+        replacement = substituteVariables(inner.slice(comma + 1).trim(), element, depth + 1);
+      }
+      if (replacement === null || replacement === UNRESOLVED) return UNRESOLVED;
+
+      result += value.slice(i, start) + replacement;
+      i = end + 1;
+    }
+    return result + value.slice(i);
+  }
+
+  function color(element) {
+    const value = get(element, 'color');
+    if (value === UNRESOLVED || value === null) return UNRESOLVED;
+    if (value.toLowerCase() === 'currentcolor') {
+      return element.parent ? color(element.parent) : UNRESOLVED;
+    }
+    return parseColor(value) || UNRESOLVED;
+  }
+
+  function backgroundColor(element) {
+    const layers = [];
+    let base = null;
+
+    for (let el = element; ; el = el.parent) {
+      if (!el) {
+        base = parseColor(isDocument ? 'canvas' : outside['background-color']);
+        break;
+      }
+      if (el !== element && isComponent(el)) return UNRESOLVED;
+
+      const opacity = get(el, 'opacity');
+      if (opacity === UNRESOLVED || (opacity !== null && parseFloat(opacity) < 1)) return UNRESOLVED;
+
+      const image = get(el, 'background-image');
+      if (image === UNRESOLVED || (image !== null && image.toLowerCase() !== 'none')) return UNRESOLVED;
+
+      const value = get(el, 'background-color');
+      if (value === UNRESOLVED) return UNRESOLVED;
+      if (value === null) continue;
+
+      const layer = value.toLowerCase() === 'currentcolor' ? color(el) : parseColor(value);
+      if (!layer || layer === UNRESOLVED) return UNRESOLVED;
+      if (layer.a === 1) {
+        base = layer;
+        break;
+      }
+      if (layer.a > 0) layers.push(layer);
+    }
+
+    if (!base) return UNRESOLVED;
+    return layers.reduceRight((below, layer) => blend(layer, below), base);
+  }
+
+  function fontSize(element) {
+    const value = get(element, 'font-size');
+    if (value === UNRESOLVED || value === null) return UNRESOLVED;
+
+    const text = value.toLowerCase();
+    if (FONT_SIZE_KEYWORDS[text]) return FONT_SIZE_KEYWORDS[text];
+
+    const parentSize = () => {
+      if (element.parent) return isComponent(element.parent) ? UNRESOLVED : fontSize(element.parent);
+      return isDocument ? 16 : UNRESOLVED;
+    };
+    if (text === 'smaller' || text === 'larger') {
+      const parent = parentSize();
+      return parent === UNRESOLVED ? UNRESOLVED : text === 'smaller' ? parent / 1.2 : parent * 1.2;
+    }
+
+    const match = /^([\d.]+)(px|pt|em|rem|%)$/.exec(text);
+    if (!match) return UNRESOLVED;
+    const number = parseFloat(match[1]);
+    switch (match[2]) {
+      case 'px': return number;
+      case 'pt': return number * 4 / 3;
+      case 'rem': return number * 16;
+      default: {
+        const parent = parentSize();
+        if (parent === UNRESOLVED) return UNRESOLVED;
+        return match[2] === 'em' ? number * parent : number / 100 * parent;
+      }
+    }
+  }
+
+  function fontWeight(element) {
+    const value = get(element, 'font-weight');
+    if (value === UNRESOLVED || value === null) return UNRESOLVED;
+
+    const text = value.toLowerCase();
+    if (text === 'normal') return 400;
+    if (text === 'bold') return 700;
+    if (/^\d+$/.test(text)) return Number(text);
+
+    if (text === 'bolder' || text === 'lighter') {
+      const parent = element.parent
+        ? (isComponent(element.parent) ? UNRESOLVED : fontWeight(element.parent))
+        : (isDocument ? 400 : UNRESOLVED);
+      if (parent === UNRESOLVED) return UNRESOLVED;
+      if (text === 'bolder') return parent < 350 ? 400 : parent < 550 ? 700 : 900;
+      return parent < 550 ? 100 : parent < 750 ? 400 : 700;
+    }
+    return UNRESOLVED;
+  }
+
+  return { get, color, backgroundColor, fontSize, fontWeight };
+}
+
+/**
+ * An element's own style declarations, or UNRESOLVED when its style is set
+ * at runtime (`style={styles}`, `:style`, spread props)
+ */
+function inlineDeclarations(element) {
+  if (element.hasAttributes['...spread']) return UNRESOLVED;
+
+  let declarations;
+  if (element.styleDeclarations) {
+    declarations = element.styleDeclarations;
+    if (declarations.some(d => d.property === '...spread')) return UNRESOLVED;
+  } else {
+    const style = element.attributes['style'];
+    if (style === DYNAMIC) return UNRESOLVED;
+    declarations = typeof style === 'string' ? parseDeclarations(style) : [];
+  }
+
+  return expandDeclarations(declarations).map((declaration, order) => ({ ...declaration, order }));
+}
+
+// ─── Selector index ─────────────────────────────────────────────────────────
+
+/**
+ * Parse every selector of the user-agent and author stylesheets, bucketed
+ * by the id, class or tag their last compound needs, so an element is only
+ * matched against selectors that could apply to it
+ */
+function indexSelectors(stylesheets) {
+  const buckets = new Map();
+  const classes = new Set();
+  let order = 0;
+
+  const add = (key, entry) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(entry);
+  };
+
+  const addSheet = (rules, origin, module = false) => {
+    for (const cssRule of rules) {
+      const declarations = new Map();
+      for (const declaration of expandDeclarations(cssRule.declarations)) {
+        if (!declarations.has(declaration.property)) declarations.set(declaration.property, []);
+        declarations.get(declaration.property).push(declaration);
+      }
+
+      const rule = {
+        declarations,
+        origin,
+        order: order++,
+        condition: evaluateConditions(cssRule.conditions),
+        layered: cssRule.conditions.some(condition => /^@layer\b/i.test(condition)),
+      };
+
+      for (const selector of cssRule.selectors) {
+        const compounds = parseSelector(selector);
+        if (!compounds) {
+          // Selectors this engine can't read might match anything
+          add('*', { rule, compounds: [{ unknown: true }], specificity: [0, 0, 0], module });
+          continue;
+        }
+
+        const last = compounds[compounds.length - 1];
+        const entry = { rule, compounds, specificity: specificity(compounds), module };
+        if (last.ids.length) add(`#${last.ids[0]}`, entry);
+        else if (last.classes.length) add(`.${last.classes[0]}`, entry);
+        else if (last.tag && last.tag !== '*') add(last.tag, entry);
+        else add('*', entry);
+
+        if (!module) {
+          for (const compound of compounds) compound.classes.forEach(name => classes.add(name));
+        }
+      }
+    }
+  };
+
+  addSheet(parseCSS(USER_AGENT_CSS).rules, 0);
+  for (const sheet of stylesheets) {
+    if (sheet.resolved && !sheet.scoped) addSheet(sheet.rules, 1, sheet.module);
+  }
+
+  return {
+    classes,
+    candidates(element) {
+      const keys = ['*', element.name];
+      const id = element.attributes['id'];
+      const classList = getClassList(element);
+
+      const all = (prefix) => [...buckets.keys()].filter(key => key.startsWith(prefix));
+      keys.push(...(typeof id === 'string' && id !== DYNAMIC ? [`#${id}`] : id === DYNAMIC || element.hasAttributes['...spread'] ? all('#') : []));
+      keys.push(...(classList === UNRESOLVED ? all('.') : classList.map(name => `.${name}`)));
+
+      return [...new Set(keys)].flatMap(key => buckets.get(key) || []);
+    },
+  };
+}
+
+/**
+ * true when every condition holds, false when one can't, null when it
+ * depends on the viewport, user preferences or browser support
+ */
+function evaluateConditions(conditions) {
+  let result = true;
+  for (const condition of conditions) {
+    const text = condition.toLowerCase();
+    if (/^@layer\b/.test(text)) continue;
+    if (/^@starting-style\b/.test(text)) return false;
+
+    const media = /^@media\s+(.*)$/.exec(text)?.[1];
+    if (media !== undefined) {
+      if (/^(?:only\s+)?(?:screen|all)$/.test(media)) continue;
+      if (/^(?:only\s+)?print$/.test(media) || /prefers-color-scheme\s*:\s*dark/.test(media)) return false;
+      if (/^\(\s*prefers-color-scheme\s*:\s*light\s*\)$/.test(media)) continue;
+    }
+    result = null;
+  }
+  return result;
+}
+
+/**
+ * Split shorthands this module reads into their longhands:
+ * `background` → background-color and background-image
+ */
+function expandDeclarations(declarations) {
+  return declarations.flatMap(declaration => {
+    if (declaration.property !== 'background') return [declaration];
+
+    const value = declaration.value;
+    if (value === DYNAMIC || /^var\([^()]*\)$/i.test(value.trim())) {
+      return [
+        { ...declaration, property: 'background-color', value },
+        { ...declaration, property: 'background-image', value: value === DYNAMIC ? value : 'none' },
+      ];
+    }
+
+    const tokens = value.split(/\s+(?![^(]*\))/);
+    const colorToken = tokens.find(token => parseColor(token) || token.toLowerCase() === 'currentcolor' || /^var\(/i.test(token));
+    const hasImage = /(?:url|gradient|image-set|image|element|cross-fade)\(/i.test(value) || value.includes(',');
+    return [
+      { ...declaration, property: 'background-color', value: colorToken || 'transparent' },
+      { ...declaration, property: 'background-image', value: hasImage ? value : 'none' },
+    ];
+  });
+}
+
+// ─── Selector matching ──────────────────────────────────────────────────────
+
+/**
+ * Match compounds[0..index] against `element`, right to left
+ * @returns {boolean|null} null when it depends on what the markup can't show
+ */
+function matchComplex(compounds, index, element, state) {
+  const compound = compounds[index];
+  const own = matchCompound(compound, element, state);
+  if (own === false || index === 0) return own;
+
+  let rest;
+  switch (compound.combinator) {
+    case '>':
+      rest = element.parent ? matchComplex(compounds, index - 1, element.parent, state) : outsideMatch(state);
+      break;
+    case ' ': {
+      rest = false;
+      for (let el = element.parent; el; el = el.parent) {
+        const result = matchComplex(compounds, index - 1, el, state);
+        if (result === true) {
+          rest = true;
+          break;
+        }
+        if (result === null) rest = null;
+      }
+      if (rest === false) rest = outsideMatch(state);
+      break;
+    }
+    default: {
+      // + and ~: earlier siblings, which conditional rendering can change
+      const siblings = element.parent ? element.parent.children : null;
+      if (!siblings) return null;
+      const before = siblings.slice(0, siblings.indexOf(element));
+      const candidates = compound.combinator === '+' ? before.slice(-1) : before;
+      rest = false;
+      for (const sibling of candidates) {
+        const result = matchComplex(compounds, index - 1, sibling, state);
+        if (result === true) {
+          rest = true;
+          break;
+        }
+        if (result === null) rest = null;
+      }
+    }
+  }
+
+  if (rest === false) return false;
+  return own === true && rest === true ? true : null;
+}
+
+/**
+ * Whether ancestors outside the file could match: not in a full document,
+ * whose root is in the file
+ */
+function outsideMatch(state) {
+  return state.isDocument ? false : null;
+}
+
+function matchCompound(compound, element, state) {
+  if (compound.unknown || compound.nesting) return null;
+  if (compound.pseudoElement) return false;
+  if (isComponent(element)) return null;
+
+  let result = true;
+  const and = (value) => {
+    if (value === false) result = false;
+    else if (value === null && result === true) result = null;
+  };
+
+  if (compound.tag && compound.tag !== '*') and(element.name === compound.tag);
+
+  for (const id of compound.ids) {
+    const value = element.attributes['id'];
+    and(value === DYNAMIC || element.hasAttributes['...spread'] ? null : value === id);
+  }
+
+  if (compound.classes.length) {
+    const classList = getClassList(element);
+    for (const name of compound.classes) {
+      // CSS module class names are rewritten at build time — only a
+      // className set at runtime (styles.card) can carry them
+      and(classList === UNRESOLVED ? null : state.module ? false : classList.includes(name));
+    }
+  }
+
+  for (const attribute of compound.attributes) and(matchAttribute(attribute, element));
+  for (const pseudo of compound.pseudoClasses) and(matchPseudoClass(pseudo, element, state));
+
+  return result;
+}
+
+function matchAttribute({ name, operator, value, insensitive }, element) {
+  const aliases = { class: 'className', for: 'htmlFor' };
+  const actual = element.attributes[name] ?? (aliases[name] ? element.attributes[aliases[name]] : undefined);
+
+  if (actual === undefined) return element.hasAttributes['...spread'] ? null : false;
+  if (!operator) return true;
+  if (actual === DYNAMIC) return null;
+
+  let text = actual === true ? '' : String(actual);
+  let expected = value;
+  if (insensitive) {
+    text = text.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+
+  switch (operator) {
+    case '=': return text === expected;
+    case '~=': return text.split(/\s+/).includes(expected);
+    case '|=': return text === expected || text.startsWith(`${expected}-`);
+    case '^=': return expected !== '' && text.startsWith(expected);
+    case '$=': return expected !== '' && text.endsWith(expected);
+    case '*=': return expected !== '' && text.includes(expected);
+    default: return null;
+  }
+}
+
+function matchPseudoClass({ name, argument }, element, state) {
+  if (STATE_PSEUDO_CLASSES.has(name)) return false;
+
+  switch (name) {
+    case 'root':
+      return state.isDocument ? element.name === 'html' : false;
+    case 'link':
+    case 'any-link':
+      return ['a', 'area'].includes(element.name) && 'href' in element.attributes;
+    case 'is':
+    case 'where':
+    case 'matches':
+    case 'not': {
+      const results = splitArgument(argument).map(selector => {
+        const compounds = parseSelector(selector);
+        return compounds ? matchComplex(compounds, compounds.length - 1, element, state) : null;
+      });
+      const any = results.includes(true) ? true : results.includes(null) ? null : false;
+      if (name !== 'not') return any;
+      return any === null ? null : !any;
+    }
+    case 'disabled':
+    case 'enabled': {
+      const disabled = element.attributes['disabled'];
+      if (disabled === DYNAMIC) return null;
+      const isDisabled = disabled !== undefined && disabled !== 'false';
+      return name === 'disabled' ? isDisabled : !isDisabled;
+    }
+    default:
+      // Structural, form-state and language pseudo-classes
+      return null;
+  }
+}
+
+/**
+ * Specificity of a complex selector as [ids, classes, types]
+ */
+function specificity(compounds) {
+  const total = [0, 0, 0];
+  for (const compound of compounds) {
+    total[0] += compound.ids.length;
+    total[1] += compound.classes.length + compound.attributes.length;
+    total[2] += (compound.tag && compound.tag !== '*' ? 1 : 0) + (compound.pseudoElement ? 1 : 0);
+
+    for (const { name, argument } of compound.pseudoClasses) {
+      if (name === 'where') continue;
+      if (['is', 'not', 'has', 'matches'].includes(name)) {
+        const inner = splitArgument(argument)
+          .map(parseSelector)
+          .filter(Boolean)
+          .map(specificity)
+          .reduce((max, value) => (compareArrays(value, max) > 0 ? value : max), [0, 0, 0]);
+        total.forEach((_, i) => { total[i] += inner[i]; });
+      } else {
+        total[1] += 1;
+      }
+    }
+  }
+  return total;
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Class names of an element, or UNRESOLVED when they're set at runtime
+ */
+function getClassList(element) {
+  const value = element.attributes['class'] ?? element.attributes['className'];
+  if (value === DYNAMIC || element.hasAttributes['...spread']) return UNRESOLVED;
+  return typeof value === 'string' ? value.split(/\s+/).filter(Boolean) : [];
+}
+
+function hasUnknownClasses(element, knownClasses) {
+  const classList = getClassList(element);
+  if (classList === UNRESOLVED) return true;
+  return classList.some(name => !knownClasses.has(name));
+}
+
+function splitArgument(argument) {
+  if (!argument) return [];
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < argument.length; i++) {
+    if (argument[i] === '(') depth++;
+    else if (argument[i] === ')') depth--;
+    else if (argument[i] === ',' && depth === 0) {
+      parts.push(argument.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(argument.slice(start).trim());
+  return parts.filter(Boolean);
+}
+
+function findClosingParen(text, from) {
+  let depth = 1;
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function rank(match, spec) {
+  return (match === true ? 1e9 : 0) + spec[0] * 1e6 + spec[1] * 1e3 + spec[2];
+}
+
+function compareArrays(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] ?? 0) - (b[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
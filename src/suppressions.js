@@ -0,0 +1,223 @@
+/**
+ * Inline suppression comments.
+ *
+ * JSX/TSX:
+ *   // a11y-pilot-disable-next-line img-alt
+ *   {/* a11y-pilot-disable-next-line img-alt *\/}
+ *   /* a11y-pilot-disable no-div-button *\/ ... /* a11y-pilot-enable no-div-button *\/
+ *
+ * HTML / Vue / Svelte / Astro:
+ *   <img src="x.png"> <!-- a11y-pilot-disable-line img-alt -->
+ *   <!-- a11y-pilot-disable-next-line -->
+ *   <!-- a11y-pilot-disable --> ... <!-- a11y-pilot-enable -->
+ *
+ * CSS / SCSS:
+ *   /* a11y-pilot-disable-next-line focus-visible *\/
+ *   // a11y-pilot-disable-next-line focus-visible   (SCSS only)
+ *
+ * Omitting the rule list applies the directive to every rule. Anything after
+ * `--` is treated as a free-form reason and ignored.
+ */
+
+export const UNUSED_SUPPRESSION_ID = 'unused-suppression';
+
+const DIRECTIVE_PATTERN = /^\s*a11y-pilot-(disable-next-line|disable-line|disable|enable)\b([\s\S]*)$/;
+
+/**
+ * Extract comments from source code
+ * @param {string} code - Source code
+ * @param {'jsx'|'html'|'css'|'scss'} fileType - Vue, Svelte and Astro read like HTML
+ * @param {object} [ast] - Babel AST (required for JSX — its comment list is used)
+ * @returns {{value: string, line: number, endLine: number}[]}
+ */
+export function extractComments(code, fileType, ast = null) {
+  if (fileType === 'jsx') {
+    return (ast?.comments || []).map(c => ({
+      value: c.value,
+      line: c.loc.start.line,
+      endLine: c.loc.end.line,
+    }));
+  }
+
+  const comments = [];
+  // Strings are matched (and skipped) so `url("//cdn…")` or `content: "/*"`
+  // can't open a comment; unquoted `url(//cdn…)` is excluded by the lookbehind
+  const pattern = fileType === 'scss' ? /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|\/\*([\s\S]*?)\*\/|(?<![:(])\/\/([^\n]*)/g
+    : fileType === 'css' ? /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|\/\*([\s\S]*?)\*\//g
+      : /<!--([\s\S]*?)-->/g;
+
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    if (match[1] === undefined && match[2] === undefined) continue;
+    const line = lineAt(code, match.index);
+    comments.push({ value: match[1] ?? match[2], line, endLine: line + countNewlines(match[0]) });
+  }
+
+  return comments;
+}
+
+/**
+ * Turn comments into suppression directives
+ * @param {{value: string, line: number, endLine: number}[]} comments
+ * @returns {object[]} Directives: {type, ruleIds (null = all), line, endLine}
+ */
+export function parseDirectives(comments) {
+  const directives = [];
+
+  for (const comment of comments) {
+    const match = DIRECTIVE_PATTERN.exec(comment.value);
+    if (!match) continue;
+
+    const [, type, rest] = match;
+    const ruleList = rest.split('--')[0].trim();
+    const ruleIds = ruleList ? ruleList.split(/[\s,]+/).filter(Boolean) : null;
+
+    directives.push({
+      type,
+      ruleIds,
+      line: comment.line,
+      endLine: comment.endLine,
+    });
+  }
+
+  return directives;
+}
+
+/**
+ * Drop issues covered by suppression directives.
+ *
+ * @param {object[]} issues - Issues found in the file
+ * @param {object[]} directives - From parseDirectives()
+ * @param {object} [options]
+ * @param {Set<string>} [options.activeRuleIds] - Rules that ran; unused checks skip other rules
+ * @param {Set<string>} [options.knownRuleIds] - Every rule that exists (built-in and plugin);
+ *   ids outside it are reported as unknown even if they didn't run
+ * @param {string[]} [options.lines] - Source lines (for sourceLine on unused reports)
+ * @returns {{issues: object[], suppressed: object[], unused: object[]}}
+ *   `unused` holds issues describing directives that suppressed nothing
+ *   or name rules that don't exist
+ */
+export function applySuppressions(issues, directives, options = {}) {
+  if (directives.length === 0) {
+    return { issues, suppressed: [], unused: [] };
+  }
+
+  const { activeRuleIds = null, knownRuleIds = null, lines = [] } = options;
+  const matchers = buildMatchers(directives);
+
+  const kept = [];
+  const suppressed = [];
+
+  for (const issue of issues) {
+    const matcher = matchers.find(m => m.covers(issue));
+    if (matcher) {
+      matcher.used.add(issue.ruleId);
+      suppressed.push(issue);
+    } else {
+      kept.push(issue);
+    }
+  }
+
+  const unused = [];
+  for (const matcher of matchers) {
+    const { directive } = matcher;
+    // Enable comments are only bookkeeping — nothing to report
+    if (directive.type === 'enable') continue;
+
+    let stale;
+    let unknown = [];
+    if (directive.ruleIds) {
+      // Misspelled or removed rules can never match — report them whether or not they ran
+      unknown = knownRuleIds ? directive.ruleIds.filter(id => !knownRuleIds.has(id)) : [];
+      stale = directive.ruleIds.filter(id =>
+        !matcher.used.has(id) && !unknown.includes(id) && (!activeRuleIds || activeRuleIds.has(id))
+      );
+    } else {
+      stale = matcher.used.size === 0 ? ['*'] : [];
+    }
+
+    const sourceLine = lines[directive.line - 1]?.trim() || '';
+
+    if (unknown.length > 0) {
+      const names = unknown.map(id => `"${id}"`).join(', ');
+      unused.push({
+        ruleId: UNUSED_SUPPRESSION_ID,
+        severity: 'warning',
+        message: `a11y-pilot-${directive.type} directive names unknown rule${unknown.length !== 1 ? 's' : ''} ${names}`,
+        line: directive.line,
+        sourceLine,
+        fix: 'Fix the rule ID (run `a11y-pilot rules` to list them), or remove it from the comment',
+        copilotPrompt: `Look at line ${directive.line}. There is an "a11y-pilot-${directive.type}" suppression comment that names ${names}, which ${unknown.length !== 1 ? 'are not a11y-pilot rules' : 'is not an a11y-pilot rule'}. Correct the misspelled rule ID, or remove it from the comment (and the comment entirely if no rule IDs remain). Do not change any other code.`,
+      });
+    }
+
+    if (stale.length === 0) continue;
+
+    const what = stale[0] === '*'
+      ? 'no issues'
+      : `no ${stale.map(id => `"${id}"`).join(', ')} issue${stale.length !== 1 ? 's' : ''}`;
+
+    unused.push({
+      ruleId: UNUSED_SUPPRESSION_ID,
+      severity: 'warning',
+      message: `Unused a11y-pilot-${directive.type} directive (${what} reported)`,
+      line: directive.line,
+      sourceLine,
+      fix: 'Remove the suppression comment, or the stale rule IDs from it',
+      copilotPrompt: `Look at line ${directive.line}. There is an "a11y-pilot-${directive.type}" suppression comment that no longer suppresses anything (${what} reported). Remove the stale rule IDs from the comment, or remove the comment entirely if none remain. Do not change any other code.`,
+    });
+  }
+
+  return { issues: kept, suppressed, unused };
+}
+
+/**
+ * Build a matcher per directive. Block disables pair with the next matching
+ * enable (or run to end of file).
+ */
+function buildMatchers(directives) {
+  const matchers = [];
+  const sorted = [...directives].sort((a, b) => a.line - b.line);
+
+  for (const directive of sorted) {
+    const ruleMatches = (ruleId) => !directive.ruleIds || directive.ruleIds.includes(ruleId);
+    let covers;
+
+    switch (directive.type) {
+      case 'disable-next-line':
+        covers = (issue) => issue.line === directive.endLine + 1 && ruleMatches(issue.ruleId);
+        break;
+      case 'disable-line':
+        covers = (issue) => issue.line >= directive.line && issue.line <= directive.endLine && ruleMatches(issue.ruleId);
+        break;
+      case 'disable': {
+        const enable = sorted.find(d =>
+          d.type === 'enable' &&
+          d.line >= directive.endLine &&
+          (!d.ruleIds || (directive.ruleIds && directive.ruleIds.every(id => d.ruleIds.includes(id))))
+        );
+        const endLine = enable ? enable.line : Infinity;
+        covers = (issue) => issue.line >= directive.line && issue.line <= endLine && ruleMatches(issue.ruleId);
+        break;
+      }
+      default:
+        covers = () => false;
+    }
+
+    matchers.push({ directive, covers, used: new Set() });
+  }
+
+  return matchers;
+}
+
+function lineAt(code, index) {
+  return countNewlines(code.slice(0, index)) + 1;
+}
+
+function countNewlines(text) {
+  let count = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') count++;
+  }
+  return count;
+}
@@ -0,0 +1,91 @@
+import { analyzeSource, getParseErrors } from './linter.js';
+import { getFileType } from './scanner.js';
+import { fingerprintIssue } from './baseline.js';
+
+/**
+ * Check what a fix actually did by re-running the rules on the new source.
+ *
+ * Original issues are matched against the new ones first by fingerprint
+ * (rule + source line), then by rule and message — so an issue whose line
+ * was edited without fixing it still counts as unresolved. New issues left
+ * over were introduced by the fix.
+ *
+ * @param {object} options
+ * @param {string} options.filePath - Absolute file path (for file type and fingerprints)
+ * @param {string} options.before - Source before the fix
+ * @param {string} options.after - Source after the fix
+ * @param {object[]} options.issues - Issues the fix was meant to resolve
+ * @param {object[]} options.rules - Configured rules
+ * @returns {{changed: boolean, resolved: object[], unresolved: object[], introduced: object[], parseErrors: string[]}}
+ *   parseErrors lists syntax errors the fix introduced
+ */
+export function verifyFix({ filePath, before, after, issues, rules }) {
+  const fileType = getFileType(filePath);
+
+  if (before === after) {
+    return { changed: false, resolved: [], unresolved: [...issues], introduced: [], parseErrors: [] };
+  }
+
+  const errorsBefore = getParseErrors(before, fileType, filePath);
+  const parseErrors = getParseErrors(after, fileType, filePath).filter(error => {
+    const index = errorsBefore.indexOf(error);
+    if (index === -1) return true;
+    errorsBefore.splice(index, 1);
+    return false;
+  });
+
+  const previous = analyzeSource(before, { fileType, filePath, rules });
+  const current = analyzeSource(after, { fileType, filePath, rules });
+
+  // Issues that existed before the fix but weren't targeted don't count as introduced
+  const { unmatched: introduced } = matchIssues(previous, current, filePath);
+  const { matched: unresolved, unmatched: resolved } = matchIssues(current, issues, filePath);
+
+  return {
+    changed: true,
+    resolved,
+    unresolved,
+    introduced,
+    parseErrors,
+  };
+}
+
+/**
+ * Match `candidates` against a pool of issues, each pool issue used once.
+ * @param {object[]} pool
+ * @param {object[]} candidates
+ * @param {string} filePath
+ * @returns {{matched: object[], unmatched: object[]}} Partition of `candidates`
+ */
+function matchIssues(pool, candidates, filePath) {
+  const byFingerprint = groupBy(pool, issue => fingerprintIssue(issue, filePath));
+  const byMessage = groupBy(pool, issue => `${issue.ruleId}\0${issue.message}`);
+  const used = new Set();
+
+  const take = (groups, key) => {
+    const list = groups.get(key) || [];
+    const found = list.find(issue => !used.has(issue));
+    if (found) used.add(found);
+    return found;
+  };
+
+  const result = candidates.map(issue => take(byFingerprint, fingerprintIssue(issue, filePath)));
+  candidates.forEach((issue, i) => {
+    if (!result[i]) result[i] = take(byMessage, `${issue.ruleId}\0${issue.message}`);
+  });
+
+  return {
+    matched: candidates.filter((_, i) => result[i]),
+    unmatched: candidates.filter((_, i) => !result[i]),
+  };
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
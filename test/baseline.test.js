@@ -0,0 +1,85 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fingerprintIssue, writeBaseline, loadBaseline, filterByBaseline } from '../src/baseline.js';
+
+const issue = (ruleId, line, sourceLine) => ({ ruleId, line, sourceLine, severity: 'error', message: ruleId });
+
+describe('fingerprintIssue', () => {
+  it('ignores the line number and whitespace changes', () => {
+    const before = fingerprintIssue(issue('img-alt', 3, '<img src="a.png">'), 'src/a.html');
+    expect(fingerprintIssue(issue('img-alt', 40, '<img   src="a.png">'), 'src/a.html')).toBe(before);
+  });
+
+  it('changes with the rule, the file or the source line', () => {
+    const before = fingerprintIssue(issue('img-alt', 3, '<img src="a.png">'), 'src/a.html');
+    expect(fingerprintIssue(issue('img-alt', 3, '<img src="b.png">'), 'src/a.html')).not.toBe(before);
+    expect(fingerprintIssue(issue('img-alt', 3, '<img src="a.png">'), 'src/b.html')).not.toBe(before);
+    expect(fingerprintIssue(issue('no-autofocus', 3, '<img src="a.png">'), 'src/a.html')).not.toBe(before);
+  });
+});
+
+describe('baseline files', () => {
+  let root;
+  let baselinePath;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-pilot-baseline-'));
+    baselinePath = path.join(root, '.a11y-pilot-baseline.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const file = (name) => path.join(root, name);
+
+  it('writes entries with paths relative to the baseline file', () => {
+    const count = writeBaseline(baselinePath, new Map([
+      [file('src/a.html'), [issue('img-alt', 3, '<img src="a.png">')]],
+    ]));
+
+    expect(count).toBe(1);
+    expect(loadBaseline(baselinePath).entries).toEqual([
+      expect.objectContaining({ ruleId: 'img-alt', file: 'src/a.html', line: 3 }),
+    ]);
+  });
+
+  it('matches issues that moved, and counts a duplicate of a baselined issue as new', () => {
+    const img = '<img src="a.png">';
+    writeBaseline(baselinePath, new Map([[file('src/a.html'), [issue('img-alt', 3, img)]]]));
+
+    const result = filterByBaseline(
+      new Map([[file('src/a.html'), [issue('img-alt', 10, img), issue('img-alt', 11, img)]]]),
+      loadBaseline(baselinePath),
+      baselinePath,
+      [file('src/a.html')]
+    );
+
+    expect(result.matched).toBe(1);
+    expect(result.issuesByFile.get(file('src/a.html')).map(i => i.line)).toEqual([11]);
+    expect(result.fixed).toEqual([]);
+  });
+
+  it('only reports entries as fixed for files scanned this run', () => {
+    writeBaseline(baselinePath, new Map([
+      [file('src/a.html'), [issue('img-alt', 3, '<img src="a.png">')]],
+      [file('src/b.html'), [issue('img-alt', 5, '<img src="b.png">')]],
+    ]));
+
+    const result = filterByBaseline(new Map(), loadBaseline(baselinePath), baselinePath, [file('src/a.html')]);
+
+    expect(result.issuesByFile.size).toBe(0);
+    expect(result.fixed.map(entry => entry.file)).toEqual(['src/a.html']);
+  });
+
+  it('rejects missing and malformed baselines', () => {
+    expect(() => loadBaseline(baselinePath)).toThrow(`Baseline file not found: ${baselinePath}`);
+
+    fs.writeFileSync(baselinePath, '{"entries": ');
+    expect(() => loadBaseline(baselinePath)).toThrow('Failed to parse baseline .a11y-pilot-baseline.json');
+
+    fs.writeFileSync(baselinePath, '{"version": 1}');
+    expect(() => loadBaseline(baselinePath)).toThrow('.a11y-pilot-baseline.json is not an a11y-pilot baseline file');
+  });
+});
@@ -0,0 +1,58 @@
+import { parseColor, blend, contrastRatio, suggestColor, formatColor } from '../src/colors.js';
+
+const ratio = (foreground, background) => contrastRatio(parseColor(foreground), parseColor(background));
+
+describe('parseColor', () => {
+  it('reads hex, rgb(), hsl() and named colors', () => {
+    expect(parseColor('#0af')).toEqual({ r: 0, g: 170, b: 255, a: 1 });
+    expect(parseColor('#11223380')).toEqual({ r: 17, g: 34, b: 51, a: 128 / 255 });
+    expect(parseColor('rgb(0 128 255 / 50%)')).toEqual({ r: 0, g: 128, b: 255, a: 0.5 });
+    expect(parseColor('rgba(0, 128, 255, 0.25)')).toEqual({ r: 0, g: 128, b: 255, a: 0.25 });
+    expect(parseColor('hsl(0, 100%, 50%)')).toMatchObject({ r: 255, g: 0, b: 0, a: 1 });
+    expect(parseColor('Navy')).toEqual({ r: 0, g: 0, b: 128, a: 1 });
+    expect(parseColor('transparent')).toMatchObject({ a: 0 });
+  });
+
+  it('returns null for values that are not literal colors', () => {
+    expect(parseColor('var(--text)')).toBeNull();
+    expect(parseColor('currentColor')).toBeNull();
+    expect(parseColor('rgb(1, 2)')).toBeNull();
+  });
+});
+
+describe('contrastRatio', () => {
+  it('spans 1:1 to 21:1', () => {
+    expect(ratio('#000', '#fff')).toBeCloseTo(21, 5);
+    expect(ratio('#fff', '#000')).toBeCloseTo(21, 5);
+    expect(ratio('#abc', '#abc')).toBe(1);
+  });
+
+  it('matches the WCAG borderline values', () => {
+    expect(ratio('#777', '#fff')).toBeCloseTo(4.48, 2);
+    expect(ratio('#777', '#fff')).toBeLessThan(4.5);
+    expect(ratio('#767676', '#fff')).toBeGreaterThanOrEqual(4.5);
+    expect(ratio('#595959', '#fff')).toBeGreaterThanOrEqual(7);
+    expect(ratio('#5a5a5a', '#fff')).toBeLessThan(7);
+  });
+});
+
+describe('blend', () => {
+  it('paints a translucent color over its background', () => {
+    const white = parseColor('#fff');
+    expect(formatColor(blend(parseColor('rgb(0 0 0 / 0.5)'), white))).toBe('#808080');
+    expect(blend(parseColor('#123456'), white)).toMatchObject(parseColor('#123456'));
+  });
+});
+
+describe('suggestColor', () => {
+  it('finds the closest color that reaches the ratio', () => {
+    const white = parseColor('#fff');
+    const suggestion = suggestColor(parseColor('#777'), white, 4.5);
+    expect(contrastRatio(suggestion, white)).toBeGreaterThanOrEqual(4.5);
+    expect(contrastRatio(suggestion, white)).toBeLessThan(4.6);
+  });
+
+  it('returns null when no lightness reaches the ratio', () => {
+    expect(suggestColor(parseColor('#777'), parseColor('#777'), 21)).toBeNull();
+  });
+});
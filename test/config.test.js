@@ -0,0 +1,111 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { findConfigFile, loadConfig, normalizeConfig } from '../src/config.js';
+
+describe('normalizeConfig', () => {
+  it('fills in defaults for an empty config', () => {
+    expect(normalizeConfig({})).toEqual({ include: null, exclude: [], plugins: [], rules: {}, fixer: {} });
+  });
+
+  it('accepts severity names, numbers and [severity, options] tuples', () => {
+    const { rules } = normalizeConfig({
+      rules: {
+        'img-alt': 'warn',
+        'heading-order': 0,
+        'no-autofocus': 2,
+        'color-contrast': ['error', { level: 'AAA' }],
+        'focus-visible': ['warning'],
+      },
+    });
+    expect(rules).toEqual({
+      'img-alt': { severity: 'warning', options: {} },
+      'heading-order': { severity: 'off', options: {} },
+      'no-autofocus': { severity: 'error', options: {} },
+      'color-contrast': { severity: 'error', options: { level: 'AAA' } },
+      'focus-visible': { severity: 'warning', options: {} },
+    });
+  });
+
+  it('turns a single include/exclude glob into a list', () => {
+    const config = normalizeConfig({ include: 'src/**', exclude: ['**/*.stories.jsx'] });
+    expect(config.include).toEqual(['src/**']);
+    expect(config.exclude).toEqual(['**/*.stories.jsx']);
+  });
+
+  it('names the file and the offending key in errors', () => {
+    const where = '/project/.a11ypilotrc';
+    expect(() => normalizeConfig([], where)).toThrow('.a11ypilotrc: config must be an object');
+    expect(() => normalizeConfig({ rules: { 'img-alt': 'fatal' } }, where))
+      .toThrow('.a11ypilotrc: invalid severity "fatal" for rule "img-alt" (use "off", "warn" or "error")');
+    expect(() => normalizeConfig({ rules: { 'img-alt': ['error', 'AAA'] } }, where))
+      .toThrow('.a11ypilotrc: options for rule "img-alt" must be an object');
+    expect(() => normalizeConfig({ rules: ['img-alt'] }, where)).toThrow('"rules" must be an object');
+    expect(() => normalizeConfig({ include: [1] }, where)).toThrow('"include" must be a glob string');
+    expect(() => normalizeConfig({ plugins: [''] }, where)).toThrow('"plugins" must be an array');
+  });
+});
+
+describe('config discovery', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-pilot-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const write = (file, content) => {
+    const filePath = path.join(root, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+  };
+
+  it('walks up to the nearest config file', () => {
+    const filePath = write('.a11ypilotrc', { rules: {} });
+    fs.mkdirSync(path.join(root, 'src/components'), { recursive: true });
+    expect(findConfigFile(path.join(root, 'src/components'))).toEqual({ filePath, type: 'json' });
+  });
+
+  it('prefers the rc file to the JS configs in the same directory', () => {
+    const filePath = write('.a11ypilotrc.json', {});
+    write('a11y-pilot.config.js', 'export default {};');
+    expect(findConfigFile(root)).toEqual({ filePath, type: 'json' });
+  });
+
+  it('only counts a package.json with an "a11y-pilot" key', () => {
+    write('package.json', { name: 'outer', 'a11y-pilot': { exclude: 'dist/**' } });
+    write('app/package.json', { name: 'inner' });
+    expect(findConfigFile(path.join(root, 'app'))).toEqual({ filePath: path.join(root, 'package.json'), type: 'package' });
+  });
+
+  it('loads a discovered CommonJS config and resolves paths from its directory', async () => {
+    const filePath = write('a11y-pilot.config.cjs', "module.exports = { rules: { 'img-alt': 'warn' } };");
+    fs.mkdirSync(path.join(root, 'src'));
+
+    const loaded = await loadConfig({ cwd: path.join(root, 'src') });
+    expect(loaded.filePath).toBe(filePath);
+    expect(loaded.baseDir).toBe(root);
+    expect(loaded.config.rules).toEqual({ 'img-alt': { severity: 'warning', options: {} } });
+  });
+
+  it('reads the "a11y-pilot" key of an explicit package.json', async () => {
+    write('package.json', { name: 'app', 'a11y-pilot': { include: 'src/**' } });
+    const { config } = await loadConfig({ cwd: root, configPath: 'package.json' });
+    expect(config.include).toEqual(['src/**']);
+  });
+
+  it('falls back to defaults when nothing is found', async () => {
+    const loaded = await loadConfig({ cwd: root });
+    expect(loaded).toEqual({ config: normalizeConfig({}), filePath: null, baseDir: root });
+  });
+
+  it('reports unreadable and missing files', async () => {
+    write('.a11ypilotrc', '{ rules: ');
+    await expect(loadConfig({ cwd: root })).rejects.toThrow('Failed to parse .a11ypilotrc');
+    await expect(loadConfig({ cwd: root, configPath: 'nope.json' })).rejects.toThrow('Config file not found: nope.json');
+  });
+});
@@ -0,0 +1,75 @@
+import { parseCSS, parseDeclarations, parseSelector, splitSelectors } from '../src/parsers/css-parser.js';
+
+// selectors, conditions and [property, value, line, column] per rule
+const summarize = ({ rules }) => rules.map(rule => ({
+  selectors: rule.selectors,
+  conditions: rule.conditions,
+  declarations: rule.declarations.map(d => [d.property, d.value, d.line, d.column]),
+}));
+
+describe('parseCSS', () => {
+  it('reads rules, !important, at-rule conditions and positions', () => {
+    const result = parseCSS('/* note */\n.a, .b > c { color: red !important; margin: 0 }\n@media (min-width: 40em) {\n  .c:hover { color: blue }\n}');
+
+    expect(summarize(result)).toEqual([
+      { selectors: ['.a', '.b > c'], conditions: [], declarations: [['color', 'red', 2, 13], ['margin', '0', 2, 36]] },
+      { selectors: ['.c:hover'], conditions: ['@media (min-width: 40em)'], declarations: [['color', 'blue', 4, 13]] },
+    ]);
+    expect(result.rules[0].declarations[0].important).toBe(true);
+  });
+
+  it('resolves SCSS nesting, skips // comments and turns @include into a spread', () => {
+    const scss = '.nav {\n  // a comment: not a declaration\n  a { color: red; &:hover { color: blue } }\n  &-item { gap: #{$gap}; }\n  @include focus-ring;\n}';
+
+    expect(summarize(parseCSS(scss, { lineComments: true }))).toEqual([
+      { selectors: ['.nav'], conditions: [], declarations: [['...spread', '{expression}', 5, 2]] },
+      { selectors: ['.nav a'], conditions: [], declarations: [['color', 'red', 3, 6]] },
+      { selectors: ['.nav a:hover'], conditions: [], declarations: [['color', 'blue', 3, 28]] },
+      { selectors: ['.nav-item'], conditions: [], declarations: [['gap', '#{$gap}', 4, 11]] },
+    ]);
+  });
+
+  it('keeps // inside strings and url()', () => {
+    const [rule] = parseCSS('a { background: url("https://example.com/a.png") }', { lineComments: true }).rules;
+    expect(rule.declarations[0].value).toBe('url("https://example.com/a.png")');
+  });
+
+  it('parses a CSS-in-JS template body at its position in the file', () => {
+    const body = '\n  color: ${p => p.color};\n  &:focus { outline: none }\n';
+
+    expect(summarize(parseCSS(body, { nested: true, lineComments: true, line: 3, column: 10 }))).toEqual([
+      { selectors: ['&'], conditions: [], declarations: [['color', '{expression}', 4, 2]] },
+      { selectors: ['&:focus'], conditions: [], declarations: [['outline', 'none', 5, 12]] },
+    ]);
+  });
+});
+
+describe('parseDeclarations', () => {
+  it('splits at semicolons outside parentheses', () => {
+    expect(parseDeclarations('color: red; background: url(a;b.png)').map(d => [d.property, d.value]))
+      .toEqual([['color', 'red'], ['background', 'url(a;b.png)']]);
+  });
+});
+
+describe('selectors', () => {
+  it('splits selector lists at top-level commas', () => {
+    expect(splitSelectors('a, :is(b, c) d, e')).toEqual(['a', ':is(b, c) d', 'e']);
+  });
+
+  it('parses compounds and combinators', () => {
+    const [nav, link] = parseSelector('nav > a.active:not(.x)::before');
+
+    expect(nav).toMatchObject({ combinator: null, tag: 'nav' });
+    expect(link).toMatchObject({
+      combinator: '>',
+      tag: 'a',
+      classes: ['active'],
+      pseudoClasses: [{ name: 'not', argument: '.x' }],
+      pseudoElement: 'before',
+    });
+  });
+
+  it('marks a compound holding &', () => {
+    expect(parseSelector('&:focus')[0]).toMatchObject({ nesting: true, pseudoClasses: [{ name: 'focus' }] });
+  });
+});
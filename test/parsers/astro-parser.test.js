@@ -0,0 +1,43 @@
+import { parseAstro } from '../../src/parsers/astro-parser.js';
+
+const COMPONENT = [
+  '---',
+  "import Button from './Button.astro';",
+  "const items = ['a', '<b>'];",
+  '---',
+  '<main>',
+  '  <Button client:load />',
+  '  <ul>{items.map(item => <li>{item}</li>)}</ul>',
+  '  <p set:html={html} />',
+  '</main>',
+].join('\n');
+
+describe('parseAstro', () => {
+  const elements = parseAstro(COMPONENT);
+  const byName = (name) => elements.find(el => el.name === name);
+
+  it('skips the frontmatter and keeps template lines as in the file', () => {
+    expect(elements.map(el => [el.name, el.line, el.column])).toEqual([
+      ['main', 5, 0],
+      ['button', 6, 2],
+      ['ul', 7, 2],
+      ['li', 7, 25],
+      ['p', 8, 2],
+    ]);
+  });
+
+  it('keeps the tag case of components in rawName', () => {
+    expect(byName('button')).toMatchObject({ name: 'button', rawName: 'Button' });
+    expect(byName('main').rawName).toBe('main');
+  });
+
+  it('drops client: directives and treats set:html as text content', () => {
+    expect(byName('button').attributes).toEqual({});
+    expect(byName('p').hasTextChildren).toBe(true);
+  });
+
+  it('parses markup inside expressions', () => {
+    expect(byName('li').parent).toBe(byName('ul'));
+    expect(byName('li').hasTextChildren).toBe(true);
+  });
+});
@@ -0,0 +1,50 @@
+import { parseSvelte } from '../../src/parsers/svelte-parser.js';
+
+const COMPONENT = [
+  '<script>',
+  '  let open = false;',
+  '  const markup = "<div>";',
+  '</script>',
+  '',
+  '{#if open}',
+  '  <Button on:click={() => (open = false)} />',
+  '{:else}',
+  '  <div on:click|preventDefault={toggle} class:active={open}>{label}</div>',
+  '{/if}',
+  '<Input bind:value={query} />',
+  '<img {src} {...rest}>',
+  '<svelte:window on:keydown={onKey} />',
+].join('\n');
+
+describe('parseSvelte', () => {
+  const elements = parseSvelte(COMPONENT);
+  const byName = (name) => elements.find(el => el.name === name);
+
+  it('parses markup inside {#if} blocks at its original position, and skips <script>', () => {
+    expect(elements.map(el => [el.name, el.line, el.column])).toEqual([
+      ['button', 7, 2],
+      ['div', 9, 2],
+      ['input', 11, 0],
+      ['img', 12, 0],
+      ['svelte:window', 13, 0],
+    ]);
+  });
+
+  it('keeps the tag case of components in rawName', () => {
+    expect(byName('button')).toMatchObject({ name: 'button', rawName: 'Button' });
+    expect(byName('input').rawName).toBe('Input');
+    expect(byName('div').rawName).toBe('div');
+  });
+
+  it('normalizes on:, bind: and shorthand attributes, and drops styling directives', () => {
+    expect(byName('button').attributes).toEqual({ onclick: '{expression}' });
+    expect(byName('div').attributes).toEqual({ onclick: '{expression}' });
+    expect(byName('input').attributes).toEqual({ value: '{expression}' });
+    expect(byName('img').attributes).toEqual({ 'src': '{expression}', '...spread': true });
+  });
+
+  it('counts {expressions} as text and ignores <svelte:*> element attributes', () => {
+    expect(byName('div').hasTextChildren).toBe(true);
+    expect(byName('svelte:window').attributes).toEqual({});
+  });
+});
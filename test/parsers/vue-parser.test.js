@@ -0,0 +1,48 @@
+import { parseVue } from '../../src/parsers/vue-parser.js';
+
+const SFC = [
+  '<script setup>',
+  'const html = "<template><img></template>";',
+  '</script>',
+  '<template>',
+  '  <main>',
+  '    <Button icon="x" @click="go" :aria-label="label" />',
+  '    <my-input v-model="query" />',
+  '    <img :src="src" alt="">',
+  '    <p>{{ message }}</p>',
+  '  </main>',
+  '</template>',
+].join('\n');
+
+describe('parseVue', () => {
+  const elements = parseVue(SFC);
+  const byName = (name) => elements.find(el => el.name === name);
+
+  it('parses only the <template> block, at its lines in the file', () => {
+    expect(elements.map(el => [el.name, el.line, el.column])).toEqual([
+      ['main', 5, 2],
+      ['button', 6, 4],
+      ['my-input', 7, 4],
+      ['img', 8, 4],
+      ['p', 9, 4],
+    ]);
+  });
+
+  it('keeps the tag case of PascalCase components in rawName', () => {
+    expect(byName('button')).toMatchObject({ name: 'button', rawName: 'Button' });
+    expect(byName('img').rawName).toBe('img');
+  });
+
+  it('normalizes bindings and event handlers', () => {
+    expect(byName('button').attributes).toEqual({
+      'icon': 'x',
+      'onclick': '{expression}',
+      'aria-label': '{expression}',
+    });
+    expect(byName('img').attributes).toEqual({ src: '{expression}', alt: '' });
+  });
+
+  it('counts interpolations as text', () => {
+    expect(byName('p').hasTextChildren).toBe(true);
+  });
+});
@@ -0,0 +1,153 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runPool, createBudget, createFileLocks } from '../src/pool.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+describe('runPool', () => {
+  it('hands results over in item order whatever order they finish in', async () => {
+    const pending = ['a', 'b', 'c'].map(() => deferred());
+    const handed = [];
+
+    const done = runPool(['a', 'b', 'c'], (item, index) => pending[index].promise.then(() => item.toUpperCase()), {
+      concurrency: 3,
+      onResult: (result, index) => handed.push([result, index]),
+    });
+
+    pending[2].resolve();
+    pending[1].resolve();
+    await tick();
+    expect(handed).toEqual([]);
+
+    pending[0].resolve();
+    expect(await done).toEqual(['A', 'B', 'C']);
+    expect(handed).toEqual([['A', 0], ['B', 1], ['C', 2]]);
+  });
+
+  it('runs at most `concurrency` workers at once', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await runPool([1, 2, 3, 4, 5], async () => {
+      peak = Math.max(peak, ++running);
+      await tick();
+      running--;
+    }, { concurrency: 2 });
+
+    expect(peak).toBe(2);
+  });
+
+  it('starts nothing new after a worker throws, and rethrows once the others finish', async () => {
+    const slow = deferred();
+    const started = [];
+    let slowFinished = false;
+
+    const done = runPool(['slow', 'bad', 'c', 'd'], async (item) => {
+      started.push(item);
+      if (item === 'slow') {
+        await slow.promise;
+        slowFinished = true;
+      }
+      if (item === 'bad') throw new Error('backend failed');
+    }, { concurrency: 2 });
+
+    await tick();
+    slow.resolve();
+
+    await expect(done).rejects.toThrow('backend failed');
+    expect(slowFinished).toBe(true);
+    expect(started).toEqual(['slow', 'bad']);
+  });
+});
+
+describe('createBudget', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('counts requests up to maxAttempts', () => {
+    const budget = createBudget({ maxAttempts: 2 });
+    budget.take();
+    budget.take();
+
+    expect(budget.attempts()).toBe(2);
+    expect(budget.exhausted()).toBe('Budget of 2 fix requests used up');
+    expect(() => budget.take()).toThrow('Budget of 2 fix requests used up');
+    expect(budget.attempts()).toBe(2);
+  });
+
+  it('runs out of time from when it was created', () => {
+    vi.useFakeTimers();
+    const budget = createBudget({ maxTime: 30_000 });
+
+    vi.advanceTimersByTime(29_999);
+    expect(budget.exhausted()).toBeNull();
+
+    vi.advanceTimersByTime(1);
+    expect(budget.exhausted()).toBe('Time budget of 30s used up');
+    expect(() => budget.take()).toThrow('Time budget of 30s used up');
+  });
+
+  it('is unlimited without limits', () => {
+    const budget = createBudget();
+    for (let i = 0; i < 100; i++) budget.take();
+    expect(budget.exhausted()).toBeNull();
+  });
+});
+
+describe('createFileLocks', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-pilot-pool-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('runs work on the same file one at a time, also through another path', async () => {
+    const file = path.join(root, 'a.html');
+    fs.writeFileSync(file, '');
+    fs.symlinkSync(file, path.join(root, 'link.html'));
+
+    const locks = createFileLocks();
+    const first = deferred();
+    const order = [];
+
+    const a = locks.run(file, async () => {
+      order.push('a start');
+      await first.promise;
+      order.push('a end');
+    });
+    const b = locks.run(path.join(root, 'sub', '..', 'link.html'), async () => {
+      order.push('b');
+    });
+    const other = locks.run(path.join(root, 'b.html'), async () => {
+      order.push('other');
+    });
+
+    await other;
+    expect(order).toEqual(['a start', 'other']);
+
+    first.resolve();
+    await Promise.all([a, b]);
+    expect(order).toEqual(['a start', 'other', 'a end', 'b']);
+  });
+
+  it('releases the lock when the work throws', async () => {
+    const locks = createFileLocks();
+    const file = path.join(root, 'a.html');
+
+    await expect(locks.run(file, async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    await expect(locks.run(file, async () => 'next')).resolves.toBe('next');
+  });
+});
@@ -0,0 +1,31 @@
+import { buildSARIF } from '../src/reporter.js';
+import { allRules, getRules } from '../src/rules/index.js';
+
+const issue = { ruleId: 'img-alt', severity: 'error', message: 'Missing alt', line: 3, column: 4 };
+
+describe('buildSARIF', () => {
+  it('describes every registered rule, disabling the ones that did not run', () => {
+    const rules = getRules(['img-alt']);
+    const log = buildSARIF(new Map([['src/a.html', [issue]]]), rules, allRules);
+    const { driver } = log.runs[0].tool;
+
+    expect(driver.rules.map(rule => rule.id)).toEqual([
+      ...allRules.map(rule => rule.id),
+      'unused-suppression',
+    ]);
+    expect(driver.rules.find(rule => rule.id === 'img-alt').defaultConfiguration).toEqual({ level: 'error' });
+    expect(driver.rules.find(rule => rule.id === 'heading-order').defaultConfiguration)
+      .toEqual({ level: 'warning', enabled: false });
+
+    const [result] = log.runs[0].results;
+    expect(driver.rules[result.ruleIndex].id).toBe('img-alt');
+    expect(result.locations[0].physicalLocation.region).toMatchObject({ startLine: 3, startColumn: 5 });
+  });
+
+  it('takes the configured severity of a rule that ran', () => {
+    const rules = [{ ...allRules.find(rule => rule.id === 'heading-order'), severity: 'error' }];
+    const { driver } = buildSARIF(new Map(), rules, allRules).runs[0].tool;
+
+    expect(driver.rules.find(rule => rule.id === 'heading-order').defaultConfiguration).toEqual({ level: 'error' });
+  });
+});
@@ -0,0 +1,31 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import anchorContent from '../../src/rules/anchor-content.js';
+
+const tester = new RuleTester({ fileType: 'jsx' });
+
+tester.run('anchor-content', anchorContent, {
+  valid: [
+    '<a href="/about">About us</a>',
+    '<a href="/" aria-label="Home"><Logo /></a>',
+    '<a href="/"><img src="logo.png" alt="Home" /></a>',
+    '<a name="top"></a>',
+    '<a href="/" aria-hidden="true"></a>',
+    { code: '<a href="/docs">{{ label }}</a>', filename: 'Nav.vue' },
+  ],
+  invalid: [
+    {
+      code: '<a href="/"></a>',
+      errors: [{ message: '<a> element has no accessible name (no text content, aria-label, or title)', line: 1 }],
+    },
+    {
+      name: 'image with empty alt',
+      code: '<a href="/">\n  <img src="logo.png" alt="" />\n</a>',
+      errors: 1,
+    },
+    {
+      code: '<p>Read more</p>\n<a href="/next"><i class="icon" aria-hidden="true"></i></a>',
+      fileType: 'html',
+      errors: [{ line: 2 }],
+    },
+  ],
+});
@@ -0,0 +1,34 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import ariaHiddenFocus from '../../src/rules/aria-hidden-focus.js';
+
+const tester = new RuleTester({ fileType: 'jsx' });
+
+tester.run('aria-hidden-focus', ariaHiddenFocus, {
+  valid: [
+    '<span aria-hidden="true">★</span>',
+    '<button aria-hidden="true" tabIndex={-1}>x</button>',
+    '<a aria-hidden="true">anchor</a>',
+    '<input type="hidden" aria-hidden="true" />',
+    '<button {...props} aria-hidden="true">x</button>',
+    { code: '<div aria-hidden="false" tabindex="0">x</div>', fileType: 'html' },
+  ],
+  invalid: [
+    {
+      code: '<button aria-hidden="true">Close</button>',
+      errors: [{ message: /^<button> is focusable but has aria-hidden="true"/ }],
+      output: '<button aria-hidden="true" tabIndex={-1}>Close</button>',
+    },
+    {
+      code: '<a href="/" aria-hidden="true">Home</a>',
+      fileType: 'html',
+      errors: 1,
+      output: '<a href="/" aria-hidden="true" tabindex="-1">Home</a>',
+    },
+    {
+      code: '<div aria-hidden="true" tabindex="0">x</div>',
+      fileType: 'html',
+      errors: 1,
+      output: '<div aria-hidden="true" tabindex="-1">x</div>',
+    },
+  ],
+});
@@ -0,0 +1,54 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import ariaValid from '../../src/rules/aria-valid.js';
+
+const tester = new RuleTester({ fileType: 'jsx' });
+
+tester.run('aria-valid', ariaValid, {
+  valid: [
+    '<div role="dialog" aria-modal="true" aria-labelledby="title">Hi</div>',
+    '<div role="checkbox" aria-checked="false" tabIndex={0}>Agree</div>',
+    '<button aria-pressed="true">Bold</button>',
+    '<input type="checkbox" role="switch" />',
+    '<nav aria-label="Main">Links</nav>',
+    '<div role={role} aria-checked={checked}>x</div>',
+    '<div {...props} role="bogus" />',
+    { code: '<span aria-hidden="true" class="icon"></span>', fileType: 'html' },
+  ],
+  invalid: [
+    {
+      code: '<div role="buton">Save</div>',
+      errors: [{ message: 'Invalid ARIA role="buton" on <div>' }],
+    },
+    {
+      code: '<button role="presentation">Save</button>',
+      errors: [{ message: /removes its semantics/ }],
+      output: '<button>Save</button>',
+    },
+    {
+      name: 'misspelled attribute is renamed',
+      code: '<nav aria-lable="Main">Links</nav>',
+      errors: [{ message: /^Invalid ARIA attribute "aria-lable" on <nav>/ }],
+      output: '<nav aria-label="Main">Links</nav>',
+    },
+    {
+      code: '<button aria-pressed="yes">Bold</button>',
+      errors: [{ message: /aria-pressed="yes" on <button> is not a valid value/ }],
+    },
+    {
+      code: '<div role="checkbox" tabIndex={0}>Agree</div>',
+      errors: [{ message: '<div> with role="checkbox" is missing required aria-checked' }],
+    },
+    {
+      code: '<div aria-label="Card">Text</div>',
+      errors: [{ message: /aria-label is not allowed on <div> \(implicit role "generic"\)/ }],
+    },
+    {
+      code: '<div role="button" aria-checked="true" tabIndex={0}>Go</div>',
+      errors: [{ message: 'aria-checked is not supported on role="button"' }],
+    },
+    {
+      code: '<nav aria-hidden="true" aria-label="Main">Links</nav>',
+      errors: [{ message: /aria-hidden="true" with aria-label/, severity: 'warning' }],
+    },
+  ],
+});
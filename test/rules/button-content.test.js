@@ -0,0 +1,45 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import buttonContent from '../../src/rules/button-content.js';
+
+const tester = new RuleTester({ fileType: 'jsx' });
+
+tester.run('button-content', buttonContent, {
+  valid: [
+    '<button>Save</button>',
+    '<button aria-label="Close"><svg /></button>',
+    '<button title="Close"><CloseIcon /></button>',
+    '<button>{label}</button>',
+    '<button><img src="x.png" alt="Close" /></button>',
+    { code: '<span id="lbl">Close</span><button aria-labelledby="lbl"></button>', fileType: 'html' },
+    { name: 'Vue component', code: '<template><main><Button icon="close" /></main></template>', fileType: 'vue' },
+    { name: 'Svelte component', code: '<Button on:click={close} />', fileType: 'svelte' },
+    { name: 'Astro component', code: '---\nimport Button from "./Button.astro";\n---\n<Button />', fileType: 'astro' },
+  ],
+  invalid: [
+    {
+      code: '<button></button>',
+      errors: [{ message: /has no accessible name/, line: 1 }],
+    },
+    {
+      name: 'hidden icon and empty alt give no name',
+      code: '<button>\n  <svg aria-hidden="true" />\n  <img src="x.png" alt="" />\n</button>',
+      errors: 1,
+    },
+    {
+      code: '<button>   </button>',
+      fileType: 'html',
+      errors: 1,
+    },
+    {
+      name: 'a native <button> next to a Vue component',
+      code: '<template>\n  <Button icon="close" />\n  <button></button>\n</template>',
+      fileType: 'vue',
+      errors: [{ line: 3 }],
+    },
+    {
+      code: '<button on:click={close}></button>',
+      fileType: 'svelte',
+      errors: 1,
+    },
+  ],
+});
@@ -0,0 +1,115 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import colorContrast from '../../src/rules/color-contrast.js';
+
+const tester = new RuleTester({ fileType: 'html' });
+
+// A full document, so the page's default colors (black on white) are known
+const page = (body, css = '') =>
+  `<html>\n<head><style>${css}</style></head>\n<body>\n${body}\n</body>\n</html>`;
+
+tester.run('color-contrast', colorContrast, {
+  valid: [
+    { name: 'default black on white', code: page('<p>Text</p>') },
+    { name: '#767676 on white just passes AA (4.54:1)', code: page('<p style="color: #767676">Muted</p>') },
+    { name: 'color from a <style> rule', code: page('<p class="muted">Muted</p>', '.muted { color: #595959 }') },
+    {
+      name: '#777 passes AA as large text (24px)',
+      code: page('<h1 style="color: #777; font-size: 24px">Title</h1>'),
+    },
+    {
+      name: '#777 passes AA as large bold text (14pt bold)',
+      code: page('<p style="color: #777; font-size: 19px; font-weight: bold">Bold</p>'),
+    },
+    {
+      name: 'large text passes AAA at 4.5:1',
+      code: page('<h2 style="color: #767676; font-size: 2rem">Title</h2>'),
+      options: { level: 'AAA' },
+    },
+    {
+      name: 'inherits a passing color from an ancestor',
+      code: page('<div class="dark"><p>White on navy</p></div>', '.dark { background: navy; color: white }'),
+    },
+    {
+      name: 'translucent text that still passes',
+      code: page('<p style="color: rgb(0 0 0 / 0.8)">80% black</p>'),
+    },
+    {
+      name: 'hidden and disabled text is exempt',
+      code: page('<p style="color: #ccc; display: none">Hidden</p>\n<button disabled style="color: #ccc">Off</button>'),
+    },
+    {
+      name: 'component file: inherited colors are unknown',
+      code: '<p style="color: #999">Muted</p>',
+    },
+    {
+      name: 'component file: #777 may be large text, so the size is not guessed',
+      code: 'export const Note = () => <p style={{ color: "#777" }}>Note</p>;',
+      fileType: 'jsx',
+      options: { color: '#000', backgroundColor: '#fff' },
+    },
+    {
+      name: 'component file: classes from outside the file are skipped',
+      code: 'export const Note = () => <p className="text-muted">Note</p>;',
+      fileType: 'jsx',
+    },
+    {
+      name: 'component file: a dynamic style is skipped',
+      code: 'export const Note = ({ tone }) => <p style={{ color: tone, backgroundColor: "#fff" }}>Note</p>;',
+      fileType: 'jsx',
+    },
+  ],
+  invalid: [
+    {
+      name: '#777 on white fails AA for normal text (4.47:1)',
+      code: page('<p style="color: #777">Muted</p>'),
+      errors: [{
+        message: 'Text contrast is 4.47:1 (#777777 on #ffffff), below the WCAG AA minimum of 4.5:1',
+        line: 4,
+      }],
+    },
+    {
+      name: 'large text still needs 3:1',
+      code: page('<h1 style="color: #aaa; font-size: 32px">Title</h1>'),
+      errors: [{ message: /2\.32:1 .* minimum of 3:1 for large text$/ }],
+    },
+    {
+      name: '19px text that is not bold is normal text',
+      code: page('<p style="color: #777; font-size: 19px; font-weight: 400">Not bold</p>'),
+      errors: [{ message: /minimum of 4\.5:1$/ }],
+    },
+    {
+      name: 'AAA needs 7:1 for normal text',
+      code: page('<p style="color: #666">Muted</p>'),
+      options: { level: 'AAA' },
+      errors: [{ message: /below the WCAG AAA minimum of 7:1/ }],
+    },
+    {
+      name: 'AAA needs 4.5:1 for large text',
+      code: page('<h1 style="color: #777; font-size: 24px">Title</h1>'),
+      options: { level: 'aaa' },
+      errors: [{ message: /below the WCAG AAA minimum of 4\.5:1 for large text$/ }],
+    },
+    {
+      name: 'translucent text is blended with its background',
+      code: page('<p style="color: rgb(0 0 0 / 0.4)">40% black</p>'),
+      errors: [{ message: /^Text contrast is 2\.\d\d:1 \(rgb\(0 0 0 \/ 0\.4\) on #ffffff\)/ }],
+    },
+    {
+      name: 'translucent background is blended with the page',
+      code: page('<p style="color: #fff; background-color: rgba(0, 0, 0, 0.3)">Light</p>'),
+      errors: [{ message: /on #b3b3b3\)/ }],
+    },
+    {
+      name: 'color and background inherited through the stylesheet',
+      code: page('<section class="card">\n<p>Inherited</p>\n</section>', '.card { color: #999; background: #eee }'),
+      errors: [{ message: /\(#999999 on #eeeeee\)/, line: 5 }],
+    },
+    {
+      name: 'component file with the page colors given in options',
+      code: 'export const Note = () => <p style={{ color: "#999" }}>Note</p>;',
+      fileType: 'jsx',
+      options: { color: '#000', backgroundColor: '#fff' },
+      errors: [{ message: 'Text contrast is 2.84:1 (#999999 on #ffffff), below the WCAG AA minimum of 4.5:1 (3:1 for large text)' }],
+    },
+  ],
+});
@@ -0,0 +1,25 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import disabledState from '../../src/rules/disabled-state.js';
+
+const tester = new RuleTester({ fileType: 'jsx' });
+
+tester.run('disabled-state', disabledState, {
+  valid: [
+    '<button>Save</button>',
+    '<button disabled title="Fill in all fields first">Save</button>',
+    '<button disabled aria-describedby="why">Save</button>',
+    '<div disabled>Not a control</div>',
+    '<button {...props} disabled>Save</button>',
+  ],
+  invalid: [
+    {
+      code: '<button disabled>Save</button>',
+      errors: [{ message: '<button> is disabled without accessible explanation (add title or aria-describedby)', severity: 'warning' }],
+    },
+    {
+      code: '<fieldset disabled>\n  <input disabled>\n</fieldset>',
+      fileType: 'html',
+      errors: [{ line: 1 }, { line: 2 }],
+    },
+  ],
+});
@@ -0,0 +1,89 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import focusVisible from '../../src/rules/focus-visible.js';
+
+const tester = new RuleTester({ fileType: 'css' });
+
+tester.run('focus-visible', focusVisible, {
+  valid: [
+    'button:focus { outline: 2px solid blue; }',
+    '.btn:hover { outline: none; }',
+    '.card { outline: none; }',
+    {
+      name: ':focus:not(:focus-visible) only hides the ring on mouse clicks',
+      code: '.link:focus:not(:focus-visible) { outline: none; }',
+    },
+    {
+      name: 'replaced by :focus-visible on the same selector',
+      code: '.btn:focus { outline: none; }\n.btn:focus-visible { box-shadow: 0 0 0 3px #0b5fff; }',
+    },
+    {
+      name: 'replaced by a universal :focus-visible rule',
+      code: 'button { outline: 0; }\n:focus-visible { outline: 2px solid; }',
+    },
+    {
+      name: 'SCSS: replaced inside a nested rule',
+      code: '.btn {\n  &:focus { outline: none; }\n  &:focus-visible { outline: 2px solid $brand; }\n}',
+      fileType: 'scss',
+    },
+    {
+      name: 'SCSS: a mixin may add the focus style',
+      code: '.btn:focus { outline: none; @include focus-ring; }',
+      fileType: 'scss',
+    },
+    {
+      name: '<style> block with a replacement',
+      code: '<style>\n  a:focus { outline: none; text-decoration: underline wavy; }\n</style>\n<a href="/">Home</a>',
+      fileType: 'html',
+    },
+  ],
+  invalid: [
+    {
+      code: 'button:focus {\n  outline: none;\n}',
+      errors: [{
+        message: '`button:focus` removes the focus outline (`outline: none`) without another focus style',
+        line: 2,
+        column: 2,
+      }],
+    },
+    {
+      name: 'outline removed on focusable elements in every state',
+      code: 'a, .card { outline: 0; }',
+      errors: [{ message: /^`a` removes the focus outline \(`outline: 0`\)/ }],
+    },
+    {
+      name: 'a replacement that also hides the outline does not count',
+      code: '.btn:focus { outline-style: none; }\n.btn:focus-visible { outline: none; }',
+      errors: 2,
+    },
+    {
+      name: 'replacement for another selector does not count',
+      code: '.btn:focus { outline: none; }\n.link:focus-visible { outline: 2px solid; }',
+      errors: [{ line: 1 }],
+    },
+    {
+      name: 'CSS-in-JS: reported on the line in the component file',
+      code: [
+        "import styled from 'styled-components';",
+        '',
+        'export const Button = styled.button`',
+        '  padding: 8px;',
+        '  &:focus {',
+        '    outline: none;',
+        '  }',
+        '`;',
+      ].join('\n'),
+      fileType: 'jsx',
+      errors: [{ message: /^`&:focus` removes the focus outline/, line: 6, column: 4 }],
+    },
+    {
+      name: 'CSS-in-JS: another component\'s :focus-visible is no replacement',
+      code: [
+        "import styled from 'styled-components';",
+        'const A = styled.a`&:focus { outline: none; }`;',
+        'const B = styled.button`&:focus-visible { outline: 2px solid; }`;',
+      ].join('\n'),
+      fileType: 'jsx',
+      errors: [{ line: 2 }],
+    },
+  ],
+});
@@ -0,0 +1,43 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import formLabel from '../../src/rules/form-label.js';
+
+const tester = new RuleTester({ fileType: 'html' });
+
+tester.run('form-label', formLabel, {
+  valid: [
+    '<label for="email">Email</label>\n<input id="email" type="email">',
+    '<label>Email <input type="email"></label>',
+    '<input type="email" aria-label="Email">',
+    '<span id="q-label">Search</span>\n<input type="search" aria-labelledby="q-label">',
+    '<input type="hidden" name="token">',
+    '<input type="submit" value="Send">',
+    '<input type="HIDDEN" name="token">',
+    '<input type="Submit" value="Send">',
+    { code: '<input {...field} />', fileType: 'jsx' },
+    { code: '<label htmlFor={id}>Name</label>\n<input id={id} />', fileType: 'jsx' },
+    { name: 'Svelte component', code: '<Input bind:value={name} />', fileType: 'svelte' },
+  ],
+  invalid: [
+    {
+      code: '<input type="text" name="q">',
+      errors: [{ message: '<input> has no accessible label (no associated <label>, aria-label, aria-labelledby, or title)' }],
+    },
+    {
+      code: '<input type="email" placeholder="Email">',
+      errors: [{ message: /placeholder is NOT a substitute for a label/ }],
+    },
+    {
+      name: 'label for a missing id',
+      code: '<label for="emial">Email</label>\n<input id="email" type="email" aria-label="Email">',
+      errors: [{ message: '<label> points at id "emial", but no element in this file has that id', line: 1 }],
+    },
+    {
+      code: '<select aria-labelledby="nope"><option>A</option></select>',
+      errors: [{ message: /aria-labelledby references "nope"/ }],
+    },
+    {
+      code: '<form>\n  <textarea></textarea>\n</form>',
+      errors: [{ message: /^<textarea>/, line: 2 }],
+    },
+  ],
+});
@@ -0,0 +1,23 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import headingOrder from '../../src/rules/heading-order.js';
+
+const tester = new RuleTester({ fileType: 'html' });
+
+tester.run('heading-order', headingOrder, {
+  valid: [
+    '<h1>Title</h1>\n<h2>Section</h2>\n<h3>Sub</h3>',
+    '<h2>Card title</h2>',
+    '<h1>A</h1>\n<h2>B</h2>\n<h3>C</h3>\n<h2>D</h2>',
+    { code: '<>\n  <h1>Title</h1>\n  <h2>Section</h2>\n</>', fileType: 'jsx' },
+  ],
+  invalid: [
+    {
+      code: '<h1>Title</h1>\n<h3>Skipped</h3>',
+      errors: [{ message: 'Heading level skipped: <h1> → <h3> (missing <h2>)', line: 2, severity: 'warning' }],
+    },
+    {
+      code: '<h1>A</h1>\n<h2>B</h2>\n<h4>C</h4>\n<h2>D</h2>\n<h5>E</h5>',
+      errors: [{ line: 3 }, { line: 5 }],
+    },
+  ],
+});
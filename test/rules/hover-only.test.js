@@ -0,0 +1,28 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import hoverOnly from '../../src/rules/hover-only.js';
+
+const tester = new RuleTester({ fileType: 'jsx' });
+
+tester.run('hover-only', hoverOnly, {
+  valid: [
+    '<div onMouseEnter={show} onFocus={show} onMouseLeave={hide} onBlur={hide}>Menu</div>',
+    '<div onMouseOver={show} onBlur={hide}>Menu</div>',
+    '<div {...hoverProps} onMouseEnter={show}>Menu</div>',
+    '<div onClick={open}>Menu</div>',
+  ],
+  invalid: [
+    {
+      code: '<div onMouseEnter={show} onMouseLeave={hide}>Menu</div>',
+      errors: [{ message: '<div> has onMouseEnter but no onFocus/onBlur equivalent for keyboard users' }],
+    },
+    {
+      code: '<span onmouseover="tip()">?</span>',
+      fileType: 'html',
+      errors: [{ message: /has onMouseOver but no onFocus\/onBlur/ }],
+    },
+    {
+      code: '<li onMouseLeave={hide}>Item</li>',
+      errors: [{ message: /has onMouseLeave/ }],
+    },
+  ],
+});
@@ -0,0 +1,59 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import hoverReveal from '../../src/rules/hover-reveal.js';
+
+const tester = new RuleTester({ fileType: 'css' });
+
+tester.run('hover-reveal', hoverReveal, {
+  valid: [
+    '.menu:hover .submenu, .menu:focus-within .submenu { display: block; }',
+    '.menu:hover .submenu { display: block; }\n.menu:focus-within .submenu { display: block; }',
+    'a:hover { color: red; }',
+    '.card:hover .shadow { box-shadow: 0 2px 4px #0003; }',
+    {
+      name: 'opacity only counts when something hid it',
+      code: '.row:hover .tip { opacity: 0.8; }',
+    },
+    {
+      name: 'SCSS: focus version in a nested rule',
+      code: '.nav {\n  .dropdown:hover .panel,\n  .dropdown:focus-within .panel { display: block; }\n}',
+      fileType: 'scss',
+    },
+  ],
+  invalid: [
+    {
+      code: '.menu .submenu { display: none; }\n.menu:hover .submenu {\n  display: block;\n}',
+      errors: [{
+        message: '`.menu:hover .submenu` shows content on hover only (`display: block`), out of reach for keyboard users',
+        line: 2,
+      }],
+    },
+    {
+      name: 'opacity reveal of an element hidden by its own rule',
+      code: '.tip { opacity: 0; }\n.row:hover .tip { opacity: 1; }',
+      errors: [{ message: /\(`opacity: 1`\)/, line: 2 }],
+    },
+    {
+      code: '.card:hover > .actions { visibility: visible; }',
+      errors: [{ message: /\(`visibility: visible`\)/ }],
+    },
+    {
+      name: 'SCSS: nested selectors are resolved',
+      code: '.nav {\n  // opens on hover only\n  li:hover > ul { display: block; }\n}',
+      fileType: 'scss',
+      errors: [{ message: /^`\.nav li:hover > ul`/, line: 3 }],
+    },
+    {
+      name: 'CSS-in-JS: reported on the line in the component file',
+      code: [
+        "import styled from 'styled-components';",
+        'const Menu = styled.ul`',
+        '  & li:hover > ul {',
+        '    display: flex;',
+        '  }',
+        '`;',
+      ].join('\n'),
+      fileType: 'jsx',
+      errors: [{ line: 3 }],
+    },
+  ],
+});
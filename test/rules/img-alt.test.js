@@ -0,0 +1,39 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import imgAlt from '../../src/rules/img-alt.js';
+
+const tester = new RuleTester({ fileType: 'jsx' });
+
+tester.run('img-alt', imgAlt, {
+  valid: [
+    '<img src="logo.png" alt="Acme" />',
+    '<img src="divider.png" alt="" />',
+    '<img src="logo.png" aria-label="Acme" />',
+    '<img src="logo.png" {...props} />',
+    { code: '<img src="logo.png" alt="Acme">', fileType: 'html' },
+    { code: '<template><img :src="logo" :alt="name" /></template>', fileType: 'vue' },
+    { name: 'Vue component', code: '<template><main><Img src="a.png" /></main></template>', fileType: 'vue' },
+    { name: 'Svelte component', code: '<Img {src} />', fileType: 'svelte' },
+  ],
+  invalid: [
+    {
+      code: '<img src="logo.png" />',
+      errors: [{ message: '<img> is missing the `alt` attribute', line: 1, severity: 'error' }],
+    },
+    {
+      code: '<div>\n  <img src="a.png">\n  <img src="b.png" alt="B">\n</div>',
+      fileType: 'html',
+      errors: [{ line: 2 }],
+    },
+    {
+      code: '<script>let src = "a.png";</script>\n<img {src} />',
+      fileType: 'svelte',
+      errors: [{ line: 2 }],
+    },
+    {
+      name: 'a native <img> next to a Vue component',
+      code: '<template>\n  <Img src="a.png" />\n  <img src="b.png">\n</template>',
+      fileType: 'vue',
+      errors: [{ line: 3 }],
+    },
+  ],
+});
@@ -0,0 +1,60 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import interactionTrap from '../../src/rules/interaction-trap.js';
+
+const tester = new RuleTester({ fileType: 'css' });
+
+tester.run('interaction-trap', interactionTrap, {
+  valid: [
+    '.overlay { pointer-events: none; }',
+    'button:disabled { pointer-events: none; }',
+    '.card a.is-disabled { pointer-events: none; }',
+    'a[aria-disabled="true"] { pointer-events: none; }',
+    'button { user-select: none; }',
+    '.drag-handle { user-select: none; }',
+    'a { pointer-events: auto; }',
+    'p::selection { user-select: none; }',
+  ],
+  invalid: [
+    {
+      code: '.card a {\n  pointer-events: none;\n}',
+      errors: [{
+        message: '`.card a` sets `pointer-events: none`: it can\'t be clicked or tapped, yet still takes keyboard focus and activation',
+        line: 2,
+        severity: 'warning',
+      }],
+    },
+    {
+      code: 'body { pointer-events: none; }',
+      errors: [{ message: /nothing on the page can be clicked or tapped$/ }],
+    },
+    {
+      code: 'body { user-select: none; }',
+      errors: [{ message: /its text can't be selected/ }],
+    },
+    {
+      code: 'p, li { -webkit-user-select: none; }',
+      errors: [{ message: /^`p` sets `-webkit-user-select: none`/ }],
+    },
+    {
+      code: 'textarea { user-select: none; }',
+      errors: [{ message: /text typed into it can't be selected/ }],
+    },
+    {
+      code: '[role="button"] { pointer-events: none; }',
+      errors: 1,
+    },
+    {
+      name: 'CSS-in-JS: reported on the line in the component file',
+      code: [
+        "import styled from 'styled-components';",
+        '',
+        'const Link = styled.a`',
+        '  color: inherit;',
+        '  pointer-events: none;',
+        '`;',
+      ].join('\n'),
+      fileType: 'jsx',
+      errors: [{ line: 5, column: 2 }],
+    },
+  ],
+});
@@ -0,0 +1,31 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import keyboardHandlers from '../../src/rules/keyboard-handlers.js';
+
+const tester = new RuleTester({ fileType: 'jsx' });
+
+tester.run('keyboard-handlers', keyboardHandlers, {
+  valid: [
+    '<button onClick={save}>Save</button>',
+    '<a href="/" onClick={track}>Home</a>',
+    '<div role="button" tabIndex={0} onClick={save} onKeyDown={onKey}>Save</div>',
+    '<div onClick={save} onKeyUp={onKey}>Save</div>',
+    '<div {...handlers} onClick={save}>Save</div>',
+    { code: '<summary onclick="toggle()">More</summary>', fileType: 'html' },
+  ],
+  invalid: [
+    {
+      code: '<div onClick={save}>Save</div>',
+      errors: [{ message: '<div> has onClick but no onKeyDown/onKeyUp handler for keyboard users', line: 1 }],
+    },
+    {
+      code: '<ul>\n  <li onclick="select(1)">One</li>\n</ul>',
+      fileType: 'html',
+      errors: [{ message: /^<li> has onClick/, line: 2 }],
+    },
+    {
+      code: '<template>\n  <div @click="open">Open</div>\n</template>',
+      fileType: 'vue',
+      errors: [{ line: 2 }],
+    },
+  ],
+});
@@ -0,0 +1,32 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import landmarkRegions from '../../src/rules/landmark-regions.js';
+
+const tester = new RuleTester({ fileType: 'html' });
+
+tester.run('landmark-regions', landmarkRegions, {
+  valid: [
+    '<!DOCTYPE html>\n<html><body><header>Logo</header><main>Content</main><footer>©</footer></body></html>',
+    '<body><div role="banner">Logo</div><div role="main">Content</div><div role="contentinfo">©</div></body>',
+    { name: 'component fragments are not checked', code: '<section><h2>Card</h2></section>' },
+    { code: '<div className="card">Content</div>', fileType: 'jsx' },
+  ],
+  invalid: [
+    {
+      code: '<!DOCTYPE html>\n<html>\n<body>\n  <header>Logo</header>\n  <div>Content</div>\n  <footer>©</footer>\n</body>\n</html>',
+      errors: [{ message: /missing a <main> landmark/, line: 1, severity: 'warning' }],
+    },
+    {
+      code: '<body>\n  <div>Content</div>\n</body>',
+      errors: [
+        { message: /<main>/ },
+        { message: /<header>/ },
+        { message: /<footer>/ },
+      ],
+    },
+    {
+      name: 'a page without <body> only needs <main>',
+      code: '<!doctype html>\n<title>Hi</title>\n<p>Content</p>',
+      errors: [{ message: /<main>/ }],
+    },
+  ],
+});
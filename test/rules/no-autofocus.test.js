@@ -0,0 +1,29 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import noAutofocus from '../../src/rules/no-autofocus.js';
+
+const tester = new RuleTester({ fileType: 'jsx' });
+
+tester.run('no-autofocus', noAutofocus, {
+  valid: [
+    '<input type="text" />',
+    { code: '<input type="search">', fileType: 'html' },
+  ],
+  invalid: [
+    {
+      code: '<input type="text" autoFocus />',
+      errors: [{ message: /<input> uses autoFocus/, severity: 'warning' }],
+      output: '<input type="text" />',
+    },
+    {
+      code: '<input type="search" autofocus>',
+      fileType: 'html',
+      errors: 1,
+      output: '<input type="search">',
+    },
+    {
+      code: '<textarea autoFocus={true}></textarea>',
+      errors: 1,
+      output: '<textarea></textarea>',
+    },
+  ],
+});
@@ -0,0 +1,28 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import noDivButton from '../../src/rules/no-div-button.js';
+
+const tester = new RuleTester({ fileType: 'jsx' });
+
+tester.run('no-div-button', noDivButton, {
+  valid: [
+    '<button onClick={save}>Save</button>',
+    '<div role="button" tabIndex={0} onClick={save}>Save</div>',
+    '<div className="card">Text</div>',
+    '<div {...props} onClick={save}>Save</div>',
+  ],
+  invalid: [
+    {
+      code: '<div onClick={save}>Save</div>',
+      errors: [{ message: '<div> has a click handler but is missing role and tabIndex. Use a <button> instead.' }],
+    },
+    {
+      code: '<span role="button" onClick={save}>Save</span>',
+      errors: [{ message: /missing tabIndex\./ }],
+    },
+    {
+      code: '<li onclick="go()">Home</li>',
+      fileType: 'html',
+      errors: [{ message: /^<li> has a click handler/ }],
+    },
+  ],
+});
@@ -0,0 +1,92 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import reducedMotion from '../../src/rules/reduced-motion.js';
+
+const tester = new RuleTester({ fileType: 'css' });
+
+tester.run('reduced-motion', reducedMotion, {
+  valid: [
+    '.fade { transition: opacity 0.2s; }',
+    '.menu { transition: transform 0s; }',
+    '.spinner { animation: none; }',
+    {
+      name: 'overridden for the same selector',
+      code: '.spinner { animation: spin 1s infinite; }\n@media (prefers-reduced-motion: reduce) {\n  .spinner { animation: none; }\n}',
+    },
+    {
+      name: 'the universal reset',
+      code: [
+        '.drawer { transition: transform 0.3s; }',
+        '.spinner { animation: spin 1s infinite; }',
+        'html { scroll-behavior: smooth; }',
+        '@media (prefers-reduced-motion: reduce) {',
+        '  *, *::before, *::after {',
+        '    animation-duration: 0.01ms !important;',
+        '    transition-duration: 0.01ms !important;',
+        '    scroll-behavior: auto !important;',
+        '  }',
+        '}',
+      ].join('\n'),
+    },
+    {
+      name: 'only set for users with no preference',
+      code: '@media (prefers-reduced-motion: no-preference) {\n  .hero { animation: slide-in 1s; }\n}',
+    },
+    {
+      name: 'SCSS: overridden in a nested @media',
+      code: '.drawer {\n  transition: transform 0.3s ease;\n\n  @media (prefers-reduced-motion: reduce) {\n    transition: none;\n  }\n}',
+      fileType: 'scss',
+    },
+    {
+      name: 'CSS-in-JS: overridden inside the same template',
+      code: [
+        "import styled from 'styled-components';",
+        'const Spinner = styled.div`',
+        '  animation: spin 1s linear infinite;',
+        '  @media (prefers-reduced-motion: reduce) { animation: none; }',
+        '`;',
+      ].join('\n'),
+      fileType: 'jsx',
+    },
+  ],
+  invalid: [
+    {
+      code: '.spinner {\n  animation: spin 1s linear infinite;\n}',
+      errors: [{
+        message: 'This animation (`animation: spin 1s linear infinite`) isn\'t turned off for users who prefer reduced motion',
+        line: 2,
+        severity: 'warning',
+      }],
+    },
+    {
+      code: '.drawer { transition: opacity 0.2s, transform 0.3s ease-out; }',
+      errors: [{ message: /^This transition/ }],
+    },
+    {
+      code: 'html { scroll-behavior: smooth; }',
+      errors: [{ message: /^Smooth scrolling/ }],
+    },
+    {
+      name: 'an override for another selector does not count',
+      code: '.a { animation: spin 1s; }\n.b { animation: spin 1s; }\n@media (prefers-reduced-motion: reduce) { .b { animation: none; } }',
+      errors: [{ line: 1 }],
+    },
+    {
+      name: 'the universal reset without transitions leaves them on',
+      code: '.drawer { transition: transform 0.3s; }\n@media (prefers-reduced-motion: reduce) { * { animation: none !important; } }',
+      errors: 1,
+    },
+    {
+      name: 'CSS-in-JS: reported on the line in the component file',
+      code: [
+        "import styled, { keyframes } from 'styled-components';",
+        'const spin = keyframes`to { transform: rotate(360deg); }`;',
+        'const Spinner = styled.div`',
+        '  width: 1em;',
+        '  animation: ${spin} 1s linear infinite;',
+        '`;',
+      ].join('\n'),
+      fileType: 'jsx',
+      errors: [{ line: 5, column: 2 }],
+    },
+  ],
+});
@@ -0,0 +1,33 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import semanticNav from '../../src/rules/semantic-nav.js';
+
+const tester = new RuleTester({ fileType: 'html' });
+
+const LINKS = '<a href="/">Home</a><a href="/blog">Blog</a><a href="/about">About</a>';
+
+tester.run('semantic-nav', semanticNav, {
+  valid: [
+    `<nav>${LINKS}</nav>`,
+    `<div role="navigation">${LINKS}</div>`,
+    '<div><a href="/">Home</a><a href="/blog">Blog</a></div>',
+    `<nav><ul><li><a href="/">Home</a></li><li><a href="/blog">Blog</a></li><li><a href="/about">About</a></li></ul></nav>`,
+    { code: `<div>${LINKS}</div>`, options: { minLinks: 4 } },
+  ],
+  invalid: [
+    {
+      code: `<div>\n  ${LINKS}\n</div>`,
+      errors: [{ message: 'Found 3 navigation links without a <nav> landmark wrapper', line: 2 }],
+    },
+    {
+      name: 'links in list items are grouped by their list',
+      code: '<ul>\n  <li><a href="/">Home</a></li>\n  <li><a href="/blog">Blog</a></li>\n  <li><a href="/about">About</a></li>\n</ul>',
+      errors: [{ line: 2 }],
+    },
+    {
+      code: `<div>${LINKS}</div>`,
+      fileType: 'jsx',
+      options: { minLinks: 2 },
+      errors: 1,
+    },
+  ],
+});
@@ -0,0 +1,26 @@
+import { RuleTester } from '../../src/rule-tester.js';
+import tabindexPositive from '../../src/rules/tabindex-positive.js';
+
+const tester = new RuleTester({ fileType: 'jsx' });
+
+tester.run('tabindex-positive', tabindexPositive, {
+  valid: [
+    '<div tabIndex={0}>Focusable</div>',
+    '<div tabIndex={-1}>Programmatic</div>',
+    '<div tabIndex={index}>Dynamic</div>',
+    { code: '<div tabindex="0">Focusable</div>', fileType: 'html' },
+  ],
+  invalid: [
+    {
+      code: '<div tabIndex={3}>First</div>',
+      errors: [{ message: '<div> has tabindex="3" — positive tabindex disrupts natural tab order' }],
+      output: '<div tabIndex={0}>First</div>',
+    },
+    {
+      code: '<input tabindex="1">',
+      fileType: 'html',
+      errors: 1,
+      output: '<input tabindex="0">',
+    },
+  ],
+});
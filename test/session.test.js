@@ -0,0 +1,152 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { git, createBranch, commitFiles, getCurrentBranch, getHead } from '../src/git.js';
+import {
+  startSession,
+  getChangedFiles,
+  readSnapshot,
+  recordBranch,
+  recordCommit,
+  finishSession,
+  findLastSession,
+  undoSession,
+} from '../src/session.js';
+
+describe('fix sessions', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-pilot-session-')));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const file = (name, content) => {
+    const filePath = path.join(root, name);
+    if (content !== undefined) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    }
+    return filePath;
+  };
+  const read = (name) => fs.readFileSync(path.join(root, name), 'utf-8');
+
+  it('snapshots files and reports which ones changed', () => {
+    const a = file('src/a.html', '<img>');
+    const b = file('src/b.html', '<button></button>');
+    const session = startSession([a, b], { cwd: root, command: 'a11y-pilot fix src' });
+
+    expect(fs.readFileSync(path.join(root, '.a11y-pilot/.gitignore'), 'utf-8')).toBe('*\n');
+
+    fs.writeFileSync(a, '<img alt="">');
+    const first = getChangedFiles(session);
+    expect(first.changed).toEqual([a]);
+
+    fs.writeFileSync(b, '<button>Save</button>');
+    expect(getChangedFiles(session, first.hashes).changed).toEqual([b]);
+    expect(readSnapshot(session, a)).toBe('<img>');
+    expect(readSnapshot(session, file('src/c.html'))).toBeNull();
+  });
+
+  it('undoes the last session that changed files', () => {
+    const a = file('a.html', '<img>');
+    const b = file('b.html', '<p></p>');
+
+    const session = startSession([a, b], { cwd: root });
+    fs.writeFileSync(a, '<img alt="">');
+    expect(finishSession(session)).toBe(1);
+
+    const untouched = startSession([b], { cwd: root });
+    finishSession(untouched);
+
+    const last = findLastSession(root);
+    expect(last.journal.id).toBe(session.journal.id);
+    expect(undoSession(last)).toEqual({ restored: ['a.html'], conflicts: [] });
+    expect(read('a.html')).toBe('<img>');
+
+    // Undone sessions are not offered again
+    expect(findLastSession(root)).toBeNull();
+  });
+
+  it('leaves files edited after the session alone unless forced', () => {
+    const a = file('a.html', '<img>');
+    const b = file('b.html', '<button></button>');
+
+    const session = startSession([a, b], { cwd: root });
+    fs.writeFileSync(a, '<img alt="">');
+    fs.writeFileSync(b, '<button>Save</button>');
+    finishSession(session);
+    fs.writeFileSync(a, '<img alt="" class="hero">');
+
+    expect(undoSession(findLastSession(root))).toEqual({ restored: ['b.html'], conflicts: ['a.html'] });
+    expect(read('a.html')).toBe('<img alt="" class="hero">');
+    expect(read('b.html')).toBe('<button></button>');
+
+    // Still not undone, so it can be retried with force
+    expect(undoSession(findLastSession(root), { force: true })).toEqual({ restored: ['a.html'], conflicts: [] });
+    expect(read('a.html')).toBe('<img>');
+  });
+
+  it('restores every changed file of an interrupted session', () => {
+    const a = file('a.html', '<img>');
+    const session = startSession([a], { cwd: root });
+    fs.writeFileSync(a, '<img alt="">');
+
+    // Never finished, so there are no "after" hashes to check against
+    const last = findLastSession(root);
+    expect(last.journal.id).toBe(session.journal.id);
+    expect(undoSession(last)).toEqual({ restored: ['a.html'], conflicts: [] });
+    expect(read('a.html')).toBe('<img>');
+  });
+
+  describe('with commits on a fix branch', () => {
+    let base;
+
+    beforeEach(() => {
+      git(['init', '--quiet'], root);
+      git(['config', 'user.name', 'Test'], root);
+      git(['config', 'user.email', 'test@example.com'], root);
+      file('a.html', '<img>');
+      git(['add', 'a.html'], root);
+      git(['commit', '--quiet', '-m', 'init'], root);
+      base = getCurrentBranch(root);
+    });
+
+    const fixOnBranch = () => {
+      const a = file('a.html');
+      const session = startSession([a], { cwd: root });
+      createBranch('a11y-fixes', root);
+      recordBranch(session, { name: 'a11y-fixes', base });
+      fs.writeFileSync(a, '<img alt="">');
+      commitFiles([a], 'fix: img-alt', root);
+      recordCommit(session, { sha: getHead(root), message: 'fix: img-alt', files: [a] });
+      finishSession(session, { head: getHead(root) });
+      return session;
+    };
+
+    it('switches back to the base branch and deletes the fix branch', () => {
+      fixOnBranch();
+
+      expect(undoSession(findLastSession(root))).toEqual({
+        restored: ['a.html'],
+        conflicts: [],
+        deletedBranch: 'a11y-fixes',
+      });
+      expect(getCurrentBranch(root)).toBe(base);
+      expect(read('a.html')).toBe('<img>');
+      expect(git(['branch', '--list', 'a11y-fixes'], root).trim()).toBe('');
+    });
+
+    it('refuses when the fix branch has moved on', () => {
+      fixOnBranch();
+      fs.writeFileSync(file('a.html'), '<img alt="" class="hero">');
+      git(['commit', '--quiet', '-am', 'more'], root);
+
+      expect(() => undoSession(findLastSession(root)))
+        .toThrow('Branch "a11y-fixes" has new commits since the fixes — undo them with git instead');
+    });
+  });
+});
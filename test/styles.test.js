@@ -0,0 +1,86 @@
+import { analyzeSource } from '../src/linter.js';
+import { createStyleResolver, getOwnStylesheets, selectorKey, UNRESOLVED } from '../src/styles.js';
+
+/**
+ * Run a probe rule over the code and return the context it saw, with a
+ * lookup of resolved values by element id
+ */
+function resolve(code, fileType = 'html') {
+  let context;
+  analyzeSource(code, {
+    fileType,
+    filePath: `test.${fileType}`,
+    rules: [{ id: 'probe', description: 'Captures the context', severity: 'warning', onFileEnd(ctx) { context = ctx; } }],
+  });
+
+  const styles = createStyleResolver(context);
+  const get = (id, property) => styles.get(context.elements.find(el => el.attributes.id === id), property);
+  return { context, get };
+}
+
+const page = (css, body) => `<html><head><style>${css}</style></head><body>${body}</body></html>`;
+
+describe('createStyleResolver', () => {
+  it('orders declarations by specificity, then source order', () => {
+    const { get } = resolve(page('#t { color: red } .c { color: blue } p { color: green }', '<p id="t" class="c">x</p>'));
+    expect(get('t', 'color')).toBe('red');
+
+    const later = resolve(page('.c { color: red } .c { color: blue }', '<p id="t" class="c">x</p>'));
+    expect(later.get('t', 'color')).toBe('blue');
+  });
+
+  it('lets inline styles beat selectors, and !important beat inline styles', () => {
+    expect(resolve(page('#t { color: red }', '<p id="t" style="color: blue">x</p>')).get('t', 'color')).toBe('blue');
+    expect(resolve(page('p { color: red !important }', '<p id="t" style="color: blue">x</p>')).get('t', 'color')).toBe('red');
+  });
+
+  it('inherits inherited properties only', () => {
+    const { get } = resolve(page('.wrap { color: red; background-color: navy }', '<div class="wrap"><span id="t">x</span></div>'));
+    expect(get('t', 'color')).toBe('red');
+    expect(get('t', 'background-color')).toBeNull();
+  });
+
+  it('substitutes custom properties and var() fallbacks', () => {
+    const { get } = resolve(page(':root { --fg: #123 } p { color: var(--fg) } a { color: var(--missing, teal) }', '<p id="t">x</p><a id="u">y</a>'));
+    expect(get('t', 'color')).toBe('#123');
+    expect(get('u', 'color')).toBe('teal');
+  });
+
+  it('matches descendant, child and sibling combinators', () => {
+    const html = (css) => page(css, '<ul><li id="t">a</li><li id="u">b</li></ul>');
+    expect(resolve(html('ul > li { color: red }')).get('u', 'color')).toBe('red');
+    expect(resolve(html('ol li { color: red }')).get('u', 'color')).not.toBe('red');
+
+    const sibling = resolve(html('li + li { color: red }'));
+    expect(sibling.get('t', 'color')).not.toBe('red');
+    expect(sibling.get('u', 'color')).toBe('red');
+  });
+
+  it('ignores rules for other media and states, and is unsure about structural pseudo-classes', () => {
+    expect(resolve(page('@media print { p { color: red } }', '<p id="t">x</p>')).get('t', 'color')).not.toBe('red');
+    expect(resolve(page('p:hover { color: red }', '<p id="t">x</p>')).get('t', 'color')).not.toBe('red');
+    expect(resolve(page('p:first-child { color: red }', '<p id="t">x</p>')).get('t', 'color')).toBe(UNRESOLVED);
+  });
+
+  it('is unsure about classes no stylesheet in a component file mentions', () => {
+    expect(resolve('<p id="t" className="text-muted">x</p>', 'jsx').get('t', 'color')).toBe(UNRESOLVED);
+  });
+
+  it('does not apply scoped CSS-in-JS to other elements', () => {
+    const code = "import styled from 'styled-components';\nconst Note = styled.p`color: red;`;\nexport default () => <p id=\"t\" style={{ color: 'blue' }}>x</p>;";
+    const { context, get } = resolve(code, 'jsx');
+
+    expect(get('t', 'color')).toBe('blue');
+    expect(getOwnStylesheets(context).map(sheet => sheet.kind)).toEqual(['css-in-js']);
+  });
+});
+
+describe('selectorKey', () => {
+  it('normalizes whitespace, and keeps & selectors apart per styled component', () => {
+    const { context } = resolve("import styled from 'styled-components';\nconst A = styled.a`&:focus { color: red }`;\nconst B = styled.b`&:focus { color: red }`;", 'jsx');
+    const [a, b] = context.stylesheets;
+
+    expect(selectorKey('.a  >  b', a, context.stylesheets)).toBe('.a > b');
+    expect(selectorKey('&:focus', a, context.stylesheets)).not.toBe(selectorKey('&:focus', b, context.stylesheets));
+  });
+});
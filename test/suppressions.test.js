@@ -0,0 +1,140 @@
+import { parse } from '@babel/parser';
+import { extractComments, parseDirectives, applySuppressions, UNUSED_SUPPRESSION_ID } from '../src/suppressions.js';
+
+const directivesIn = (code, fileType, ast) => parseDirectives(extractComments(code, fileType, ast));
+const issue = (ruleId, line) => ({ ruleId, line, severity: 'error', message: ruleId });
+
+describe('extractComments', () => {
+  it('reads HTML comments with their line span', () => {
+    const code = '<p>\n<!-- one -->\n<!--\n  two\n-->\n</p>';
+    expect(extractComments(code, 'html')).toEqual([
+      { value: ' one ', line: 2, endLine: 2 },
+      { value: '\n  two\n', line: 3, endLine: 5 },
+    ]);
+  });
+
+  it('takes JSX comments from the Babel AST', () => {
+    const code = 'const a = 1;\n// line\n/* block\n */\n';
+    const ast = parse(code, { sourceType: 'module' });
+    expect(extractComments(code, 'jsx', ast)).toEqual([
+      { value: ' line', line: 2, endLine: 2 },
+      { value: ' block\n ', line: 3, endLine: 4 },
+    ]);
+  });
+
+  it('reads // comments in SCSS but not protocol-relative or quoted URLs', () => {
+    const code = [
+      'a { background: url(//cdn.example.com/a.png); }',
+      'b { background: url("//cdn.example.com/b.png"); } // a11y-pilot-disable-line focus-visible',
+      "c { background: url('https://example.com/c.png'); content: \"/*\"; }",
+      '// one',
+    ].join('\n');
+    expect(extractComments(code, 'scss')).toEqual([
+      { value: ' a11y-pilot-disable-line focus-visible', line: 2, endLine: 2 },
+      { value: ' one', line: 4, endLine: 4 },
+    ]);
+  });
+
+  it('does not read // comments in plain CSS', () => {
+    const code = 'a { color: red; } // not a comment\n/* a comment */';
+    expect(extractComments(code, 'css')).toEqual([{ value: ' a comment ', line: 2, endLine: 2 }]);
+  });
+});
+
+describe('parseDirectives', () => {
+  it('reads the directive type, rule list and reason', () => {
+    const comments = [
+      { value: ' a11y-pilot-disable-next-line img-alt, button-content -- decorative ', line: 1, endLine: 1 },
+      { value: ' a11y-pilot-disable ', line: 2, endLine: 2 },
+      { value: ' a11y-pilot-enable img-alt', line: 3, endLine: 3 },
+      { value: ' a11y-pilot-disabled img-alt', line: 4, endLine: 4 },
+      { value: ' see a11y-pilot-disable', line: 5, endLine: 5 },
+    ];
+    expect(parseDirectives(comments)).toEqual([
+      { type: 'disable-next-line', ruleIds: ['img-alt', 'button-content'], line: 1, endLine: 1 },
+      { type: 'disable', ruleIds: null, line: 2, endLine: 2 },
+      { type: 'enable', ruleIds: ['img-alt'], line: 3, endLine: 3 },
+    ]);
+  });
+});
+
+describe('applySuppressions', () => {
+  it('suppresses the line after disable-next-line, counted from the end of the comment', () => {
+    const code = '<div>\n<!--\n  a11y-pilot-disable-next-line img-alt\n-->\n<img src="a.png">\n<img src="b.png">\n</div>';
+    const { issues, suppressed } = applySuppressions(
+      [issue('img-alt', 5), issue('img-alt', 6)],
+      directivesIn(code, 'html')
+    );
+    expect(suppressed.map(i => i.line)).toEqual([5]);
+    expect(issues.map(i => i.line)).toEqual([6]);
+  });
+
+  it('suppresses every line a disable-line comment spans', () => {
+    const code = '<>\n<img src="a.png" /> {/* a11y-pilot-disable-line img-alt\n */}\n<img src="b.png" />\n</>';
+    const ast = parse(code, { plugins: ['jsx'] });
+    const { issues, suppressed } = applySuppressions(
+      [issue('img-alt', 2), issue('img-alt', 3), issue('img-alt', 4)],
+      directivesIn(code, 'jsx', ast)
+    );
+    expect(suppressed.map(i => i.line)).toEqual([2, 3]);
+    expect(issues.map(i => i.line)).toEqual([4]);
+  });
+
+  it('pairs a disable with the next enable that covers its rules', () => {
+    const code = [
+      '<!-- a11y-pilot-disable img-alt, button-content -->', // 1
+      '<img>', // 2
+      '<!-- a11y-pilot-enable img-alt -->', // 3 — does not cover button-content
+      '<button></button>', // 4
+      '<!-- a11y-pilot-enable -->', // 5
+      '<img>', // 6
+      '<button></button>', // 7
+    ].join('\n');
+    const { issues, suppressed } = applySuppressions(
+      [issue('img-alt', 2), issue('button-content', 4), issue('img-alt', 6), issue('button-content', 7)],
+      directivesIn(code, 'html')
+    );
+    expect(suppressed.map(i => i.line)).toEqual([2, 4]);
+    expect(issues.map(i => i.line)).toEqual([6, 7]);
+  });
+
+  it('runs an unmatched disable to the end of the file', () => {
+    const code = '<!-- a11y-pilot-disable -->\n<!-- a11y-pilot-enable img-alt -->\n<img>\n<button></button>';
+    const { issues, suppressed } = applySuppressions(
+      [issue('img-alt', 3), issue('button-content', 4)],
+      directivesIn(code, 'html')
+    );
+    expect(suppressed).toHaveLength(2);
+    expect(issues).toEqual([]);
+  });
+
+  it('reports directives that suppressed nothing', () => {
+    const code = '<!-- a11y-pilot-disable-next-line img-alt, button-content -->\n<img>\n<!-- a11y-pilot-disable-next-line -->\n<p></p>';
+    const { unused } = applySuppressions([issue('img-alt', 2)], directivesIn(code, 'html'), {
+      lines: code.split('\n'),
+    });
+    expect(unused).toEqual([
+      expect.objectContaining({
+        ruleId: UNUSED_SUPPRESSION_ID,
+        line: 1,
+        message: 'Unused a11y-pilot-disable-next-line directive (no "button-content" issue reported)',
+        sourceLine: '<!-- a11y-pilot-disable-next-line img-alt, button-content -->',
+      }),
+      expect.objectContaining({
+        line: 3,
+        message: 'Unused a11y-pilot-disable-next-line directive (no issues reported)',
+      }),
+    ]);
+  });
+
+  it('does not call a rule that did not run stale, but does report unknown ids', () => {
+    const code = '<!-- a11y-pilot-disable-next-line img-alt, img-alts -->\n<img>';
+    const { unused } = applySuppressions([], directivesIn(code, 'html'), {
+      activeRuleIds: new Set(['button-content']),
+      knownRuleIds: new Set(['img-alt', 'button-content']),
+    });
+    expect(unused.map(u => u.message)).toEqual([
+      'a11y-pilot-disable-next-line directive names unknown rule "img-alts"',
+    ]);
+  });
+});
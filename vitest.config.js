@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    // RuleTester turns each case into a test through the global describe/it
+    globals: true,
+    include: ['test/**/*.test.js'],
+  },
+});